@@ -1,6 +1,8 @@
 import { NextResponse } from "next/server";
 import cloudinary from "cloudinary";
 import dbConnect from "@/backend/config/dbConnect";
+import { PAYMENT_PROOF_FOLDER } from "@/backend/utils/paymentProof";
+import { RETURN_PHOTO_FOLDER } from "@/backend/utils/returns";
 import { captureException, captureMessage } from "@/monitoring/sentry";
 import { withIntelligentRateLimit } from "@/utils/rateLimit";
 import {
@@ -16,11 +18,21 @@ cloudinary.config({
   secure: true,
 });
 
+// Dossier de destination selon l'usage de l'upload (?purpose=...)
+const UPLOAD_FOLDERS = {
+  avatar: "buyitnow/avatars",
+  return: RETURN_PHOTO_FOLDER,
+  payment_proof: PAYMENT_PROOF_FOLDER,
+};
+
 /**
  * POST /api/auth/me/update/sign-cloudinary-params
  * Signe les paramètres pour l'upload Cloudinary sécurisé
  * Rate limit: Configuration intelligente - api.upload (10 req/5min, strict)
  *
+ * Paramètre optionnel: purpose=avatar (défaut) | return (photos de retour)
+ *                      | payment_proof (reçus de paiement)
+ *
  * Headers de sécurité gérés par next.config.mjs pour /api/auth/*
  */
 export const POST = withIntelligentRateLimit(
@@ -106,7 +118,19 @@ export const POST = withIntelligentRateLimit(
       const { paramsToSign } = body;
 
       // 7. Configuration du dossier et restrictions
-      paramsToSign.folder = "buyitnow/avatars";
+      const purpose = req.nextUrl.searchParams.get("purpose") || "avatar";
+
+      if (!UPLOAD_FOLDERS[purpose]) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid upload purpose",
+          },
+          { status: 400 },
+        );
+      }
+
+      paramsToSign.folder = UPLOAD_FOLDERS[purpose];
 
       // 8. Générer la signature
       let signature;
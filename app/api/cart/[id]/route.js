@@ -1,15 +1,18 @@
 import { NextResponse } from "next/server";
 import dbConnect from "@/backend/config/dbConnect";
 import Cart from "@/backend/models/cart";
+import { renewCartExpiry } from "@/backend/utils/cartExpiry";
+import { buildCartPayload } from "@/backend/utils/cartPayload";
+import { getCartOwner } from "@/backend/utils/guestCart";
 // eslint-disable-next-line no-unused-vars
 import Product from "@/backend/models/product";
 import { captureException } from "@/monitoring/sentry";
 import { withCartRateLimit } from "@/utils/rateLimit";
-import { getSessionFromRequest, isAuthenticatedUser } from "@/lib/auth-utils";
+import { getOptionalUser, getSessionFromRequest } from "@/lib/auth-utils";
 
 /**
  * DELETE /api/cart/[id]
- * Supprime un élément du panier
+ * Supprime un élément du panier (utilisateur ou invité)
  * Rate limit: Configuration intelligente - cart.remove (50 req/min, ultra permissif, pas de blocage)
  *
  * Headers de sécurité gérés par next.config.mjs pour /api/cart/*
@@ -30,15 +33,16 @@ export const DELETE = withCartRateLimit(
         );
       }
 
-      // Vérifier l'authentification
-      const user = await isAuthenticatedUser();
+      // Utilisateur connecté, sinon visiteur (cookie de panier invité)
+      const user = await getOptionalUser(req);
+      const owner = getCartOwner(user, req);
 
-      if (!user) {
+      if (!owner) {
         return NextResponse.json(
           {
             success: false,
-            message: "User not found",
-            code: "USER_NOT_FOUND",
+            message: "Cart item not found",
+            code: "CART_ITEM_NOT_FOUND",
           },
           { status: 404 },
         );
@@ -65,12 +69,17 @@ export const DELETE = withCartRateLimit(
       }
 
       // Vérifier la propriété
-      if (cartItem.user.toString() !== user.id.toString()) {
+      const isOwner = owner.userId
+        ? cartItem.user?.toString() === owner.userId.toString()
+        : cartItem.guestId === owner.guestId;
+
+      if (!isOwner) {
         // Log de sécurité pour tentative de suppression non autorisée
         console.warn("🚨 Unauthorized cart deletion attempt:", {
-          userId: user.id,
+          userId: user?.id || null,
+          guest: !user,
           cartItemId: id,
-          cartItemOwnerId: cartItem.user,
+          cartItemOwnerId: cartItem.user || "guest",
           timestamp: new Date().toISOString(),
           ip:
             req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
@@ -98,50 +107,17 @@ export const DELETE = withCartRateLimit(
       // Supprimer l'élément
       await Cart.findByIdAndDelete(id);
 
-      // Récupérer le panier mis à jour avec les produits populés
-      const cartItems = await Cart.find({ user: user.id })
-        .populate("product", "name price stock images isActive")
-        .sort({ createdAt: -1 })
-        .lean();
-
-      // Filtrer et formater la réponse avec vérifications améliorées
-      const formattedCart = cartItems
-        .filter((item) => {
-          return (
-            item.product &&
-            item.product.isActive !== false &&
-            item.product.stock > 0
-          );
-        })
-        .map((item) => {
-          const adjustedQuantity = Math.min(item.quantity, item.product.stock);
-          const subtotal = adjustedQuantity * item.product.price;
-
-          return {
-            id: item._id,
-            productId: item.product._id,
-            productName: item.product.name,
-            price: item.product.price,
-            quantity: adjustedQuantity,
-            stock: item.product.stock,
-            subtotal,
-            imageUrl: item.product.images?.[0]?.url || "",
-            meta: {
-              adjusted: adjustedQuantity !== item.quantity,
-              originalQuantity: item.quantity,
-            },
-          };
-        });
+      // Activité sur le panier: expiration repoussée pour tous ses articles
+      await renewCartExpiry(owner);
 
-      const cartCount = formattedCart.length;
-      const cartTotal = formattedCart.reduce(
-        (sum, item) => sum + item.subtotal,
-        0,
-      );
+      // Récupérer le panier mis à jour
+      const { cartCount, cartTotal, cart, meta } =
+        await buildCartPayload(owner);
 
       // Log de sécurité pour audit
       console.log("🔒 Security event - Cart item deleted:", {
-        userId: user.id,
+        userId: user?.id || null,
+        guest: !user,
         cartItemId: id,
         deletedItem: deletedItemInfo,
         remainingItems: cartCount,
@@ -158,16 +134,13 @@ export const DELETE = withCartRateLimit(
           data: {
             cartCount,
             cartTotal,
-            cart: formattedCart,
+            cart,
             deletedItem: {
               id,
               productName: deletedItemInfo.productName,
               quantity: deletedItemInfo.quantity,
             },
-            meta: {
-              hasAdjustments: formattedCart.some((item) => item.meta?.adjusted),
-              timestamp: new Date().toISOString(),
-            },
+            meta,
           },
         },
         { status: 200 },
@@ -0,0 +1,157 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import { WISHLIST_MAX_ITEMS } from "@/backend/models/wishlist";
+import { renewCartExpiry } from "@/backend/utils/cartExpiry";
+import { buildCartPayload } from "@/backend/utils/cartPayload";
+import {
+  buildWishlistPayload,
+  moveCartItemToWishlist,
+} from "@/backend/utils/wishlist";
+import { captureException } from "@/monitoring/sentry";
+import { withCartRateLimit } from "@/utils/rateLimit";
+import { getOptionalUser } from "@/lib/auth-utils";
+
+/**
+ * POST /api/cart/[id]/save-for-later
+ * Déplace un article du panier vers la liste de souhaits
+ * Rate limit: Configuration intelligente - cart.remove (50 req/min)
+ *
+ * Réservé aux utilisateurs connectés (pas de liste pour un panier invité).
+ * La quantité est conservée pour un retour ultérieur dans le panier.
+ */
+export const POST = withCartRateLimit(
+  async function (req, { params }) {
+    try {
+      const { id } = params;
+      if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid cart item ID format",
+            code: "INVALID_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      const user = await getOptionalUser(req);
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      if (!user.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      await dbConnect();
+
+      let moved;
+      try {
+        moved = await moveCartItemToWishlist(user.id, id);
+      } catch (moveError) {
+        const errorResponses = {
+          CART_ITEM_NOT_FOUND: [404, "Cart item not found"],
+          WISHLIST_FULL: [
+            409,
+            `Wishlist is limited to ${WISHLIST_MAX_ITEMS} products`,
+          ],
+        };
+
+        if (errorResponses[moveError.message]) {
+          const [status, message] = errorResponses[moveError.message];
+
+          return NextResponse.json(
+            { success: false, message, code: moveError.message },
+            { status },
+          );
+        }
+
+        throw moveError;
+      }
+
+      // Activité sur le panier: expiration repoussée pour tous ses articles
+      await renewCartExpiry({ userId: user.id });
+
+      const [cartPayload, wishlist] = await Promise.all([
+        buildCartPayload({ userId: user.id }),
+        buildWishlistPayload(user.id),
+      ]);
+
+      // Log de sécurité pour audit
+      console.log("🔒 Security event - Cart item saved for later:", {
+        userId: user.id,
+        cartItemId: id,
+        productId: moved.productId,
+        quantity: moved.quantity,
+        timestamp: new Date().toISOString(),
+        ip:
+          req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+          "unknown",
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Item saved for later",
+          data: {
+            cartCount: cartPayload.cartCount,
+            cartTotal: cartPayload.cartTotal,
+            cart: cartPayload.cart,
+            meta: cartPayload.meta,
+            wishlist: { ...wishlist, maxItems: WISHLIST_MAX_ITEMS },
+            movedItem: moved,
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Save for later error:", error.message);
+
+      captureException(error, {
+        tags: { component: "api", route: "cart/[id]/save-for-later/POST" },
+      });
+
+      let status = 500;
+      let message = "Failed to save item for later";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      } else if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  { action: "remove" },
+);
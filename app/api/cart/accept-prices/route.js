@@ -0,0 +1,268 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import Cart from "@/backend/models/cart";
+// eslint-disable-next-line no-unused-vars
+import Product from "@/backend/models/product";
+import { renewCartExpiry } from "@/backend/utils/cartExpiry";
+import { buildCartPayload } from "@/backend/utils/cartPayload";
+import { getCartOwner, getCartOwnerFilter } from "@/backend/utils/guestCart";
+import { captureException } from "@/monitoring/sentry";
+import { withCartRateLimit } from "@/utils/rateLimit";
+import { getOptionalUser } from "@/lib/auth-utils";
+
+/**
+ * POST /api/cart/accept-prices
+ * Accepte les nouveaux prix du panier (utilisateur ou invité)
+ * Rate limit: Configuration intelligente - cart.update (100 req/min)
+ *
+ * Corps: { items: [{ cartItemId, price }] } - prix affichés au client
+ * - Seules les lignes dont le prix actuel du produit est toujours celui
+ *   affiché sont acceptées: leur écart (priceChange) disparaît
+ * - 409 PRICE_CONFLICT pour les autres lignes (prix modifié entre-temps ou
+ *   article introuvable), renvoyées dans data.conflicts avec le panier à jour
+ */
+export const POST = withCartRateLimit(
+  async function (req) {
+    try {
+      // Utilisateur connecté, sinon visiteur (cookie de panier invité)
+      const user = await getOptionalUser(req);
+      const owner = getCartOwner(user, req);
+
+      if (!owner) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Cart not found",
+            code: "CART_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      if (user && !user.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid request body",
+            code: "INVALID_BODY",
+          },
+          { status: 400 },
+        );
+      }
+
+      const items = body?.items;
+
+      if (!Array.isArray(items) || items.length === 0) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Items must contain the displayed prices to accept",
+            code: "INVALID_ITEMS",
+          },
+          { status: 400 },
+        );
+      }
+
+      const invalidItem = items.find(
+        (item) =>
+          !item?.cartItemId ||
+          !/^[0-9a-fA-F]{24}$/.test(item.cartItemId) ||
+          typeof item.price !== "number" ||
+          !Number.isFinite(item.price) ||
+          item.price < 0,
+      );
+
+      if (invalidItem) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Each item needs a valid cartItemId and a price",
+            code: "INVALID_ITEM",
+            data: { item: invalidItem },
+          },
+          { status: 400 },
+        );
+      }
+
+      if (
+        new Set(items.map((item) => item.cartItemId.toLowerCase())).size !==
+        items.length
+      ) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Each cart item can only appear once",
+            code: "DUPLICATE_CART_ITEM",
+          },
+          { status: 400 },
+        );
+      }
+
+      await dbConnect();
+
+      const cartItems = await Cart.find({
+        ...getCartOwnerFilter(owner),
+        _id: { $in: items.map((item) => item.cartItemId) },
+      })
+        .select("product price")
+        .populate("product", "name price")
+        .lean();
+
+      const cartItemsById = new Map(
+        cartItems.map((item) => [item._id.toString(), item]),
+      );
+
+      const acceptedItems = [];
+      const conflicts = [];
+
+      for (const { cartItemId, price } of items) {
+        const cartItem = cartItemsById.get(cartItemId.toLowerCase());
+
+        if (!cartItem?.product) {
+          conflicts.push({ cartItemId, reason: "item_not_found" });
+          continue;
+        }
+
+        // Le prix a encore changé depuis l'affichage: pas d'acceptation
+        if (cartItem.product.price !== price) {
+          conflicts.push({
+            cartItemId,
+            productId: cartItem.product._id,
+            displayedPrice: price,
+            currentPrice: cartItem.product.price,
+            reason: "price_changed",
+          });
+          continue;
+        }
+
+        if (cartItem.price !== price) {
+          acceptedItems.push(cartItem);
+        }
+      }
+
+      if (acceptedItems.length > 0) {
+        await Cart.bulkWrite(
+          acceptedItems.map((item) => ({
+            updateOne: {
+              // Prix enregistré inchangé depuis la lecture
+              filter: { _id: item._id, price: item.price },
+              update: {
+                $set: {
+                  price: item.product.price,
+                  productName: item.product.name,
+                  updatedAt: new Date(),
+                },
+              },
+            },
+          })),
+        );
+      }
+
+      // Activité sur le panier: expiration repoussée pour tous ses articles
+      await renewCartExpiry(owner);
+
+      const { cartCount, cartTotal, cart, meta } =
+        await buildCartPayload(owner);
+
+      // Log de sécurité pour audit
+      console.log("🔒 Security event - Cart prices accepted:", {
+        userId: user?.id || null,
+        guest: !user,
+        accepted: acceptedItems.map((item) => ({
+          productId: item.product._id,
+          previousPrice: item.price,
+          price: item.product.price,
+        })),
+        conflicts: conflicts.length,
+        timestamp: new Date().toISOString(),
+        ip:
+          req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+          "unknown",
+      });
+
+      if (conflicts.length > 0) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Some prices changed again and were not accepted",
+            code: "PRICE_CONFLICT",
+            data: {
+              cartCount,
+              cartTotal,
+              cart,
+              meta,
+              acceptedCount: acceptedItems.length,
+              conflicts,
+            },
+          },
+          { status: 409 },
+        );
+      }
+
+      return NextResponse.json(
+        {
+          success: true,
+          message:
+            acceptedItems.length > 0
+              ? "New prices accepted"
+              : "No price change to accept",
+          data: {
+            cartCount,
+            cartTotal,
+            cart,
+            meta,
+            acceptedCount: acceptedItems.length,
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Cart accept prices error:", error.message);
+
+      captureException(error, {
+        tags: { component: "api", route: "cart/accept-prices/POST" },
+      });
+
+      let status = 500;
+      let message = "Failed to accept new prices";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      } else if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  { action: "update" },
+);
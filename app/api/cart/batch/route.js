@@ -0,0 +1,234 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import {
+  applyCartBatch,
+  CART_BATCH_MAX_ITEMS,
+  CART_BATCH_MODES,
+} from "@/backend/utils/cartBatch";
+import { buildCartPayload } from "@/backend/utils/cartPayload";
+import {
+  createGuestCartId,
+  getCartOwner,
+  isGuestCartEnabled,
+  setGuestCartCookie,
+} from "@/backend/utils/guestCart";
+import { captureException } from "@/monitoring/sentry";
+import { withCartRateLimit } from "@/utils/rateLimit";
+import { getOptionalUser } from "@/lib/auth-utils";
+
+/**
+ * POST /api/cart/batch
+ * Ajoute ou met à jour plusieurs produits du panier en une seule requête
+ * (utilisateur ou invité)
+ * Rate limit: Configuration intelligente - cart.add (100 req/min)
+ *
+ * Corps: { mode: "add" | "set", items: [{ productId, quantity }] }
+ * - add (défaut): quantités ajoutées à celles du panier (1-99)
+ * - set: quantités remplacées (0-99, 0 supprime l'article)
+ * - 409 BATCH_REJECTED si une ligne est refusée: rien n'est enregistré
+ */
+export const POST = withCartRateLimit(
+  async function (req) {
+    try {
+      // Utilisateur connecté, sinon visiteur (cookie de panier invité)
+      const user = await getOptionalUser(req);
+
+      if (!user && !isGuestCartEnabled()) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      if (user && !user.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid request body",
+            code: "INVALID_BODY",
+          },
+          { status: 400 },
+        );
+      }
+
+      const mode = body?.mode || "add";
+      const items = body?.items;
+
+      if (!CART_BATCH_MODES.includes(mode)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: `Invalid mode. Must be one of: ${CART_BATCH_MODES.join(", ")}`,
+            code: "INVALID_MODE",
+            data: { validModes: CART_BATCH_MODES },
+          },
+          { status: 400 },
+        );
+      }
+
+      if (
+        !Array.isArray(items) ||
+        items.length === 0 ||
+        items.length > CART_BATCH_MAX_ITEMS
+      ) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: `Items must contain between 1 and ${CART_BATCH_MAX_ITEMS} products`,
+            code: "INVALID_ITEMS",
+          },
+          { status: 400 },
+        );
+      }
+
+      const minQuantity = mode === "set" ? 0 : 1;
+      const invalidItem = items.find(
+        (item) =>
+          !item?.productId ||
+          !/^[0-9a-fA-F]{24}$/.test(item.productId) ||
+          !Number.isInteger(item.quantity) ||
+          item.quantity < minQuantity ||
+          item.quantity > 99,
+      );
+
+      if (invalidItem) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: `Each item needs a valid productId and a quantity between ${minQuantity} and 99`,
+            code: "INVALID_ITEM",
+            data: { item: invalidItem },
+          },
+          { status: 400 },
+        );
+      }
+
+      if (
+        new Set(items.map((item) => item.productId.toLowerCase())).size !==
+        items.length
+      ) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Each product can only appear once",
+            code: "DUPLICATE_PRODUCT",
+          },
+          { status: 400 },
+        );
+      }
+
+      await dbConnect();
+
+      // Visiteur sans panier: nouvel identifiant, posé en cookie avec la réponse
+      const owner = getCartOwner(user, req) || {
+        guestId: createGuestCartId(),
+      };
+
+      const { applied, rejected } = await applyCartBatch(
+        owner,
+        items.map(({ productId, quantity }) => ({ productId, quantity })),
+        { mode },
+      );
+
+      if (rejected.length > 0) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Some products could not be updated",
+            code: "BATCH_REJECTED",
+            data: { rejected },
+          },
+          { status: 409 },
+        );
+      }
+
+      const { cartCount, cartTotal, cart, meta } =
+        await buildCartPayload(owner);
+
+      // Log de sécurité pour audit
+      console.log("🔒 Security event - Cart batch applied:", {
+        userId: user?.id || null,
+        guest: !user,
+        mode,
+        applied: applied.length,
+        timestamp: new Date().toISOString(),
+        ip:
+          req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+          "unknown",
+      });
+
+      const response = NextResponse.json(
+        {
+          success: true,
+          message: "Cart updated",
+          data: {
+            cartCount,
+            cartTotal,
+            cart,
+            meta,
+            applied,
+          },
+        },
+        { status: 200 },
+      );
+
+      // Cookie invité renouvelé à chaque modification (même durée que les articles)
+      if (owner.guestId) {
+        setGuestCartCookie(response, owner.guestId);
+      }
+
+      return response;
+    } catch (error) {
+      console.error("Cart batch error:", error.message);
+
+      captureException(error, {
+        tags: { component: "api", route: "cart/batch/POST" },
+      });
+
+      let status = 500;
+      let message = "Failed to update cart";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      } else if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  { action: "add" },
+);
@@ -0,0 +1,124 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import { renewCartExpiry } from "@/backend/utils/cartExpiry";
+import { buildCartPayload } from "@/backend/utils/cartPayload";
+import {
+  clearGuestCartCookie,
+  mergeGuestCart,
+  readGuestCartId,
+} from "@/backend/utils/guestCart";
+import { captureException } from "@/monitoring/sentry";
+import { withCartRateLimit } from "@/utils/rateLimit";
+import { getOptionalUser } from "@/lib/auth-utils";
+
+/**
+ * POST /api/cart/merge
+ * Fusionne le panier invité (cookie) dans le panier de l'utilisateur connecté
+ * Rate limit: Configuration intelligente - cart.update (100 req/min)
+ *
+ * Appelé par CartContext à la connexion (ou à l'inscription suivie d'une
+ * connexion). Sans panier invité, retourne simplement le panier utilisateur.
+ * - Quantités additionnées et plafonnées au stock disponible
+ * - data.merge: { merged, adjusted, dropped }, null sans panier invité
+ * - Le cookie invité est supprimé
+ */
+export const POST = withCartRateLimit(
+  async function (req) {
+    try {
+      const user = await getOptionalUser(req);
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      await dbConnect();
+
+      const guestId = readGuestCartId(req);
+      const merge = guestId ? await mergeGuestCart(guestId, user.id) : null;
+
+      // Articles fusionnés: expiration alignée sur le panier utilisateur
+      if (merge?.merged > 0) {
+        await renewCartExpiry({ userId: user.id });
+      }
+
+      const { cartCount, cartTotal, cart, meta } = await buildCartPayload({
+        userId: user.id,
+      });
+
+      if (merge?.merged > 0) {
+        // Log de sécurité pour audit
+        console.log("🔒 Security event - Guest cart merged:", {
+          userId: user.id,
+          merged: merge.merged,
+          adjusted: merge.adjusted.length,
+          dropped: merge.dropped.length,
+          timestamp: new Date().toISOString(),
+          ip:
+            req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+            "unknown",
+        });
+      }
+
+      const response = NextResponse.json(
+        {
+          success: true,
+          message: merge ? "Guest cart merged" : "No guest cart to merge",
+          data: {
+            cartCount,
+            cartTotal,
+            cart,
+            meta,
+            merge,
+          },
+        },
+        { status: 200 },
+      );
+
+      if (guestId) {
+        clearGuestCartCookie(response);
+      }
+
+      return response;
+    } catch (error) {
+      console.error("Cart merge error:", error.message);
+
+      captureException(error, {
+        tags: { component: "api", route: "cart/merge/POST" },
+      });
+
+      let status = 500;
+      let message = "Failed to merge guest cart";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      } else if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  { action: "update" },
+);
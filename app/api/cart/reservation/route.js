@@ -0,0 +1,198 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import { renewCartExpiry } from "@/backend/utils/cartExpiry";
+import {
+  releaseReservations,
+  reserveCartItems,
+} from "@/backend/utils/stockReservation";
+import { captureException } from "@/monitoring/sentry";
+import { withCartRateLimit } from "@/utils/rateLimit";
+import { getOptionalUser } from "@/lib/auth-utils";
+
+/**
+ * POST /api/cart/reservation
+ * Réserve les quantités du panier pendant le paiement
+ * Rate limit: Configuration intelligente - cart.update (100 req/min)
+ *
+ * - Remplace les réservations précédentes de l'utilisateur
+ * - 409 STOCK_UNAVAILABLE si un article ne peut plus être réservé
+ *   (aucune réservation n'est alors posée)
+ * - 409 PRICE_CHANGED si un prix a changé depuis l'ajout au panier: le client
+ *   doit d'abord l'accepter (POST /api/cart/accept-prices)
+ * - Durée: STOCK_RESERVATION_TTL_MINUTES (15 min par défaut)
+ */
+export const POST = withCartRateLimit(
+  async function (req) {
+    try {
+      const user = await getOptionalUser(req);
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      if (!user.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      await dbConnect();
+
+      const { expiresAt, items, unavailable, priceChanges } =
+        await reserveCartItems(user.id);
+
+      if (unavailable.length > 0) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Some products can no longer be reserved",
+            code: "STOCK_UNAVAILABLE",
+            data: { unavailableProducts: unavailable },
+          },
+          { status: 409 },
+        );
+      }
+
+      // Nouveaux prix à accepter depuis le panier avant de payer
+      if (priceChanges.length > 0) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Some prices changed and must be accepted",
+            code: "PRICE_CHANGED",
+            data: { priceChanges },
+          },
+          { status: 409 },
+        );
+      }
+
+      if (items.length === 0) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Cart is empty",
+            code: "EMPTY_CART",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Passage en caisse: le panier ne doit pas expirer pendant le paiement
+      await renewCartExpiry({ userId: user.id });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Cart reserved",
+          data: {
+            expiresAt,
+            items,
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Cart reservation error:", error.message);
+
+      captureException(error, {
+        tags: { component: "api", route: "cart/reservation/POST" },
+      });
+
+      let status = 500;
+      let message = "Failed to reserve cart";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      } else if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  { action: "update" },
+);
+
+/**
+ * DELETE /api/cart/reservation
+ * Libère les réservations de l'utilisateur (retour au panier, abandon)
+ * Rate limit: Configuration intelligente - cart.remove (50 req/min)
+ */
+export const DELETE = withCartRateLimit(
+  async function (req) {
+    try {
+      const user = await getOptionalUser(req);
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      await dbConnect();
+
+      const released = await releaseReservations(user.id);
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Reservations released",
+          data: { released },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Cart reservation release error:", error.message);
+
+      captureException(error, {
+        tags: { component: "api", route: "cart/reservation/DELETE" },
+      });
+
+      return NextResponse.json(
+        {
+          success: false,
+          message: error.message?.includes("authentication")
+            ? "Authentication failed"
+            : "Failed to release reservations",
+          code: error.message?.includes("authentication")
+            ? "AUTH_FAILED"
+            : "INTERNAL_ERROR",
+        },
+        { status: error.message?.includes("authentication") ? 401 : 500 },
+      );
+    }
+  },
+  { action: "remove" },
+);
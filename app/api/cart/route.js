@@ -2,18 +2,37 @@ import { NextResponse } from "next/server";
 import dbConnect from "@/backend/config/dbConnect";
 import Cart from "@/backend/models/cart";
 import Product from "@/backend/models/product";
-import { DECREASE, INCREASE } from "@/helpers/constants";
+import {
+  getCartExpiryWarning,
+  renewCartExpiry,
+} from "@/backend/utils/cartExpiry";
+import { buildCartPayload } from "@/backend/utils/cartPayload";
+import {
+  createGuestCartId,
+  getCartOwner,
+  getCartOwnerFilter,
+  isGuestCartEnabled,
+  setGuestCartCookie,
+} from "@/backend/utils/guestCart";
+import {
+  getAvailableStock,
+  getReservedQuantities,
+  releaseReservations,
+} from "@/backend/utils/stockReservation";
+import { DECREASE, INCREASE, SET_QUANTITY } from "@/helpers/constants";
 import { captureException } from "@/monitoring/sentry";
 import { withCartRateLimit, withIntelligentRateLimit } from "@/utils/rateLimit";
 import {
   extractUserInfoFromRequest,
+  getOptionalUser,
   getSessionFromRequest,
-  isAuthenticatedUser,
 } from "@/lib/auth-utils";
 
 /**
  * GET /api/cart
- * Récupère le panier de l'utilisateur connecté
+ * Récupère le panier de l'utilisateur connecté, ou du visiteur identifié par
+ * le cookie de panier invité (panier vide sans cookie)
+ * expiryWarning signale les articles qui expirent bientôt (null sinon)
  * Rate limit: Configuration intelligente - authenticatedRead (200 req/min pour utilisateurs authentifiés)
  *
  * Headers de sécurité gérés par next.config.mjs pour /api/cart/*
@@ -21,60 +40,16 @@ import {
 export const GET = withIntelligentRateLimit(
   async function (req) {
     try {
-      // Vérifier l'authentification
-      const user = await isAuthenticatedUser();
-
-      if (!user) {
-        return NextResponse.json(
-          {
-            success: false,
-            message: "User not found",
-            code: "USER_NOT_FOUND",
-          },
-          { status: 404 },
-        );
-      }
+      // Utilisateur connecté, sinon visiteur (cookie de panier invité)
+      const user = await getOptionalUser(req);
+      const owner = getCartOwner(user, req);
 
       // Connexion DB
       await dbConnect();
 
-      // Récupérer le panier avec les produits populés
-      const cartItems = await Cart.find({ user: user.id })
-        .populate("product", "name price stock images isActive")
-        .lean();
-
-      // Filtrer les produits disponibles et ajuster les quantités
-      const validCartItems = cartItems.filter(
-        (item) =>
-          item.product && item.product.isActive && item.product.stock > 0,
-      );
-
-      // Ajuster les quantités si elles dépassent le stock
-      const formattedCart = validCartItems.map((item) => {
-        const quantity = Math.min(item.quantity, item.product.stock);
-        const subtotal = quantity * item.product.price;
-
-        return {
-          id: item._id,
-          productId: item.product._id,
-          productName: item.product.name,
-          price: item.product.price,
-          quantity,
-          stock: item.product.stock,
-          subtotal,
-          imageUrl: item.product.images?.[0]?.url || "",
-          meta: {
-            adjusted: quantity !== item.quantity,
-            originalQuantity: item.quantity,
-          },
-        };
-      });
-
-      const cartCount = formattedCart.length;
-      const cartTotal = formattedCart.reduce(
-        (sum, item) => sum + item.subtotal,
-        0,
-      );
+      // Panier avec stock disponible (réservations des autres clients déduites)
+      const { cartCount, cartTotal, cart, meta } =
+        await buildCartPayload(owner);
 
       return NextResponse.json(
         {
@@ -82,11 +57,9 @@ export const GET = withIntelligentRateLimit(
           data: {
             cartCount,
             cartTotal,
-            cart: formattedCart,
-            meta: {
-              timestamp: new Date().toISOString(),
-              hasAdjustments: formattedCart.some((item) => item.meta?.adjusted),
-            },
+            cart,
+            meta,
+            expiryWarning: getCartExpiryWarning(cart),
           },
         },
         { status: 200 },
@@ -128,15 +101,16 @@ export const GET = withIntelligentRateLimit(
 /**
  * POST /api/cart
  * Ajoute un produit au panier
+ * Un visiteur sans panier reçoit un cookie de panier invité
  * Rate limit: Configuration intelligente - cart.add (100 req/min, ultra permissif)
  */
 export const POST = withCartRateLimit(
   async function (req) {
     try {
-      // Vérifier l'authentification
-      const user = await isAuthenticatedUser();
+      // Utilisateur connecté, sinon visiteur (cookie de panier invité)
+      const user = await getOptionalUser(req);
 
-      if (!user) {
+      if (!user && !isGuestCartEnabled()) {
         return NextResponse.json(
           {
             success: false,
@@ -218,7 +192,19 @@ export const POST = withCartRateLimit(
         );
       }
 
-      if (product.stock === 0) {
+      // Visiteur sans panier: nouvel identifiant, posé en cookie avec la réponse
+      const owner = getCartOwner(user, req) || {
+        guestId: createGuestCartId(),
+      };
+
+      // Stock disponible: les quantités réservées par d'autres clients en
+      // cours de paiement ne peuvent pas être ajoutées
+      const reserved = await getReservedQuantities([product._id], {
+        excludeUserId: owner.userId,
+      });
+      const availableStock = getAvailableStock(product, reserved);
+
+      if (availableStock === 0) {
         return NextResponse.json(
           {
             success: false,
@@ -229,13 +215,13 @@ export const POST = withCartRateLimit(
         );
       }
 
-      if (quantity > product.stock) {
+      if (quantity > availableStock) {
         return NextResponse.json(
           {
             success: false,
-            message: `Only ${product.stock} units available`,
+            message: `Only ${availableStock} units available`,
             code: "INSUFFICIENT_STOCK",
-            data: { available: product.stock, requested: quantity },
+            data: { available: availableStock, requested: quantity },
           },
           { status: 400 },
         );
@@ -243,7 +229,7 @@ export const POST = withCartRateLimit(
 
       // Vérifier si le produit est déjà dans le panier
       const existingCartItem = await Cart.findOne({
-        user: user.id,
+        ...getCartOwnerFilter(owner),
         product: productId,
       });
 
@@ -254,7 +240,7 @@ export const POST = withCartRateLimit(
         // Mettre à jour la quantité
         const newQuantity = Math.min(
           existingCartItem.quantity + quantity,
-          product.stock,
+          availableStock,
         );
 
         existingCartItem.quantity = newQuantity;
@@ -264,42 +250,26 @@ export const POST = withCartRateLimit(
         // Créer un nouvel item
         isNewItem = true;
         updatedItem = await Cart.create({
-          user: user.id,
+          ...(owner.userId
+            ? { user: owner.userId }
+            : { guestId: owner.guestId }),
           product: productId,
-          quantity: Math.min(quantity, product.stock),
+          quantity: Math.min(quantity, availableStock),
           price: product.price,
           productName: product.name,
         });
       }
 
-      // Récupérer le panier mis à jour
-      const cartItems = await Cart.find({ user: user.id })
-        .populate("product", "name price stock images isActive")
-        .lean();
+      // Activité sur le panier: expiration repoussée pour tous ses articles
+      await renewCartExpiry(owner);
 
-      // Formater la réponse
-      const formattedCart = cartItems
-        .filter((item) => item.product && item.product.isActive)
-        .map((item) => ({
-          id: item._id,
-          productId: item.product._id,
-          productName: item.product.name,
-          price: item.product.price,
-          quantity: item.quantity,
-          stock: item.product.stock,
-          subtotal: item.quantity * item.product.price,
-          imageUrl: item.product.images?.[0]?.url || "",
-        }));
-
-      const cartCount = formattedCart.length;
-      const cartTotal = formattedCart.reduce(
-        (sum, item) => sum + item.subtotal,
-        0,
-      );
+      // Récupérer le panier mis à jour
+      const { cartCount, cartTotal, cart } = await buildCartPayload(owner);
 
       // Log de sécurité pour audit
       console.log("🔒 Security event - Cart item added:", {
-        userId: user.id,
+        userId: user?.id || null,
+        guest: !user,
         productId,
         quantity: updatedItem.quantity,
         isNewItem,
@@ -309,7 +279,7 @@ export const POST = withCartRateLimit(
           "unknown",
       });
 
-      return NextResponse.json(
+      const response = NextResponse.json(
         {
           success: true,
           message: isNewItem
@@ -318,7 +288,7 @@ export const POST = withCartRateLimit(
           data: {
             cartCount,
             cartTotal,
-            cart: formattedCart,
+            cart,
             addedItem: {
               productId,
               quantity: updatedItem.quantity,
@@ -328,6 +298,13 @@ export const POST = withCartRateLimit(
         },
         { status: isNewItem ? 201 : 200 },
       );
+
+      // Cookie invité renouvelé à chaque ajout (même durée que les articles)
+      if (owner.guestId) {
+        setGuestCartCookie(response, owner.guestId);
+      }
+
+      return response;
     } catch (error) {
       console.error("Cart POST error:", error.message);
 
@@ -386,21 +363,25 @@ export const POST = withCartRateLimit(
 
 /**
  * PUT /api/cart
- * Met à jour la quantité d'un produit dans le panier
+ * Met à jour la quantité d'un produit dans le panier (utilisateur ou invité)
  * Rate limit: Configuration intelligente - cart.update (100 req/min, ultra permissif)
+ *
+ * Corps: { product: { id }, value: INCREASE | DECREASE }
+ *     ou { product: { id }, value: SET_QUANTITY, quantity } (0-99, 0 supprime)
  */
 export const PUT = withCartRateLimit(
   async function (req) {
     try {
-      // Vérifier l'authentification
-      const user = await isAuthenticatedUser();
+      // Utilisateur connecté, sinon visiteur (cookie de panier invité)
+      const user = await getOptionalUser(req);
+      const owner = getCartOwner(user, req);
 
-      if (!user) {
+      if (!owner) {
         return NextResponse.json(
           {
             success: false,
-            message: "User not found",
-            code: "USER_NOT_FOUND",
+            message: "Cart item not found",
+            code: "CART_ITEM_NOT_FOUND",
           },
           { status: 404 },
         );
@@ -439,13 +420,31 @@ export const PUT = withCartRateLimit(
         );
       }
 
-      if (action !== INCREASE && action !== DECREASE) {
+      if (![INCREASE, DECREASE, SET_QUANTITY].includes(action)) {
         return NextResponse.json(
           {
             success: false,
-            message: "Invalid action. Must be INCREASE or DECREASE",
+            message:
+              "Invalid action. Must be INCREASE, DECREASE or SET_QUANTITY",
             code: "INVALID_ACTION",
-            data: { validActions: [INCREASE, DECREASE] },
+            data: { validActions: [INCREASE, DECREASE, SET_QUANTITY] },
+          },
+          { status: 400 },
+        );
+      }
+
+      if (
+        action === SET_QUANTITY &&
+        (!Number.isInteger(body.quantity) ||
+          body.quantity < 0 ||
+          body.quantity > 99)
+      ) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid quantity. Must be between 0 and 99",
+            code: "INVALID_QUANTITY",
+            data: { min: 0, max: 99, provided: body.quantity },
           },
           { status: 400 },
         );
@@ -454,7 +453,7 @@ export const PUT = withCartRateLimit(
       // Récupérer l'item du panier
       const cartItem = await Cart.findOne({
         _id: cartItemId,
-        user: user.id,
+        ...getCartOwnerFilter(owner),
       }).populate("product", "stock isActive name price");
 
       if (!cartItem) {
@@ -487,19 +486,31 @@ export const PUT = withCartRateLimit(
       const previousQuantity = cartItem.quantity;
       let itemDeleted = false;
 
+      // Nouvelle quantité: pas de +1 / -1 ou valeur saisie
+      const newQuantity =
+        action === SET_QUANTITY
+          ? body.quantity
+          : cartItem.quantity + (action === INCREASE ? 1 : -1);
+
       // Mettre à jour la quantité
-      if (action === INCREASE) {
-        const newQuantity = cartItem.quantity + 1;
+      if (newQuantity <= 0) {
+        await Cart.findByIdAndDelete(cartItemId);
+        itemDeleted = true;
+      } else if (newQuantity > cartItem.quantity) {
+        const reserved = await getReservedQuantities([cartItem.product._id], {
+          excludeUserId: owner.userId,
+        });
+        const availableStock = getAvailableStock(cartItem.product, reserved);
 
-        if (newQuantity > cartItem.product.stock) {
+        if (newQuantity > availableStock) {
           return NextResponse.json(
             {
               success: false,
-              message: `Only ${cartItem.product.stock} units available`,
+              message: `Only ${availableStock} units available`,
               code: "INSUFFICIENT_STOCK",
               data: {
                 current: cartItem.quantity,
-                available: cartItem.product.stock,
+                available: availableStock,
               },
             },
             { status: 400 },
@@ -508,46 +519,22 @@ export const PUT = withCartRateLimit(
 
         cartItem.quantity = newQuantity;
         await cartItem.save();
-      } else if (action === DECREASE) {
-        const newQuantity = cartItem.quantity - 1;
-
-        if (newQuantity <= 0) {
-          await Cart.findByIdAndDelete(cartItemId);
-          itemDeleted = true;
-        } else {
-          cartItem.quantity = newQuantity;
-          await cartItem.save();
-        }
+      } else if (newQuantity < cartItem.quantity) {
+        cartItem.quantity = newQuantity;
+        await cartItem.save();
       }
 
-      // Récupérer le panier mis à jour
-      const cartItems = await Cart.find({ user: user.id })
-        .populate("product", "name price stock images isActive")
-        .lean();
+      // Activité sur le panier: expiration repoussée pour tous ses articles
+      await renewCartExpiry(owner);
 
-      // Formater la réponse
-      const formattedCart = cartItems
-        .filter((item) => item.product && item.product.isActive)
-        .map((item) => ({
-          id: item._id,
-          productId: item.product._id,
-          productName: item.product.name,
-          price: item.product.price,
-          quantity: item.quantity,
-          stock: item.product.stock,
-          subtotal: item.quantity * item.product.price,
-          imageUrl: item.product.images?.[0]?.url || "",
-        }));
-
-      const cartCount = formattedCart.length;
-      const cartTotal = formattedCart.reduce(
-        (sum, item) => sum + item.subtotal,
-        0,
-      );
+      // Récupérer le panier mis à jour
+      const { cartCount, cartTotal, cart, meta } =
+        await buildCartPayload(owner);
 
       // Log de sécurité pour audit
       console.log("🔒 Security event - Cart quantity updated:", {
-        userId: user.id,
+        userId: user?.id || null,
+        guest: !user,
         cartItemId,
         action,
         previousQuantity,
@@ -564,11 +551,14 @@ export const PUT = withCartRateLimit(
           success: true,
           message: itemDeleted
             ? "Item removed from cart"
-            : `Cart ${action === INCREASE ? "increased" : "decreased"} successfully`,
+            : action === SET_QUANTITY
+              ? "Cart quantity updated"
+              : `Cart ${action === INCREASE ? "increased" : "decreased"} successfully`,
           data: {
             cartCount,
             cartTotal,
-            cart: formattedCart,
+            cart,
+            meta,
             updatedItem: {
               cartItemId,
               action,
@@ -634,3 +624,109 @@ export const PUT = withCartRateLimit(
     },
   },
 );
+
+/**
+ * DELETE /api/cart
+ * Vide le panier (utilisateur ou invité) en une seule requête
+ * Les réservations de stock d'un paiement en cours sont libérées
+ * Rate limit: Configuration intelligente - cart.remove (50 req/min, ultra permissif, pas de blocage)
+ */
+export const DELETE = withCartRateLimit(
+  async function (req) {
+    try {
+      // Utilisateur connecté, sinon visiteur (cookie de panier invité)
+      const user = await getOptionalUser(req);
+      const owner = getCartOwner(user, req);
+
+      // Connexion DB
+      await dbConnect();
+
+      let deletedCount = 0;
+
+      if (owner) {
+        ({ deletedCount } = await Cart.deleteMany(getCartOwnerFilter(owner)));
+
+        if (owner.userId) {
+          await releaseReservations(owner.userId);
+        }
+      }
+
+      const { cartCount, cartTotal, cart, meta } =
+        await buildCartPayload(owner);
+
+      // Log de sécurité pour audit
+      console.log("🔒 Security event - Cart cleared:", {
+        userId: user?.id || null,
+        guest: !user,
+        deletedCount,
+        timestamp: new Date().toISOString(),
+        ip:
+          req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+          "unknown",
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Cart cleared",
+          data: {
+            cartCount,
+            cartTotal,
+            cart,
+            meta,
+            deletedCount,
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Cart DELETE error:", error.message);
+
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "cart/DELETE",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      let status = 500;
+      let message = "Failed to clear cart";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      }
+
+      return NextResponse.json({ success: false, message, code }, { status });
+    }
+  },
+  {
+    action: "remove", // 50 req/min, pas de blocage
+    extractUserInfo: async (req) => {
+      // Extraire user + session pour tracking optimal
+      try {
+        const session = await getSessionFromRequest(req);
+        const sessionId =
+          req.headers.get("x-session-id") ||
+          req.cookies?.get("session_id")?.value;
+
+        return {
+          userId: session?.user?.id,
+          email: session?.user?.email,
+          sessionId,
+        };
+      } catch {
+        return {
+          sessionId:
+            req.headers.get("x-session-id") ||
+            req.cookies?.get("session_id")?.value,
+        };
+      }
+    },
+  },
+);
@@ -0,0 +1,114 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import { purgeExpiredCartItems } from "@/backend/utils/cartExpiry";
+import { isValidCronAuthorization } from "@/backend/utils/cronAuth";
+import { captureException, captureMessage } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+
+/**
+ * GET /api/cron/cart-cleanup
+ * Supprime les articles de panier expirés (utilisateurs et invités),
+ * sauf ceux des clients en cours de paiement
+ * Rate limit: Configuration intelligente - cron.job (10 req/min par IP)
+ *
+ * Déclenché par le planificateur (Vercel Cron) ou par scripts/cron.mjs
+ * Authentification: Authorization: Bearer <CRON_SECRET>
+ */
+export const GET = withIntelligentRateLimit(
+  async function (req) {
+    try {
+      // 1. Authentification du planificateur
+      const secret = process.env.CRON_SECRET;
+      if (!secret) {
+        console.error("CRON_SECRET not configured");
+        captureMessage("CRON_SECRET not configured", {
+          tags: { component: "api", route: "cron/cart-cleanup/GET" },
+          level: "error",
+        });
+
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Cron jobs are not configured",
+            code: "CRON_NOT_CONFIGURED",
+          },
+          { status: 503 },
+        );
+      }
+
+      if (!isValidCronAuthorization(req.headers.get("authorization"), secret)) {
+        console.warn("🔒 Security event - Invalid cron authorization:", {
+          job: "cart-cleanup",
+          timestamp: new Date().toISOString(),
+          ip:
+            req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+            "unknown",
+        });
+
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Unauthorized",
+            code: "UNAUTHORIZED",
+          },
+          { status: 401 },
+        );
+      }
+
+      // 2. Purge des articles expirés
+      await dbConnect();
+
+      const { deletedCount, skippedUsers } = await purgeExpiredCartItems();
+
+      // Log de sécurité pour audit
+      console.log("🔒 Security event - Expired cart items purged:", {
+        deletedCount,
+        skippedUsers,
+        timestamp: new Date().toISOString(),
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Expired cart items purged",
+          code: "CLEANUP_COMPLETED",
+          data: { deletedCount, skippedUsers },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Cart cleanup error:", error.message);
+
+      captureException(error, {
+        tags: { component: "api", route: "cron/cart-cleanup/GET" },
+        level: "error",
+      });
+
+      let status = 500;
+      let message = "Failed to purge expired cart items";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  {
+    category: "cron",
+    action: "job",
+  },
+);
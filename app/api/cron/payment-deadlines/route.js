@@ -0,0 +1,161 @@
+import { after, NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import { isValidCronAuthorization } from "@/backend/utils/cronAuth";
+import { notifyOrderEvent } from "@/backend/utils/orderNotifications";
+import { cancelOverdueOrders } from "@/backend/utils/paymentDeadline";
+import { captureException, captureMessage } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+
+const MAX_SWEEP_LIMIT = 200;
+
+/**
+ * GET /api/cron/payment-deadlines
+ * Annule les commandes non-CASH dont le délai de paiement est dépassé ou
+ * restées en "processing" sans confirmation, restitue leur stock et
+ * prévient les clients
+ * Rate limit: Configuration intelligente - cron.job (10 req/min par IP)
+ *
+ * Déclenché par le planificateur (Vercel Cron) ou par scripts/cron.mjs
+ * Authentification: Authorization: Bearer <CRON_SECRET>
+ * Paramètre optionnel: limit (1-200, 50 par défaut)
+ */
+export const GET = withIntelligentRateLimit(
+  async function (req) {
+    try {
+      // 1. Authentification du planificateur
+      const secret = process.env.CRON_SECRET;
+      if (!secret) {
+        console.error("CRON_SECRET not configured");
+        captureMessage("CRON_SECRET not configured", {
+          tags: { component: "api", route: "cron/payment-deadlines/GET" },
+          level: "error",
+        });
+
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Cron jobs are not configured",
+            code: "CRON_NOT_CONFIGURED",
+          },
+          { status: 503 },
+        );
+      }
+
+      if (!isValidCronAuthorization(req.headers.get("authorization"), secret)) {
+        console.warn("🔒 Security event - Invalid cron authorization:", {
+          job: "payment-deadlines",
+          timestamp: new Date().toISOString(),
+          ip:
+            req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+            "unknown",
+        });
+
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Unauthorized",
+            code: "UNAUTHORIZED",
+          },
+          { status: 401 },
+        );
+      }
+
+      // 2. Validation des paramètres
+      const limitParam = req.nextUrl.searchParams.get("limit");
+      const limit = limitParam ? parseInt(limitParam, 10) : undefined;
+
+      if (
+        limit !== undefined &&
+        (!Number.isInteger(limit) || limit < 1 || limit > MAX_SWEEP_LIMIT)
+      ) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: `Limit must be between 1 and ${MAX_SWEEP_LIMIT}`,
+            code: "INVALID_PARAMS",
+          },
+          { status: 400 },
+        );
+      }
+
+      // 3. Annulation des commandes en retard de paiement
+      await dbConnect();
+
+      const { scanned, cancelled, failed } = await cancelOverdueOrders({
+        limit,
+      });
+
+      // Log de sécurité pour audit
+      console.log("🔒 Security event - Overdue orders swept:", {
+        scanned,
+        cancelled: cancelled.map((order) => order.orderNumber),
+        failed,
+        timestamp: new Date().toISOString(),
+      });
+
+      // Emails d'annulation envoyés après la réponse
+      if (cancelled.length > 0) {
+        after(() =>
+          Promise.all(
+            cancelled.map((order) => notifyOrderEvent("cancelled", order._id)),
+          ),
+        );
+      }
+
+      return NextResponse.json(
+        {
+          success: failed.length === 0,
+          message:
+            failed.length === 0
+              ? "Overdue orders processed"
+              : "Some overdue orders could not be cancelled",
+          code: failed.length === 0 ? "SWEEP_COMPLETED" : "SWEEP_PARTIAL",
+          data: {
+            scanned,
+            cancelledCount: cancelled.length,
+            cancelled: cancelled.map((order) => order.orderNumber),
+            failed,
+          },
+        },
+        { status: failed.length === 0 ? 200 : 207 },
+      );
+    } catch (error) {
+      console.error("Payment deadline sweep error:", error.message);
+
+      captureException(error, {
+        tags: {
+          component: "api",
+          route: "cron/payment-deadlines/GET",
+          critical: true,
+        },
+        level: "error",
+      });
+
+      let status = 500;
+      let message = "Failed to process overdue orders";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  {
+    category: "cron",
+    action: "job",
+  },
+);
@@ -0,0 +1,295 @@
+import { after, NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import Order from "@/backend/models/order";
+import Product from "@/backend/models/product";
+import { notifyOrderEvent } from "@/backend/utils/orderNotifications";
+import { recordOrderEvent, snapshotOrder } from "@/backend/utils/orderEvents";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+import {
+  extractUserInfoFromRequest,
+  isAuthenticatedUser,
+} from "@/lib/auth-utils";
+
+/**
+ * PATCH /api/orders/me/[id]/cancel
+ * Annule une commande de l'utilisateur connecté et remet les produits en stock
+ * Rate limit: Configuration intelligente - api.write (30 req/min)
+ *
+ * Seules les commandes "unpaid" ou "pending_cash" pas encore expédiées
+ * peuvent être annulées.
+ * La restauration du stock (stock / sold) et l'annulation sont effectuées
+ * dans la même transaction que la création de commande.
+ */
+export const PATCH = withIntelligentRateLimit(
+  async function (req, { params }) {
+    try {
+      // Validation de l'ID
+      const { id } = params;
+      if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid order ID format",
+            code: "INVALID_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Vérifier l'authentification
+      const user = await isAuthenticatedUser();
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      // Vérifier si le compte est actif
+      if (!user.isActive) {
+        console.warn("Inactive user attempting to cancel order:", user.email);
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended. Cannot cancel orders",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      // Connexion DB
+      await dbConnect();
+
+      // Parser le body
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid request body",
+            code: "INVALID_BODY",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Validation de la raison d'annulation
+      const reason = typeof body?.reason === "string" ? body.reason.trim() : "";
+
+      if (reason.length < 3 || reason.length > 200) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Cancel reason must be between 3 and 200 characters",
+            code: "INVALID_REASON",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Annulation et restauration du stock en transaction
+      const session = await Order.startSession();
+      let cancelledOrder = null;
+
+      try {
+        await session.withTransaction(async () => {
+          const order = await Order.findOne({
+            _id: id,
+            user: user.id,
+          }).session(session);
+
+          if (!order) {
+            throw new Error("ORDER_NOT_FOUND");
+          }
+
+          if (!order.canBeCancelled()) {
+            throw new Error(
+              order.cancelledAt ? "ORDER_ALREADY_CANCELLED" : "ORDER_LOCKED",
+            );
+          }
+
+          const before = snapshotOrder(order);
+
+          // Remettre les quantités commandées en stock
+          for (const item of order.orderItems) {
+            await Product.findByIdAndUpdate(
+              item.product,
+              {
+                $inc: {
+                  stock: item.quantity,
+                  sold: -item.quantity, // Annuler les ventes
+                },
+              },
+              { session },
+            );
+          }
+
+          // Historiser l'annulation (renseigne aussi cancelledAt / cancelReason)
+          order.transitionTo(
+            "cancelled",
+            { type: "customer", id: user.id, name: user.name },
+            reason,
+          );
+
+          await order.save({ session });
+
+          await recordOrderEvent({
+            type: "cancelled",
+            order,
+            before,
+            actor: { type: "customer", id: user.id, name: user.name },
+            req,
+            metadata: { restoredItems: order.orderItems.length },
+            session,
+          });
+
+          cancelledOrder = order;
+        });
+      } catch (transactionError) {
+        if (transactionError.message === "ORDER_NOT_FOUND") {
+          return NextResponse.json(
+            {
+              success: false,
+              message: "Order not found",
+              code: "ORDER_NOT_FOUND",
+            },
+            { status: 404 },
+          );
+        }
+
+        if (transactionError.message === "ORDER_ALREADY_CANCELLED") {
+          return NextResponse.json(
+            {
+              success: false,
+              message: "Order is already cancelled",
+              code: "ORDER_ALREADY_CANCELLED",
+            },
+            { status: 409 },
+          );
+        }
+
+        if (transactionError.message === "ORDER_LOCKED") {
+          return NextResponse.json(
+            {
+              success: false,
+              message:
+                "Only unpaid or pending cash orders that have not been shipped can be cancelled",
+              code: "ORDER_NOT_CANCELLABLE",
+            },
+            { status: 409 },
+          );
+        }
+
+        console.error("Cancel transaction failed:", {
+          userId: user.id,
+          orderId: id,
+          error: transactionError.message,
+          timestamp: new Date().toISOString(),
+        });
+
+        throw transactionError;
+      } finally {
+        await session.endSession();
+      }
+
+      // Log de sécurité pour audit
+      console.log("🔒 Security event - Order cancelled:", {
+        userId: user.id,
+        userEmail: user.email,
+        orderId: cancelledOrder._id,
+        orderNumber: cancelledOrder.orderNumber,
+        paymentStatus: cancelledOrder.paymentStatus,
+        restoredItems: cancelledOrder.orderItems.length,
+        timestamp: new Date().toISOString(),
+        ip:
+          req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+          "unknown",
+      });
+
+      after(() => notifyOrderEvent("cancelled", cancelledOrder._id));
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Order cancelled successfully",
+          code: "ORDER_CANCELLED",
+          data: {
+            order: {
+              _id: cancelledOrder._id,
+              orderNumber: cancelledOrder.orderNumber,
+              paymentStatus: cancelledOrder.paymentStatus,
+              cancelReason: cancelledOrder.cancelReason,
+              cancelledAt: cancelledOrder.cancelledAt,
+              fulfillmentStatus: cancelledOrder.fulfillmentStatus,
+            },
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Order cancel error:", error.message);
+
+      // Capturer seulement les vraies erreurs système
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "orders/me/[id]/cancel/PATCH",
+            user: req.user?.email,
+            critical: true, // Restauration du stock en jeu
+          },
+          level: "error",
+        });
+      }
+
+      // Gestion détaillée des erreurs
+      let status = 500;
+      let message = "Failed to cancel order. Please try again.";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      } else if (error.name === "CastError") {
+        status = 400;
+        message = "Invalid request parameters";
+        code = "INVALID_PARAMS";
+      } else if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error. Please try again";
+        code = "DB_CONNECTION_ERROR";
+      } else if (error.message?.includes("Transaction")) {
+        status = 500;
+        message = "Transaction failed. Order was not cancelled";
+        code = "TRANSACTION_FAILED";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  {
+    category: "api",
+    action: "write", // 30 écritures par minute
+    extractUserInfo: extractUserInfoFromRequest,
+  },
+);
@@ -0,0 +1,239 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import Order, { ORDER_NUMBER_REGEX } from "@/backend/models/order";
+import {
+  buildInvoice,
+  computeInvoiceTotals,
+  ensureInvoiceNumber,
+  isInvoiceable,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+} from "@/backend/utils/invoice";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+import {
+  extractUserInfoFromRequest,
+  isAuthenticatedUser,
+} from "@/lib/auth-utils";
+
+const INVOICE_FORMATS = ["html", "pdf"];
+
+/**
+ * GET /api/orders/me/[orderNumber]/invoice?format=html|pdf
+ * Facture d'une commande réglée de l'utilisateur connecté
+ * Rate limit: Configuration intelligente - authenticatedRead (200 req/min)
+ *
+ * - format=html (défaut): page imprimable
+ * - format=pdf: document PDF téléchargeable (download=1 pour forcer le
+ *   téléchargement au lieu de l'affichage)
+ * - 409 INVOICE_NOT_AVAILABLE tant que la commande n'est pas payée
+ * - 422 INVALID_INVOICE_AMOUNT si les montants sont refusés par
+ *   simpleInvoiceSchema (aucun numéro de facture n'est alors attribué)
+ * - Le numéro de facture est attribué à la première demande puis conservé
+ */
+export const GET = withIntelligentRateLimit(
+  async function (req, { params }) {
+    try {
+      // Validation de la référence de commande
+      const { id: reference } = params;
+      if (
+        !reference ||
+        (!ORDER_NUMBER_REGEX.test(reference) &&
+          !/^[0-9a-fA-F]{24}$/.test(reference))
+      ) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid order number format",
+            code: "INVALID_ORDER_NUMBER",
+          },
+          { status: 400 },
+        );
+      }
+
+      const searchParams = req.nextUrl.searchParams;
+      const format = (searchParams.get("format") || "html").toLowerCase();
+      if (!INVOICE_FORMATS.includes(format)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: `Invalid format. Supported: ${INVOICE_FORMATS.join(", ")}`,
+            code: "INVALID_FORMAT",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Vérifier l'authentification
+      const user = await isAuthenticatedUser();
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      // Vérifier si le compte est actif
+      if (!user.isActive) {
+        console.warn("Inactive user attempting to access invoice:", user.email);
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended. Cannot access invoices",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      // Connexion DB
+      await dbConnect();
+
+      // Récupérer la commande en vérifiant la propriété
+      const order = await Order.findByUserAndReference(user.id, reference)
+        .select(
+          "orderNumber orderItems paymentInfo paymentStatus fulfillmentMethod shippingAddress deliveryFee totalAmount createdAt paidAt invoiceNumber invoicedAt",
+        )
+        .lean();
+
+      if (!order) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Order not found",
+            code: "ORDER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      if (!isInvoiceable(order)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invoice is only available for paid orders",
+            code: "INVOICE_NOT_AVAILABLE",
+          },
+          { status: 409 },
+        );
+      }
+
+      // Montants vérifiés avant d'attribuer un numéro de facture définitif
+      const totals = await computeInvoiceTotals(order);
+
+      if (!totals.isValid) {
+        console.warn("Invoice refused for invalid amounts:", {
+          userId: user.id,
+          orderNumber: order.orderNumber,
+          errors: totals.errors,
+        });
+
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Order amounts cannot be invoiced",
+            code: "INVALID_INVOICE_AMOUNT",
+            errors: totals.errors,
+          },
+          { status: 422 },
+        );
+      }
+
+      if (!order.invoiceNumber) {
+        Object.assign(order, await ensureInvoiceNumber(order._id));
+      }
+
+      const invoice = buildInvoice(order, user, totals.calculations);
+
+      // Log pour audit (sans données sensibles)
+      console.log("Invoice accessed:", {
+        userId: user.id,
+        orderNumber: order.orderNumber,
+        invoiceNumber: invoice.number,
+        format,
+        timestamp: new Date().toISOString(),
+      });
+
+      const headers = {
+        "Cache-Control": "private, no-store",
+        "X-Robots-Tag": "noindex, nofollow",
+      };
+
+      if (format === "pdf") {
+        const pdf = await renderInvoicePdf(invoice);
+        const disposition =
+          searchParams.get("download") === "1" ? "attachment" : "inline";
+
+        return new NextResponse(pdf, {
+          status: 200,
+          headers: {
+            ...headers,
+            "Content-Type": "application/pdf",
+            "Content-Length": String(pdf.length),
+            "Content-Disposition": `${disposition}; filename="facture-${invoice.number}.pdf"`,
+          },
+        });
+      }
+
+      return new NextResponse(renderInvoiceHtml(invoice), {
+        status: 200,
+        headers: {
+          ...headers,
+          "Content-Type": "text/html; charset=utf-8",
+          // Page autonome: seul le bouton d'impression utilise du script
+          "Content-Security-Policy":
+            "default-src 'none'; style-src 'unsafe-inline'; script-src-attr 'unsafe-inline'",
+        },
+      });
+    } catch (error) {
+      console.error("Invoice generation error:", error.message);
+
+      // Capturer seulement les vraies erreurs système
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "orders/me/[orderNumber]/invoice/GET",
+          },
+        });
+      }
+
+      // Gestion détaillée des erreurs
+      let status = 500;
+      let message = "Failed to generate invoice";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      } else if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  {
+    category: "api",
+    action: "authenticatedRead",
+    extractUserInfo: extractUserInfoFromRequest,
+  },
+);
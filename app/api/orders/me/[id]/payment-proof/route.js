@@ -0,0 +1,313 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import Order, {
+  ORDER_NUMBER_REGEX,
+  OrderTransitionError,
+} from "@/backend/models/order";
+import { recordOrderEvent, snapshotOrder } from "@/backend/utils/orderEvents";
+import {
+  getPaymentProofRejection,
+  isPaymentProofReceipt,
+} from "@/backend/utils/paymentProof";
+import { validatePaymentProof } from "@/helpers/validation/schemas/payment";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+import {
+  extractUserInfoFromRequest,
+  isAuthenticatedUser,
+} from "@/lib/auth-utils";
+
+/**
+ * POST /api/orders/me/[orderNumber]/payment-proof
+ * Transmet la preuve d'un paiement mobile money (WAAFI, D-MONEY, ...)
+ * Rate limit: Configuration intelligente - api.write (30 req/min)
+ *
+ * Corps: { reference, receipt: { publicId, url } }
+ * - Commande non-CASH, non annulée, "unpaid" ou "failed", dans le délai de paiement
+ * - Reçu uploadé via sign-cloudinary-params?purpose=payment_proof
+ * - La référence ne doit pas avoir servi pour une autre commande
+ * Le paiement passe en "processing" en attendant sa confirmation.
+ */
+export const POST = withIntelligentRateLimit(
+  async function (req, { params }) {
+    try {
+      // Validation de la référence de commande
+      const { id: reference } = params;
+      if (
+        !reference ||
+        (!ORDER_NUMBER_REGEX.test(reference) &&
+          !/^[0-9a-fA-F]{24}$/.test(reference))
+      ) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid order number format",
+            code: "INVALID_ORDER_NUMBER",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Vérifier l'authentification
+      const user = await isAuthenticatedUser();
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      // Vérifier si le compte est actif
+      if (!user.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      // Parser et valider le body
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid request body",
+            code: "INVALID_BODY",
+          },
+          { status: 400 },
+        );
+      }
+
+      const validation = await validatePaymentProof(body);
+
+      if (!validation.isValid) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid payment proof",
+            code: "VALIDATION_ERROR",
+            errors: validation.errors,
+          },
+          { status: 400 },
+        );
+      }
+
+      const { reference: transactionReference, receipt } = validation.data;
+
+      // Seuls les reçus de notre dossier Cloudinary sont admis
+      if (!isPaymentProofReceipt(receipt)) {
+        console.warn("🔒 Security event - Foreign payment receipt rejected:", {
+          userId: user.id,
+          reference,
+          timestamp: new Date().toISOString(),
+        });
+
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid receipt",
+            code: "INVALID_RECEIPT",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Connexion DB
+      await dbConnect();
+
+      const session = await Order.startSession();
+      let order = null;
+
+      try {
+        await session.withTransaction(async () => {
+          order = await Order.findByUserAndReference(
+            user.id,
+            reference,
+          ).session(session);
+
+          if (!order) {
+            throw new Error("ORDER_NOT_FOUND");
+          }
+
+          const rejection = getPaymentProofRejection(order);
+          if (rejection) {
+            const error = new Error("PROOF_NOT_ALLOWED");
+            error.reason = rejection;
+            throw error;
+          }
+
+          // Une référence déjà utilisée (preuve ou callback opérateur)
+          // pour une autre commande est refusée
+          const alreadyUsed = await Order.exists({
+            _id: { $ne: order._id },
+            $or: [
+              { "paymentProof.reference": transactionReference },
+              { "paymentInfo.providerTransactionId": transactionReference },
+            ],
+          }).session(session);
+
+          if (alreadyUsed) {
+            throw new Error("REFERENCE_ALREADY_USED");
+          }
+
+          const before = snapshotOrder(order);
+
+          order.paymentProof = {
+            reference: transactionReference,
+            receipt,
+            submittedAt: new Date(),
+          };
+          order.transitionPaymentStatus("processing");
+
+          await order.save({ session });
+
+          await recordOrderEvent({
+            type: "payment_proof_submitted",
+            order,
+            before,
+            actor: { type: "customer", id: user.id, name: user.name },
+            req,
+            metadata: {
+              transactionReference,
+              receiptPublicId: receipt.publicId,
+            },
+            session,
+          });
+        });
+      } catch (transactionError) {
+        // Index unique: même référence soumise en même temps sur deux commandes
+        const errorCode =
+          transactionError.code === 11000
+            ? "REFERENCE_ALREADY_USED"
+            : transactionError.message;
+
+        const errorResponses = {
+          ORDER_NOT_FOUND: [404, "Order not found"],
+          PROOF_NOT_ALLOWED: [
+            409,
+            "This order does not accept a payment proof",
+          ],
+          REFERENCE_ALREADY_USED: [
+            409,
+            "This transaction reference has already been used",
+          ],
+        };
+
+        if (errorResponses[errorCode]) {
+          const [status, message] = errorResponses[errorCode];
+
+          return NextResponse.json(
+            {
+              success: false,
+              message,
+              code: errorCode,
+              ...(transactionError.reason && {
+                reason: transactionError.reason,
+              }),
+            },
+            { status },
+          );
+        }
+
+        if (transactionError instanceof OrderTransitionError) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: transactionError.message,
+              code: "INVALID_TRANSITION",
+            },
+            { status: 409 },
+          );
+        }
+
+        throw transactionError;
+      } finally {
+        await session.endSession();
+      }
+
+      // Log de sécurité pour audit
+      console.log("🔒 Security event - Payment proof submitted:", {
+        userId: user.id,
+        orderNumber: order.orderNumber,
+        typePayment: order.paymentInfo?.typePayment,
+        transactionReference,
+        timestamp: new Date().toISOString(),
+        ip:
+          req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+          "unknown",
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Payment proof submitted",
+          data: {
+            orderNumber: order.orderNumber,
+            paymentStatus: order.paymentStatus,
+            paymentProof: order.paymentProof,
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Payment proof error:", error.message);
+
+      // Capturer seulement les vraies erreurs système
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "orders/me/[orderNumber]/payment-proof/POST",
+          },
+        });
+      }
+
+      // Gestion détaillée des erreurs
+      let status = 500;
+      let message = "Failed to submit payment proof";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      } else if (error.name === "ValidationError") {
+        status = 400;
+        message = "Invalid payment proof";
+        code = "VALIDATION_ERROR";
+      } else if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  {
+    category: "api",
+    action: "write",
+    extractUserInfo: extractUserInfoFromRequest,
+  },
+);
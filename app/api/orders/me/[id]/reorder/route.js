@@ -0,0 +1,180 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import Order, { ORDER_NUMBER_REGEX } from "@/backend/models/order";
+import { renewCartExpiry } from "@/backend/utils/cartExpiry";
+import { buildCartPayload } from "@/backend/utils/cartPayload";
+import { addOrderItemsToCart } from "@/backend/utils/reorder";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+import {
+  extractUserInfoFromRequest,
+  isAuthenticatedUser,
+} from "@/lib/auth-utils";
+
+/**
+ * POST /api/orders/me/[orderNumber]/reorder
+ * Remet les articles d'une commande passée dans le panier
+ * Rate limit: Configuration intelligente - api.write (30 req/min)
+ *
+ * - Quantités cumulées au panier existant, ramenées au stock disponible
+ * - Produits désactivés ou épuisés ignorés
+ * - Réponse: rapport par article (added, adjusted, unavailable, priceChanged)
+ *   et panier mis à jour
+ */
+export const POST = withIntelligentRateLimit(
+  async function (req, { params }) {
+    try {
+      // Validation de la référence de commande
+      const { id: reference } = params;
+      if (
+        !reference ||
+        (!ORDER_NUMBER_REGEX.test(reference) &&
+          !/^[0-9a-fA-F]{24}$/.test(reference))
+      ) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid order number format",
+            code: "INVALID_ORDER_NUMBER",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Vérifier l'authentification
+      const user = await isAuthenticatedUser();
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      // Vérifier si le compte est actif
+      if (!user.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      // Connexion DB
+      await dbConnect();
+
+      // Récupérer la commande en vérifiant la propriété
+      const order = await Order.findByUserAndReference(user.id, reference)
+        .select("orderNumber orderItems")
+        .lean();
+
+      if (!order) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Order not found",
+            code: "ORDER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      const { items, summary } = await addOrderItemsToCart(
+        user.id,
+        order.orderItems,
+      );
+
+      if (summary.added + summary.adjusted === 0) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "No product of this order is available anymore",
+            code: "NOTHING_TO_REORDER",
+            data: { items, summary },
+          },
+          { status: 409 },
+        );
+      }
+
+      // Activité sur le panier: expiration repoussée pour tous ses articles
+      await renewCartExpiry({ userId: user.id });
+
+      const { cartCount, cartTotal, cart } = await buildCartPayload({
+        userId: user.id,
+      });
+
+      console.log("Order reordered:", {
+        userId: user.id,
+        orderNumber: order.orderNumber,
+        ...summary,
+        timestamp: new Date().toISOString(),
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Products added to cart",
+          data: {
+            items,
+            summary,
+            cartCount,
+            cartTotal,
+            cart,
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Reorder error:", error.message);
+
+      // Capturer seulement les vraies erreurs système
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "orders/me/[orderNumber]/reorder/POST",
+          },
+        });
+      }
+
+      // Gestion détaillée des erreurs
+      let status = 500;
+      let message = "Failed to reorder";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      } else if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  {
+    category: "api",
+    action: "write",
+    extractUserInfo: extractUserInfoFromRequest,
+  },
+);
@@ -0,0 +1,321 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import Counter from "@/backend/models/counter";
+import Order, { ORDER_NUMBER_REGEX } from "@/backend/models/order";
+import ReturnRequest from "@/backend/models/returnRequest";
+import { recordOrderEvent } from "@/backend/utils/orderEvents";
+import {
+  formatReturnForUser,
+  getReturnEligibility,
+  getReturnedQuantities,
+  isReturnPhoto,
+} from "@/backend/utils/returns";
+import { validateReturnRequest } from "@/helpers/validation/schemas/return";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+import {
+  extractUserInfoFromRequest,
+  isAuthenticatedUser,
+} from "@/lib/auth-utils";
+
+/**
+ * POST /api/orders/me/[orderNumber]/returns
+ * Crée une demande de retour / remboursement sur une commande
+ * Rate limit: Configuration intelligente - api.write (30 req/min)
+ *
+ * Corps: { items: [{ orderItemId, quantity }], reasonCode, comment?,
+ *          photos?: [{ publicId, url }] }
+ * - Commande payée et remise, dans la fenêtre de retour (14 jours)
+ * - Quantités limitées à celles qui ne font pas déjà l'objet d'un retour
+ * - Photos uploadées via sign-cloudinary-params?purpose=return
+ */
+export const POST = withIntelligentRateLimit(
+  async function (req, { params }) {
+    try {
+      // Validation de la référence de commande
+      const { id: reference } = params;
+      if (
+        !reference ||
+        (!ORDER_NUMBER_REGEX.test(reference) &&
+          !/^[0-9a-fA-F]{24}$/.test(reference))
+      ) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid order number format",
+            code: "INVALID_ORDER_NUMBER",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Vérifier l'authentification
+      const user = await isAuthenticatedUser();
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      // Vérifier si le compte est actif
+      if (!user.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      // Parser et valider le body
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid request body",
+            code: "INVALID_BODY",
+          },
+          { status: 400 },
+        );
+      }
+
+      const validation = await validateReturnRequest(body);
+
+      if (!validation.isValid) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid return request",
+            code: "VALIDATION_ERROR",
+            errors: validation.errors,
+          },
+          { status: 400 },
+        );
+      }
+
+      const { items, reasonCode, comment, photos } = validation.data;
+
+      // Seules les photos de notre dossier Cloudinary de retours sont admises
+      if (!photos.every(isReturnPhoto)) {
+        console.warn("🔒 Security event - Foreign return photo rejected:", {
+          userId: user.id,
+          reference,
+          timestamp: new Date().toISOString(),
+        });
+
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid photo",
+            code: "INVALID_PHOTO",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Connexion DB
+      await dbConnect();
+
+      // Création en transaction: les quantités retournables sont relues
+      // après verrouillage de la commande
+      const session = await Order.startSession();
+      let returnRequest = null;
+
+      try {
+        await session.withTransaction(async () => {
+          const order = await Order.findByUserAndReference(
+            user.id,
+            reference,
+          ).session(session);
+
+          if (!order) {
+            throw new Error("ORDER_NOT_FOUND");
+          }
+
+          // Sérialise les demandes concurrentes sur une même commande
+          await Counter.nextSequence(`returns-${order._id}`, { session });
+
+          const returned = await getReturnedQuantities(order._id, {
+            session,
+          });
+          const eligibility = getReturnEligibility(order, returned);
+
+          if (!eligibility.eligible) {
+            const error = new Error("RETURN_NOT_ALLOWED");
+            error.reason = eligibility.reason;
+            throw error;
+          }
+
+          const returnItems = items.map(({ orderItemId, quantity }) => {
+            const orderItem = order.orderItems.id(orderItemId);
+            const returnable = eligibility.items.find(
+              (item) => item.orderItemId === orderItemId,
+            )?.returnable;
+
+            if (!orderItem) {
+              throw new Error("INVALID_ITEM");
+            }
+
+            if (quantity > returnable) {
+              throw new Error("QUANTITY_EXCEEDED");
+            }
+
+            return {
+              orderItem: orderItem._id,
+              product: orderItem.product,
+              name: orderItem.name,
+              image: orderItem.image,
+              price: orderItem.price,
+              quantity,
+            };
+          });
+
+          const [created] = await ReturnRequest.create(
+            [
+              {
+                order: order._id,
+                orderNumber: order.orderNumber,
+                user: user.id,
+                items: returnItems,
+                reasonCode,
+                comment: comment || undefined,
+                photos,
+              },
+            ],
+            { session },
+          );
+
+          await recordOrderEvent({
+            type: "return_requested",
+            order,
+            actor: { type: "customer", id: user.id, name: user.name },
+            req,
+            metadata: {
+              returnNumber: created.returnNumber,
+              reasonCode,
+              refundAmount: created.refundAmount,
+              items: returnItems.map(({ name, quantity }) => ({
+                name,
+                quantity,
+              })),
+            },
+            session,
+          });
+
+          returnRequest = created;
+        });
+      } catch (transactionError) {
+        const errorResponses = {
+          ORDER_NOT_FOUND: [404, "Order not found"],
+          RETURN_NOT_ALLOWED: [409, "This order cannot be returned"],
+          INVALID_ITEM: [400, "Item does not belong to this order"],
+          QUANTITY_EXCEEDED: [409, "Quantity exceeds returnable quantity"],
+        };
+
+        if (errorResponses[transactionError.message]) {
+          const [status, message] = errorResponses[transactionError.message];
+
+          return NextResponse.json(
+            {
+              success: false,
+              message,
+              code: transactionError.message,
+              ...(transactionError.reason && {
+                reason: transactionError.reason,
+              }),
+            },
+            { status },
+          );
+        }
+
+        throw transactionError;
+      } finally {
+        await session.endSession();
+      }
+
+      // Log de sécurité pour audit
+      console.log("🔒 Security event - Return requested:", {
+        userId: user.id,
+        orderNumber: returnRequest.orderNumber,
+        returnNumber: returnRequest.returnNumber,
+        reasonCode,
+        itemCount: returnRequest.items.length,
+        refundAmount: returnRequest.refundAmount,
+        timestamp: new Date().toISOString(),
+        ip:
+          req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+          "unknown",
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Return request created",
+          data: {
+            returnRequest: formatReturnForUser(returnRequest.toObject()),
+          },
+        },
+        { status: 201 },
+      );
+    } catch (error) {
+      console.error("Return request error:", error.message);
+
+      // Capturer seulement les vraies erreurs système
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "orders/me/[orderNumber]/returns/POST",
+          },
+        });
+      }
+
+      // Gestion détaillée des erreurs
+      let status = 500;
+      let message = "Failed to create return request";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      } else if (error.name === "ValidationError") {
+        status = 400;
+        message = "Invalid return request";
+        code = "VALIDATION_ERROR";
+      } else if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  {
+    category: "api",
+    action: "write",
+    extractUserInfo: extractUserInfoFromRequest,
+  },
+);
@@ -0,0 +1,173 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import Order, { ORDER_NUMBER_REGEX } from "@/backend/models/order";
+import {
+  USER_ORDER_FIELDS,
+  formatOrderForUser,
+} from "@/backend/utils/orderFormatter";
+import {
+  getReturnEligibility,
+  getReturnedQuantities,
+} from "@/backend/utils/returns";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+import {
+  extractUserInfoFromRequest,
+  isAuthenticatedUser,
+} from "@/lib/auth-utils";
+
+/**
+ * GET /api/orders/me/[orderNumber]
+ * Récupère le détail d'une commande de l'utilisateur connecté
+ * Rate limit: Configuration intelligente - authenticatedRead (200 req/min)
+ *
+ * Le segment dynamique est partagé avec /api/orders/me/[id]/cancel :
+ * il accepte un numéro de commande (ORD-YYYYMMDD-NNNNN) ou un ID MongoDB.
+ * Une commande d'un autre utilisateur répond 404 (pas de fuite d'existence).
+ */
+export const GET = withIntelligentRateLimit(
+  async function (req, { params }) {
+    try {
+      // Validation de la référence de commande
+      const { id: reference } = params;
+      if (
+        !reference ||
+        (!ORDER_NUMBER_REGEX.test(reference) &&
+          !/^[0-9a-fA-F]{24}$/.test(reference))
+      ) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid order number format",
+            code: "INVALID_ORDER_NUMBER",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Vérifier l'authentification
+      const user = await isAuthenticatedUser();
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      // Vérifier si le compte est actif
+      if (!user.isActive) {
+        console.warn("Inactive user attempting to access order:", user.email);
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended. Cannot access orders",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      // Connexion DB
+      await dbConnect();
+
+      // Récupérer la commande en vérifiant la propriété
+      const order = await Order.findByUserAndReference(user.id, reference)
+        .select(USER_ORDER_FIELDS)
+        .lean();
+
+      if (!order) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Order not found",
+            code: "ORDER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      // Quantités encore retournables pour le formulaire de retour
+      const returnEligibility = getReturnEligibility(
+        order,
+        await getReturnedQuantities(order._id),
+      );
+
+      // Log pour audit (sans données sensibles)
+      console.log("Order detail accessed:", {
+        userId: user.id,
+        orderNumber: order.orderNumber,
+        timestamp: new Date().toISOString(),
+        ip:
+          req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+          "unknown",
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          data: {
+            order: {
+              ...formatOrderForUser(order, user),
+              returnEligibility,
+            },
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Order detail fetch error:", error.message);
+
+      // Capturer seulement les vraies erreurs système
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "orders/me/[orderNumber]/GET",
+            user: req.user?.email,
+          },
+        });
+      }
+
+      // Gestion détaillée des erreurs
+      let status = 500;
+      let message = "Failed to fetch order";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      } else if (error.name === "CastError") {
+        status = 400;
+        message = "Invalid request parameters";
+        code = "INVALID_PARAMS";
+      } else if (error.message?.includes("connection")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  {
+    category: "api",
+    action: "authenticatedRead", // 200 req/min pour utilisateurs authentifiés
+    extractUserInfo: extractUserInfoFromRequest,
+  },
+);
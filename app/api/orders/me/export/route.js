@@ -0,0 +1,171 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import Order from "@/backend/models/order";
+import {
+  ORDER_EXPORT_FIELDS,
+  buildOrderHistoryQuery,
+  streamOrderExport,
+} from "@/backend/utils/orderHistory";
+import { validateOrderExportFilters } from "@/helpers/validation/schemas/order";
+import { cleanString, parseOrderHistoryParams } from "@/utils/inputSanitizer";
+import { captureException } from "@/monitoring/sentry";
+import { withExportRateLimit } from "@/utils/rateLimit";
+import {
+  extractUserInfoFromRequest,
+  isAuthenticatedUser,
+} from "@/lib/auth-utils";
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  json: "application/json; charset=utf-8",
+};
+
+/**
+ * GET /api/orders/me/export?format=csv|json
+ * Exporte tout l'historique de commandes de l'utilisateur connecté
+ * Rate limit: Configuration intelligente - export.orders (10 req/heure)
+ *
+ * Paramètres optionnels: paymentStatus, dateFrom, dateTo (AAAA-MM-JJ)
+ *
+ * - CSV: une ligne par article, champs de la commande répétés
+ * - JSON: { meta, orders: [{ ..., items: [...] }] }
+ * - Numéro de compte de paiement masqué (4 derniers chiffres)
+ * - Réponse diffusée au fil du curseur MongoDB
+ */
+export const GET = withExportRateLimit(
+  async function (req) {
+    try {
+      // Validation des paramètres
+      const searchParams = req.nextUrl.searchParams;
+      const validation = await validateOrderExportFilters({
+        ...parseOrderHistoryParams(searchParams),
+        format: cleanString(searchParams.get("format")) || undefined,
+      });
+
+      if (!validation.isValid) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid parameters",
+            code: "INVALID_PARAMS",
+            errors: validation.errors,
+          },
+          { status: 400 },
+        );
+      }
+
+      const { format, ...filters } = validation.data;
+
+      // Vérifier l'authentification
+      const user = await isAuthenticatedUser();
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      // Vérifier si le compte est actif
+      if (!user.isActive) {
+        console.warn("Inactive user attempting to export orders:", user.email);
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended. Cannot export orders",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      // Connexion DB
+      await dbConnect();
+
+      // Export complet: sans la limite de 100 commandes du hook pre("find")
+      const cursor = Order.find(buildOrderHistoryQuery(user.id, filters))
+        .select(ORDER_EXPORT_FIELDS)
+        .sort({ createdAt: -1 })
+        .setOptions({ skipSearchGuard: true })
+        .lean()
+        .cursor();
+
+      const exportedAt = new Date();
+
+      // Log pour audit (sans données sensibles)
+      console.log("Order history exported:", {
+        userId: user.id,
+        format,
+        filters,
+        timestamp: exportedAt.toISOString(),
+        ip:
+          req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+          "unknown",
+      });
+
+      const filename = `commandes-${exportedAt.toISOString().slice(0, 10)}.${format}`;
+
+      return new NextResponse(
+        streamOrderExport(cursor, format, {
+          exportedAt: exportedAt.toISOString(),
+          filters,
+        }),
+        {
+          status: 200,
+          headers: {
+            "Content-Type": CONTENT_TYPES[format],
+            "Content-Disposition": `attachment; filename="${filename}"`,
+            "Cache-Control": "private, no-store",
+            "X-Robots-Tag": "noindex, nofollow",
+          },
+        },
+      );
+    } catch (error) {
+      console.error("Order export error:", error.message);
+
+      // Capturer seulement les vraies erreurs système
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "orders/me/export/GET",
+          },
+        });
+      }
+
+      // Gestion détaillée des erreurs
+      let status = 500;
+      let message = "Failed to export orders";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      } else if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  {
+    extractUserInfo: extractUserInfoFromRequest,
+  },
+);
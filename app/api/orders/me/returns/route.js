@@ -0,0 +1,144 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import ReturnRequest, { RETURN_STATUSES } from "@/backend/models/returnRequest";
+import { formatReturnForUser } from "@/backend/utils/returns";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+import {
+  extractUserInfoFromRequest,
+  isAuthenticatedUser,
+} from "@/lib/auth-utils";
+
+const RETURNS_PER_PAGE = 10;
+
+/**
+ * GET /api/orders/me/returns
+ * Liste les demandes de retour de l'utilisateur connecté
+ * Rate limit: Configuration intelligente - authenticatedRead (200 req/min)
+ *
+ * Paramètres optionnels: page, status (requested|approved|rejected|refunded)
+ */
+export const GET = withIntelligentRateLimit(
+  async function (req) {
+    try {
+      // Validation des paramètres
+      const searchParams = req.nextUrl.searchParams;
+      const page = parseInt(searchParams.get("page") || "1", 10);
+      const status = searchParams.get("status");
+
+      if (
+        !Number.isInteger(page) ||
+        page < 1 ||
+        page > 1000 ||
+        (status && !RETURN_STATUSES.includes(status))
+      ) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid parameters",
+            code: "INVALID_PARAMS",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Vérifier l'authentification
+      const user = await isAuthenticatedUser();
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      // Vérifier si le compte est actif
+      if (!user.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      // Connexion DB
+      await dbConnect();
+
+      const query = { user: user.id, ...(status && { status }) };
+
+      const [returns, count] = await Promise.all([
+        ReturnRequest.find(query)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * RETURNS_PER_PAGE)
+          .limit(RETURNS_PER_PAGE)
+          .lean(),
+        ReturnRequest.countDocuments(query),
+      ]);
+
+      return NextResponse.json(
+        {
+          success: true,
+          data: {
+            returns: returns.map(formatReturnForUser),
+            count,
+            totalPages: Math.ceil(count / RETURNS_PER_PAGE),
+            currentPage: page,
+            perPage: RETURNS_PER_PAGE,
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Returns fetch error:", error.message);
+
+      // Capturer seulement les vraies erreurs système
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "orders/me/returns/GET",
+          },
+        });
+      }
+
+      // Gestion détaillée des erreurs
+      let status = 500;
+      let message = "Failed to fetch return requests";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      } else if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  {
+    category: "api",
+    action: "authenticatedRead",
+    extractUserInfo: extractUserInfoFromRequest,
+  },
+);
@@ -1,7 +1,16 @@
 import { NextResponse } from "next/server";
 import dbConnect from "@/backend/config/dbConnect";
 import Order from "@/backend/models/order";
-import APIFilters from "@/backend/utils/APIFilters";
+import {
+  USER_ORDER_FIELDS,
+  formatOrderForUser,
+} from "@/backend/utils/orderFormatter";
+import {
+  ORDER_SORT_STAGES,
+  buildOrderHistoryQuery,
+} from "@/backend/utils/orderHistory";
+import { validateOrderHistoryFilters } from "@/helpers/validation/schemas/order";
+import { parseOrderHistoryParams } from "@/utils/inputSanitizer";
 import { captureException } from "@/monitoring/sentry";
 import { withIntelligentRateLimit } from "@/utils/rateLimit";
 import {
@@ -20,9 +29,21 @@ import {
  * - X-Content-Type-Options: nosniff
  * - X-Robots-Tag: noindex, nofollow
  *
+ * Paramètres (validés par orderHistoryFiltersSchema):
+ * - page, perPage (10 par défaut, 50 max)
+ * - sort: newest | oldest | amount_desc | amount_asc
+ * - q: numéro de commande ou nom d'un produit commandé
+ * - paymentStatus, typePayment
+ * - dateFrom, dateTo (AAAA-MM-JJ, bornes incluses)
+ * - minAmount, maxAmount
+ *
+ * Les compteurs (count, paidCount, ...) portent sur tout l'historique,
+ * filteredCount et totalPages sur les commandes filtrées.
+ *
  * Note: Les commandes sont des données sensibles privées
  * Support du paiement CASH avec statut "pending_cash"
  */
+
 export const GET = withIntelligentRateLimit(
   async function (req) {
     try {
@@ -59,25 +80,27 @@ export const GET = withIntelligentRateLimit(
       // Connexion DB
       await dbConnect();
 
-      // Récupérer et valider les paramètres de pagination
-      const searchParams = req.nextUrl.searchParams;
-      const page = parseInt(searchParams.get("page") || "1", 10);
-      const resPerPage = 2; // 2 commandes par page
+      // Récupérer et valider les filtres, le tri et la pagination
+      const validation = await validateOrderHistoryFilters(
+        parseOrderHistoryParams(req.nextUrl.searchParams),
+      );
 
-      // Validation des paramètres de pagination
-      if (page < 1 || page > 1000) {
+      if (!validation.isValid) {
         return NextResponse.json(
           {
             success: false,
-            message: "Invalid page number. Must be between 1 and 1000",
-            code: "INVALID_PAGINATION",
-            data: { page },
+            message: "Invalid parameters",
+            code: "INVALID_PARAMS",
+            errors: validation.errors,
           },
           { status: 400 },
         );
       }
 
-      // Compter le total de commandes avec les filtres
+      const filters = validation.data;
+      const { page, perPage: resPerPage, sort } = filters;
+
+      // Compter le total de commandes (tout l'historique)
       const ordersCount = await Order.countDocuments({ user: user.id });
       const ordersPaidCount = await Order.countDocuments({
         user: user.id,
@@ -108,6 +131,7 @@ export const GET = withIntelligentRateLimit(
               totalPages: 0,
               currentPage: page,
               count: 0,
+              filteredCount: 0,
               perPage: resPerPage,
               paidCount: 0,
               unpaidCount: 0,
@@ -123,53 +147,24 @@ export const GET = withIntelligentRateLimit(
         );
       }
 
-      // Utiliser APIFilters pour la pagination
-      const apiFilters = new APIFilters(
-        Order.find({ user: user.id }),
-        searchParams,
-      ).pagination(resPerPage);
+      // Commandes correspondant aux filtres
+      const historyQuery = buildOrderHistoryQuery(user.id, filters);
+      const filteredCount = await Order.countDocuments(historyQuery);
 
-      // Récupérer les commandes avec pagination - CHAMPS ADAPTÉS AU MODÈLE
-      const orders = await apiFilters.query
-        .select(
-          "orderNumber paymentInfo paymentStatus totalAmount createdAt updatedAt paidAt cancelledAt cancelReason orderItems",
-        )
-        .sort({ createdAt: -1 })
+      const orders = await Order.find(historyQuery)
+        .select(USER_ORDER_FIELDS)
+        .sort(ORDER_SORT_STAGES[sort])
+        .skip(resPerPage * (page - 1))
+        .limit(resPerPage)
         .lean();
 
       // Calculer le nombre de pages
-      const totalPages = Math.ceil(ordersCount / resPerPage);
+      const totalPages = Math.ceil(filteredCount / resPerPage);
 
       // Formater la réponse avec détection du paiement CASH
-      const formattedOrders = orders.map((order) => {
-        // Vérifier si c'est un paiement CASH
-        const isCashPayment =
-          order.paymentInfo?.typePayment === "CASH" ||
-          order.paymentInfo?.isCashPayment === true;
-
-        return {
-          ...order,
-          user: {
-            name: user.name,
-            email: user.email,
-            phone: user.phone,
-          },
-          // Ajouter un flag pour identifier facilement les paiements CASH
-          isCashPayment,
-          // Ajouter un message descriptif pour le statut
-          paymentStatusDescription: isCashPayment
-            ? "Paiement en espèces à la récupération"
-            : order.paymentStatus === "paid"
-              ? "Payé"
-              : order.paymentStatus === "unpaid"
-                ? "Non payé"
-                : order.paymentStatus === "processing"
-                  ? "En traitement"
-                  : order.paymentStatus === "pending_cash"
-                    ? "En attente de paiement en espèces"
-                    : "Statut inconnu",
-        };
-      });
+      const formattedOrders = orders.map((order) =>
+        formatOrderForUser(order, user),
+      );
 
       // Log pour audit (sans données sensibles)
       console.log("Order history accessed:", {
@@ -178,6 +173,7 @@ export const GET = withIntelligentRateLimit(
         ordersRetrieved: orders.length,
         cashOrders: formattedOrders.filter((o) => o.isCashPayment).length,
         page,
+        filtered: filteredCount !== ordersCount,
         timestamp: new Date().toISOString(),
         ip:
           req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
@@ -192,11 +188,13 @@ export const GET = withIntelligentRateLimit(
             totalPages,
             currentPage: page,
             count: ordersCount,
+            filteredCount,
             paidCount: ordersPaidCount,
             unpaidCount: ordersUnpaidCount,
             pendingCashCount: ordersPendingCashCount,
             totalAmountOrders,
             perPage: resPerPage,
+            sort,
             meta: {
               hasCashOrders:
                 formattedOrders.filter((o) => o.isCashPayment).length > 0,
@@ -0,0 +1,110 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import Order from "@/backend/models/order";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+import {
+  extractUserInfoFromRequest,
+  isAuthenticatedUser,
+} from "@/lib/auth-utils";
+
+const STATS_MONTHS = 12;
+const STATS_TOP_SIZE = 5;
+
+/**
+ * GET /api/orders/me/stats
+ * Statistiques de dépenses de l'utilisateur connecté: totaux, historique
+ * mensuel sur 12 mois, catégories et produits les plus achetés, modes de paiement
+ * Rate limit: Configuration intelligente - authenticatedRead (200 req/min)
+ */
+export const GET = withIntelligentRateLimit(
+  async function () {
+    try {
+      // Vérifier l'authentification
+      const user = await isAuthenticatedUser();
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      // Vérifier si le compte est actif
+      if (!user.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      // Connexion DB
+      await dbConnect();
+
+      const stats = await Order.getUserStats(user.id.toString(), {
+        months: STATS_MONTHS,
+        top: STATS_TOP_SIZE,
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          data: stats,
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Order stats error:", error.message);
+
+      // Capturer seulement les vraies erreurs système
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "orders/me/stats/GET",
+          },
+        });
+      }
+
+      // Gestion détaillée des erreurs
+      let status = 500;
+      let message = "Failed to compute order statistics";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      } else if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  {
+    category: "api",
+    action: "authenticatedRead",
+    extractUserInfo: extractUserInfoFromRequest,
+  },
+);
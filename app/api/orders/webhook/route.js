@@ -1,9 +1,28 @@
-import { NextResponse } from "next/server";
+import { after, NextResponse } from "next/server";
 import dbConnect from "@/backend/config/dbConnect";
-import Order from "@/backend/models/order";
+import Order, { FULFILLMENT_METHODS } from "@/backend/models/order";
 import Product from "@/backend/models/product";
-import Category from "@/backend/models/category";
+// Modèle requis par populate("category")
+import "@/backend/models/category";
 import Cart from "@/backend/models/cart";
+import { getDeliveryZone } from "@/backend/config/delivery";
+import { notifyOrderEvent } from "@/backend/utils/orderNotifications";
+import { recordOrderEvent } from "@/backend/utils/orderEvents";
+import { getPaymentDueAt } from "@/backend/utils/paymentDeadline";
+import { buildPickupQrPayload } from "@/backend/utils/pickupCode";
+import {
+  getAvailableStock,
+  getReservedQuantities,
+  lockProductStock,
+  releaseReservations,
+} from "@/backend/utils/stockReservation";
+import {
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  computeRequestFingerprint,
+  isValidIdempotencyKey,
+  releaseIdempotentRequest,
+} from "@/backend/utils/idempotency";
 import { captureException } from "@/monitoring/sentry";
 import { withIntelligentRateLimit } from "@/utils/rateLimit";
 import {
@@ -21,9 +40,30 @@ import {
  * - Pas de validation des champs de compte pour CASH
  * - Statut initial: "pending_cash"
  * - Informations de paiement: "CASH" / "Paiement en espèces"
+ *
+ * Lignes de commande:
+ * - Seuls l'ID produit et la quantité sont repris de la requête
+ * - Nom, image, catégorie, prix et sous-total viennent du catalogue
+ * - Si le prix enregistré dans le panier diffère du prix actuel: 409
+ *   PRICE_CHANGED avec le rapport d'écart (priceDrift), aucune commande
+ *   n'est créée (prix à accepter via POST /api/cart/accept-prices)
+ * - Le stock disponible exclut les réservations des autres clients; celles
+ *   du client sont supprimées à la création (le stock est décrémenté)
+ *
+ * Mode de remise (champ "fulfillment": { method, zone }):
+ * - "pickup" (défaut): retrait en magasin, sans frais
+ * - "delivery": adresse du profil figée sur la commande, frais de la zone
+ *   ajoutés au total
+ *
+ * Idempotence (en-tête optionnel "Idempotency-Key", une clé par tentative):
+ * - Même clé + même corps: la réponse d'origine est rejouée (même statut)
+ * - Même clé + corps différent: 422
+ * - Même clé pendant le traitement de la première requête: 409
  */
 export const POST = withIntelligentRateLimit(
   async function (req) {
+    let idempotencyRecord = null;
+
     try {
       // 1. Authentification
       const user = await isAuthenticatedUser();
@@ -70,6 +110,24 @@ export const POST = withIntelligentRateLimit(
         );
       }
 
+      // Clé d'idempotence et empreinte du corps tel qu'envoyé par le client
+      const idempotencyKey = req.headers.get("idempotency-key");
+
+      if (idempotencyKey !== null && !isValidIdempotencyKey(idempotencyKey)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid Idempotency-Key header",
+            code: "INVALID_IDEMPOTENCY_KEY",
+          },
+          { status: 400 },
+        );
+      }
+
+      const requestFingerprint = idempotencyKey
+        ? computeRequestFingerprint(orderData)
+        : null;
+
       // Validation basique des champs requis
       if (!orderData?.orderItems?.length) {
         return NextResponse.json(
@@ -82,6 +140,24 @@ export const POST = withIntelligentRateLimit(
         );
       }
 
+      const hasInvalidItem = orderData.orderItems.some(
+        (item) =>
+          !/^[0-9a-fA-F]{24}$/.test(String(item?.product || "")) ||
+          !Number.isInteger(Number(item?.quantity)) ||
+          Number(item?.quantity) < 1,
+      );
+
+      if (hasInvalidItem) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Each item requires a valid product id and quantity",
+            code: "INVALID_ORDER_ITEMS",
+          },
+          { status: 400 },
+        );
+      }
+
       if (!orderData.paymentInfo) {
         return NextResponse.json(
           {
@@ -129,26 +205,141 @@ export const POST = withIntelligentRateLimit(
         orderData.paymentInfo.isCashPayment = true;
       }
 
-      // 5. Vérifier le stock et traiter la commande en transaction
+      // Mode de remise: retrait en magasin ou livraison à domicile
+      const fulfillmentMethod = orderData.fulfillment?.method || "pickup";
+
+      if (!FULFILLMENT_METHODS.includes(fulfillmentMethod)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid fulfillment method",
+            code: "INVALID_FULFILLMENT_METHOD",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Livraison: zone connue et adresse du profil complète
+      // Les frais sont toujours calculés côté serveur
+      let deliveryZone = null;
+
+      if (fulfillmentMethod === "delivery") {
+        deliveryZone = getDeliveryZone(orderData.fulfillment?.zone);
+
+        if (!deliveryZone) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: "Unknown delivery zone",
+              code: "INVALID_DELIVERY_ZONE",
+            },
+            { status: 400 },
+          );
+        }
+
+        if (!user.address?.street?.trim() || !user.address?.city?.trim()) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: "A complete address is required for delivery",
+              code: "ADDRESS_REQUIRED",
+            },
+            { status: 400 },
+          );
+        }
+      }
+
+      // 5. Idempotence: rejouer la réponse d'origine si la clé est connue
+      if (idempotencyKey) {
+        const { state, record } = await beginIdempotentRequest({
+          key: idempotencyKey,
+          userId: user.id,
+          scope: "orders:create",
+          fingerprint: requestFingerprint,
+        });
+
+        if (state === "mismatch") {
+          console.warn("🔒 Security event - Idempotency key reused:", {
+            userId: user.id,
+            idempotencyKey,
+            timestamp: new Date().toISOString(),
+          });
+
+          return NextResponse.json(
+            {
+              success: false,
+              message:
+                "Idempotency-Key already used with a different request body",
+              code: "IDEMPOTENCY_KEY_REUSED",
+            },
+            { status: 422 },
+          );
+        }
+
+        if (state === "in_progress") {
+          return NextResponse.json(
+            {
+              success: false,
+              message: "A request with this Idempotency-Key is in progress",
+              code: "IDEMPOTENCY_IN_PROGRESS",
+            },
+            { status: 409, headers: { "Retry-After": "5" } },
+          );
+        }
+
+        if (state === "replay") {
+          console.log("Order request replayed:", {
+            userId: user.id,
+            idempotencyKey,
+            status: record.responseStatus,
+            timestamp: new Date().toISOString(),
+          });
+
+          return NextResponse.json(record.responseBody, {
+            status: record.responseStatus,
+            headers: { "Idempotent-Replayed": "true" },
+          });
+        }
+
+        idempotencyRecord = record;
+      }
+
+      // 6. Vérifier le stock et traiter la commande en transaction
       const session = await Order.startSession();
+      // Commande créée par cette requête (et non "la dernière du client":
+      // deux commandes simultanées ne doivent pas être confondues)
+      let createdOrderId = null;
 
       try {
         await session.withTransaction(async () => {
-          // Extraire les IDs de produits et quantités
+          createdOrderId = null;
+
+          // Seuls l'ID produit et la quantité sont repris de la requête
           const productOrders = orderData.orderItems.map((item) => ({
             productId: item.product,
-            quantity: parseInt(item.quantity, 10),
-            cartId: item.cartId,
-            price: parseFloat(item.price),
+            quantity: Number(item.quantity),
           }));
 
-          // Vérifier et mettre à jour le stock pour chaque produit
+          // Bloquer les réservations concurrentes sur ces produits, puis
+          // déduire celles des autres clients en cours de paiement
+          for (const item of productOrders) {
+            await lockProductStock(item.productId, session);
+          }
+
+          const reserved = await getReservedQuantities(
+            productOrders.map((item) => item.productId),
+            { excludeUserId: user.id, session },
+          );
+
+          // Vérifier le stock et construire les lignes depuis le catalogue
           const unavailableProducts = [];
-          const processedItems = [];
+          const priceDrift = [];
+          const orderItems = [];
+          const cartIds = [];
 
           for (const item of productOrders) {
             const product = await Product.findById(item.productId)
-              .select("name stock price category isActive")
+              .select("name stock price category isActive images")
               .populate("category", "categoryName")
               .session(session);
 
@@ -171,33 +362,53 @@ export const POST = withIntelligentRateLimit(
               continue;
             }
 
-            // Vérifier le stock
-            if (product.stock < item.quantity) {
+            // Vérifier le stock (hors réservations des autres clients)
+            const availableStock = getAvailableStock(product, reserved);
+            if (availableStock < item.quantity) {
               unavailableProducts.push({
                 id: product._id,
                 name: product.name,
-                stock: product.stock,
+                stock: availableStock,
                 requested: item.quantity,
                 reason: "insufficient_stock",
               });
               continue;
             }
 
-            // Vérifier le prix (protection contre la manipulation)
-            if (Math.abs(product.price - item.price) > 0.01) {
-              console.warn("Price mismatch detected:", {
-                productId: product._id,
-                expectedPrice: product.price,
-                providedPrice: item.price,
-                userId: user.id,
-              });
+            // Prix enregistré dans le panier (à l'ajout ou à la dernière
+            // acceptation): il diffère du prix actuel si le panier est périmé
+            const cartItem = await Cart.findOne({
+              user: user.id,
+              product: product._id,
+            })
+              .select("price")
+              .session(session)
+              .lean();
+
+            if (cartItem) {
+              cartIds.push(cartItem._id);
+            }
 
-              unavailableProducts.push({
-                id: product._id,
+            const expectedPrice = cartItem?.price;
+
+            if (
+              Number.isFinite(expectedPrice) &&
+              Math.abs(product.price - expectedPrice) > 0.01
+            ) {
+              priceDrift.push({
+                productId: product._id,
                 name: product.name,
-                reason: "price_mismatch",
-                expected: product.price,
-                provided: item.price,
+                expectedPrice,
+                currentPrice: product.price,
+                difference:
+                  Math.round((product.price - expectedPrice) * 100) / 100,
+                percentChange:
+                  expectedPrice > 0
+                    ? Math.round(
+                        ((product.price - expectedPrice) / expectedPrice) *
+                          10000,
+                      ) / 100
+                    : null,
               });
               continue;
             }
@@ -214,19 +425,15 @@ export const POST = withIntelligentRateLimit(
               { session },
             );
 
-            // Ajouter la catégorie à l'item de commande
-            const orderItem = orderData.orderItems.find(
-              (oi) => oi.product.toString() === product._id.toString(),
-            );
-            if (orderItem && product.category) {
-              orderItem.category = product.category.categoryName;
-            }
-
-            processedItems.push({
-              productId: product._id,
-              productName: product.name,
+            // Instantané de la ligne à partir du document produit
+            orderItems.push({
+              product: product._id,
+              name: product.name.substring(0, 100),
+              category: product.category?.categoryName || "Non catégorisé",
               quantity: item.quantity,
+              image: product.images?.[0]?.url || "/images/default_product.png",
               price: product.price,
+              subtotal: Math.round(product.price * item.quantity * 100) / 100,
             });
           }
 
@@ -236,26 +443,71 @@ export const POST = withIntelligentRateLimit(
               JSON.stringify({
                 type: "STOCK_ERROR",
                 products: unavailableProducts,
+                priceDrift,
               }),
             );
           }
 
-          // Nettoyer les champs non nécessaires
-          orderData.orderItems.forEach((item) => {
-            delete item.cartId;
-          });
-
-          // Ajouter des métadonnées à la commande
-          orderData.user = user.id;
+          // Prix modifiés depuis l'affichage du panier: le client doit valider
+          if (priceDrift.length > 0) {
+            throw new Error(
+              JSON.stringify({
+                type: "PRICE_CHANGED",
+                priceDrift,
+              }),
+            );
+          }
 
-          // Créer la commande
-          const order = await Order.create([orderData], { session });
+          // Créer la commande (le total est recalculé par le modèle)
+          const order = await Order.create(
+            [
+              {
+                user: user.id,
+                orderItems,
+                paymentInfo: {
+                  typePayment,
+                  paymentAccountNumber:
+                    orderData.paymentInfo.paymentAccountNumber,
+                  paymentAccountName: orderData.paymentInfo.paymentAccountName,
+                  isCashPayment: isCash,
+                },
+                fulfillmentMethod,
+                // Sans paiement avant cette date, la commande est annulée
+                ...(!isCash && { paymentDueAt: getPaymentDueAt(typePayment) }),
+                ...(deliveryZone && {
+                  shippingAddress: {
+                    street: user.address.street,
+                    city: user.address.city,
+                    country: user.address.country,
+                    zone: deliveryZone.id,
+                    zoneLabel: deliveryZone.label,
+                  },
+                  deliveryFee: deliveryZone.fee,
+                }),
+              },
+            ],
+            { session },
+          );
+
+          // Journal d'audit, enregistré avec la commande
+          await recordOrderEvent({
+            type: "created",
+            order: order[0],
+            actor: { type: "customer", id: user.id, name: user.name },
+            req,
+            metadata: {
+              typePayment,
+              fulfillmentMethod,
+              itemCount: orderItems.length,
+              ...(idempotencyKey && { idempotencyKey }),
+            },
+            session,
+          });
 
-          // Supprimer les articles du panier
-          const cartIds = productOrders
-            .filter((item) => item.cartId)
-            .map((item) => item.cartId);
+          // Les réservations du client sont converties en décrément de stock
+          await releaseReservations(user.id, { session });
 
+          // Supprimer les articles commandés du panier
           if (cartIds.length > 0) {
             const deleteResult = await Cart.deleteMany(
               { _id: { $in: cartIds }, user: user.id },
@@ -268,13 +520,14 @@ export const POST = withIntelligentRateLimit(
           }
 
           // La transaction sera automatiquement commitée si tout réussit
-          return order[0];
+          createdOrderId = order[0]._id;
         });
 
         // Transaction réussie - Récupérer la commande complète
-        const order = await Order.findOne({ user: user.id })
-          .sort({ createdAt: -1 })
-          .select("_id orderNumber paymentStatus")
+        const order = await Order.findById(createdOrderId)
+          .select(
+            "_id orderNumber paymentStatus totalAmount deliveryFee fulfillmentMethod pickupCode paymentDueAt",
+          )
           .lean();
 
         // Log de sécurité pour audit avec info CASH
@@ -283,9 +536,10 @@ export const POST = withIntelligentRateLimit(
           userEmail: user.email,
           orderId: order._id,
           orderNumber: order.orderNumber,
-          totalAmount: orderData.totalAmount,
+          totalAmount: order.totalAmount,
           paymentType: typePayment,
           isCashPayment: isCash,
+          fulfillmentMethod,
           paymentStatus: order.paymentStatus,
           itemCount: orderData.orderItems.length,
           timestamp: new Date().toISOString(),
@@ -294,19 +548,35 @@ export const POST = withIntelligentRateLimit(
             "unknown",
         });
 
-        return NextResponse.json(
-          {
-            success: true,
-            id: order.orderNumber,
-            orderNumber: order.orderNumber,
-            message: isCash
-              ? "Order placed successfully - Cash payment on pickup"
-              : "Order placed successfully",
-            isCashPayment: isCash,
-            paymentStatus: order.paymentStatus,
-          },
-          { status: 201 },
-        );
+        // Email de confirmation envoyé après la réponse, hors transaction
+        after(() => notifyOrderEvent("confirmation", order._id));
+
+        const responseBody = {
+          success: true,
+          id: order.orderNumber,
+          orderNumber: order.orderNumber,
+          message: isCash
+            ? "Order placed successfully - Cash payment on pickup"
+            : "Order placed successfully",
+          isCashPayment: isCash,
+          typePayment,
+          paymentStatus: order.paymentStatus,
+          fulfillmentMethod: order.fulfillmentMethod,
+          deliveryFee: order.deliveryFee || 0,
+          totalAmount: order.totalAmount,
+          paymentDueAt: order.paymentDueAt || null,
+          // Commande CASH: code et QR à présenter lors de l'encaissement
+          pickup: order.pickupCode
+            ? {
+                code: order.pickupCode,
+                qrPayload: buildPickupQrPayload(order.orderNumber),
+              }
+            : null,
+        };
+
+        await storeIdempotentResponse(idempotencyRecord, 201, responseBody);
+
+        return NextResponse.json(responseBody, { status: 201 });
       } catch (transactionError) {
         // Gérer les erreurs de transaction
         if (transactionError.message?.includes("STOCK_ERROR")) {
@@ -320,15 +590,61 @@ export const POST = withIntelligentRateLimit(
               timestamp: new Date().toISOString(),
             });
 
-            return NextResponse.json(
-              {
-                success: false,
-                message: "Some products are unavailable",
-                code: "STOCK_ERROR",
+            await recordOrderEvent({
+              type: "stock_failure",
+              userId: user.id,
+              actor: { type: "customer", id: user.id, name: user.name },
+              req,
+              metadata: {
                 unavailableProducts: errorData.products,
+                priceDrift: errorData.priceDrift,
               },
-              { status: 409 },
-            );
+            });
+
+            const responseBody = {
+              success: false,
+              message: "Some products are unavailable",
+              code: "STOCK_ERROR",
+              unavailableProducts: errorData.products,
+              priceDrift: errorData.priceDrift,
+            };
+
+            await storeIdempotentResponse(idempotencyRecord, 409, responseBody);
+
+            return NextResponse.json(responseBody, { status: 409 });
+          } catch {
+            // Fallback si le parsing échoue
+          }
+        }
+
+        if (transactionError.message?.includes("PRICE_CHANGED")) {
+          try {
+            const errorData = JSON.parse(transactionError.message);
+
+            console.warn("Order rejected due to price changes:", {
+              userId: user.id,
+              priceDrift: errorData.priceDrift,
+              timestamp: new Date().toISOString(),
+            });
+
+            await recordOrderEvent({
+              type: "price_mismatch",
+              userId: user.id,
+              actor: { type: "customer", id: user.id, name: user.name },
+              req,
+              metadata: { priceDrift: errorData.priceDrift },
+            });
+
+            const responseBody = {
+              success: false,
+              message: "Some prices have changed since your cart was loaded",
+              code: "PRICE_CHANGED",
+              priceDrift: errorData.priceDrift,
+            };
+
+            await storeIdempotentResponse(idempotencyRecord, 409, responseBody);
+
+            return NextResponse.json(responseBody, { status: 409 });
           } catch {
             // Fallback si le parsing échoue
           }
@@ -349,10 +665,22 @@ export const POST = withIntelligentRateLimit(
     } catch (error) {
       console.error("Order webhook error:", error.message);
 
+      // Libérer la clé pour que le client puisse retenter la même commande
+      if (idempotencyRecord) {
+        await releaseIdempotentRequest(idempotencyRecord).catch(
+          (releaseError) =>
+            console.error(
+              "Failed to release idempotency key:",
+              releaseError.message,
+            ),
+        );
+      }
+
       // Capturer seulement les vraies erreurs système
       if (
         !error.message?.includes("authentication") &&
         !error.message?.includes("STOCK_ERROR") &&
+        !error.message?.includes("PRICE_CHANGED") &&
         !error.message?.includes("PAYMENT_")
       ) {
         captureException(error, {
@@ -409,3 +737,21 @@ export const POST = withIntelligentRateLimit(
     extractUserInfo: extractUserInfoFromRequest, // ✅ Remplacer la fonction personnalisée
   },
 );
+
+/**
+ * Mémorise la réponse d'une requête idempotente
+ * Un échec d'enregistrement ne doit pas faire échouer la commande créée
+ */
+async function storeIdempotentResponse(record, status, body) {
+  if (!record) return;
+
+  try {
+    await completeIdempotentRequest(record, status, body);
+  } catch (error) {
+    console.error("Failed to store idempotent response:", error.message);
+    captureException(error, {
+      tags: { component: "api", route: "orders/webhook/POST" },
+      level: "warning",
+    });
+  }
+}
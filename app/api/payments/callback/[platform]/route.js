@@ -0,0 +1,387 @@
+import { after, NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import Order, {
+  ORDER_NUMBER_REGEX,
+  OrderTransitionError,
+} from "@/backend/models/order";
+import { notifyOrderEvent } from "@/backend/utils/orderNotifications";
+import { recordOrderEvent, snapshotOrder } from "@/backend/utils/orderEvents";
+import {
+  CALLBACK_PLATFORMS,
+  getCallbackSecret,
+  isFreshTimestamp,
+  isValidCallbackSignature,
+  registerCallbackNonce,
+} from "@/backend/utils/paymentCallback";
+import { captureException, captureMessage } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+
+// Statuts que les opérateurs peuvent notifier
+const CALLBACK_STATUSES = ["processing", "paid", "failed"];
+
+/**
+ * POST /api/payments/callback/[platform]
+ * Callback serveur-à-serveur des opérateurs (waafi, d-money, cac-pay, bci-pay)
+ * Rate limit: Configuration intelligente - payment.providerCallback (120 req/min par IP)
+ *
+ * Sécurité (pas de session utilisateur):
+ * - Signature HMAC-SHA256 avec un secret propre à chaque plateforme
+ * - Horodatage signé valable 5 minutes et nonce à usage unique (anti-rejeu),
+ *   consommé uniquement par un callback appliqué (même transaction que la
+ *   commande): un échec technique peut être renvoyé par l'opérateur
+ *
+ * Corps attendu: { orderNumber, status: processing|paid|failed,
+ *                  transactionId, amount?, reason? }
+ * Cycle du paiement: unpaid → processing → paid | failed
+ * Un callback "paid" reçu sur une commande "unpaid" passe par "processing".
+ */
+export const POST = withIntelligentRateLimit(
+  async function (req, { params }) {
+    const { platform } = params;
+
+    try {
+      // 1. Plateforme et secret
+      const typePayment = CALLBACK_PLATFORMS[platform];
+      if (!typePayment) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Unknown payment platform",
+            code: "UNKNOWN_PLATFORM",
+          },
+          { status: 404 },
+        );
+      }
+
+      const secret = getCallbackSecret(typePayment);
+      if (!secret) {
+        console.error("Payment callback secret not configured:", typePayment);
+        captureMessage("Payment callback secret not configured", {
+          tags: { component: "api", route: "payments/callback/POST" },
+          extra: { typePayment },
+          level: "error",
+        });
+
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Payment callbacks are not configured for this platform",
+            code: "CALLBACK_NOT_CONFIGURED",
+          },
+          { status: 503 },
+        );
+      }
+
+      // 2. Vérification de la signature sur le corps brut
+      const signature = req.headers.get("x-payment-signature");
+      const timestamp = req.headers.get("x-payment-timestamp");
+      const nonce = req.headers.get("x-payment-nonce");
+      const rawBody = await req.text();
+
+      if (!nonce || nonce.length > 128 || !isFreshTimestamp(timestamp)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Missing or expired callback headers",
+            code: "INVALID_CALLBACK_HEADERS",
+          },
+          { status: 401 },
+        );
+      }
+
+      if (
+        !isValidCallbackSignature({
+          secret,
+          signature,
+          timestamp,
+          nonce,
+          rawBody,
+        })
+      ) {
+        console.warn(
+          "🔒 Security event - Invalid payment callback signature:",
+          {
+            platform: typePayment,
+            timestamp: new Date().toISOString(),
+            ip:
+              req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+              "unknown",
+          },
+        );
+
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid signature",
+            code: "INVALID_SIGNATURE",
+          },
+          { status: 401 },
+        );
+      }
+
+      // 3. Validation du contenu
+      let payload;
+      try {
+        payload = JSON.parse(rawBody);
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid request body",
+            code: "INVALID_BODY",
+          },
+          { status: 400 },
+        );
+      }
+
+      const { orderNumber, status, transactionId, amount, reason } =
+        payload || {};
+
+      if (
+        typeof orderNumber !== "string" ||
+        !ORDER_NUMBER_REGEX.test(orderNumber) ||
+        !CALLBACK_STATUSES.includes(status) ||
+        typeof transactionId !== "string" ||
+        !transactionId.trim() ||
+        transactionId.length > 100 ||
+        (amount !== undefined && typeof amount !== "number")
+      ) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid callback payload",
+            code: "INVALID_PAYLOAD",
+          },
+          { status: 400 },
+        );
+      }
+
+      // 4. Connexion DB, puis nonce et statut de paiement en transaction
+      await dbConnect();
+
+      const session = await Order.startSession();
+      let result = null;
+
+      try {
+        await session.withTransaction(async () => {
+          // Protection anti-rejeu: annulée avec la transaction en cas d'échec
+          const isNewNonce = await registerCallbackNonce(typePayment, nonce, {
+            session,
+          });
+          if (!isNewNonce) {
+            throw new Error("REPLAYED_CALLBACK");
+          }
+
+          const order = await Order.findOne({ orderNumber }).session(session);
+
+          if (!order) {
+            throw new Error("ORDER_NOT_FOUND");
+          }
+
+          if (order.paymentInfo?.typePayment !== typePayment) {
+            throw new Error("PLATFORM_MISMATCH");
+          }
+
+          if (
+            amount !== undefined &&
+            Math.abs(order.totalAmount - amount) > 0.01
+          ) {
+            throw new Error("AMOUNT_MISMATCH");
+          }
+
+          // Notification déjà appliquée (renvoi par l'opérateur)
+          if (order.paymentStatus === status) {
+            result = { order, alreadyProcessed: true };
+            return;
+          }
+
+          if (order.cancelledAt && status !== "failed") {
+            throw new Error("ORDER_CANCELLED");
+          }
+
+          const previousStatus = order.paymentStatus;
+          const before = snapshotOrder(order);
+
+          // Un paiement confirmé directement passe d'abord en traitement
+          if (status === "paid" && order.paymentStatus === "unpaid") {
+            order.transitionPaymentStatus("processing");
+          }
+
+          order.transitionPaymentStatus(status);
+          order.paymentInfo.providerTransactionId = transactionId.trim();
+
+          await order.save({ session });
+
+          await recordOrderEvent({
+            type: "payment_updated",
+            order,
+            before,
+            actor: { type: "provider", name: typePayment },
+            req,
+            metadata: { callbackStatus: status, transactionId, nonce },
+            session,
+          });
+
+          result = { order, previousStatus, alreadyProcessed: false };
+        });
+      } catch (transactionError) {
+        if (transactionError.message === "REPLAYED_CALLBACK") {
+          console.warn("🔒 Security event - Payment callback replay:", {
+            platform: typePayment,
+            nonce,
+            timestamp: new Date().toISOString(),
+          });
+
+          return NextResponse.json(
+            {
+              success: false,
+              message: "Callback already received",
+              code: "REPLAYED_CALLBACK",
+            },
+            { status: 409 },
+          );
+        }
+
+        const errorResponses = {
+          ORDER_NOT_FOUND: [404, "Order not found"],
+          PLATFORM_MISMATCH: [422, "Order was not placed with this platform"],
+          AMOUNT_MISMATCH: [422, "Amount does not match order total"],
+          ORDER_CANCELLED: [409, "Order has been cancelled"],
+        };
+
+        if (errorResponses[transactionError.message]) {
+          const [status, message] = errorResponses[transactionError.message];
+
+          // Paiement reçu sur une commande annulée ou montant incohérent:
+          // intervention manuelle requise (remboursement, vérification)
+          if (status !== 404) {
+            await recordOrderEvent({
+              type: "payment_rejected",
+              orderNumber,
+              actor: { type: "provider", name: typePayment },
+              req,
+              metadata: {
+                code: transactionError.message,
+                callbackStatus: payload.status,
+                transactionId,
+                amount,
+                reason,
+              },
+            });
+
+            captureMessage(`Payment callback rejected: ${message}`, {
+              tags: {
+                component: "api",
+                route: "payments/callback/POST",
+                critical: true,
+              },
+              extra: { platform: typePayment, orderNumber, transactionId },
+              level: "warning",
+            });
+          }
+
+          return NextResponse.json(
+            {
+              success: false,
+              message,
+              code: transactionError.message,
+            },
+            { status },
+          );
+        }
+
+        if (transactionError instanceof OrderTransitionError) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: transactionError.message,
+              code: "INVALID_TRANSITION",
+              data: {
+                from: transactionError.from,
+                to: transactionError.to,
+              },
+            },
+            { status: 409 },
+          );
+        }
+
+        throw transactionError;
+      } finally {
+        await session.endSession();
+      }
+
+      const { order, previousStatus, alreadyProcessed } = result;
+
+      // Log de sécurité pour audit
+      console.log("🔒 Security event - Payment callback processed:", {
+        platform: typePayment,
+        orderNumber: order.orderNumber,
+        previousStatus,
+        paymentStatus: order.paymentStatus,
+        alreadyProcessed,
+        reason,
+        timestamp: new Date().toISOString(),
+      });
+
+      // Email au client uniquement lors de la transition vers "paid"
+      // (une notification renvoyée par l'opérateur ne déclenche rien)
+      if (!alreadyProcessed && order.paymentStatus === "paid") {
+        after(() => notifyOrderEvent("payment_received", order._id));
+      }
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: alreadyProcessed
+            ? "Payment status already up to date"
+            : "Payment status updated",
+          code: alreadyProcessed ? "ALREADY_PROCESSED" : "PAYMENT_UPDATED",
+          data: {
+            orderNumber: order.orderNumber,
+            paymentStatus: order.paymentStatus,
+            paidAt: order.paidAt,
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Payment callback error:", error.message);
+
+      captureException(error, {
+        tags: {
+          component: "api",
+          route: "payments/callback/POST",
+          platform,
+          critical: true,
+        },
+        level: "error",
+      });
+
+      let status = 500;
+      let message = "Failed to process payment callback";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  {
+    category: "payment",
+    action: "providerCallback",
+  },
+);
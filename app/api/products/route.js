@@ -4,6 +4,10 @@ import Product from "@/backend/models/product";
 // eslint-disable-next-line no-unused-vars
 import Category from "@/backend/models/category";
 import APIFilters from "@/backend/utils/APIFilters";
+import {
+  getAvailableStock,
+  getReservedQuantities,
+} from "@/backend/utils/stockReservation";
 import { captureException } from "@/monitoring/sentry";
 import { parseProductSearchParams } from "@/utils/inputSanitizer";
 import { validateProductFilters } from "@/helpers/validation/schemas/product";
@@ -25,6 +29,8 @@ const MAX_PER_PAGE = process.env.MAX_PRODUCTS_PER_PAGE;
  * - X-Content-Type-Options: nosniff
  * - Vary: Accept-Encoding
  *
+ * Le stock renvoyé est le stock disponible (réservations actives déduites)
+ *
  * Note: Les produits sont des données publiques avec cache modéré
  * car ils changent plus souvent que les catégories
  */
@@ -88,6 +94,14 @@ export const GET = withIntelligentRateLimit(
         .populate("category", "categoryName")
         .lean();
 
+      // Stock affiché: quantités réservées par les clients en cours de paiement déduites
+      const reserved = await getReservedQuantities(
+        products.map((product) => product._id),
+      );
+      products.forEach((product) => {
+        product.stock = getAvailableStock(product, reserved);
+      });
+
       // Calculer les métadonnées
       const totalPages = Math.ceil(filteredProductsCount / resPerPage);
 
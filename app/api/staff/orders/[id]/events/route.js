@@ -0,0 +1,164 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import Order, { ORDER_NUMBER_REGEX } from "@/backend/models/order";
+import OrderEvent from "@/backend/models/orderEvent";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+import {
+  extractUserInfoFromRequest,
+  isAuthenticatedUser,
+  isStaffUser,
+} from "@/lib/auth-utils";
+
+/**
+ * GET /api/staff/orders/[orderNumber]/events
+ * Journal d'audit chronologique d'une commande (litiges, support)
+ * Rate limit: Configuration intelligente - authenticatedRead (200 req/min)
+ *
+ * Réservé au staff (rôles staff et admin)
+ * Inclut les callbacks rejetés enregistrés avec le seul numéro de commande.
+ */
+export const GET = withIntelligentRateLimit(
+  async function (req, { params }) {
+    try {
+      // Validation de la référence de commande
+      const { id: reference } = params;
+      if (
+        !reference ||
+        (!ORDER_NUMBER_REGEX.test(reference) &&
+          !/^[0-9a-fA-F]{24}$/.test(reference))
+      ) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid order number format",
+            code: "INVALID_ORDER_NUMBER",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Authentification et rôle
+      const user = await isAuthenticatedUser();
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      if (!user.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      if (!isStaffUser(user)) {
+        console.warn("🔒 Security event - Non-staff order events access:", {
+          userId: user.id,
+          reference,
+          timestamp: new Date().toISOString(),
+          ip:
+            req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+            "unknown",
+        });
+
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Staff access required",
+            code: "FORBIDDEN",
+          },
+          { status: 403 },
+        );
+      }
+
+      await dbConnect();
+
+      const conditions = [{ orderNumber: reference }];
+      if (/^[0-9a-fA-F]{24}$/.test(reference)) {
+        conditions.push({ _id: reference });
+      }
+
+      const order = await Order.findOne({ $or: conditions })
+        .select("_id orderNumber")
+        .lean();
+
+      if (!order) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Order not found",
+            code: "ORDER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      const events = await OrderEvent.findByOrder(order._id, order.orderNumber);
+
+      return NextResponse.json(
+        {
+          success: true,
+          data: {
+            orderNumber: order.orderNumber,
+            events,
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Order events error:", error.message);
+
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "staff/orders/[orderNumber]/events/GET",
+          },
+        });
+      }
+
+      let status = 500;
+      let message = "Failed to fetch order events";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      } else if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  {
+    category: "api",
+    action: "authenticatedRead",
+    extractUserInfo: extractUserInfoFromRequest,
+  },
+);
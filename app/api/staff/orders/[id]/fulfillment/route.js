@@ -0,0 +1,311 @@
+import { after, NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import Order, {
+  ORDER_NUMBER_REGEX,
+  OrderTransitionError,
+} from "@/backend/models/order";
+import { notifyOrderEvent } from "@/backend/utils/orderNotifications";
+import { recordOrderEvent, snapshotOrder } from "@/backend/utils/orderEvents";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+import {
+  extractUserInfoFromRequest,
+  isAuthenticatedUser,
+  isStaffUser,
+} from "@/lib/auth-utils";
+
+// Statuts que le staff peut appliquer (l'annulation, qui remet le stock,
+// passe par la route client dédiée)
+const STAFF_FULFILLMENT_STATUSES = [
+  "preparing",
+  "ready_for_pickup",
+  "shipped",
+  "delivered",
+];
+
+// Statuts réservés à un mode de remise
+const METHOD_ONLY_STATUSES = {
+  ready_for_pickup: "pickup",
+  shipped: "delivery",
+};
+
+// Statuts notifiés au client par email
+const NOTIFIED_STATUSES = {
+  ready_for_pickup: "ready_for_pickup",
+};
+
+/**
+ * PATCH /api/staff/orders/[orderNumber]/fulfillment
+ * Fait avancer une commande dans son cycle logistique
+ * Rate limit: Configuration intelligente - api.write (30 req/min)
+ *
+ * Réservé au staff (rôles staff et admin)
+ * Corps: { status: preparing|ready_for_pickup|shipped|delivered, note? }
+ * - ready_for_pickup: retrait en magasin uniquement, email au client
+ * - shipped: livraison uniquement
+ * - delivered: paiement encaissé obligatoire
+ */
+export const PATCH = withIntelligentRateLimit(
+  async function (req, { params }) {
+    try {
+      // Validation de la référence de commande
+      const { id: reference } = params;
+      if (
+        !reference ||
+        (!ORDER_NUMBER_REGEX.test(reference) &&
+          !/^[0-9a-fA-F]{24}$/.test(reference))
+      ) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid order number format",
+            code: "INVALID_ORDER_NUMBER",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Authentification et rôle
+      const user = await isAuthenticatedUser();
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      if (!user.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      if (!isStaffUser(user)) {
+        console.warn("🔒 Security event - Non-staff fulfillment update:", {
+          userId: user.id,
+          reference,
+          timestamp: new Date().toISOString(),
+          ip:
+            req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+            "unknown",
+        });
+
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Staff access required",
+            code: "FORBIDDEN",
+          },
+          { status: 403 },
+        );
+      }
+
+      // Validation du corps
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid request body",
+            code: "INVALID_BODY",
+          },
+          { status: 400 },
+        );
+      }
+
+      const status = body?.status;
+      const note = typeof body?.note === "string" ? body.note.trim() : "";
+
+      if (!STAFF_FULFILLMENT_STATUSES.includes(status) || note.length > 200) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: `Status must be one of ${STAFF_FULFILLMENT_STATUSES.join(", ")} and note at most 200 characters`,
+            code: "VALIDATION_ERROR",
+          },
+          { status: 400 },
+        );
+      }
+
+      await dbConnect();
+
+      // Transition en transaction
+      const session = await Order.startSession();
+      let order = null;
+      let previousStatus = null;
+
+      try {
+        await session.withTransaction(async () => {
+          const conditions = [{ orderNumber: reference }];
+          if (/^[0-9a-fA-F]{24}$/.test(reference)) {
+            conditions.push({ _id: reference });
+          }
+
+          order = await Order.findOne({ $or: conditions }).session(session);
+
+          if (!order) {
+            throw new Error("ORDER_NOT_FOUND");
+          }
+
+          const requiredMethod = METHOD_ONLY_STATUSES[status];
+          if (
+            requiredMethod &&
+            (order.fulfillmentMethod || "pickup") !== requiredMethod
+          ) {
+            throw new Error("METHOD_MISMATCH");
+          }
+
+          if (status === "delivered" && order.paymentStatus !== "paid") {
+            throw new Error("PAYMENT_PENDING");
+          }
+
+          previousStatus = order.fulfillmentStatus || "placed";
+          const before = snapshotOrder(order);
+
+          order.transitionTo(
+            status,
+            { type: "staff", id: user.id, name: user.name },
+            note || undefined,
+          );
+
+          await order.save({ session });
+
+          await recordOrderEvent({
+            type: "fulfillment_updated",
+            order,
+            before,
+            actor: { type: "staff", id: user.id, name: user.name },
+            req,
+            metadata: { ...(note && { note }), role: user.role },
+            session,
+          });
+        });
+      } catch (transactionError) {
+        const errorResponses = {
+          ORDER_NOT_FOUND: [404, "Order not found"],
+          METHOD_MISMATCH: [
+            422,
+            "Status does not match the order fulfillment method",
+          ],
+          PAYMENT_PENDING: [409, "Order must be paid before delivery"],
+        };
+
+        if (errorResponses[transactionError.message]) {
+          const [status, message] = errorResponses[transactionError.message];
+
+          return NextResponse.json(
+            {
+              success: false,
+              message,
+              code: transactionError.message,
+            },
+            { status },
+          );
+        }
+
+        if (transactionError instanceof OrderTransitionError) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: transactionError.message,
+              code: "INVALID_TRANSITION",
+              data: {
+                from: transactionError.from,
+                to: transactionError.to,
+              },
+            },
+            { status: 409 },
+          );
+        }
+
+        throw transactionError;
+      } finally {
+        await session.endSession();
+      }
+
+      // Log de sécurité pour audit
+      console.log("🔒 Security event - Fulfillment status changed:", {
+        staffId: user.id,
+        orderNumber: order.orderNumber,
+        previousStatus,
+        fulfillmentStatus: order.fulfillmentStatus,
+        timestamp: new Date().toISOString(),
+      });
+
+      if (NOTIFIED_STATUSES[status]) {
+        after(() => notifyOrderEvent(NOTIFIED_STATUSES[status], order._id));
+      }
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Fulfillment status updated",
+          data: {
+            order: {
+              _id: order._id,
+              orderNumber: order.orderNumber,
+              paymentStatus: order.paymentStatus,
+              fulfillmentStatus: order.fulfillmentStatus,
+              statusHistory: order.statusHistory,
+            },
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Fulfillment update error:", error.message);
+
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "staff/orders/[orderNumber]/fulfillment/PATCH",
+          },
+        });
+      }
+
+      let status = 500;
+      let message = "Failed to update fulfillment status";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      } else if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  {
+    category: "api",
+    action: "write",
+    extractUserInfo: extractUserInfoFromRequest,
+  },
+);
@@ -0,0 +1,310 @@
+import { after, NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import Order, {
+  ORDER_NUMBER_REGEX,
+  OrderTransitionError,
+} from "@/backend/models/order";
+import { notifyOrderEvent } from "@/backend/utils/orderNotifications";
+import { recordOrderEvent, snapshotOrder } from "@/backend/utils/orderEvents";
+import {
+  isMatchingPickupCode,
+  verifyPickupQrPayload,
+} from "@/backend/utils/pickupCode";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+import {
+  extractUserInfoFromRequest,
+  isAuthenticatedUser,
+  isStaffUser,
+} from "@/lib/auth-utils";
+
+/**
+ * POST /api/staff/orders/pickup/verify
+ * Vérifie le retrait d'une commande CASH et enregistre l'encaissement
+ * Rate limit: Configuration intelligente - api.write (30 req/min)
+ *
+ * Réservé au staff (rôles staff et admin)
+ * Corps: { orderNumber, code } (saisie manuelle) ou { qrPayload } (scan)
+ * Effet: pending_cash → paid, paidAt, cashCollection (qui, quand, comment)
+ */
+export const POST = withIntelligentRateLimit(
+  async function (req) {
+    try {
+      // 1. Authentification et rôle
+      const user = await isAuthenticatedUser();
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      if (!user.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      if (!isStaffUser(user)) {
+        console.warn("🔒 Security event - Non-staff pickup verification:", {
+          userId: user.id,
+          timestamp: new Date().toISOString(),
+          ip:
+            req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+            "unknown",
+        });
+
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Staff access required",
+            code: "FORBIDDEN",
+          },
+          { status: 403 },
+        );
+      }
+
+      // 2. Validation du corps
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid request body",
+            code: "INVALID_BODY",
+          },
+          { status: 400 },
+        );
+      }
+
+      const { qrPayload, code } = body || {};
+      let orderNumber = body?.orderNumber;
+      const method = qrPayload ? "qr" : "code";
+
+      if (qrPayload) {
+        orderNumber = verifyPickupQrPayload(qrPayload);
+
+        if (!orderNumber) {
+          console.warn("🔒 Security event - Invalid pickup QR code:", {
+            staffId: user.id,
+            timestamp: new Date().toISOString(),
+          });
+
+          return NextResponse.json(
+            {
+              success: false,
+              message: "Invalid QR code",
+              code: "INVALID_QR_CODE",
+            },
+            { status: 400 },
+          );
+        }
+      } else if (
+        typeof orderNumber !== "string" ||
+        !ORDER_NUMBER_REGEX.test(orderNumber) ||
+        typeof code !== "string"
+      ) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Order number and pickup code are required",
+            code: "VALIDATION_ERROR",
+          },
+          { status: 400 },
+        );
+      }
+
+      await dbConnect();
+
+      // 3. Encaissement en transaction
+      const session = await Order.startSession();
+      let order = null;
+
+      try {
+        await session.withTransaction(async () => {
+          order = await Order.findOne({ orderNumber }).session(session);
+
+          if (!order) {
+            throw new Error("ORDER_NOT_FOUND");
+          }
+
+          if (!order.isCashPayment()) {
+            throw new Error("NOT_CASH_ORDER");
+          }
+
+          if (order.cancelledAt) {
+            throw new Error("ORDER_CANCELLED");
+          }
+
+          if (order.paymentStatus === "paid") {
+            throw new Error("ALREADY_COLLECTED");
+          }
+
+          if (
+            method === "code" &&
+            !isMatchingPickupCode(order.pickupCode, code)
+          ) {
+            throw new Error("INVALID_PICKUP_CODE");
+          }
+
+          const before = snapshotOrder(order);
+
+          order.transitionPaymentStatus("paid");
+          order.cashCollection = {
+            collectedAt: order.paidAt,
+            collectedBy: {
+              id: user.id,
+              name: user.name,
+              role: user.role,
+            },
+            method,
+          };
+
+          await order.save({ session });
+
+          await recordOrderEvent({
+            type: "cash_collected",
+            order,
+            before,
+            actor: { type: "staff", id: user.id, name: user.name },
+            req,
+            metadata: { method, role: user.role },
+            session,
+          });
+        });
+      } catch (transactionError) {
+        const errorResponses = {
+          ORDER_NOT_FOUND: [404, "Order not found"],
+          NOT_CASH_ORDER: [422, "Order is not a cash order"],
+          ORDER_CANCELLED: [409, "Order has been cancelled"],
+          ALREADY_COLLECTED: [409, "Cash has already been collected"],
+          INVALID_PICKUP_CODE: [400, "Invalid pickup code"],
+        };
+
+        if (errorResponses[transactionError.message]) {
+          const [status, message] = errorResponses[transactionError.message];
+
+          if (transactionError.message === "INVALID_PICKUP_CODE") {
+            console.warn("🔒 Security event - Invalid pickup code:", {
+              staffId: user.id,
+              orderNumber,
+              timestamp: new Date().toISOString(),
+            });
+          }
+
+          return NextResponse.json(
+            {
+              success: false,
+              message,
+              code: transactionError.message,
+            },
+            { status },
+          );
+        }
+
+        if (transactionError instanceof OrderTransitionError) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: transactionError.message,
+              code: "INVALID_TRANSITION",
+              data: {
+                from: transactionError.from,
+                to: transactionError.to,
+              },
+            },
+            { status: 409 },
+          );
+        }
+
+        throw transactionError;
+      } finally {
+        await session.endSession();
+      }
+
+      // Log de sécurité pour audit
+      console.log("🔒 Security event - Cash collected:", {
+        staffId: user.id,
+        orderNumber: order.orderNumber,
+        totalAmount: order.totalAmount,
+        method,
+        timestamp: new Date().toISOString(),
+      });
+
+      after(() => notifyOrderEvent("payment_received", order._id));
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Cash payment recorded",
+          data: {
+            order: {
+              _id: order._id,
+              orderNumber: order.orderNumber,
+              totalAmount: order.totalAmount,
+              paymentStatus: order.paymentStatus,
+              paidAt: order.paidAt,
+              fulfillmentStatus: order.fulfillmentStatus,
+              cashCollection: order.cashCollection,
+            },
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Pickup verification error:", error.message);
+
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "staff/orders/pickup/verify/POST",
+          },
+        });
+      }
+
+      let status = 500;
+      let message = "Failed to verify pickup";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      } else if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  {
+    category: "api",
+    action: "write",
+    extractUserInfo: extractUserInfoFromRequest,
+  },
+);
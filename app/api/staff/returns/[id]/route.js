@@ -0,0 +1,345 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import Order, { OrderTransitionError } from "@/backend/models/order";
+import ReturnRequest, {
+  RETURN_NUMBER_REGEX,
+} from "@/backend/models/returnRequest";
+import { restockReturnItems } from "@/backend/utils/returns";
+import { recordOrderEvent, snapshotOrder } from "@/backend/utils/orderEvents";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+import {
+  extractUserInfoFromRequest,
+  isAuthenticatedUser,
+  isStaffUser,
+} from "@/lib/auth-utils";
+
+// Actions du staff et statut cible correspondant
+const RETURN_ACTIONS = {
+  approve: "approved",
+  reject: "rejected",
+  refund: "refunded",
+};
+
+/**
+ * PATCH /api/staff/returns/[returnNumber]
+ * Traite une demande de retour
+ * Rate limit: Configuration intelligente - api.write (30 req/min)
+ *
+ * Réservé au staff (rôles staff et admin)
+ * Corps: { action: approve|reject|refund, note? }
+ * - approve: remise en stock des articles retournés
+ * - reject: motif obligatoire, les quantités redeviennent retournables
+ * - refund: remboursement effectué hors plateforme, cumulé sur la commande;
+ *   la commande passe en "refunded" une fois tous ses articles remboursés
+ */
+export const PATCH = withIntelligentRateLimit(
+  async function (req, { params }) {
+    try {
+      // Validation de la référence de retour
+      const { id: reference } = params;
+      if (
+        !reference ||
+        (!RETURN_NUMBER_REGEX.test(reference) &&
+          !/^[0-9a-fA-F]{24}$/.test(reference))
+      ) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid return number format",
+            code: "INVALID_RETURN_NUMBER",
+          },
+          { status: 400 },
+        );
+      }
+
+      // Authentification et rôle
+      const user = await isAuthenticatedUser();
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      if (!user.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      if (!isStaffUser(user)) {
+        console.warn("🔒 Security event - Non-staff return decision:", {
+          userId: user.id,
+          reference,
+          timestamp: new Date().toISOString(),
+          ip:
+            req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+            "unknown",
+        });
+
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Staff access required",
+            code: "FORBIDDEN",
+          },
+          { status: 403 },
+        );
+      }
+
+      // Validation du corps
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid request body",
+            code: "INVALID_BODY",
+          },
+          { status: 400 },
+        );
+      }
+
+      const action = body?.action;
+      const note = typeof body?.note === "string" ? body.note.trim() : "";
+
+      if (
+        !RETURN_ACTIONS[action] ||
+        note.length > 200 ||
+        (action === "reject" && note.length < 3)
+      ) {
+        return NextResponse.json(
+          {
+            success: false,
+            message:
+              "Action must be approve, reject or refund; a rejection requires a note (3-200 characters)",
+            code: "VALIDATION_ERROR",
+          },
+          { status: 400 },
+        );
+      }
+
+      await dbConnect();
+
+      // Décision en transaction (stock et commande mis à jour ensemble)
+      const session = await ReturnRequest.startSession();
+      let returnRequest = null;
+      let order = null;
+
+      try {
+        await session.withTransaction(async () => {
+          const conditions = [{ returnNumber: reference }];
+          if (/^[0-9a-fA-F]{24}$/.test(reference)) {
+            conditions.push({ _id: reference });
+          }
+
+          returnRequest = await ReturnRequest.findOne({
+            $or: conditions,
+          }).session(session);
+
+          if (!returnRequest) {
+            throw new Error("RETURN_NOT_FOUND");
+          }
+
+          returnRequest.transitionTo(
+            RETURN_ACTIONS[action],
+            { type: "staff", id: user.id, name: user.name },
+            note || undefined,
+          );
+
+          if (action === "approve") {
+            await restockReturnItems(returnRequest, session);
+          }
+
+          if (action === "refund") {
+            order = await Order.findById(returnRequest.order).session(session);
+
+            if (!order) {
+              throw new Error("ORDER_NOT_FOUND");
+            }
+
+            const before = snapshotOrder(order);
+
+            order.refundedAmount =
+              Math.round(
+                ((order.refundedAmount || 0) + returnRequest.refundAmount) *
+                  100,
+              ) / 100;
+
+            // Tous les articles remboursés: la commande est remboursée
+            const itemsTotal = order.totalAmount - (order.deliveryFee || 0);
+            if (order.refundedAmount >= itemsTotal - 0.01) {
+              order.transitionPaymentStatus("refunded");
+            }
+
+            await order.save({ session });
+
+            await recordOrderEvent({
+              type: "refund_recorded",
+              order,
+              before,
+              actor: { type: "staff", id: user.id, name: user.name },
+              req,
+              metadata: {
+                returnNumber: returnRequest.returnNumber,
+                refundAmount: returnRequest.refundAmount,
+              },
+              session,
+            });
+          } else {
+            await recordOrderEvent({
+              type: "return_reviewed",
+              orderNumber: returnRequest.orderNumber,
+              userId: returnRequest.user,
+              actor: { type: "staff", id: user.id, name: user.name },
+              req,
+              metadata: {
+                returnNumber: returnRequest.returnNumber,
+                status: returnRequest.status,
+                ...(note && { note }),
+                ...(action === "approve" && {
+                  restockedItems: returnRequest.items.length,
+                }),
+              },
+              session,
+            });
+          }
+
+          await returnRequest.save({ session });
+        });
+      } catch (transactionError) {
+        const errorResponses = {
+          RETURN_NOT_FOUND: [404, "Return request not found"],
+          ORDER_NOT_FOUND: [404, "Order not found"],
+        };
+
+        if (errorResponses[transactionError.message]) {
+          const [status, message] = errorResponses[transactionError.message];
+
+          return NextResponse.json(
+            {
+              success: false,
+              message,
+              code: transactionError.message,
+            },
+            { status },
+          );
+        }
+
+        if (transactionError instanceof OrderTransitionError) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: transactionError.message,
+              code: "INVALID_TRANSITION",
+              data: {
+                from: transactionError.from,
+                to: transactionError.to,
+              },
+            },
+            { status: 409 },
+          );
+        }
+
+        throw transactionError;
+      } finally {
+        await session.endSession();
+      }
+
+      // Log de sécurité pour audit
+      console.log("🔒 Security event - Return request processed:", {
+        staffId: user.id,
+        returnNumber: returnRequest.returnNumber,
+        orderNumber: returnRequest.orderNumber,
+        action,
+        status: returnRequest.status,
+        refundAmount: returnRequest.refundAmount,
+        orderPaymentStatus: order?.paymentStatus,
+        timestamp: new Date().toISOString(),
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Return request updated",
+          data: {
+            returnRequest: {
+              _id: returnRequest._id,
+              returnNumber: returnRequest.returnNumber,
+              orderNumber: returnRequest.orderNumber,
+              status: returnRequest.status,
+              refundAmount: returnRequest.refundAmount,
+              restockedAt: returnRequest.restockedAt,
+              refundedAt: returnRequest.refundedAt,
+              statusHistory: returnRequest.statusHistory,
+            },
+            ...(order && {
+              order: {
+                orderNumber: order.orderNumber,
+                paymentStatus: order.paymentStatus,
+                refundedAmount: order.refundedAmount,
+              },
+            }),
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Return decision error:", error.message);
+
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "staff/returns/[returnNumber]/PATCH",
+            critical: true, // Stock et remboursement en jeu
+          },
+        });
+      }
+
+      let status = 500;
+      let message = "Failed to process return request";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      } else if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  {
+    category: "api",
+    action: "write",
+    extractUserInfo: extractUserInfoFromRequest,
+  },
+);
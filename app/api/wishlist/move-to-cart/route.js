@@ -0,0 +1,170 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import { WISHLIST_MAX_ITEMS } from "@/backend/models/wishlist";
+import { renewCartExpiry } from "@/backend/utils/cartExpiry";
+import { buildCartPayload } from "@/backend/utils/cartPayload";
+import {
+  buildWishlistPayload,
+  moveWishlistItemToCart,
+} from "@/backend/utils/wishlist";
+import { captureException } from "@/monitoring/sentry";
+import { withCartRateLimit } from "@/utils/rateLimit";
+import { getOptionalUser } from "@/lib/auth-utils";
+
+/**
+ * POST /api/wishlist/move-to-cart
+ * Remet un produit de la liste de souhaits dans le panier
+ * Rate limit: Configuration intelligente - cart.add (100 req/min)
+ *
+ * Corps: { productId }
+ * - Quantité mise de côté ajoutée au panier, plafonnée au stock disponible
+ * - 409 OUT_OF_STOCK / PRODUCT_UNAVAILABLE: le produit reste dans la liste
+ */
+export const POST = withCartRateLimit(
+  async function (req) {
+    try {
+      const user = await getOptionalUser(req);
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      if (!user.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid request body",
+            code: "INVALID_BODY",
+          },
+          { status: 400 },
+        );
+      }
+
+      const productId = body?.productId;
+      if (!productId || !/^[0-9a-fA-F]{24}$/.test(productId)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid product ID",
+            code: "INVALID_PRODUCT_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      await dbConnect();
+
+      let moved;
+      try {
+        moved = await moveWishlistItemToCart(user.id, productId);
+      } catch (moveError) {
+        const errorResponses = {
+          WISHLIST_ITEM_NOT_FOUND: [404, "Product not in wishlist"],
+          PRODUCT_UNAVAILABLE: [409, "Product is not available"],
+          OUT_OF_STOCK: [409, "Product is out of stock"],
+        };
+
+        if (errorResponses[moveError.message]) {
+          const [status, message] = errorResponses[moveError.message];
+
+          return NextResponse.json(
+            { success: false, message, code: moveError.message },
+            { status },
+          );
+        }
+
+        throw moveError;
+      }
+
+      // Activité sur le panier: expiration repoussée pour tous ses articles
+      await renewCartExpiry({ userId: user.id });
+
+      const [cartPayload, wishlist] = await Promise.all([
+        buildCartPayload({ userId: user.id }),
+        buildWishlistPayload(user.id),
+      ]);
+
+      // Log de sécurité pour audit
+      console.log("🔒 Security event - Wishlist item moved to cart:", {
+        userId: user.id,
+        productId,
+        quantity: moved.quantity,
+        adjusted: moved.adjusted,
+        timestamp: new Date().toISOString(),
+        ip:
+          req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+          "unknown",
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Product moved to cart",
+          data: {
+            cartCount: cartPayload.cartCount,
+            cartTotal: cartPayload.cartTotal,
+            cart: cartPayload.cart,
+            meta: cartPayload.meta,
+            wishlist: { ...wishlist, maxItems: WISHLIST_MAX_ITEMS },
+            movedItem: moved,
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Move to cart error:", error.message);
+
+      captureException(error, {
+        tags: { component: "api", route: "wishlist/move-to-cart/POST" },
+      });
+
+      let status = 500;
+      let message = "Failed to move product to cart";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      } else if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  { action: "add" },
+);
@@ -0,0 +1,395 @@
+import { NextResponse } from "next/server";
+import dbConnect from "@/backend/config/dbConnect";
+import Product from "@/backend/models/product";
+import Wishlist, { WISHLIST_MAX_ITEMS } from "@/backend/models/wishlist";
+import {
+  assertWishlistCapacity,
+  buildWishlistPayload,
+} from "@/backend/utils/wishlist";
+import { captureException } from "@/monitoring/sentry";
+import { withIntelligentRateLimit } from "@/utils/rateLimit";
+import { extractUserInfoFromRequest, getOptionalUser } from "@/lib/auth-utils";
+
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * GET /api/wishlist
+ * Liste de souhaits de l'utilisateur connecté, avec prix et stock actuels
+ * Rate limit: Configuration intelligente - authenticatedRead (200 req/min)
+ */
+export const GET = withIntelligentRateLimit(
+  async function (req) {
+    try {
+      // Vérifier l'authentification
+      const user = await getOptionalUser(req);
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      // Vérifier si le compte est actif
+      if (!user.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      await dbConnect();
+
+      const { count, items } = await buildWishlistPayload(user.id);
+
+      return NextResponse.json(
+        {
+          success: true,
+          data: { count, items, maxItems: WISHLIST_MAX_ITEMS },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Wishlist GET error:", error.message);
+
+      // Capturer seulement les vraies erreurs système
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "wishlist/GET",
+          },
+        });
+      }
+
+      // Gestion détaillée des erreurs
+      let status = 500;
+      let message = "Failed to fetch wishlist";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      } else if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  {
+    category: "api",
+    action: "authenticatedRead",
+    extractUserInfo: extractUserInfoFromRequest,
+  },
+);
+
+/**
+ * POST /api/wishlist
+ * Ajoute un produit à la liste de souhaits (sans effet s'il y est déjà)
+ * Rate limit: Configuration intelligente - api.write (30 req/min)
+ *
+ * Corps: { productId }
+ */
+export const POST = withIntelligentRateLimit(
+  async function (req) {
+    try {
+      // Vérifier l'authentification
+      const user = await getOptionalUser(req);
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      // Vérifier si le compte est actif
+      if (!user.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid request body",
+            code: "INVALID_BODY",
+          },
+          { status: 400 },
+        );
+      }
+
+      const productId = body?.productId;
+      if (!productId || !OBJECT_ID_REGEX.test(productId)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid product ID",
+            code: "INVALID_PRODUCT_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      await dbConnect();
+
+      const product = await Product.findById(productId)
+        .select("name price isActive")
+        .lean();
+
+      if (!product || !product.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Product not found",
+            code: "PRODUCT_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      try {
+        await assertWishlistCapacity(user.id, product._id);
+      } catch (capacityError) {
+        if (capacityError.message !== "WISHLIST_FULL") throw capacityError;
+
+        return NextResponse.json(
+          {
+            success: false,
+            message: `Wishlist is limited to ${WISHLIST_MAX_ITEMS} products`,
+            code: "WISHLIST_FULL",
+          },
+          { status: 409 },
+        );
+      }
+
+      const result = await Wishlist.updateOne(
+        { user: user.id, product: product._id },
+        {
+          $setOnInsert: {
+            productName: product.name,
+            priceAtAdd: product.price,
+            createdAt: new Date(),
+          },
+        },
+        { upsert: true },
+      );
+
+      const isNewItem = result.upsertedCount > 0;
+      const { count, items } = await buildWishlistPayload(user.id);
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: isNewItem
+            ? "Product added to wishlist"
+            : "Product already in wishlist",
+          data: { count, items, maxItems: WISHLIST_MAX_ITEMS },
+        },
+        { status: isNewItem ? 201 : 200 },
+      );
+    } catch (error) {
+      console.error("Wishlist POST error:", error.message);
+
+      // Capturer seulement les vraies erreurs système
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "wishlist/POST",
+          },
+        });
+      }
+
+      // Gestion détaillée des erreurs
+      let status = 500;
+      let message = "Failed to add to wishlist";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      } else if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  {
+    category: "api",
+    action: "write",
+    extractUserInfo: extractUserInfoFromRequest,
+  },
+);
+
+/**
+ * DELETE /api/wishlist?productId=...
+ * Retire un produit de la liste de souhaits
+ * Rate limit: Configuration intelligente - api.write (30 req/min)
+ */
+export const DELETE = withIntelligentRateLimit(
+  async function (req) {
+    try {
+      // Vérifier l'authentification
+      const user = await getOptionalUser(req);
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "User not found",
+            code: "USER_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      // Vérifier si le compte est actif
+      if (!user.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Account suspended",
+            code: "ACCOUNT_SUSPENDED",
+          },
+          { status: 403 },
+        );
+      }
+
+      const productId = req.nextUrl.searchParams.get("productId");
+      if (!productId || !OBJECT_ID_REGEX.test(productId)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Invalid product ID",
+            code: "INVALID_PRODUCT_ID",
+          },
+          { status: 400 },
+        );
+      }
+
+      await dbConnect();
+
+      const { deletedCount } = await Wishlist.deleteOne({
+        user: user.id,
+        product: productId,
+      });
+
+      if (deletedCount === 0) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: "Product not in wishlist",
+            code: "WISHLIST_ITEM_NOT_FOUND",
+          },
+          { status: 404 },
+        );
+      }
+
+      const { count, items } = await buildWishlistPayload(user.id);
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: "Product removed from wishlist",
+          data: { count, items, maxItems: WISHLIST_MAX_ITEMS },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error("Wishlist DELETE error:", error.message);
+
+      // Capturer seulement les vraies erreurs système
+      if (!error.message?.includes("authentication")) {
+        captureException(error, {
+          tags: {
+            component: "api",
+            route: "wishlist/DELETE",
+          },
+        });
+      }
+
+      // Gestion détaillée des erreurs
+      let status = 500;
+      let message = "Failed to remove from wishlist";
+      let code = "INTERNAL_ERROR";
+
+      if (error.message?.includes("authentication")) {
+        status = 401;
+        message = "Authentication failed";
+        code = "AUTH_FAILED";
+      } else if (error.message?.includes("MongoNetwork")) {
+        status = 503;
+        message = "Database connection error";
+        code = "DB_CONNECTION_ERROR";
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message,
+          code,
+          ...(process.env.NODE_ENV === "development" && {
+            error: error.message,
+          }),
+        },
+        { status },
+      );
+    }
+  },
+  {
+    category: "api",
+    action: "write",
+    extractUserInfo: extractUserInfoFromRequest,
+  },
+);
@@ -1,8 +1,5 @@
 import { Suspense, lazy } from "react";
-import { cookies } from "next/headers";
-import { redirect } from "next/navigation";
 import CartSkeleton from "@/components/skeletons/CartSkeleton";
-import { captureException } from "@/monitoring/sentry";
 
 // Forcer le rendu dynamique pour cette page
 export const dynamic = "force-dynamic";
@@ -30,41 +27,16 @@ export const metadata = {
   },
 };
 
-const CartPage = async () => {
-  try {
-    const cookie = await cookies();
-    // Vérification de l'authentification côté serveur
-    const sessionCookie =
-      cookie.get("__Secure-.session_token") ||
-      cookie.get("__Secure-__Secure-.session_token");
-
-    if (!sessionCookie) {
-      // Rediriger vers la page de connexion avec le retour à la page du panier
-      redirect("/login?callbackUrl=/cart");
-    }
-
-    return (
-      <div itemScope itemType="https://schema.org/ItemList">
-        <meta itemProp="name" content="Shopping Cart" />
-        <Suspense fallback={<CartSkeleton />}>
-          <Cart />
-        </Suspense>
-      </div>
-    );
-  } catch (error) {
-    console.error("Error accessing cart page:", error);
-
-    // Capturer l'erreur dans Sentry
-    captureException(error, {
-      tags: {
-        component: "CartPage",
-        errorType: error.name,
-      },
-    });
-
-    // Rediriger vers la page d'accueil en cas d'erreur
-    redirect("/");
-  }
+// Panier accessible aux visiteurs (panier invité, fusionné à la connexion)
+const CartPage = () => {
+  return (
+    <div itemScope itemType="https://schema.org/ItemList">
+      <meta itemProp="name" content="Shopping Cart" />
+      <Suspense fallback={<CartSkeleton />}>
+        <Cart />
+      </Suspense>
+    </div>
+  );
 };
 
 export default CartPage;
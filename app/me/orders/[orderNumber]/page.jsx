@@ -0,0 +1,190 @@
+import { lazy, Suspense } from "react";
+import { cookies } from "next/headers";
+import { notFound, redirect } from "next/navigation";
+import { captureException } from "@/monitoring/sentry";
+
+import logger from "@/utils/logger";
+import { getCookieName } from "@/helpers/helpers";
+import { getAuthenticatedUser } from "@/lib/auth-utils";
+
+export const dynamic = "force-dynamic";
+
+// Chargement dynamique avec fallback
+const OrderDetails = lazy(() => import("@/components/orders/OrderDetails"));
+
+/**
+ * Récupère le détail d'une commande de l'utilisateur connecté
+ * @param {string} orderNumber - Numéro de commande (ORD-YYYYMMDD-NNNNN)
+ * @returns {Promise<Object>} { success, order, notFound, message }
+ */
+const getOrder = async (orderNumber) => {
+  try {
+    // 1. Obtenir le cookie d'authentification
+    const nextCookies = await cookies();
+    const cookieName = getCookieName();
+    const authToken = nextCookies.get(cookieName);
+
+    if (!authToken) {
+      return {
+        success: false,
+        message: "Authentification requise",
+        unauthorized: true,
+      };
+    }
+
+    // 2. Construire l'URL de l'API
+    const apiUrl = `${
+      process.env.API_URL || "https://buyitnow-next15-client-bs.vercel.app"
+    }/api/orders/me/${encodeURIComponent(orderNumber)}`;
+
+    // 3. Faire l'appel API avec timeout
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 8000);
+
+    const res = await fetch(apiUrl, {
+      signal: controller.signal,
+      headers: {
+        Cookie: `${authToken.name}=${authToken.value}`,
+      },
+      next: {
+        revalidate: 0,
+        tags: ["user-orders", `order-${orderNumber}`],
+      },
+    });
+
+    clearTimeout(timeoutId);
+
+    // 4. Vérifier le statut HTTP
+    if (!res.ok) {
+      if (res.status === 401) {
+        return {
+          success: false,
+          message: "Authentification requise",
+          unauthorized: true,
+        };
+      }
+
+      if (res.status === 400 || res.status === 404) {
+        return {
+          success: false,
+          message: "Commande introuvable",
+          notFound: true,
+        };
+      }
+
+      console.error(`API Error: ${res.status} - ${res.statusText}`);
+      return {
+        success: false,
+        message: "Erreur lors de la récupération de la commande",
+      };
+    }
+
+    // 5. Parser et vérifier la réponse
+    const responseBody = await res.json();
+
+    if (!responseBody.success || !responseBody.data?.order) {
+      console.error("Invalid API response structure:", responseBody);
+      return {
+        success: false,
+        message: responseBody.message || "Réponse API invalide",
+      };
+    }
+
+    return {
+      success: true,
+      order: responseBody.data.order,
+    };
+  } catch (error) {
+    if (error.name === "AbortError") {
+      console.error("Request timeout after 8 seconds");
+      return {
+        success: false,
+        message: "La requête a pris trop de temps",
+      };
+    }
+
+    console.error("Network error:", error.message);
+    return {
+      success: false,
+      message: "Problème de connexion réseau",
+    };
+  }
+};
+
+// Composant de chargement dédié
+const OrderDetailsSkeleton = () => (
+  <div className="animate-pulse p-4">
+    <div className="h-7 bg-gray-200 rounded w-64 mb-6"></div>
+    <div className="h-40 bg-gray-200 rounded-md mb-4"></div>
+    <div className="h-64 bg-gray-200 rounded-md"></div>
+  </div>
+);
+
+export async function generateMetadata({ params }) {
+  const { orderNumber } = await params;
+
+  return {
+    title: `Commande ${orderNumber} | Buy It Now`,
+    description: "Détail de votre commande sur Buy It Now",
+    robots: {
+      index: false,
+      follow: false,
+      nocache: true,
+    },
+  };
+}
+
+/**
+ * Page de détail d'une commande (lien direct partageable par le support)
+ */
+const OrderDetailsPage = async ({ params }) => {
+  const { orderNumber } = await params;
+  const callbackUrl = `/me/orders/${encodeURIComponent(orderNumber)}`;
+
+  const user = await getAuthenticatedUser();
+  if (!user) {
+    return redirect(`/login?callbackUrl=${encodeURIComponent(callbackUrl)}`);
+  }
+
+  const result = await getOrder(orderNumber);
+
+  if (result.unauthorized) {
+    return redirect(`/login?callbackUrl=${encodeURIComponent(callbackUrl)}`);
+  }
+
+  if (result.notFound) {
+    logger.warn("Order detail not found", {
+      orderNumber,
+      action: "order_detail_not_found",
+    });
+    notFound();
+  }
+
+  if (!result.success) {
+    captureException(new Error(result.message), {
+      tags: { component: "OrderDetailsPage", action: "page_load" },
+      extra: { orderNumber },
+    });
+
+    return (
+      <div className="container max-w-6xl mx-auto px-4 py-8">
+        <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+          <h2 className="text-lg font-semibold text-red-700 mb-2">
+            Impossible de charger cette commande
+          </h2>
+          <p className="text-red-600">{result.message}</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container max-w-6xl mx-auto px-4 py-8">
+      <Suspense fallback={<OrderDetailsSkeleton />}>
+        <OrderDetails order={result.order} />
+      </Suspense>
+    </div>
+  );
+};
+
+export default OrderDetailsPage;
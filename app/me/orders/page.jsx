@@ -6,6 +6,7 @@ import { captureException } from "@/monitoring/sentry";
 import logger from "@/utils/logger";
 import { getCookieName } from "@/helpers/helpers";
 import { getAuthenticatedUser } from "@/lib/auth-utils";
+import { ORDER_HISTORY_PARAMS } from "@/helpers/validation/schemas/order";
 
 // Ajoutez après les imports
 export const dynamic = "force-dynamic";
@@ -82,6 +83,13 @@ const getAllOrders = async (searchParams) => {
       }
     }
 
+    // Filtres et tri transmis tels quels: l'API les valide
+    ORDER_HISTORY_PARAMS.filter((key) => key !== "page").forEach((key) => {
+      if (typeof searchParams?.[key] === "string" && searchParams[key]) {
+        urlParams[key] = searchParams[key];
+      }
+    });
+
     // 4. Construire l'URL de l'API
     const searchQuery = new URLSearchParams(urlParams).toString();
     const apiUrl = `${
@@ -125,6 +133,25 @@ const getAllOrders = async (searchParams) => {
         };
       }
 
+      // Filtres invalides: la liste propose de les réinitialiser
+      if (res.status === 400) {
+        const errorBody = await res.json().catch(() => ({}));
+        return {
+          success: false,
+          message: "Filtres invalides",
+          data: {
+            orders: [],
+            totalPages: 0,
+            currentPage: 1,
+            count: 0,
+            paidCount: 0,
+            unpaidCount: 0,
+            totalAmountOrders: { totalAmount: 0, orderCount: 0 },
+            filterErrors: errorBody.errors || {},
+          },
+        };
+      }
+
       if (res.status === 404) {
         return {
           success: true,
@@ -201,9 +228,12 @@ const getAllOrders = async (searchParams) => {
         totalPages: responseBody.data.totalPages || 0,
         currentPage: responseBody.data.currentPage || urlParams.page || 1,
         count: responseBody.data.count || 0,
-        perPage: responseBody.data.perPage || 2,
+        filteredCount: responseBody.data.filteredCount || 0,
+        perPage: responseBody.data.perPage,
+        sort: responseBody.data.sort,
         paidCount: responseBody.data.paidCount || 0,
         unpaidCount: responseBody.data.unpaidCount || 0,
+        pendingCashCount: responseBody.data.pendingCashCount || 0,
         totalAmountOrders: responseBody.data.totalAmountOrders || {
           totalAmount: 0,
           orderCount: 0,
@@ -275,7 +305,8 @@ export const metadata = {
 /**
  * Page d'affichage de l'historique des commandes
  */
-const MyOrdersPage = async ({ searchParams }) => {
+const MyOrdersPage = async (props) => {
+  const searchParams = await props.searchParams;
   const requestId = `orderspage-${Date.now().toString(36)}-${Math.random()
     .toString(36)
     .substring(2, 7)}`;
@@ -302,6 +333,7 @@ const MyOrdersPage = async ({ searchParams }) => {
 
     // Récupérer les commandes
     const sanitizedSearchParams = {
+      ...searchParams,
       page: searchParams?.page || 1,
     };
 
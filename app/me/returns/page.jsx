@@ -0,0 +1,162 @@
+import { lazy, Suspense } from "react";
+import { cookies } from "next/headers";
+import { redirect } from "next/navigation";
+import { captureException } from "@/monitoring/sentry";
+
+import { getCookieName } from "@/helpers/helpers";
+import { getAuthenticatedUser } from "@/lib/auth-utils";
+
+export const dynamic = "force-dynamic";
+
+// Chargement dynamique avec fallback
+const ListReturns = lazy(() => import("@/components/orders/ListReturns"));
+
+const EMPTY_RETURNS = { returns: [], totalPages: 0, currentPage: 1, count: 0 };
+
+/**
+ * Récupère les demandes de retour de l'utilisateur connecté
+ * @param {number} page - Page demandée
+ * @returns {Promise<Object>} { success, data, message, unauthorized }
+ */
+const getReturns = async (page) => {
+  try {
+    // 1. Obtenir le cookie d'authentification
+    const nextCookies = await cookies();
+    const cookieName = getCookieName();
+    const authToken = nextCookies.get(cookieName);
+
+    if (!authToken) {
+      return { success: false, unauthorized: true, data: EMPTY_RETURNS };
+    }
+
+    // 2. Construire l'URL de l'API
+    const apiUrl = `${
+      process.env.API_URL || "https://buyitnow-next15-client-bs.vercel.app"
+    }/api/orders/me/returns?page=${page}`;
+
+    // 3. Faire l'appel API avec timeout
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 8000);
+
+    const res = await fetch(apiUrl, {
+      signal: controller.signal,
+      headers: {
+        Cookie: `${authToken.name}=${authToken.value}`,
+      },
+      next: {
+        revalidate: 0,
+        tags: ["user-returns"],
+      },
+    });
+
+    clearTimeout(timeoutId);
+
+    // 4. Vérifier le statut HTTP
+    if (!res.ok) {
+      if (res.status === 401) {
+        return { success: false, unauthorized: true, data: EMPTY_RETURNS };
+      }
+
+      console.error(`API Error: ${res.status} - ${res.statusText}`);
+      return {
+        success: false,
+        message: "Erreur lors de la récupération de vos retours",
+        data: EMPTY_RETURNS,
+      };
+    }
+
+    // 5. Parser et vérifier la réponse
+    const responseBody = await res.json();
+
+    if (!responseBody.success || !responseBody.data) {
+      console.error("Invalid API response structure:", responseBody);
+      return {
+        success: false,
+        message: responseBody.message || "Réponse API invalide",
+        data: EMPTY_RETURNS,
+      };
+    }
+
+    return { success: true, data: responseBody.data };
+  } catch (error) {
+    if (error.name === "AbortError") {
+      console.error("Request timeout after 8 seconds");
+      return {
+        success: false,
+        message: "La requête a pris trop de temps",
+        data: EMPTY_RETURNS,
+      };
+    }
+
+    console.error("Network error:", error.message);
+    return {
+      success: false,
+      message: "Problème de connexion réseau",
+      data: EMPTY_RETURNS,
+    };
+  }
+};
+
+// Composant de chargement dédié
+const ReturnsPageSkeleton = () => (
+  <div className="animate-pulse p-4">
+    <div className="h-7 bg-gray-200 rounded w-48 mb-6"></div>
+    {[...Array(2)].map((_, i) => (
+      <div key={i} className="h-48 bg-gray-200 rounded-md mb-4"></div>
+    ))}
+  </div>
+);
+
+export const metadata = {
+  title: "Mes retours | Buy It Now",
+  description: "Suivez vos demandes de retour et de remboursement",
+  robots: {
+    index: false,
+    follow: false,
+    nocache: true,
+  },
+  alternates: {
+    canonical: "/me/returns",
+  },
+};
+
+/**
+ * Page de suivi des demandes de retour / remboursement
+ */
+const MyReturnsPage = async (props) => {
+  const searchParams = await props.searchParams;
+  const parsedPage = parseInt(searchParams?.page, 10);
+  const page = parsedPage > 0 && parsedPage <= 1000 ? parsedPage : 1;
+
+  const user = await getAuthenticatedUser();
+  if (!user) {
+    return redirect("/login?callbackUrl=/me/returns");
+  }
+
+  const result = await getReturns(page);
+
+  if (result.unauthorized) {
+    return redirect("/login?callbackUrl=/me/returns");
+  }
+
+  if (!result.success) {
+    captureException(new Error(result.message), {
+      tags: { component: "MyReturnsPage", action: "page_load" },
+      extra: { page },
+    });
+  }
+
+  return (
+    <div className="container max-w-6xl mx-auto px-4 py-8">
+      <h1 className="text-2xl font-semibold mb-6">Mes retours</h1>
+      <Suspense fallback={<ReturnsPageSkeleton />}>
+        <ListReturns
+          data={result.data}
+          message={result.success ? null : result.message}
+        />
+      </Suspense>
+    </div>
+  );
+};
+
+export default MyReturnsPage;
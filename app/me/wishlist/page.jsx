@@ -0,0 +1,53 @@
+import { lazy, Suspense } from "react";
+import { redirect } from "next/navigation";
+import { getAuthenticatedUser } from "@/lib/auth-utils";
+
+export const dynamic = "force-dynamic";
+
+// Chargement dynamique avec fallback
+const Wishlist = lazy(() => import("@/components/user/Wishlist"));
+
+// Composant de chargement dédié
+const WishlistPageSkeleton = () => (
+  <div className="animate-pulse p-4">
+    <div className="h-7 bg-gray-200 rounded w-48 mb-6"></div>
+    {[...Array(3)].map((_, i) => (
+      <div key={i} className="h-24 bg-gray-200 rounded-md mb-4"></div>
+    ))}
+  </div>
+);
+
+export const metadata = {
+  title: "Mes favoris | Buy It Now",
+  description: "Retrouvez les produits que vous avez mis de côté",
+  robots: {
+    index: false,
+    follow: false,
+    nocache: true,
+  },
+  alternates: {
+    canonical: "/me/wishlist",
+  },
+};
+
+/**
+ * Page de la liste de souhaits: prix et stock actuels des produits enregistrés
+ * (données chargées par WishlistContext)
+ */
+const MyWishlistPage = async () => {
+  const user = await getAuthenticatedUser();
+  if (!user) {
+    return redirect("/login?callbackUrl=/me/wishlist");
+  }
+
+  return (
+    <div className="container max-w-6xl mx-auto px-4 py-8">
+      <h1 className="text-2xl font-semibold mb-6">Mes favoris</h1>
+      <Suspense fallback={<WishlistPageSkeleton />}>
+        <Wishlist />
+      </Suspense>
+    </div>
+  );
+};
+
+export default MyWishlistPage;
@@ -0,0 +1,66 @@
+import { Suspense, lazy } from "react";
+import { cookies } from "next/headers";
+import { redirect } from "next/navigation";
+import { captureException } from "@/monitoring/sentry";
+import { getDeliveryZones } from "@/backend/config/delivery";
+import PaymentPageSkeleton from "@/components/skeletons/PaymentPageSkeleton";
+
+// Forcer le rendu dynamique pour cette page
+export const dynamic = "force-dynamic";
+
+// Lazy loading du composant Shipping
+const Shipping = lazy(() => import("@/components/cart/Shipping"));
+
+export const metadata = {
+  title: "Mode de livraison | Buy It Now",
+  description:
+    "Choisissez entre le retrait en magasin et la livraison à domicile",
+  robots: {
+    index: false,
+    follow: false,
+  },
+  alternates: {
+    canonical: "/shipping",
+  },
+};
+
+/**
+ * Page de choix du mode de remise - Server Component
+ * Les zones et frais de livraison viennent de la configuration serveur
+ */
+const ShippingPage = async () => {
+  // Vérification de l'authentification côté serveur
+  // (hors du try: redirect() lève une exception interceptée par Next)
+  const cookieStore = await cookies();
+  const sessionCookie =
+    cookieStore.get("__Secure-.session_token") ||
+    cookieStore.get("__Secure-__Secure-.session_token");
+
+  if (!sessionCookie) {
+    redirect("/login?callbackUrl=/shipping");
+  }
+
+  try {
+    return (
+      <div
+        className="shipping-page"
+        itemScope
+        itemType="https://schema.org/WebPage"
+      >
+        <meta itemProp="name" content="Livraison" />
+        <Suspense fallback={<PaymentPageSkeleton />}>
+          <Shipping deliveryZones={getDeliveryZones()} />
+        </Suspense>
+      </div>
+    );
+  } catch (error) {
+    console.error("Error in shipping page:", error);
+    captureException(error, {
+      tags: { component: "ShippingPage" },
+    });
+
+    return redirect("/cart");
+  }
+};
+
+export default ShippingPage;
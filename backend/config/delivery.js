@@ -0,0 +1,122 @@
+/**
+ * Zones de livraison à domicile et frais associés (en Fdj)
+ *
+ * Les frais par défaut peuvent être surchargés sans redéploiement via
+ * DELIVERY_ZONE_FEES, un objet JSON { "<id de zone>": <frais> }
+ * (ex: DELIVERY_ZONE_FEES='{"djibouti-centre":300,"obock":6000}')
+ */
+const DEFAULT_DELIVERY_ZONES = [
+  {
+    id: "djibouti-centre",
+    label: "Djibouti-ville - Centre",
+    description: "Plateau, Héron, Quartiers 1 à 7",
+    area: "city",
+    fee: 500,
+  },
+  {
+    id: "djibouti-peripherie",
+    label: "Djibouti-ville - Périphérie",
+    description: "Balbala, PK12, Hayableh, Doraleh",
+    area: "city",
+    fee: 1000,
+  },
+  {
+    id: "arta",
+    label: "Région d'Arta",
+    description: "Arta, Wea, Loyada",
+    area: "region",
+    fee: 2000,
+  },
+  {
+    id: "ali-sabieh",
+    label: "Région d'Ali Sabieh",
+    description: "Ali Sabieh, Holhol",
+    area: "region",
+    fee: 3000,
+  },
+  {
+    id: "dikhil",
+    label: "Région de Dikhil",
+    description: "Dikhil, As Eyla, Yoboki",
+    area: "region",
+    fee: 3000,
+  },
+  {
+    id: "tadjourah",
+    label: "Région de Tadjourah",
+    description: "Tadjourah, Randa",
+    area: "region",
+    fee: 4000,
+  },
+  {
+    id: "obock",
+    label: "Région d'Obock",
+    description: "Obock, Khor Angar",
+    area: "region",
+    fee: 5000,
+  },
+];
+
+/**
+ * Lit les surcharges de frais depuis l'environnement
+ * Une configuration invalide est ignorée pour ne pas bloquer les commandes
+ * @returns {Object} Frais par id de zone
+ */
+const getFeeOverrides = () => {
+  if (!process.env.DELIVERY_ZONE_FEES) return {};
+
+  try {
+    const overrides = JSON.parse(process.env.DELIVERY_ZONE_FEES);
+    return overrides && typeof overrides === "object" ? overrides : {};
+  } catch {
+    console.error("Invalid DELIVERY_ZONE_FEES, using default delivery fees");
+    return {};
+  }
+};
+
+/**
+ * Frais surchargés valides: nombre fini >= 0 (ou chaîne numérique non vide)
+ * null, "" ou une valeur non numérique ne doivent pas rendre la zone gratuite
+ * @param {*} value - Valeur lue dans DELIVERY_ZONE_FEES
+ * @returns {number|null} null si la surcharge est invalide
+ */
+const parseFeeOverride = (value) => {
+  if (typeof value === "string" && value.trim() !== "") {
+    value = Number(value);
+  }
+
+  return typeof value === "number" && Number.isFinite(value) && value >= 0
+    ? value
+    : null;
+};
+
+/**
+ * Retourne les zones de livraison avec les frais en vigueur
+ * @returns {Array<{id: string, label: string, description: string, area: string, fee: number}>}
+ */
+export const getDeliveryZones = () => {
+  const overrides = getFeeOverrides();
+
+  return DEFAULT_DELIVERY_ZONES.map((zone) => {
+    if (!(zone.id in overrides)) return zone;
+
+    const override = parseFeeOverride(overrides[zone.id]);
+
+    if (override === null) {
+      console.error(
+        `Invalid DELIVERY_ZONE_FEES value for zone "${zone.id}", using default fee`,
+      );
+      return zone;
+    }
+
+    return { ...zone, fee: override };
+  });
+};
+
+/**
+ * Retourne une zone de livraison par son identifiant
+ * @param {string} zoneId - Identifiant de la zone
+ * @returns {Object|null}
+ */
+export const getDeliveryZone = (zoneId) =>
+  getDeliveryZones().find((zone) => zone.id === zoneId) || null;
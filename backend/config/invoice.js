@@ -0,0 +1,29 @@
+/**
+ * Informations vendeur imprimées sur les factures
+ *
+ * Chaque champ peut être surchargé par une variable d'environnement
+ * (INVOICE_SELLER_NAME, INVOICE_SELLER_ADDRESS, INVOICE_SELLER_PHONE,
+ * INVOICE_SELLER_EMAIL, INVOICE_SELLER_TAX_ID)
+ */
+const DEFAULT_SELLER = {
+  name: "BuyItNow",
+  address: "Djibouti-ville, République de Djibouti",
+  phone: "",
+  email: "",
+  taxId: "",
+};
+
+// Devise des factures (les montants des commandes sont en francs Djibouti)
+export const INVOICE_CURRENCY = "DJF";
+
+/**
+ * Retourne les informations vendeur à imprimer sur une facture
+ * @returns {{name: string, address: string, phone: string, email: string, taxId: string}}
+ */
+export const getSellerDetails = () => ({
+  name: process.env.INVOICE_SELLER_NAME || DEFAULT_SELLER.name,
+  address: process.env.INVOICE_SELLER_ADDRESS || DEFAULT_SELLER.address,
+  phone: process.env.INVOICE_SELLER_PHONE || DEFAULT_SELLER.phone,
+  email: process.env.INVOICE_SELLER_EMAIL || DEFAULT_SELLER.email,
+  taxId: process.env.INVOICE_SELLER_TAX_ID || DEFAULT_SELLER.taxId,
+});
@@ -17,9 +17,14 @@ const cartSchema = new mongoose.Schema(
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
       index: true, // Indexer pour des recherches plus rapides
     },
+    // Panier invité: identifiant du cookie signé (voir utils/guestCart)
+    guestId: {
+      type: String,
+      trim: true,
+      maxlength: [64, "Identifiant de panier invalide"],
+    },
     price: {
       type: Number,
       required: true, // Stocker le prix au moment de l'ajout au panier
@@ -38,10 +43,10 @@ const cartSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    // Repoussé à chaque activité sur le panier (voir utils/cartExpiry)
     expiresAt: {
       type: Date,
       default: () => new Date(+new Date() + 7 * 24 * 60 * 60 * 1000), // Expire après 7 jours par défaut
-      index: true, // Indexer pour faciliter le nettoyage
     },
   },
   {
@@ -50,8 +55,43 @@ const cartSchema = new mongoose.Schema(
   },
 );
 
-// Index composé pour rechercher rapidement les articles du panier d'un utilisateur
-cartSchema.index({ user: 1, product: 1 }, { unique: true });
+// Index composés: une seule ligne par produit dans un panier utilisateur ou invité
+// Noms explicites: remplacent les anciens index user_1_product_1 et expiresAt_1
+// (voir scripts/migrate-cart-indexes.mjs pour les bases existantes)
+cartSchema.index(
+  { user: 1, product: 1 },
+  {
+    name: "user_product_unique",
+    unique: true,
+    partialFilterExpression: { user: { $exists: true } },
+  },
+);
+cartSchema.index(
+  { guestId: 1, product: 1 },
+  {
+    name: "guest_product_unique",
+    unique: true,
+    partialFilterExpression: { guestId: { $exists: true } },
+  },
+);
+
+// Les paniers invités sont supprimés par MongoDB à leur expiration, les
+// paniers utilisateurs par le job de purge (route /api/cron/cart-cleanup)
+cartSchema.index(
+  { expiresAt: 1 },
+  {
+    name: "guest_cart_ttl",
+    expireAfterSeconds: 0,
+    partialFilterExpression: { guestId: { $exists: true } },
+  },
+);
+
+// Un article appartient soit à un utilisateur, soit à un panier invité
+cartSchema.pre("validate", function () {
+  if (!this.user === !this.guestId) {
+    throw new Error("Un article doit appartenir à un utilisateur ou un invité");
+  }
+});
 
 // Méthode virtuelle pour calculer le sous-total
 cartSchema.virtual("subtotal").get(function () {
@@ -76,39 +116,37 @@ cartSchema.statics.findByUser = function (userId) {
 };
 
 // Middleware pre-save pour valider la disponibilité du stock
-cartSchema.pre("save", async function (next) {
+// (Mongoose 9: les hooks ne reçoivent plus next, les erreurs sont levées)
+cartSchema.pre("save", async function () {
   if (this.isNew || this.isModified("quantity")) {
-    // Vous pourriez vérifier ici si le stock est suffisant
-    // Ce code dépend de votre modèle Product
-    try {
-      const Product = mongoose.model("Product");
-      const product = await Product.findById(this.product);
+    const Product = mongoose.model("Product");
+    const product = await Product.findById(this.product);
 
-      if (!product) {
-        return next(new Error("Produit non trouvé"));
-      }
+    if (!product) {
+      throw new Error("Produit non trouvé");
+    }
 
-      if (product.stock < this.quantity) {
-        return next(
-          new Error(`Stock insuffisant. Disponible: ${product.stock}`),
-        );
-      }
-    } catch (error) {
-      return next(error);
+    if (product.stock < this.quantity) {
+      throw new Error(`Stock insuffisant. Disponible: ${product.stock}`);
     }
   }
-  next();
 });
 
 // Middleware pour mettre à jour le champ updatedAt automatiquement
-cartSchema.pre("save", function (next) {
+cartSchema.pre("save", function () {
   this.updatedAt = Date.now();
-  next();
 });
 
-// Middleware pour supprimer les articles expirés
-cartSchema.statics.removeExpiredItems = function () {
-  return this.deleteMany({ expiresAt: { $lt: new Date() } });
+// Méthode statique pour supprimer les articles expirés
+// (voir utils/cartExpiry: les paniers en cours de paiement sont exclus)
+cartSchema.statics.removeExpiredItems = function (
+  now = new Date(),
+  excludedUserIds = [],
+) {
+  return this.deleteMany({
+    expiresAt: { $lt: now },
+    ...(excludedUserIds.length > 0 && { user: { $nin: excludedUserIds } }),
+  });
 };
 
 // Configurer le modèle pour qu'il utilise les options de toJSON
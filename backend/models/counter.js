@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+/**
+ * Compteurs atomiques (numéros de commande, de facture, ...)
+ * Un document par séquence: { _id: "order-ORD-20250101", seq: 42 }
+ */
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: [true, "Nom du compteur obligatoire"],
+      trim: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+      min: [0, "La séquence ne peut pas être négative"],
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    versionKey: false,
+  },
+);
+
+/**
+ * Incrémente atomiquement une séquence et retourne la nouvelle valeur
+ * Le compteur est créé à la volée (upsert) à sa première utilisation
+ *
+ * @param {string} name - Nom de la séquence
+ * @param {Object} [options]
+ * @param {mongoose.ClientSession} [options.session] - Session de transaction
+ * @returns {Promise<number>} Valeur de la séquence après incrément
+ */
+counterSchema.statics.nextSequence = async function (name, { session } = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 }, $set: { updatedAt: new Date() } },
+    { new: true, upsert: true, session },
+  ).lean();
+
+  return counter.seq;
+};
+
+const Counter =
+  mongoose.models.Counter || mongoose.model("Counter", counterSchema);
+
+export default Counter;
@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+
+// Durée de conservation d'une clé d'idempotence (24 heures)
+export const IDEMPOTENCY_KEY_TTL_SECONDS = 24 * 60 * 60;
+
+// Durée de validité d'une clé "processing" (60 secondes): au-delà, la
+// requête d'origine est considérée comme interrompue et la clé reprise
+export const IDEMPOTENCY_LEASE_SECONDS = 60;
+
+/**
+ * Clés d'idempotence des requêtes sensibles (création de commande)
+ * Stocke l'empreinte de la requête et la réponse renvoyée au client
+ * afin de pouvoir rejouer exactement la même réponse en cas de renvoi
+ */
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, "Clé d'idempotence obligatoire"],
+      trim: true,
+      maxlength: [255, "La clé ne peut pas dépasser 255 caractères"],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Utilisateur obligatoire"],
+    },
+    scope: {
+      type: String,
+      required: [true, "Portée obligatoire"],
+      trim: true,
+    },
+    fingerprint: {
+      type: String,
+      required: [true, "Empreinte de la requête obligatoire"],
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ["processing", "completed"],
+        message: "Statut non valide: {VALUE}",
+      },
+      default: "processing",
+    },
+    responseStatus: {
+      type: Number,
+    },
+    responseBody: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      expires: IDEMPOTENCY_KEY_TTL_SECONDS,
+    },
+    // Début du traitement en cours (renouvelé à chaque reprise de la clé)
+    lockedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    versionKey: false,
+  },
+);
+
+// Une clé n'est unique que pour un utilisateur et un type d'opération
+idempotencyKeySchema.index({ user: 1, scope: 1, key: 1 }, { unique: true });
+
+const IdempotencyKey =
+  mongoose.models.IdempotencyKey ||
+  mongoose.model("IdempotencyKey", idempotencyKeySchema);
+
+export default IdempotencyKey;
@@ -1,6 +1,83 @@
 import mongoose from "mongoose";
 import logger from "@/utils/logger";
 import { captureException } from "@/monitoring/sentry";
+import Counter from "./counter";
+import { generatePickupCode } from "@/backend/utils/pickupCode";
+
+// Statuts de paiement pour lesquels le client peut encore annuler sa commande
+export const CANCELLABLE_PAYMENT_STATUSES = ["unpaid", "pending_cash"];
+
+/**
+ * Cycle de vie logistique d'une commande (indépendant du paiement)
+ * placed → preparing → ready_for_pickup | shipped → delivered
+ * L'annulation n'est possible qu'avant la remise au transporteur
+ */
+export const FULFILLMENT_TRANSITIONS = {
+  placed: ["preparing", "cancelled"],
+  preparing: ["ready_for_pickup", "shipped", "cancelled"],
+  ready_for_pickup: ["delivered", "cancelled"],
+  shipped: ["delivered"],
+  delivered: [],
+  cancelled: [],
+};
+
+export const FULFILLMENT_STATUSES = Object.keys(FULFILLMENT_TRANSITIONS);
+
+// Modes de remise: retrait en magasin ou livraison à domicile
+export const FULFILLMENT_METHODS = ["pickup", "delivery"];
+
+/**
+ * Transitions autorisées du statut de paiement
+ * Paiement mobile: unpaid → processing → paid | failed
+ * Paiement CASH: pending_cash → paid (encaissement au retrait)
+ */
+export const PAYMENT_TRANSITIONS = {
+  unpaid: ["processing", "failed"],
+  processing: ["paid", "failed"],
+  failed: ["processing"],
+  pending_cash: ["paid"],
+  paid: ["refunded"],
+  refunded: [],
+};
+
+/**
+ * Erreur levée lors d'une transition de statut non autorisée
+ */
+export class OrderTransitionError extends Error {
+  constructor(from, to) {
+    super(`Transition de statut non autorisée: ${from} → ${to}`);
+    this.name = "OrderTransitionError";
+    this.from = from;
+    this.to = to;
+  }
+}
+
+// Format public d'un numéro de commande (ex: ORD-20250101-00001)
+export const ORDER_NUMBER_REGEX = /^[A-Z0-9]+-\d{8}-\d+$/;
+
+/**
+ * Préfixe des numéros de commande, configurable via ORDER_NUMBER_PREFIX
+ * Limité aux majuscules et chiffres pour rester compatible avec le format
+ * @returns {string}
+ */
+export const getOrderNumberPrefix = () => {
+  const prefix = (process.env.ORDER_NUMBER_PREFIX || "ORD")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "")
+    .slice(0, 10);
+
+  return prefix || "ORD";
+};
+
+/**
+ * Construit un numéro de commande PREFIX-YYYYMMDD-NNNNN
+ * @param {string} prefix - Préfixe (ex: ORD)
+ * @param {string} datePart - Date au format YYYYMMDD
+ * @param {number} sequence - Séquence journalière
+ * @returns {string}
+ */
+export const formatOrderNumber = (prefix, datePart, sequence) =>
+  `${prefix}-${datePart}-${sequence.toString().padStart(5, "0")}`;
 
 /**
  * Schéma détaillé pour les produits dans une commande
@@ -100,6 +177,11 @@ const paymentInfoSchema = new mongoose.Schema({
       return this.typePayment === "CASH";
     },
   },
+  providerTransactionId: {
+    type: String,
+    trim: true,
+    maxlength: [100, "La référence ne peut pas dépasser 100 caractères"],
+  },
   cashPaymentNote: {
     type: String,
     default: function () {
@@ -110,6 +192,125 @@ const paymentInfoSchema = new mongoose.Schema({
   },
 });
 
+/**
+ * Preuve de paiement transmise par le client (référence + capture du reçu)
+ * La référence est unique sur l'ensemble des commandes
+ */
+const paymentProofSchema = new mongoose.Schema(
+  {
+    reference: {
+      type: String,
+      required: [true, "Référence de transaction obligatoire"],
+      trim: true,
+      uppercase: true,
+      maxlength: [50, "La référence ne peut pas dépasser 50 caractères"],
+    },
+    receipt: {
+      publicId: {
+        type: String,
+        required: [true, "Reçu obligatoire"],
+      },
+      url: {
+        type: String,
+        required: [true, "Reçu obligatoire"],
+      },
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Entrée de l'historique des statuts (append-only)
+ * Les champs sont immuables: une entrée enregistrée ne peut plus être modifiée
+ */
+const statusHistorySchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      required: [true, "Statut obligatoire"],
+      enum: {
+        values: FULFILLMENT_STATUSES,
+        message: "Statut de commande non valide: {VALUE}",
+      },
+      immutable: true,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+      immutable: true,
+    },
+    actor: {
+      type: {
+        type: String,
+        enum: {
+          values: ["customer", "staff", "system"],
+          message: "Type d'acteur non valide: {VALUE}",
+        },
+        default: "system",
+        immutable: true,
+      },
+      id: {
+        type: String,
+        immutable: true,
+      },
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [100, "Le nom ne peut pas dépasser 100 caractères"],
+        immutable: true,
+      },
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, "La note ne peut pas dépasser 200 caractères"],
+      immutable: true,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Adresse de livraison figée au moment de la commande
+ * Copie de l'adresse du profil: une modification ultérieure du profil
+ * ne change pas les commandes existantes
+ */
+const shippingAddressSchema = new mongoose.Schema(
+  {
+    street: {
+      type: String,
+      required: [true, "Rue obligatoire"],
+      trim: true,
+      maxlength: [200, "La rue ne peut pas dépasser 200 caractères"],
+    },
+    city: {
+      type: String,
+      required: [true, "Ville obligatoire"],
+      trim: true,
+      maxlength: [100, "La ville ne peut pas dépasser 100 caractères"],
+    },
+    country: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Le pays ne peut pas dépasser 100 caractères"],
+    },
+    zone: {
+      type: String,
+      required: [true, "Zone de livraison obligatoire"],
+      trim: true,
+    },
+    zoneLabel: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false },
+);
+
 /**
  * Schéma de commande complet avec validation, indexation et relations
  */
@@ -127,6 +328,7 @@ const orderSchema = new mongoose.Schema(
     },
     orderItems: [orderItemSchema],
     paymentInfo: paymentInfoSchema,
+    paymentProof: paymentProofSchema,
     paymentStatus: {
       type: String,
       enum: {
@@ -148,10 +350,74 @@ const orderSchema = new mongoose.Schema(
       },
       index: true,
     },
+    fulfillmentStatus: {
+      type: String,
+      enum: {
+        values: FULFILLMENT_STATUSES,
+        message: "Statut de commande non valide: {VALUE}",
+      },
+      default: "placed",
+      index: true,
+    },
+    statusHistory: {
+      type: [statusHistorySchema],
+      default: [],
+    },
+    fulfillmentMethod: {
+      type: String,
+      enum: {
+        values: FULFILLMENT_METHODS,
+        message: "Mode de remise non valide: {VALUE}",
+      },
+      default: "pickup",
+    },
+    shippingAddress: {
+      type: shippingAddressSchema,
+      required: [
+        function () {
+          return this.fulfillmentMethod === "delivery";
+        },
+        "Adresse de livraison obligatoire",
+      ],
+    },
+    deliveryFee: {
+      type: Number,
+      default: 0,
+      min: [0, "Les frais de livraison ne peuvent pas être négatifs"],
+      set: (val) => Math.round(val * 100) / 100,
+    },
     totalAmount: {
       type: Number,
       min: [0, "Le montant total ne peut pas être négatif"],
     },
+    // Code de retrait des commandes CASH (présenté au staff avec le QR code)
+    pickupCode: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    // Encaissement CASH vérifié par le staff
+    cashCollection: {
+      collectedAt: Date,
+      collectedBy: {
+        id: String,
+        name: String,
+        role: String,
+      },
+      method: {
+        type: String,
+        enum: ["code", "qr"],
+      },
+    },
+    // Facture émise à la première demande (numérotation annuelle continue)
+    invoiceNumber: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    invoicedAt: {
+      type: Date,
+    },
     cancelReason: {
       type: String,
       trim: true,
@@ -170,9 +436,26 @@ const orderSchema = new mongoose.Schema(
     paidAt: {
       type: Date,
     },
+    // Date limite de paiement des commandes non-CASH
+    // (annulation automatique au-delà, voir backend/utils/paymentDeadline.js)
+    paymentDueAt: {
+      type: Date,
+    },
+    // Passage en "processing" (preuve transmise ou paiement en cours chez
+    // l'opérateur): point de départ du délai de confirmation
+    paymentProcessingAt: {
+      type: Date,
+    },
     cancelledAt: {
       type: Date,
     },
+    // Cumul des retours remboursés (le statut passe à "refunded"
+    // lorsque tous les articles ont été remboursés)
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "Le montant remboursé ne peut pas être négatif"],
+    },
   },
   {
     timestamps: {
@@ -202,42 +485,50 @@ const orderSchema = new mongoose.Schema(
 // orderSchema.index({ "user.userId": 1, createdAt: -1 });
 orderSchema.index({ paymentStatus: 1, createdAt: -1 });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ paymentStatus: 1, paymentDueAt: 1 });
+orderSchema.index({ paymentStatus: 1, paymentProcessingAt: 1 });
+orderSchema.index(
+  { "paymentProof.reference": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "paymentProof.reference": { $type: "string" } },
+  },
+);
 
-// Créer un identifiant unique au format ORD-YYYYMMDD-XXXXX
-orderSchema.pre("save", async function (next) {
-  if (this.isNew) {
-    try {
-      const date = new Date();
-      const datePart = date.toISOString().slice(0, 10).replace(/-/g, "");
+// Créer un identifiant unique au format PREFIX-YYYYMMDD-NNNNN
+// La séquence journalière provient d'un compteur atomique incrémenté
+// dans la même transaction que la création de la commande
+orderSchema.pre("save", async function () {
+  if (this.isNew && !this.orderNumber) {
+    const prefix = getOrderNumberPrefix();
+    const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, "");
 
-      const lastOrder = await this.constructor
-        .findOne(
-          {
-            orderNumber: new RegExp(`ORD-${datePart}-\\d+`),
-          },
-          { orderNumber: 1 },
-        )
-        .sort({ orderNumber: -1 });
-
-      let sequence = 1;
-      if (lastOrder && lastOrder.orderNumber) {
-        const lastSequence = parseInt(
-          lastOrder.orderNumber.split("-")[2] || "0",
-        );
-        sequence = lastSequence + 1;
-      }
+    try {
+      const sequence = await Counter.nextSequence(
+        `order-${prefix}-${datePart}`,
+        { session: this.$session() },
+      );
 
-      this.orderNumber = `ORD-${datePart}-${sequence.toString().padStart(5, "0")}`;
+      this.orderNumber = formatOrderNumber(prefix, datePart, sequence);
     } catch (error) {
-      logger.error("Erreur lors de la génération du numéro de commande", {
-        error: error.message,
-        userId: this.user?.userId,
-      });
+      // Sans numéro garanti unique, la commande n'est pas créée; les conflits
+      // transitoires sont rejoués par withTransaction
+      if (!error.hasErrorLabel?.("TransientTransactionError")) {
+        logger.error("Erreur lors de la génération du numéro de commande", {
+          error: error.message,
+          userId: this.user?.toString(),
+        });
+
+        captureException(error, {
+          tags: { component: "order-model", operation: "order-number" },
+        });
+      }
 
-      const timestamp = Date.now().toString();
-      this.orderNumber = `ORD-${timestamp.substring(0, 8)}-${timestamp.substring(8)}`;
+      throw error;
     }
+  }
 
+  if (this.isNew) {
     if (this.orderItems && this.orderItems.length > 0) {
       this.orderItems.forEach((item) => {
         if (!item.subtotal) {
@@ -250,20 +541,37 @@ orderSchema.pre("save", async function (next) {
     if (this.paymentInfo?.typePayment === "CASH" && !this.paymentStatus) {
       this.paymentStatus = "pending_cash";
     }
+
+    // Code de retrait vérifié par le staff lors de l'encaissement
+    if (this.paymentInfo?.typePayment === "CASH" && !this.pickupCode) {
+      this.pickupCode = generatePickupCode();
+    }
+
+    // Première entrée de l'historique: commande passée par le client
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({
+        status: this.fulfillmentStatus || "placed",
+        actor: { type: "customer", id: this.user?.toString() },
+      });
+    }
   }
 
   this.updatedAt = Date.now();
-  next();
 });
 
 // Vérifier la cohérence des données avant sauvegarde
-orderSchema.pre("save", function (next) {
-  if (this.isModified("orderItems") || this.isNew) {
+orderSchema.pre("save", function () {
+  if (
+    this.isModified("orderItems") ||
+    this.isModified("deliveryFee") ||
+    this.isNew
+  ) {
     const itemsTotal = this.orderItems.reduce(
       (sum, item) => sum + (item.subtotal || item.price * item.quantity),
       0,
     );
-    this.totalAmount = itemsTotal;
+    this.totalAmount =
+      Math.round((itemsTotal + (this.deliveryFee || 0)) * 100) / 100;
   }
 
   if (
@@ -273,8 +581,20 @@ orderSchema.pre("save", function (next) {
   ) {
     this.paidAt = Date.now();
   }
+});
 
-  next();
+// Mémoriser la taille de l'historique chargé pour garantir l'append-only
+orderSchema.post("init", function (doc) {
+  doc.$locals.statusHistoryLength = doc.statusHistory?.length || 0;
+});
+
+orderSchema.pre("save", function () {
+  if (
+    !this.isNew &&
+    this.statusHistory.length < (this.$locals.statusHistoryLength || 0)
+  ) {
+    throw new Error("L'historique des statuts ne peut pas être réécrit");
+  }
 });
 
 // Mettre à jour le stock après création d'une commande
@@ -311,11 +631,13 @@ orderSchema.post("save", async function () {
   }
 });
 
-// Méthode pour calculer le total de la commande
+// Méthode pour calculer le total de la commande (articles + livraison)
 orderSchema.methods.calculateTotal = function () {
-  return this.orderItems.reduce(
-    (sum, item) => sum + (item.subtotal || item.price * item.quantity),
-    0,
+  return (
+    this.orderItems.reduce(
+      (sum, item) => sum + (item.subtotal || item.price * item.quantity),
+      0,
+    ) + (this.deliveryFee || 0)
   );
 };
 
@@ -327,6 +649,87 @@ orderSchema.methods.isCashPayment = function () {
   );
 };
 
+// Méthode pour vérifier si une transition de statut est autorisée
+orderSchema.methods.canTransitionTo = function (nextStatus) {
+  const current = this.fulfillmentStatus || "placed";
+  return (FULFILLMENT_TRANSITIONS[current] || []).includes(nextStatus);
+};
+
+/**
+ * Fait avancer la commande dans son cycle de vie logistique
+ * @param {string} nextStatus - Statut cible
+ * @param {Object} actor - { type: customer|staff|system, id, name }
+ * @param {string} [note] - Commentaire optionnel (ex: raison d'annulation)
+ * @throws {OrderTransitionError} Si la transition n'est pas autorisée
+ */
+orderSchema.methods.transitionTo = function (
+  nextStatus,
+  actor = { type: "system" },
+  note,
+) {
+  const current = this.fulfillmentStatus || "placed";
+
+  if (!this.canTransitionTo(nextStatus)) {
+    throw new OrderTransitionError(current, nextStatus);
+  }
+
+  const changedAt = new Date();
+
+  this.fulfillmentStatus = nextStatus;
+  this.statusHistory.push({
+    status: nextStatus,
+    changedAt,
+    actor: {
+      type: actor.type,
+      id: actor.id?.toString(),
+      name: actor.name,
+    },
+    note,
+  });
+
+  if (nextStatus === "cancelled") {
+    this.cancelledAt = changedAt;
+    if (note) this.cancelReason = note;
+  }
+
+  return this;
+};
+
+// Méthode pour vérifier si une transition de paiement est autorisée
+orderSchema.methods.canTransitionPaymentTo = function (nextStatus) {
+  return (PAYMENT_TRANSITIONS[this.paymentStatus] || []).includes(nextStatus);
+};
+
+/**
+ * Fait évoluer le statut de paiement de la commande
+ * @param {string} nextStatus - Statut de paiement cible
+ * @throws {OrderTransitionError} Si la transition n'est pas autorisée
+ */
+orderSchema.methods.transitionPaymentStatus = function (nextStatus) {
+  if (!this.canTransitionPaymentTo(nextStatus)) {
+    throw new OrderTransitionError(this.paymentStatus, nextStatus);
+  }
+
+  this.paymentStatus = nextStatus;
+  if (nextStatus === "processing") {
+    this.paymentProcessingAt = new Date();
+  }
+  if (nextStatus === "paid") {
+    this.paidAt = new Date();
+  }
+
+  return this;
+};
+
+// Méthode pour vérifier si la commande peut être annulée par le client
+orderSchema.methods.canBeCancelled = function () {
+  return (
+    !this.cancelledAt &&
+    CANCELLABLE_PAYMENT_STATUSES.includes(this.paymentStatus) &&
+    this.canTransitionTo("cancelled")
+  );
+};
+
 // Méthode statique pour trouver les commandes d'un utilisateur
 // orderSchema.statics.findByUser = function (userId, limit = 10, page = 1) {
 //   const skip = (page - 1) * limit;
@@ -338,67 +741,208 @@ orderSchema.methods.isCashPayment = function () {
 //     .lean();
 // };
 
+// Méthode statique pour retrouver une commande d'un utilisateur
+// à partir de son numéro (ORD-...) ou de son identifiant MongoDB
+orderSchema.statics.findByUserAndReference = function (userId, reference) {
+  const conditions = [{ orderNumber: reference }];
+  if (/^[0-9a-fA-F]{24}$/.test(reference)) {
+    conditions.push({ _id: reference });
+  }
+
+  return this.findOne({ user: userId, $or: conditions });
+};
+
 // Méthode statique pour trouver les commandes récentes
 orderSchema.statics.findRecent = function (limit = 20) {
   return this.find().sort({ createdAt: -1 }).limit(limit).lean();
 };
 
-// Méthode statique pour les statistiques de commandes
-orderSchema.statics.getStats = async function () {
+// Fuseau horaire des regroupements mensuels (les clients sont à Djibouti)
+const STATS_TIMEZONE = "Africa/Djibouti";
+
+// Année et mois (1-12) d'une date dans le fuseau des statistiques
+const getStatsYearMonth = (date) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: STATS_TIMEZONE,
+    year: "numeric",
+    month: "numeric",
+  }).formatToParts(date);
+  const value = (type) =>
+    parseInt(parts.find((part) => part.type === type).value, 10);
+
+  return { year: value("year"), month: value("month") };
+};
+
+/**
+ * Statistiques de dépenses d'un utilisateur (tableau de bord du profil)
+ * Les commandes annulées sont exclues des dépenses
+ *
+ * @param {string} userId - Utilisateur
+ * @param {Object} [options]
+ * @param {number} [options.months=12] - Nombre de mois de l'historique mensuel
+ * @param {number} [options.top=5] - Taille des classements catégories / produits
+ * @returns {Promise<Object>} totals, monthly, topCategories, topProducts, paymentMethods
+ */
+orderSchema.statics.getUserStats = async function (
+  userId,
+  { months = 12, top = 5 } = {},
+) {
   try {
-    const stats = await this.aggregate([
+    // Plus ancien mois affiché, dans le fuseau des regroupements mensuels
+    // (firstMonth ne sert qu'au calcul année / mois, pas de comparaison)
+    const current = getStatsYearMonth(new Date());
+    const firstMonth = new Date(
+      Date.UTC(current.year, current.month - 1 - (months - 1), 1),
+    );
+    const since = {
+      $dateFromParts: {
+        year: firstMonth.getUTCFullYear(),
+        month: firstMonth.getUTCMonth() + 1,
+        day: 1,
+        timezone: STATS_TIMEZONE,
+      },
+    };
+
+    const paidAmount = {
+      $cond: [{ $eq: ["$paymentStatus", "paid"] }, "$totalAmount", 0],
+    };
+
+    const [stats] = await this.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(String(userId)),
+          cancelledAt: { $exists: false },
+        },
+      },
       {
         $facet: {
-          payment: [{ $group: { _id: "$paymentStatus", count: { $sum: 1 } } }],
-          revenue: [
-            { $match: { paymentStatus: "paid" } },
-            { $group: { _id: null, total: { $sum: "$totalAmount" } } },
-          ],
-          daily: [
+          totals: [
             {
-              $match: {
-                createdAt: {
-                  $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
-                },
+              $group: {
+                _id: null,
+                orderCount: { $sum: 1 },
+                totalAmount: { $sum: "$totalAmount" },
+                paidAmount: { $sum: paidAmount },
+                refundedAmount: { $sum: { $ifNull: ["$refundedAmount", 0] } },
               },
             },
+          ],
+          monthly: [
+            { $match: { $expr: { $gte: ["$createdAt", since] } } },
             {
               $group: {
                 _id: {
-                  $dateToString: { format: "%Y-%m-%d", date: "$createdAt" },
-                },
-                orders: { $sum: 1 },
-                revenue: {
-                  $sum: {
-                    $cond: [
-                      { $eq: ["$paymentStatus", "paid"] },
-                      "$totalAmount",
-                      0,
-                    ],
+                  $dateToString: {
+                    format: "%Y-%m",
+                    date: "$createdAt",
+                    timezone: STATS_TIMEZONE,
                   },
                 },
+                orderCount: { $sum: 1 },
+                totalAmount: { $sum: "$totalAmount" },
+                paidAmount: { $sum: paidAmount },
               },
             },
             { $sort: { _id: 1 } },
           ],
-          cashOrders: [
-            { $match: { "paymentInfo.typePayment": "CASH" } },
+          topCategories: [
+            { $unwind: "$orderItems" },
+            {
+              $group: {
+                _id: "$orderItems.category",
+                quantity: { $sum: "$orderItems.quantity" },
+                totalAmount: { $sum: "$orderItems.subtotal" },
+              },
+            },
+            { $sort: { totalAmount: -1 } },
+            { $limit: top },
+          ],
+          topProducts: [
+            { $unwind: "$orderItems" },
+            { $sort: { createdAt: -1 } },
             {
               $group: {
-                _id: "$paymentStatus",
-                count: { $sum: 1 },
-                total: { $sum: "$totalAmount" },
+                _id: "$orderItems.product",
+                name: { $first: "$orderItems.name" },
+                image: { $first: "$orderItems.image" },
+                quantity: { $sum: "$orderItems.quantity" },
+                totalAmount: { $sum: "$orderItems.subtotal" },
               },
             },
+            { $sort: { quantity: -1, totalAmount: -1 } },
+            { $limit: top },
+          ],
+          paymentMethods: [
+            {
+              $group: {
+                _id: "$paymentInfo.typePayment",
+                orderCount: { $sum: 1 },
+                totalAmount: { $sum: "$totalAmount" },
+              },
+            },
+            { $sort: { orderCount: -1 } },
           ],
         },
       },
     ]);
 
-    return stats[0];
+    const totals = stats.totals[0] || {
+      orderCount: 0,
+      totalAmount: 0,
+      paidAmount: 0,
+      refundedAmount: 0,
+    };
+
+    // Compléter les mois sans commande pour obtenir une série continue
+    const byMonth = new Map(stats.monthly.map((month) => [month._id, month]));
+    const monthly = Array.from({ length: months }, (_, index) => {
+      const date = new Date(firstMonth);
+      date.setUTCMonth(firstMonth.getUTCMonth() + index);
+      const key = date.toISOString().slice(0, 7);
+      const month = byMonth.get(key);
+
+      return {
+        month: key,
+        orderCount: month?.orderCount || 0,
+        totalAmount: month?.totalAmount || 0,
+        paidAmount: month?.paidAmount || 0,
+      };
+    });
+
+    return {
+      totals: {
+        orderCount: totals.orderCount,
+        totalAmount: totals.totalAmount,
+        paidAmount: totals.paidAmount,
+        refundedAmount: totals.refundedAmount,
+      },
+      monthly,
+      topCategories: stats.topCategories.map((category) => ({
+        category: category._id,
+        quantity: category.quantity,
+        totalAmount: category.totalAmount,
+      })),
+      topProducts: stats.topProducts.map((product) => ({
+        productId: product._id,
+        name: product.name,
+        image: product.image,
+        quantity: product.quantity,
+        totalAmount: product.totalAmount,
+      })),
+      paymentMethods: stats.paymentMethods.map((method) => ({
+        typePayment: method._id,
+        orderCount: method.orderCount,
+        totalAmount: method.totalAmount,
+        share:
+          totals.orderCount > 0
+            ? Math.round((method.orderCount / totals.orderCount) * 100)
+            : 0,
+      })),
+    };
   } catch (error) {
-    logger.error("Erreur lors du calcul des statistiques de commandes", {
+    logger.error("Erreur lors du calcul des statistiques utilisateur", {
       error: error.message,
+      userId: userId?.toString(),
     });
     throw error;
   }
@@ -409,7 +953,7 @@ orderSchema.statics.getTotalAmountByUser = async function (
   userId,
   onlyPaid = false,
 ) {
-  const matchStage = { "user.userId": new mongoose.Types.ObjectId(userId) };
+  const matchStage = { user: new mongoose.Types.ObjectId(String(userId)) };
   if (onlyPaid) {
     matchStage.paymentStatus = "paid";
   }
@@ -431,7 +975,11 @@ orderSchema.statics.getTotalAmountByUser = async function (
 };
 
 // Protection contre les recherches trop intensives
+// (désactivée par setOptions({ skipSearchGuard: true }), ex: export complet
+// de l'historique qui lit les commandes en flux)
 orderSchema.pre("find", function () {
+  if (this.getOptions().skipSearchGuard) return;
+
   if (!this.options.limit) {
     this.limit(100);
   }
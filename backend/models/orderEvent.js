@@ -0,0 +1,160 @@
+import mongoose from "mongoose";
+
+/**
+ * Journal d'audit des commandes (append-only)
+ *
+ * Chaque événement du cycle de vie d'une commande est conservé avec son
+ * auteur, l'origine de la requête (IP, user agent) et le diff des champs
+ * modifiés. Les tentatives rejetées (écart de prix, rupture de stock) sont
+ * journalisées sans commande associée.
+ */
+export const ORDER_EVENT_TYPES = [
+  "created",
+  "price_mismatch",
+  "stock_failure",
+  "cancelled",
+  "fulfillment_updated",
+  "payment_updated",
+  "payment_rejected",
+  "payment_proof_submitted",
+  "cash_collected",
+  "return_requested",
+  "return_reviewed",
+  "refund_recorded",
+];
+
+export const ORDER_EVENT_ACTOR_TYPES = [
+  "customer",
+  "staff",
+  "system",
+  "provider",
+];
+
+/**
+ * Modification d'un champ de la commande
+ */
+const orderEventChangeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: [true, "Champ obligatoire"],
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false },
+);
+
+const orderEventSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      immutable: true,
+    },
+    orderNumber: {
+      type: String,
+      trim: true,
+      immutable: true,
+    },
+    user: {
+      type: String,
+      immutable: true,
+    },
+    type: {
+      type: String,
+      required: [true, "Type d'événement obligatoire"],
+      enum: {
+        values: ORDER_EVENT_TYPES,
+        message: "Type d'événement non valide: {VALUE}",
+      },
+      immutable: true,
+    },
+    actor: {
+      type: {
+        type: String,
+        enum: {
+          values: ORDER_EVENT_ACTOR_TYPES,
+          message: "Type d'acteur non valide: {VALUE}",
+        },
+        default: "system",
+        immutable: true,
+      },
+      id: {
+        type: String,
+        immutable: true,
+      },
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [100, "Le nom ne peut pas dépasser 100 caractères"],
+        immutable: true,
+      },
+    },
+    ip: {
+      type: String,
+      maxlength: [100, "L'adresse IP ne peut pas dépasser 100 caractères"],
+      immutable: true,
+    },
+    userAgent: {
+      type: String,
+      maxlength: [500, "Le user agent ne peut pas dépasser 500 caractères"],
+      immutable: true,
+    },
+    changes: {
+      type: [orderEventChangeSchema],
+      default: [],
+      immutable: true,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      immutable: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      immutable: true,
+    },
+  },
+  {
+    versionKey: false,
+  },
+);
+
+orderEventSchema.index({ order: 1, createdAt: 1 });
+orderEventSchema.index({ orderNumber: 1, createdAt: 1 });
+orderEventSchema.index({ user: 1, createdAt: -1 });
+orderEventSchema.index({ type: 1, createdAt: -1 });
+
+// Le journal ne se modifie pas: seules les insertions sont permises
+const rejectUpdate = function () {
+  throw new Error("Le journal des commandes est en ajout seul");
+};
+
+orderEventSchema.pre("updateOne", rejectUpdate);
+orderEventSchema.pre("updateMany", rejectUpdate);
+orderEventSchema.pre("findOneAndUpdate", rejectUpdate);
+orderEventSchema.pre("replaceOne", rejectUpdate);
+
+orderEventSchema.pre("save", function () {
+  if (!this.isNew) rejectUpdate();
+});
+
+/**
+ * Historique chronologique d'une commande
+ * @param {string|mongoose.Types.ObjectId} orderId - Commande
+ * @param {string} [orderNumber] - Numéro, pour inclure les événements
+ *   enregistrés sans référence à la commande (callbacks rejetés)
+ * @returns {Promise<Array>}
+ */
+orderEventSchema.statics.findByOrder = function (orderId, orderNumber) {
+  const conditions = [{ order: orderId }];
+  if (orderNumber) conditions.push({ orderNumber });
+
+  return this.find({ $or: conditions }).sort({ createdAt: 1 }).lean();
+};
+
+const OrderEvent =
+  mongoose.models.OrderEvent || mongoose.model("OrderEvent", orderEventSchema);
+
+export default OrderEvent;
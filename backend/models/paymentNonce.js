@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// Les nonces sont conservés au-delà de la fenêtre de tolérance des horodatages
+export const PAYMENT_NONCE_TTL_SECONDS = 15 * 60;
+
+/**
+ * Nonces des callbacks opérateurs déjà traités (protection anti-rejeu)
+ */
+const paymentNonceSchema = new mongoose.Schema(
+  {
+    platform: {
+      type: String,
+      required: [true, "Plateforme obligatoire"],
+      trim: true,
+    },
+    nonce: {
+      type: String,
+      required: [true, "Nonce obligatoire"],
+      trim: true,
+      maxlength: [128, "Le nonce ne peut pas dépasser 128 caractères"],
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      expires: PAYMENT_NONCE_TTL_SECONDS,
+    },
+  },
+  {
+    versionKey: false,
+  },
+);
+
+paymentNonceSchema.index({ platform: 1, nonce: 1 }, { unique: true });
+
+const PaymentNonce =
+  mongoose.models.PaymentNonce ||
+  mongoose.model("PaymentNonce", paymentNonceSchema);
+
+export default PaymentNonce;
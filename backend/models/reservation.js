@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+/**
+ * Réservation temporaire de stock pendant le passage en caisse
+ *
+ * Une réservation par utilisateur et par produit. Elle est active tant que
+ * expiresAt n'est pas dépassé; l'index TTL purge ensuite le document
+ * (la purge MongoDB est différée, les requêtes filtrent donc aussi sur la date).
+ */
+const reservationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Utilisateur obligatoire"],
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "Produit obligatoire"],
+      index: true,
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Quantité obligatoire"],
+      min: [1, "La quantité minimum est 1"],
+      validate: {
+        validator: Number.isInteger,
+        message: "La quantité doit être un nombre entier",
+      },
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      expires: 0,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    versionKey: false,
+  },
+);
+
+reservationSchema.index({ user: 1, product: 1 }, { unique: true });
+
+const Reservation =
+  mongoose.models.Reservation ||
+  mongoose.model("Reservation", reservationSchema);
+
+export default Reservation;
@@ -0,0 +1,291 @@
+import mongoose from "mongoose";
+import Counter from "./counter";
+import { OrderTransitionError } from "./order";
+import {
+  MAX_RETURN_PHOTOS,
+  RETURN_REASON_CODES,
+} from "@/helpers/validation/schemas/return";
+
+/**
+ * Demande de retour / remboursement liée à une commande
+ * requested → approved | rejected, approved → refunded
+ * L'approbation remet les articles en stock, le remboursement
+ * met à jour le montant remboursé de la commande
+ */
+export const RETURN_TRANSITIONS = {
+  requested: ["approved", "rejected"],
+  approved: ["refunded"],
+  rejected: [],
+  refunded: [],
+};
+
+export const RETURN_STATUSES = Object.keys(RETURN_TRANSITIONS);
+
+// Format public d'un numéro de retour (ex: RET-20250101-00001)
+export const RETURN_NUMBER_REGEX = /^RET-\d{8}-\d+$/;
+
+/**
+ * Article retourné (copie figée de la ligne de commande)
+ */
+const returnItemSchema = new mongoose.Schema(
+  {
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Ligne de commande obligatoire"],
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "ID du produit obligatoire"],
+    },
+    name: {
+      type: String,
+      required: [true, "Nom du produit obligatoire"],
+      trim: true,
+      maxlength: [100, "Le nom ne peut pas dépasser 100 caractères"],
+    },
+    image: {
+      type: String,
+    },
+    price: {
+      type: Number,
+      required: [true, "Prix unitaire obligatoire"],
+      min: [0, "Le prix ne peut pas être négatif"],
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Quantité obligatoire"],
+      min: [1, "La quantité minimum est 1"],
+      validate: {
+        validator: Number.isInteger,
+        message: "La quantité doit être un nombre entier",
+      },
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Photo jointe, uploadée via la route de signature Cloudinary
+ */
+const returnPhotoSchema = new mongoose.Schema(
+  {
+    publicId: {
+      type: String,
+      required: [true, "Identifiant de la photo obligatoire"],
+      maxlength: [200, "Identifiant de photo trop long"],
+    },
+    url: {
+      type: String,
+      required: [true, "URL de la photo obligatoire"],
+      maxlength: [500, "URL de photo trop longue"],
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Entrée de l'historique des statuts (append-only)
+ */
+const returnStatusHistorySchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      required: [true, "Statut obligatoire"],
+      enum: {
+        values: RETURN_STATUSES,
+        message: "Statut de retour non valide: {VALUE}",
+      },
+      immutable: true,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+      immutable: true,
+    },
+    actor: {
+      type: {
+        type: String,
+        enum: {
+          values: ["customer", "staff", "system"],
+          message: "Type d'acteur non valide: {VALUE}",
+        },
+        default: "system",
+        immutable: true,
+      },
+      id: {
+        type: String,
+        immutable: true,
+      },
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [100, "Le nom ne peut pas dépasser 100 caractères"],
+        immutable: true,
+      },
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, "La note ne peut pas dépasser 200 caractères"],
+      immutable: true,
+    },
+  },
+  { _id: false },
+);
+
+const returnRequestSchema = new mongoose.Schema(
+  {
+    returnNumber: {
+      type: String,
+      unique: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: [true, "Commande obligatoire"],
+      index: true,
+    },
+    orderNumber: {
+      type: String,
+      required: [true, "Numéro de commande obligatoire"],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Utilisateur obligatoire"],
+    },
+    items: {
+      type: [returnItemSchema],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: "Au moins un article doit être retourné",
+      },
+    },
+    reasonCode: {
+      type: String,
+      required: [true, "Motif de retour obligatoire"],
+      enum: {
+        values: RETURN_REASON_CODES,
+        message: "Motif de retour non valide: {VALUE}",
+      },
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Le commentaire ne peut pas dépasser 1000 caractères"],
+    },
+    photos: {
+      type: [returnPhotoSchema],
+      default: [],
+      validate: {
+        validator: (photos) => photos.length <= MAX_RETURN_PHOTOS,
+        message: `${MAX_RETURN_PHOTOS} photos maximum`,
+      },
+    },
+    status: {
+      type: String,
+      enum: {
+        values: RETURN_STATUSES,
+        message: "Statut de retour non valide: {VALUE}",
+      },
+      default: "requested",
+      index: true,
+    },
+    statusHistory: {
+      type: [returnStatusHistorySchema],
+      default: [],
+    },
+    // Montant à rembourser: articles retournés, hors frais de livraison
+    refundAmount: {
+      type: Number,
+      min: [0, "Le montant ne peut pas être négatif"],
+    },
+    restockedAt: {
+      type: Date,
+    },
+    refundedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  },
+);
+
+returnRequestSchema.index({ user: 1, createdAt: -1 });
+
+// Numéro RET-YYYYMMDD-NNNNN, historique initial et montant à rembourser
+returnRequestSchema.pre("save", async function () {
+  if (!this.isNew) return;
+
+  if (!this.returnNumber) {
+    const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+    const sequence = await Counter.nextSequence(`return-${datePart}`, {
+      session: this.$session(),
+    });
+    this.returnNumber = `RET-${datePart}-${String(sequence).padStart(5, "0")}`;
+  }
+
+  this.refundAmount =
+    Math.round(
+      this.items.reduce((sum, item) => sum + item.price * item.quantity, 0) *
+        100,
+    ) / 100;
+
+  if (this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      actor: { type: "customer", id: this.user?.toString() },
+    });
+  }
+});
+
+// Méthode pour vérifier si une transition de statut est autorisée
+returnRequestSchema.methods.canTransitionTo = function (nextStatus) {
+  return (RETURN_TRANSITIONS[this.status] || []).includes(nextStatus);
+};
+
+/**
+ * Fait avancer la demande de retour dans son cycle de vie
+ * @param {string} nextStatus - Statut cible
+ * @param {Object} actor - { type: customer|staff|system, id, name }
+ * @param {string} [note] - Commentaire optionnel (ex: motif de refus)
+ * @throws {OrderTransitionError} Si la transition n'est pas autorisée
+ */
+returnRequestSchema.methods.transitionTo = function (
+  nextStatus,
+  actor = { type: "system" },
+  note,
+) {
+  if (!this.canTransitionTo(nextStatus)) {
+    throw new OrderTransitionError(this.status, nextStatus);
+  }
+
+  const changedAt = new Date();
+
+  this.status = nextStatus;
+  this.statusHistory.push({
+    status: nextStatus,
+    changedAt,
+    actor: {
+      type: actor.type,
+      id: actor.id?.toString(),
+      name: actor.name,
+    },
+    note,
+  });
+
+  if (nextStatus === "refunded") {
+    this.refundedAt = changedAt;
+  }
+
+  return this;
+};
+
+const ReturnRequest =
+  mongoose.models.ReturnRequest ||
+  mongoose.model("ReturnRequest", returnRequestSchema);
+
+export default ReturnRequest;
@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+/**
+ * Produits mis de côté par un utilisateur (favoris, "enregistrer pour plus tard")
+ *
+ * Un document par utilisateur et par produit. Le prix au moment de l'ajout
+ * permet de signaler les variations; la quantité est celle de l'article du
+ * panier mis de côté, restituée au retour dans le panier.
+ */
+export const WISHLIST_MAX_ITEMS = 100;
+
+const wishlistSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Utilisateur obligatoire"],
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "Produit obligatoire"],
+      index: true,
+    },
+    productName: {
+      type: String,
+      required: [true, "Nom du produit obligatoire"],
+      trim: true,
+    },
+    priceAtAdd: {
+      type: Number,
+      required: [true, "Prix obligatoire"],
+      min: [0, "Le prix ne peut pas être négatif"],
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: [1, "La quantité minimum est 1"],
+      max: [99, "La quantité maximum est 99"],
+      validate: {
+        validator: Number.isInteger,
+        message: "La quantité doit être un nombre entier",
+      },
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      immutable: true,
+    },
+  },
+  {
+    versionKey: false,
+  },
+);
+
+wishlistSchema.index({ user: 1, product: 1 }, { unique: true });
+wishlistSchema.index({ user: 1, createdAt: -1 });
+
+const Wishlist =
+  mongoose.models.Wishlist || mongoose.model("Wishlist", wishlistSchema);
+
+export default Wishlist;
@@ -0,0 +1,176 @@
+import Cart from "@/backend/models/cart";
+import Product from "@/backend/models/product";
+import { renewCartExpiry } from "@/backend/utils/cartExpiry";
+import { getCartOwnerFilter } from "@/backend/utils/guestCart";
+import {
+  getAvailableStock,
+  getReservedQuantities,
+  lockProductStock,
+} from "@/backend/utils/stockReservation";
+
+/**
+ * Modification groupée du panier (POST /api/cart/batch)
+ *
+ * Tout ou rien: les lignes sont vérifiées dans une transaction et aucune
+ * n'est enregistrée si l'une d'elles est refusée.
+ * - mode "add": la quantité s'ajoute à celle du panier
+ * - mode "set": la quantité remplace celle du panier (0 supprime l'article)
+ */
+
+export const CART_BATCH_MODES = ["add", "set"];
+
+// Nombre maximal de lignes par requête
+export const CART_BATCH_MAX_ITEMS = 50;
+
+// Quantité maximale d'un article du panier (identique à POST /api/cart)
+const MAX_CART_QUANTITY = 99;
+
+/**
+ * Applique plusieurs ajouts / mises à jour au panier en une transaction
+ *
+ * @param {{userId?: string, guestId?: string}} owner - Propriétaire du panier
+ * @param {Array<{productId: string, quantity: number}>} items - Lignes
+ *   (produits distincts)
+ * @param {Object} [options]
+ * @param {string} [options.mode="add"] - "add" ou "set"
+ * @returns {Promise<{applied: Array, rejected: Array}>} rejected non vide:
+ *   aucune modification enregistrée
+ */
+export const applyCartBatch = async (owner, items, { mode = "add" } = {}) => {
+  const session = await Cart.startSession();
+  let result = null;
+
+  try {
+    await session.withTransaction(async () => {
+      result = { applied: [], rejected: [] };
+
+      const productIds = items.map((item) => item.productId);
+
+      for (const productId of productIds) {
+        await lockProductStock(productId, session);
+      }
+
+      const products = await Product.find({ _id: { $in: productIds } })
+        .select("name price stock isActive")
+        .session(session)
+        .lean();
+
+      const cartItems = await Cart.find({
+        ...getCartOwnerFilter(owner),
+        product: { $in: productIds },
+      })
+        .select("product quantity")
+        .session(session)
+        .lean();
+
+      const reserved = await getReservedQuantities(productIds, {
+        excludeUserId: owner.userId,
+        session,
+      });
+
+      const productsById = new Map(
+        products.map((product) => [product._id.toString(), product]),
+      );
+      const cartItemsByProduct = new Map(
+        cartItems.map((item) => [item.product.toString(), item]),
+      );
+
+      const changes = [];
+
+      for (const item of items) {
+        const product = productsById.get(item.productId.toString());
+        const existing = cartItemsByProduct.get(item.productId.toString());
+        const quantity =
+          mode === "set"
+            ? item.quantity
+            : (existing?.quantity || 0) + item.quantity;
+
+        // Suppression: pas de contrôle de disponibilité
+        if (quantity === 0) {
+          if (existing) {
+            changes.push({ productId: existing.product, existing, quantity });
+          }
+          continue;
+        }
+
+        if (!product || !product.isActive) {
+          result.rejected.push({
+            productId: item.productId,
+            name: product?.name || null,
+            reason: "product_unavailable",
+          });
+          continue;
+        }
+
+        if (quantity > MAX_CART_QUANTITY) {
+          result.rejected.push({
+            productId: product._id,
+            name: product.name,
+            requested: quantity,
+            max: MAX_CART_QUANTITY,
+            reason: "quantity_limit",
+          });
+          continue;
+        }
+
+        const available = getAvailableStock(product, reserved);
+        if (quantity > available) {
+          result.rejected.push({
+            productId: product._id,
+            name: product.name,
+            requested: quantity,
+            available,
+            reason: "insufficient_stock",
+          });
+          continue;
+        }
+
+        changes.push({ productId: product._id, product, existing, quantity });
+      }
+
+      // Tout ou rien: aucune écriture si une ligne est refusée
+      if (result.rejected.length > 0) return;
+
+      for (const { productId, product, existing, quantity } of changes) {
+        if (quantity === 0) {
+          await Cart.deleteOne({ _id: existing._id }, { session });
+        } else if (existing) {
+          await Cart.updateOne(
+            { _id: existing._id },
+            { $set: { quantity, updatedAt: new Date() } },
+            { session },
+          );
+        } else {
+          await Cart.create(
+            [
+              {
+                ...(owner.userId
+                  ? { user: owner.userId }
+                  : { guestId: owner.guestId }),
+                product: product._id,
+                quantity,
+                price: product.price,
+                productName: product.name,
+              },
+            ],
+            { session },
+          );
+        }
+
+        result.applied.push({
+          productId,
+          quantity,
+          isNewItem: !existing,
+          deleted: quantity === 0,
+        });
+      }
+
+      // Activité sur le panier: expiration repoussée pour tous ses articles
+      await renewCartExpiry(owner, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return result;
+};
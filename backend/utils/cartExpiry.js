@@ -0,0 +1,114 @@
+import Cart from "@/backend/models/cart";
+import Reservation from "@/backend/models/reservation";
+import {
+  getCartOwnerFilter,
+  getGuestCartExpiry,
+} from "@/backend/utils/guestCart";
+
+/**
+ * Expiration des paniers
+ *
+ * - Chaque article porte une date expiresAt, repoussée pour tout le panier à
+ *   chaque modification (expiration glissante): CART_TTL_DAYS (7 par défaut)
+ *   pour un utilisateur, GUEST_CART_TTL_DAYS pour un invité
+ * - Les articles expirés sont supprimés par purgeExpiredCartItems (route cron
+ *   ou scripts/cron.mjs); les paniers invités ont en plus un index TTL
+ * - GET /api/cart signale les articles qui expirent dans moins de
+ *   CART_EXPIRY_WARNING_HOURS (24 par défaut)
+ */
+
+const DEFAULT_TTL_DAYS = 7;
+const DEFAULT_WARNING_HOURS = 24;
+
+const parsePositiveInt = (value) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+};
+
+/**
+ * Durée de vie d'un panier utilisateur en millisecondes
+ * @returns {number}
+ */
+export const getCartTtlMs = () =>
+  (parsePositiveInt(process.env.CART_TTL_DAYS) || DEFAULT_TTL_DAYS) *
+  24 *
+  60 *
+  60 *
+  1000;
+
+/**
+ * Nouvelle date d'expiration d'un panier
+ * @param {{userId?: string, guestId?: string}} owner - Propriétaire du panier
+ * @returns {Date}
+ */
+export const getCartExpiry = (owner) =>
+  owner?.guestId ? getGuestCartExpiry() : new Date(Date.now() + getCartTtlMs());
+
+/**
+ * Prolonge tous les articles d'un panier après une activité
+ * @param {{userId?: string, guestId?: string}|null} owner - Propriétaire
+ * @param {Object} [options]
+ * @param {import("mongoose").ClientSession} [options.session] - Transaction
+ * @returns {Promise<Date|null>} Nouvelle date d'expiration (null sans panier)
+ */
+export const renewCartExpiry = async (owner, { session } = {}) => {
+  if (!owner) return null;
+
+  const expiresAt = getCartExpiry(owner);
+
+  await Cart.updateMany(
+    getCartOwnerFilter(owner),
+    { $set: { expiresAt } },
+    { session },
+  );
+
+  return expiresAt;
+};
+
+/**
+ * Supprime les articles de panier expirés
+ * Les paniers des utilisateurs en cours de paiement (réservation de stock
+ * active) sont conservés jusqu'à la prochaine exécution.
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Date de référence
+ * @returns {Promise<{deletedCount: number, skippedUsers: number}>}
+ */
+export const purgeExpiredCartItems = async ({ now = new Date() } = {}) => {
+  const checkoutUserIds = await Reservation.distinct("user", {
+    expiresAt: { $gt: now },
+  });
+
+  const { deletedCount } = await Cart.removeExpiredItems(now, checkoutUserIds);
+
+  return { deletedCount, skippedUsers: checkoutUserIds.length };
+};
+
+/**
+ * Avertissement pour les articles du panier qui expirent bientôt
+ * @param {Array} cart - Articles renvoyés par buildCartPayload
+ * @param {Date} [now=new Date()] - Date de référence
+ * @returns {{code: string, expiresAt: Date, itemIds: Array}|null}
+ */
+export const getCartExpiryWarning = (cart, now = new Date()) => {
+  const warningHours =
+    parsePositiveInt(process.env.CART_EXPIRY_WARNING_HOURS) ||
+    DEFAULT_WARNING_HOURS;
+  const threshold = now.getTime() + warningHours * 60 * 60 * 1000;
+
+  const expiringItems = cart.filter(
+    (item) => item.expiresAt && new Date(item.expiresAt).getTime() <= threshold,
+  );
+
+  if (expiringItems.length === 0) return null;
+
+  const expiresAt = new Date(
+    Math.min(...expiringItems.map((item) => new Date(item.expiresAt))),
+  );
+
+  return {
+    code: "CART_EXPIRING_SOON",
+    expiresAt,
+    itemIds: expiringItems.map((item) => item.id),
+  };
+};
@@ -0,0 +1,93 @@
+import Cart from "@/backend/models/cart";
+import { getCartOwnerFilter } from "@/backend/utils/guestCart";
+import {
+  getAvailableStock,
+  getReservedQuantities,
+} from "@/backend/utils/stockReservation";
+
+/**
+ * Écart entre le prix enregistré dans le panier et le prix actuel
+ * @param {number} previousPrice - Prix enregistré à l'ajout (ou dernière acceptation)
+ * @param {number} currentPrice - Prix actuel du produit
+ * @returns {{previousPrice: number, amount: number, percent: number|null}|null}
+ */
+export const getPriceChange = (previousPrice, currentPrice) => {
+  const difference = currentPrice - previousPrice;
+
+  if (difference === 0) return null;
+
+  return {
+    previousPrice,
+    amount: difference,
+    percent:
+      previousPrice > 0
+        ? Math.round((difference / previousPrice) * 1000) / 10
+        : null,
+  };
+};
+
+/**
+ * Construit la réponse panier commune aux routes /api/cart
+ *
+ * - Les produits inactifs ou épuisés sont masqués
+ * - Le stock affiché déduit les réservations des autres clients
+ * - Les quantités supérieures au stock disponible sont ramenées au maximum
+ * - priceChange signale un prix différent de celui enregistré à l'ajout; le
+ *   paiement est bloqué tant que le client ne l'a pas accepté
+ *   (POST /api/cart/accept-prices)
+ *
+ * @param {{userId?: string, guestId?: string}|null} owner - Propriétaire du
+ *   panier (utilisateur ou invité, voir getCartOwner); null: panier vide
+ * @returns {Promise<{cartCount: number, cartTotal: number, cart: Array, meta: Object}>}
+ */
+export const buildCartPayload = async (owner) => {
+  const cartItems = owner
+    ? await Cart.find(getCartOwnerFilter(owner))
+        .populate("product", "name price stock images isActive")
+        .lean()
+    : [];
+
+  const reserved = await getReservedQuantities(
+    cartItems.filter((item) => item.product).map((item) => item.product._id),
+    { excludeUserId: owner?.userId },
+  );
+
+  const cart = cartItems
+    .filter((item) => item.product && item.product.isActive)
+    .map((item) => ({
+      item,
+      available: getAvailableStock(item.product, reserved),
+    }))
+    .filter(({ available }) => available > 0)
+    .map(({ item, available }) => {
+      const quantity = Math.min(item.quantity, available);
+
+      return {
+        id: item._id,
+        productId: item.product._id,
+        productName: item.product.name,
+        price: item.product.price,
+        quantity,
+        stock: available,
+        subtotal: quantity * item.product.price,
+        imageUrl: item.product.images?.[0]?.url || "",
+        expiresAt: item.expiresAt,
+        priceChange: getPriceChange(item.price, item.product.price),
+        meta: {
+          adjusted: quantity !== item.quantity,
+          originalQuantity: item.quantity,
+        },
+      };
+    });
+
+  return {
+    cartCount: cart.length,
+    cartTotal: cart.reduce((sum, item) => sum + item.subtotal, 0),
+    cart,
+    meta: {
+      timestamp: new Date().toISOString(),
+      hasAdjustments: cart.some((item) => item.meta.adjusted),
+      hasPriceChanges: cart.some((item) => item.priceChange),
+    },
+  };
+};
@@ -0,0 +1,24 @@
+/**
+ * Vérifie qu'un fichier a été uploadé dans un dossier de notre compte Cloudinary
+ * (uploads signés par sign-cloudinary-params, voir UPLOAD_FOLDERS)
+ * @param {{publicId: string, url: string}} file - Fichier uploadé
+ * @param {string} folder - Dossier attendu (ex: "buyitnow/returns")
+ * @returns {boolean}
+ */
+export const isCloudinaryUpload = (file, folder) => {
+  if (!file?.publicId?.startsWith(`${folder}/`)) return false;
+
+  try {
+    const url = new URL(file.url);
+    return (
+      url.protocol === "https:" &&
+      url.hostname === "res.cloudinary.com" &&
+      url.pathname.startsWith(
+        `/${process.env.NEXT_PUBLIC_CLOUDINARY_CLOUD_NAME}/image/upload/`,
+      ) &&
+      url.pathname.includes(`/${file.publicId}`)
+    );
+  } catch {
+    return false;
+  }
+};
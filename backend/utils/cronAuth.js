@@ -0,0 +1,23 @@
+import crypto from "crypto";
+
+/**
+ * Authentification des jobs planifiés (routes /api/cron/*)
+ * Le planificateur (Vercel Cron ou scripts/cron.mjs) envoie
+ * "Authorization: Bearer <CRON_SECRET>"
+ */
+
+/**
+ * Vérifie l'en-tête "Authorization: Bearer <CRON_SECRET>" en temps constant
+ * @param {string|null} authorization - En-tête reçu
+ * @param {string} secret - Secret attendu
+ * @returns {boolean}
+ */
+export const isValidCronAuthorization = (authorization, secret) => {
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(authorization || "");
+
+  return (
+    received.length === expected.length &&
+    crypto.timingSafeEqual(received, expected)
+  );
+};
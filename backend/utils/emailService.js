@@ -1,5 +1,6 @@
 import { Resend } from 'resend';
 import { captureException } from '@/monitoring/sentry';
+import { escapeHtml } from '@/helpers/helpers';
 
 const resend = new Resend(process.env.RESEND_API_KEY);
 
@@ -649,3 +650,268 @@ Cet email a été envoyé automatiquement pour des raisons de sécurité.
     };
   }
 };
+
+/**
+ * Emails transactionnels de commande
+ * Chaque type définit l'objet, le bandeau et le message d'introduction;
+ * le récapitulatif des articles est commun à tous les types
+ */
+const ORDER_EMAIL_TYPES = {
+  confirmation: {
+    subject: (order) => `🧾 Commande ${order.orderNumber} confirmée - BuyItNow`,
+    title: 'Commande confirmée',
+    color: '#2563eb',
+    intro: (order) =>
+      order.paymentInfo?.typePayment === 'CASH'
+        ? 'Nous avons bien reçu votre commande. Le paiement se fera en espèces lors du retrait en magasin.'
+        : 'Nous avons bien reçu votre commande. Elle sera préparée dès la confirmation de votre paiement.',
+  },
+  payment_received: {
+    subject: (order) => `✅ Paiement reçu pour la commande ${order.orderNumber} - BuyItNow`,
+    title: 'Paiement reçu',
+    color: '#10b981',
+    intro: () =>
+      'Nous avons bien reçu votre paiement. Votre facture est disponible depuis votre espace client.',
+  },
+  cancelled: {
+    subject: (order) => `❌ Commande ${order.orderNumber} annulée - BuyItNow`,
+    title: 'Commande annulée',
+    color: '#dc2626',
+    intro: (order) =>
+      order.cancelReason
+        ? `Votre commande a été annulée. Motif : ${order.cancelReason}`
+        : 'Votre commande a été annulée.',
+  },
+  ready_for_pickup: {
+    subject: (order) => `📦 Commande ${order.orderNumber} prête à être retirée - BuyItNow`,
+    title: 'Commande prête',
+    color: '#f59e0b',
+    intro: (order) =>
+      order.paymentStatus === 'pending_cash'
+        ? 'Votre commande vous attend en magasin. Présentez votre code de retrait et réglez le montant en espèces.'
+        : 'Votre commande vous attend en magasin. Présentez votre numéro de commande lors du retrait.',
+  },
+};
+
+export const ORDER_EMAIL_EVENTS = Object.keys(ORDER_EMAIL_TYPES);
+
+const formatOrderAmount = (value) =>
+  `${(Number(value) || 0).toLocaleString('fr-FR', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })} DJF`;
+
+/**
+ * Service d'envoi des emails de commande avec récapitulatif des articles
+ * @param {string} type - confirmation | payment_received | cancelled | ready_for_pickup
+ * @param {string} email - Adresse du client
+ * @param {string} name - Nom du client
+ * @param {Object} order - Commande (orderNumber, orderItems, totalAmount...)
+ */
+export const sendOrderEmail = async (type, email, name, order) => {
+  try {
+    const template = ORDER_EMAIL_TYPES[type];
+
+    if (!template) {
+      throw new Error(`Unknown order email type: ${type}`);
+    }
+
+    if (!email || !order?.orderNumber) {
+      throw new Error('Missing required parameters for order email');
+    }
+
+    const orderUrl = `${process.env.NEXTAUTH_URL || process.env.NEXT_PUBLIC_API_URL}/me/orders/${order.orderNumber}`;
+    const items = order.orderItems || [];
+    const intro = template.intro(order);
+    const deliveryFee = order.deliveryFee || 0;
+    // Code de retrait rappelé tant que l'encaissement CASH n'a pas eu lieu
+    const pickupCode =
+      order.paymentStatus === 'pending_cash' && type !== 'cancelled'
+        ? order.pickupCode
+        : null;
+
+    const itemRows = items
+      .map(
+        (item) => `
+              <tr>
+                <td style="padding: 8px 0; color: #1f2937; border-bottom: 1px solid #f3f4f6;">${escapeHtml(item.name)}</td>
+                <td style="padding: 8px 0; color: #6b7280; text-align: center; border-bottom: 1px solid #f3f4f6;">${item.quantity}</td>
+                <td style="padding: 8px 0; color: #1f2937; text-align: right; border-bottom: 1px solid #f3f4f6;">${formatOrderAmount(item.subtotal ?? item.price * item.quantity)}</td>
+              </tr>`,
+      )
+      .join('');
+
+    // Template HTML professionnel
+    const htmlTemplate = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${template.title} - BuyItNow</title>
+    </head>
+    <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f8f9fa;">
+      <div style="max-width: 600px; margin: 0 auto; background: #f8f9fa; padding: 20px;">
+        <!-- Header -->
+        <div style="background: ${template.color}; color: white; padding: 20px; border-radius: 8px 8px 0 0; text-align: center;">
+          <h1 style="margin: 0; font-size: 24px;">BuyItNow</h1>
+          <p style="margin: 5px 0 0 0; opacity: 0.9;">${template.title} · ${order.orderNumber}</p>
+        </div>
+
+        <!-- Body -->
+        <div style="background: white; padding: 30px; border-radius: 0 0 8px 8px; border: 1px solid #e5e7eb;">
+          <h2 style="color: #1f2937; margin-top: 0;">Bonjour ${escapeHtml(name || '')} 👋</h2>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+            ${escapeHtml(intro)}
+          </p>
+
+          ${
+            pickupCode
+              ? `<div style="background: #fffbeb; border: 1px solid #fcd34d; border-radius: 6px; padding: 15px; margin: 20px 0; text-align: center;">
+            <p style="margin: 0 0 5px 0; color: #92400e; font-size: 14px;">Code de retrait</p>
+            <p style="margin: 0; color: #1f2937; font-size: 24px; font-weight: bold; letter-spacing: 4px;">${pickupCode}</p>
+          </div>`
+              : ''
+          }
+
+          <!-- Récapitulatif -->
+          <table style="width: 100%; font-size: 14px; border-collapse: collapse; margin: 20px 0;">
+            <thead>
+              <tr>
+                <th style="padding: 8px 0; color: #6b7280; text-align: left; border-bottom: 2px solid #e5e7eb;">Article</th>
+                <th style="padding: 8px 0; color: #6b7280; text-align: center; border-bottom: 2px solid #e5e7eb;">Qté</th>
+                <th style="padding: 8px 0; color: #6b7280; text-align: right; border-bottom: 2px solid #e5e7eb;">Montant</th>
+              </tr>
+            </thead>
+            <tbody>${itemRows}
+            </tbody>
+            <tfoot>
+              ${
+                deliveryFee > 0
+                  ? `<tr>
+                <td colspan="2" style="padding: 8px 0; color: #6b7280;">Frais de livraison</td>
+                <td style="padding: 8px 0; color: #1f2937; text-align: right;">${formatOrderAmount(deliveryFee)}</td>
+              </tr>`
+                  : ''
+              }
+              <tr>
+                <td colspan="2" style="padding: 8px 0; color: #1f2937; font-weight: bold;">Total</td>
+                <td style="padding: 8px 0; color: #1f2937; font-weight: bold; text-align: right;">${formatOrderAmount(order.totalAmount)}</td>
+              </tr>
+            </tfoot>
+          </table>
+
+          <!-- CTA Button -->
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${orderUrl}"
+               style="background: ${template.color}; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
+              Voir ma commande
+            </a>
+          </div>
+
+          <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 25px 0;">
+
+          <p style="color: #6b7280; font-size: 12px; margin: 0;">
+            ❓ Besoin d'aide ? Contactez-nous à support@buyitnow.com en indiquant votre numéro de commande
+          </p>
+        </div>
+
+        <!-- Footer -->
+        <div style="text-align: center; padding: 20px; color: #9ca3af; font-size: 12px;">
+          © 2025 BuyItNow. Tous droits réservés.
+        </div>
+      </div>
+    </body>
+    </html>`;
+
+    // Version texte (fallback)
+    const textItems = items
+      .map(
+        (item) =>
+          `- ${item.name} x ${item.quantity} : ${formatOrderAmount(item.subtotal ?? item.price * item.quantity)}`,
+      )
+      .join('\n');
+
+    const textTemplate = `
+Bonjour ${name || ''},
+
+${intro}
+${pickupCode ? `\nCode de retrait : ${pickupCode}\n` : ''}
+COMMANDE ${order.orderNumber} :
+${textItems}
+${deliveryFee > 0 ? `Frais de livraison : ${formatOrderAmount(deliveryFee)}\n` : ''}Total : ${formatOrderAmount(order.totalAmount)}
+
+Suivre votre commande :
+${orderUrl}
+
+Besoin d'aide ? Contactez-nous à support@buyitnow.com
+
+---
+BuyItNow - © 2025`;
+
+    // Configuration email
+    const emailOptions = {
+      from:
+        process.env.NODE_ENV === 'production'
+          ? 'onboarding@resend.dev'
+          : 'onboarding@resend.dev',
+      to: [email],
+      subject: template.subject(order),
+      html: htmlTemplate,
+      text: textTemplate,
+      headers: {
+        'X-Entity-Ref-ID': `${order.orderNumber}-${type}`,
+      },
+    };
+
+    // En développement, juste logger
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`
+🧾 EMAIL DE COMMANDE (DEV):
+📧 To: ${email}
+📨 Type: ${type}
+📦 Order: ${order.orderNumber}
+🌐 Link: ${orderUrl}
+      `);
+      return { success: true, messageId: 'dev-mode' };
+    }
+
+    // Envoyer l'email via Resend
+    const result = await resend.emails.send(emailOptions);
+
+    console.log('✅ Order email sent successfully:', {
+      to: email?.substring(0, 3) + '***',
+      type,
+      orderNumber: order.orderNumber,
+      messageId: result.id || result.data?.id,
+    });
+
+    return {
+      success: true,
+      messageId: result.id || result.data?.id,
+      email: email,
+    };
+  } catch (error) {
+    console.error('❌ Failed to send order email:', {
+      error: error.message,
+      type,
+      orderNumber: order?.orderNumber,
+      email: email?.substring(0, 3) + '***',
+    });
+
+    captureException(error, {
+      tags: { component: 'emailService', action: 'sendOrderEmail', type },
+      extra: {
+        orderNumber: order?.orderNumber,
+        email: email?.substring(0, 3) + '***',
+      },
+    });
+
+    return {
+      success: false,
+      error: error.message || 'Failed to send order email',
+      email: email,
+    };
+  }
+};
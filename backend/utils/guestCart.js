@@ -0,0 +1,268 @@
+import crypto from "crypto";
+import Cart from "@/backend/models/cart";
+import Product from "@/backend/models/product";
+import {
+  getAvailableStock,
+  getReservedQuantities,
+  lockProductStock,
+} from "@/backend/utils/stockReservation";
+
+/**
+ * Panier invité (visiteurs non connectés)
+ *
+ * - Identifiant aléatoire stocké dans le cookie GUEST_CART_COOKIE, signé
+ *   HMAC-SHA256 (GUEST_CART_SECRET, sinon BETTER_AUTH_SECRET), au format
+ *   <identifiant>.<signature base64url>
+ * - Articles enregistrés dans la collection Cart avec guestId au lieu de user,
+ *   supprimés par l'index TTL après GUEST_CART_TTL_DAYS (3 par défaut)
+ * - À la connexion, mergeGuestCart fusionne le panier invité dans celui de
+ *   l'utilisateur (POST /api/cart/merge)
+ */
+
+export const GUEST_CART_COOKIE = "guest_cart";
+
+const DEFAULT_TTL_DAYS = 3;
+
+/**
+ * Durée de vie d'un panier invité en millisecondes
+ * @returns {number}
+ */
+export const getGuestCartTtlMs = () => {
+  const days = parseInt(process.env.GUEST_CART_TTL_DAYS, 10);
+  return (
+    (Number.isInteger(days) && days > 0 ? days : DEFAULT_TTL_DAYS) *
+    24 *
+    60 *
+    60 *
+    1000
+  );
+};
+
+/**
+ * Date d'expiration d'un article ajouté au panier invité
+ * @returns {Date}
+ */
+export const getGuestCartExpiry = () =>
+  new Date(Date.now() + getGuestCartTtlMs());
+
+const getSecret = () =>
+  process.env.GUEST_CART_SECRET || process.env.BETTER_AUTH_SECRET;
+
+/**
+ * Le panier invité nécessite un secret de signature
+ * @returns {boolean}
+ */
+export const isGuestCartEnabled = () => !!getSecret();
+
+const signGuestId = (guestId) => {
+  const secret = getSecret();
+  if (!secret) return null;
+
+  return crypto
+    .createHmac("sha256", secret)
+    .update(guestId)
+    .digest("base64url");
+};
+
+/**
+ * Génère un nouvel identifiant de panier invité
+ * @returns {string}
+ */
+export const createGuestCartId = () => crypto.randomUUID();
+
+/**
+ * Lit et vérifie l'identifiant du panier invité depuis les cookies
+ * @param {Request} req - Requête entrante
+ * @returns {string|null} Identifiant, ou null si absent ou falsifié
+ */
+export const readGuestCartId = (req) => {
+  const value = req.cookies?.get(GUEST_CART_COOKIE)?.value;
+  if (typeof value !== "string") return null;
+
+  const [guestId, signature, ...rest] = value.split(".");
+  if (!guestId || !signature || rest.length) return null;
+
+  const expected = signGuestId(guestId);
+  if (!expected || expected.length !== signature.length) return null;
+
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))
+    ? guestId
+    : null;
+};
+
+/**
+ * Pose le cookie signé du panier invité sur la réponse
+ * @param {NextResponse} response - Réponse de la route
+ * @param {string} guestId - Identifiant du panier invité
+ * @returns {boolean} false si aucun secret n'est configuré
+ */
+export const setGuestCartCookie = (response, guestId) => {
+  const signature = signGuestId(guestId);
+  if (!signature) return false;
+
+  response.cookies.set(GUEST_CART_COOKIE, `${guestId}.${signature}`, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "lax",
+    path: "/",
+    maxAge: Math.floor(getGuestCartTtlMs() / 1000),
+  });
+
+  return true;
+};
+
+/**
+ * Supprime le cookie du panier invité (après fusion)
+ * @param {NextResponse} response - Réponse de la route
+ */
+export const clearGuestCartCookie = (response) => {
+  response.cookies.set(GUEST_CART_COOKIE, "", {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "lax",
+    path: "/",
+    maxAge: 0,
+  });
+};
+
+/**
+ * Propriétaire du panier d'une requête: utilisateur connecté, sinon invité
+ * @param {Object|null} user - Utilisateur authentifié
+ * @param {Request} req - Requête entrante
+ * @returns {{userId: string}|{guestId: string}|null} null sans panier
+ */
+export const getCartOwner = (user, req) => {
+  if (user) return { userId: user.id };
+
+  const guestId = readGuestCartId(req);
+  return guestId ? { guestId } : null;
+};
+
+/**
+ * Filtre des articles d'un propriétaire de panier
+ * @param {{userId?: string, guestId?: string}} owner - Propriétaire
+ * @returns {Object} Conditions de recherche Cart
+ */
+export const getCartOwnerFilter = ({ userId, guestId }) =>
+  userId ? { user: userId } : { guestId };
+
+/**
+ * Fusionne le panier invité dans le panier d'un utilisateur
+ *
+ * Dans une transaction: les quantités d'un même produit sont additionnées
+ * (une seule ligne par { user, product }), plafonnées au stock disponible
+ * hors réservations des autres clients. Les produits inactifs ou épuisés
+ * sont ignorés. Le panier invité est ensuite supprimé.
+ *
+ * @param {string} guestId - Identifiant du panier invité
+ * @param {string} userId - Utilisateur connecté
+ * @returns {Promise<{merged: number, adjusted: Array, dropped: Array}>}
+ */
+export const mergeGuestCart = async (guestId, userId) => {
+  const session = await Cart.startSession();
+  let result = null;
+
+  try {
+    await session.withTransaction(async () => {
+      result = { merged: 0, adjusted: [], dropped: [] };
+
+      const guestItems = await Cart.find({ guestId })
+        .select("product quantity")
+        .session(session)
+        .lean();
+
+      if (guestItems.length === 0) return;
+
+      const productIds = guestItems.map((item) => item.product);
+
+      for (const productId of productIds) {
+        await lockProductStock(productId, session);
+      }
+
+      const products = await Product.find({ _id: { $in: productIds } })
+        .select("name price stock isActive")
+        .session(session)
+        .lean();
+
+      const userItems = await Cart.find({
+        user: userId,
+        product: { $in: productIds },
+      })
+        .select("product quantity")
+        .session(session)
+        .lean();
+
+      const reserved = await getReservedQuantities(productIds, {
+        excludeUserId: userId,
+        session,
+      });
+
+      const productsById = new Map(
+        products.map((product) => [product._id.toString(), product]),
+      );
+      const userItemsByProduct = new Map(
+        userItems.map((item) => [item.product.toString(), item]),
+      );
+
+      for (const guestItem of guestItems) {
+        const productKey = guestItem.product.toString();
+        const product = productsById.get(productKey);
+        const available = product?.isActive
+          ? getAvailableStock(product, reserved)
+          : 0;
+
+        if (available === 0) {
+          result.dropped.push({
+            productId: guestItem.product,
+            name: product?.name || null,
+          });
+          continue;
+        }
+
+        const existing = userItemsByProduct.get(productKey);
+        const requested = (existing?.quantity || 0) + guestItem.quantity;
+        const quantity = Math.min(requested, available);
+
+        if (existing) {
+          if (quantity > existing.quantity) {
+            await Cart.updateOne(
+              { _id: existing._id },
+              { $set: { quantity, updatedAt: new Date() } },
+              { session },
+            );
+          }
+        } else {
+          await Cart.create(
+            [
+              {
+                user: userId,
+                product: product._id,
+                quantity,
+                price: product.price,
+                productName: product.name,
+              },
+            ],
+            { session },
+          );
+        }
+
+        result.merged += 1;
+
+        if (quantity < requested) {
+          result.adjusted.push({
+            productId: product._id,
+            name: product.name,
+            requested,
+            quantity,
+          });
+        }
+      }
+
+      await Cart.deleteMany({ guestId }, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return result;
+};
@@ -0,0 +1,157 @@
+import crypto from "crypto";
+import IdempotencyKey, {
+  IDEMPOTENCY_LEASE_SECONDS,
+} from "@/backend/models/idempotencyKey";
+
+// Format accepté pour l'en-tête Idempotency-Key (UUID ou identifiant opaque)
+const IDEMPOTENCY_KEY_REGEX = /^[A-Za-z0-9_:-]{8,255}$/;
+
+/**
+ * Vérifie le format d'une clé d'idempotence fournie par le client
+ * @param {string} key - Valeur de l'en-tête Idempotency-Key
+ * @returns {boolean}
+ */
+export const isValidIdempotencyKey = (key) =>
+  typeof key === "string" && IDEMPOTENCY_KEY_REGEX.test(key);
+
+/**
+ * Sérialise une valeur avec des clés triées pour une empreinte stable
+ * @param {*} value - Valeur à sérialiser
+ * @returns {string}
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+/**
+ * Calcule l'empreinte SHA-256 du corps d'une requête
+ * @param {Object} body - Corps de la requête (avant toute normalisation)
+ * @returns {string}
+ */
+export const computeRequestFingerprint = (body) =>
+  crypto.createHash("sha256").update(stableStringify(body)).digest("hex");
+
+/**
+ * Reprend une clé "processing" dont le bail a expiré (requête d'origine
+ * interrompue, ex: crash du serveur). La mise à jour est conditionnelle:
+ * une seule requête concurrente peut reprendre la clé.
+ *
+ * @param {Object} record - Enregistrement existant
+ * @returns {Promise<Object|null>} Enregistrement repris, null si encore actif
+ */
+const reclaimStaleRequest = (record) => {
+  const now = new Date();
+  const leaseStart = new Date(now.getTime() - IDEMPOTENCY_LEASE_SECONDS * 1000);
+
+  return IdempotencyKey.findOneAndUpdate(
+    {
+      _id: record._id,
+      status: "processing",
+      $or: [
+        { lockedAt: { $lte: leaseStart } },
+        // Clés créées avant l'ajout de lockedAt
+        { lockedAt: { $exists: false }, createdAt: { $lte: leaseStart } },
+      ],
+    },
+    { $set: { lockedAt: now } },
+    { new: true },
+  ).lean();
+};
+
+/**
+ * Réserve une clé d'idempotence ou retrouve son état
+ * Une clé "processing" plus ancienne que IDEMPOTENCY_LEASE_SECONDS est
+ * reprise ("new") au lieu de bloquer les nouvelles tentatives jusqu'à son
+ * expiration.
+ *
+ * @param {Object} params
+ * @param {string} params.key - Clé fournie par le client
+ * @param {string} params.userId - Utilisateur propriétaire
+ * @param {string} params.scope - Opération protégée (ex: "orders:create")
+ * @param {string} params.fingerprint - Empreinte de la requête
+ * @returns {Promise<{state: "new"|"replay"|"mismatch"|"in_progress", record: Object}>}
+ */
+export const beginIdempotentRequest = async ({
+  key,
+  userId,
+  scope,
+  fingerprint,
+}) => {
+  try {
+    const record = await IdempotencyKey.create({
+      key,
+      user: userId,
+      scope,
+      fingerprint,
+    });
+
+    return { state: "new", record };
+  } catch (error) {
+    // Clé déjà utilisée (index unique user + scope + key)
+    if (error.code !== 11000) throw error;
+
+    const record = await IdempotencyKey.findOne({
+      key,
+      user: userId,
+      scope,
+    }).lean();
+
+    // La clé a expiré entre temps: on peut la recréer
+    if (!record) {
+      return beginIdempotentRequest({ key, userId, scope, fingerprint });
+    }
+
+    if (record.fingerprint !== fingerprint) {
+      return { state: "mismatch", record };
+    }
+
+    if (record.status !== "completed") {
+      const reclaimed = await reclaimStaleRequest(record);
+
+      return reclaimed
+        ? { state: "new", record: reclaimed }
+        : { state: "in_progress", record };
+    }
+
+    return { state: "replay", record };
+  }
+};
+
+/**
+ * Enregistre la réponse associée à une clé pour les rejeux ultérieurs
+ * @param {Object} record - Enregistrement retourné par beginIdempotentRequest
+ * @param {number} status - Code HTTP renvoyé
+ * @param {Object} body - Corps JSON renvoyé
+ */
+export const completeIdempotentRequest = async (record, status, body) => {
+  await IdempotencyKey.updateOne(
+    { _id: record._id },
+    {
+      $set: {
+        status: "completed",
+        responseStatus: status,
+        responseBody: body,
+        completedAt: new Date(),
+      },
+    },
+  );
+};
+
+/**
+ * Libère une clé après un échec technique pour autoriser un nouvel essai
+ * @param {Object} record - Enregistrement retourné par beginIdempotentRequest
+ */
+export const releaseIdempotentRequest = async (record) => {
+  await IdempotencyKey.deleteOne({ _id: record._id, status: "processing" });
+};
@@ -0,0 +1,502 @@
+import PDFDocument from "pdfkit";
+import Counter from "@/backend/models/counter";
+import Order from "@/backend/models/order";
+import { INVOICE_CURRENCY, getSellerDetails } from "@/backend/config/invoice";
+import {
+  INVOICE_TAX_RATE,
+  validateSimpleInvoice,
+} from "@/helpers/validation/schemas/payment";
+import { escapeHtml } from "@/helpers/helpers";
+import { maskAccountNumber } from "./orderFormatter";
+
+/**
+ * Factures des commandes (/api/orders/me/[id]/invoice)
+ *
+ * - Une facture n'est émise que pour une commande réglée (ou remboursée)
+ * - Numéro attribué à la première demande puis figé: FAC-YYYY-NNNNNN,
+ *   séquence annuelle continue (compteur "invoice-YYYY")
+ * - Les prix des commandes sont TTC: le détail HT / taxe / TTC vient de
+ *   validateSimpleInvoice, appliqué au montant payé
+ */
+
+// Statuts de paiement pour lesquels une facture peut être émise
+export const INVOICEABLE_PAYMENT_STATUSES = ["paid", "refunded"];
+
+// Libellés des moyens de paiement
+const PAYMENT_METHOD_LABELS = {
+  WAAFI: "WAAFI",
+  "D-MONEY": "D-MONEY",
+  "CAC-PAY": "CAC-PAY",
+  "BCI-PAY": "BCI-PAY",
+  CASH: "Espèces",
+};
+
+const formatInvoiceNumber = (year, sequence) =>
+  `FAC-${year}-${String(sequence).padStart(6, "0")}`;
+
+/**
+ * Indique si une facture peut être émise pour une commande
+ * @param {Object} order - Commande
+ * @returns {boolean}
+ */
+export const isInvoiceable = (order) =>
+  !!order && INVOICEABLE_PAYMENT_STATUSES.includes(order.paymentStatus);
+
+/**
+ * Attribue un numéro de facture à une commande si elle n'en a pas encore
+ * Le compteur et la commande sont mis à jour dans la même transaction:
+ * une transaction rejouée ou annulée ne laisse pas de trou dans la séquence
+ *
+ * @param {string|mongoose.Types.ObjectId} orderId - Commande
+ * @returns {Promise<{invoiceNumber: string, invoicedAt: Date}>}
+ */
+export const ensureInvoiceNumber = async (orderId) => {
+  const session = await Order.startSession();
+  let result = null;
+
+  try {
+    await session.withTransaction(async () => {
+      const order = await Order.findById(orderId)
+        .select("invoiceNumber invoicedAt")
+        .session(session)
+        .lean();
+
+      if (order?.invoiceNumber) {
+        result = {
+          invoiceNumber: order.invoiceNumber,
+          invoicedAt: order.invoicedAt,
+        };
+        return;
+      }
+
+      const invoicedAt = new Date();
+      const year = invoicedAt.getFullYear();
+      const sequence = await Counter.nextSequence(`invoice-${year}`, {
+        session,
+      });
+      const invoiceNumber = formatInvoiceNumber(year, sequence);
+
+      await Order.updateOne(
+        { _id: orderId, invoiceNumber: { $exists: false } },
+        { $set: { invoiceNumber, invoicedAt } },
+        { session },
+      );
+
+      result = { invoiceNumber, invoicedAt };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return result;
+};
+
+/**
+ * Calcule le détail HT / taxe / TTC d'une commande (validateSimpleInvoice)
+ * À appeler avant ensureInvoiceNumber: une commande refusée ne doit pas
+ * consommer de numéro de facture
+ *
+ * @param {Object} order - Commande
+ * @returns {Promise<{isValid: boolean, errors?: Object, calculations?: Object}>}
+ */
+export const computeInvoiceTotals = (order) =>
+  validateSimpleInvoice({
+    amount: order.totalAmount,
+    currency: INVOICE_CURRENCY,
+    description: `Commande ${order.orderNumber}`,
+  });
+
+/**
+ * Construit les données d'une facture à partir d'une commande
+ *
+ * @param {Object} order - Commande (document lean, numéro de facture attribué)
+ * @param {Object} user - Client (utilisateur de la session)
+ * @param {Object} totals - Détail HT / taxe / TTC (computeInvoiceTotals)
+ * @returns {Object} Facture prête à être rendue en HTML ou PDF
+ */
+export const buildInvoice = (order, user, totals) => {
+  const items = (order.orderItems || []).map((item) => ({
+    name: item.name,
+    category: item.category,
+    quantity: item.quantity,
+    unitPrice: item.price,
+    total: item.subtotal ?? item.price * item.quantity,
+  }));
+
+  const itemsTotal = items.reduce((sum, item) => sum + item.total, 0);
+  const deliveryFee = order.deliveryFee || 0;
+  const typePayment = order.paymentInfo?.typePayment;
+
+  return {
+    number: order.invoiceNumber,
+    issuedAt: order.invoicedAt,
+    orderNumber: order.orderNumber,
+    orderedAt: order.createdAt,
+    currency: INVOICE_CURRENCY,
+    seller: getSellerDetails(),
+    customer: {
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      address:
+        order.fulfillmentMethod === "delivery"
+          ? order.shippingAddress
+          : user.address,
+    },
+    items,
+    itemsTotal: Math.round(itemsTotal * 100) / 100,
+    deliveryFee,
+    taxRate: INVOICE_TAX_RATE,
+    totals,
+    payment: {
+      method: PAYMENT_METHOD_LABELS[typePayment] || typePayment || "-",
+      accountNumber:
+        typePayment === "CASH"
+          ? null
+          : maskAccountNumber(order.paymentInfo?.paymentAccountNumber),
+      paidAt: order.paidAt,
+      refunded: order.paymentStatus === "refunded",
+    },
+  };
+};
+
+// Séparateur de milliers en espace simple: les polices standard du PDF
+// n'ont pas l'espace fine insécable produite par fr-FR
+const formatAmount = (value, currency) =>
+  `${(Number(value) || 0)
+    .toLocaleString("fr-FR", {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    })
+    .replace(/\s/g, " ")} ${currency}`;
+
+const formatInvoiceDate = (date) =>
+  date
+    ? new Intl.DateTimeFormat("fr-FR", {
+        year: "numeric",
+        month: "long",
+        day: "numeric",
+      }).format(new Date(date))
+    : "-";
+
+const formatAddress = (address) =>
+  address
+    ? [address.street, address.zoneLabel, address.city, address.country]
+        .filter(Boolean)
+        .join(", ")
+    : "";
+
+/**
+ * Rend une facture en page HTML imprimable (autonome, sans ressource externe)
+ * @param {Object} invoice - Résultat de buildInvoice
+ * @returns {string}
+ */
+export const renderInvoiceHtml = (invoice) => {
+  const { seller, customer, totals, payment, currency } = invoice;
+  const amount = (value) => escapeHtml(formatAmount(value, currency));
+  const taxPercent = Math.round(invoice.taxRate * 100);
+
+  const rows = invoice.items
+    .map(
+      (item) => `
+        <tr>
+          <td>${escapeHtml(item.name)}<br /><small>${escapeHtml(item.category)}</small></td>
+          <td class="num">${item.quantity}</td>
+          <td class="num">${amount(item.unitPrice)}</td>
+          <td class="num">${amount(item.total)}</td>
+        </tr>`,
+    )
+    .join("");
+
+  const deliveryRow =
+    invoice.deliveryFee > 0
+      ? `
+        <tr>
+          <td>Frais de livraison</td>
+          <td class="num">1</td>
+          <td class="num">${amount(invoice.deliveryFee)}</td>
+          <td class="num">${amount(invoice.deliveryFee)}</td>
+        </tr>`
+      : "";
+
+  const sellerLines = [
+    seller.address,
+    seller.phone && `Tél: ${seller.phone}`,
+    seller.email,
+    seller.taxId && `N° fiscal: ${seller.taxId}`,
+  ]
+    .filter(Boolean)
+    .map((line) => `<div>${escapeHtml(line)}</div>`)
+    .join("");
+
+  const customerLines = [
+    customer.email,
+    customer.phone && `Tél: ${customer.phone}`,
+    formatAddress(customer.address),
+  ]
+    .filter(Boolean)
+    .map((line) => `<div>${escapeHtml(line)}</div>`)
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="fr">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <meta name="robots" content="noindex, nofollow" />
+    <title>Facture ${escapeHtml(invoice.number)}</title>
+    <style>
+      body { font-family: Helvetica, Arial, sans-serif; color: #1f2937; margin: 0; padding: 32px; }
+      .invoice { max-width: 800px; margin: 0 auto; }
+      header { display: flex; justify-content: space-between; gap: 24px; margin-bottom: 32px; }
+      h1 { font-size: 28px; margin: 0 0 8px; }
+      h2 { font-size: 14px; text-transform: uppercase; color: #6b7280; margin: 0 0 8px; }
+      .parties { display: flex; justify-content: space-between; gap: 24px; margin-bottom: 32px; }
+      table { width: 100%; border-collapse: collapse; margin-bottom: 24px; }
+      th, td { padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: left; vertical-align: top; }
+      th { background: #f3f4f6; font-size: 13px; }
+      td small { color: #6b7280; }
+      .num { text-align: right; white-space: nowrap; }
+      .totals { margin-left: auto; width: 320px; }
+      .totals td { border: none; padding: 4px 8px; }
+      .totals .grand td { font-weight: bold; font-size: 16px; border-top: 2px solid #1f2937; }
+      .refunded { color: #b91c1c; font-weight: bold; }
+      footer { margin-top: 32px; font-size: 12px; color: #6b7280; }
+      .print { margin-bottom: 24px; }
+      @media print { body { padding: 0; } .print { display: none; } }
+    </style>
+  </head>
+  <body>
+    <div class="invoice">
+      <div class="print"><button type="button" onclick="window.print()">Imprimer</button></div>
+      <header>
+        <div>
+          <h1>${escapeHtml(seller.name)}</h1>
+          ${sellerLines}
+        </div>
+        <div>
+          <h1>Facture</h1>
+          <div>N° <strong>${escapeHtml(invoice.number)}</strong></div>
+          <div>Émise le ${escapeHtml(formatInvoiceDate(invoice.issuedAt))}</div>
+          <div>Commande ${escapeHtml(invoice.orderNumber)} du ${escapeHtml(formatInvoiceDate(invoice.orderedAt))}</div>
+        </div>
+      </header>
+      <section class="parties">
+        <div>
+          <h2>Facturé à</h2>
+          <div><strong>${escapeHtml(customer.name)}</strong></div>
+          ${customerLines}
+        </div>
+        <div>
+          <h2>Paiement</h2>
+          <div>Moyen: ${escapeHtml(payment.method)}</div>
+          ${payment.accountNumber ? `<div>Compte: ${escapeHtml(payment.accountNumber)}</div>` : ""}
+          <div>Payée le ${escapeHtml(formatInvoiceDate(payment.paidAt))}</div>
+          ${payment.refunded ? '<div class="refunded">Commande remboursée</div>' : ""}
+        </div>
+      </section>
+      <table>
+        <thead>
+          <tr>
+            <th>Désignation</th>
+            <th class="num">Qté</th>
+            <th class="num">Prix unitaire TTC</th>
+            <th class="num">Total TTC</th>
+          </tr>
+        </thead>
+        <tbody>${rows}${deliveryRow}
+        </tbody>
+      </table>
+      <table class="totals">
+        <tr><td>Total HT</td><td class="num">${amount(totals.subtotal)}</td></tr>
+        <tr><td>Taxe (${taxPercent}%)</td><td class="num">${amount(totals.tax)}</td></tr>
+        <tr class="grand"><td>Total TTC</td><td class="num">${amount(totals.total)}</td></tr>
+      </table>
+      <footer>Prix exprimés toutes taxes comprises. Taxe de ${taxPercent}% incluse.</footer>
+    </div>
+  </body>
+</html>`;
+};
+
+/**
+ * Rend une facture en PDF (format A4)
+ * @param {Object} invoice - Résultat de buildInvoice
+ * @returns {Promise<Buffer>}
+ */
+export const renderInvoicePdf = (invoice) =>
+  new Promise((resolve, reject) => {
+    const { seller, customer, totals, payment, currency } = invoice;
+    const amount = (value) => formatAmount(value, currency);
+    const taxPercent = Math.round(invoice.taxRate * 100);
+
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 50,
+      info: {
+        Title: `Facture ${invoice.number}`,
+        Author: seller.name,
+      },
+    });
+
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    const width = right - left;
+
+    // En-tête: vendeur à gauche, références de la facture à droite
+    doc.font("Helvetica-Bold").fontSize(18).text(seller.name, left, 50);
+    doc.font("Helvetica").fontSize(9);
+    [
+      seller.address,
+      seller.phone && `Tél: ${seller.phone}`,
+      seller.email,
+      seller.taxId && `N° fiscal: ${seller.taxId}`,
+    ]
+      .filter(Boolean)
+      .forEach((line) => doc.text(line, { width: width / 2 }));
+
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(18)
+      .text("FACTURE", left, 50, { width, align: "right" });
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .text(`N° ${invoice.number}`, { width, align: "right" })
+      .text(`Émise le ${formatInvoiceDate(invoice.issuedAt)}`, {
+        width,
+        align: "right",
+      })
+      .text(
+        `Commande ${invoice.orderNumber} du ${formatInvoiceDate(invoice.orderedAt)}`,
+        { width, align: "right" },
+      );
+
+    // Client et paiement
+    const partiesTop = 150;
+    doc.font("Helvetica-Bold").fontSize(10).text("Facturé à", left, partiesTop);
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .text(customer.name || "-");
+    [
+      customer.email,
+      customer.phone && `Tél: ${customer.phone}`,
+      formatAddress(customer.address),
+    ]
+      .filter(Boolean)
+      .forEach((line) => doc.text(line, { width: width / 2 - 10 }));
+
+    const paymentX = left + width / 2 + 10;
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(10)
+      .text("Paiement", paymentX, partiesTop);
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .text(`Moyen: ${payment.method}`, paymentX);
+    if (payment.accountNumber) {
+      doc.text(`Compte: ${payment.accountNumber}`, paymentX);
+    }
+    doc.text(`Payée le ${formatInvoiceDate(payment.paidAt)}`, paymentX);
+    if (payment.refunded) {
+      doc.fillColor("#b91c1c").text("Commande remboursée", paymentX);
+      doc.fillColor("black");
+    }
+
+    // Lignes de la facture
+    const columns = [
+      { label: "Désignation", x: left, width: width - 270, align: "left" },
+      { label: "Qté", x: right - 270, width: 50, align: "right" },
+      {
+        label: "Prix unitaire TTC",
+        x: right - 210,
+        width: 100,
+        align: "right",
+      },
+      { label: "Total TTC", x: right - 100, width: 100, align: "right" },
+    ];
+
+    const drawRow = (cells, y, font = "Helvetica") => {
+      doc.font(font).fontSize(9);
+      const heights = cells.map((cell, index) =>
+        doc.heightOfString(cell, { width: columns[index].width }),
+      );
+      cells.forEach((cell, index) => {
+        doc.text(cell, columns[index].x, y, {
+          width: columns[index].width,
+          align: columns[index].align,
+        });
+      });
+      const bottom = y + Math.max(...heights) + 6;
+      doc
+        .moveTo(left, bottom - 3)
+        .lineTo(right, bottom - 3)
+        .strokeColor("#e5e7eb")
+        .stroke();
+      return bottom;
+    };
+
+    let y = drawRow(
+      columns.map((column) => column.label),
+      240,
+      "Helvetica-Bold",
+    );
+
+    const lines = invoice.items.map((item) => [
+      item.name,
+      String(item.quantity),
+      amount(item.unitPrice),
+      amount(item.total),
+    ]);
+
+    if (invoice.deliveryFee > 0) {
+      lines.push([
+        "Frais de livraison",
+        "1",
+        amount(invoice.deliveryFee),
+        amount(invoice.deliveryFee),
+      ]);
+    }
+
+    lines.forEach((cells) => {
+      if (y > doc.page.height - doc.page.margins.bottom - 100) {
+        doc.addPage();
+        y = doc.page.margins.top;
+      }
+      y = drawRow(cells, y);
+    });
+
+    // Récapitulatif HT / taxe / TTC
+    y += 10;
+    [
+      ["Total HT", amount(totals.subtotal), "Helvetica"],
+      [`Taxe (${taxPercent}%)`, amount(totals.tax), "Helvetica"],
+      ["Total TTC", amount(totals.total), "Helvetica-Bold"],
+    ].forEach(([label, value, font]) => {
+      doc
+        .font(font)
+        .fontSize(10)
+        .text(label, right - 250, y, { width: 130 })
+        .text(value, right - 120, y, { width: 120, align: "right" });
+      y += 16;
+    });
+
+    doc
+      .font("Helvetica")
+      .fontSize(8)
+      .fillColor("#6b7280")
+      .text(
+        `Prix exprimés toutes taxes comprises. Taxe de ${taxPercent}% incluse.`,
+        left,
+        y + 20,
+        { width },
+      );
+
+    doc.end();
+  });
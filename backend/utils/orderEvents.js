@@ -0,0 +1,155 @@
+import OrderEvent from "@/backend/models/orderEvent";
+import { captureException } from "@/monitoring/sentry";
+
+/**
+ * Enregistrement des événements d'audit des commandes (OrderEvent)
+ *
+ * Usage type dans une route:
+ *   const before = snapshotOrder(order);
+ *   order.transitionTo(...);
+ *   await order.save({ session });
+ *   await recordOrderEvent({ type, order, before, actor, req, session });
+ */
+
+// Champs suivis dans le diff avant / après
+const TRACKED_FIELDS = [
+  "paymentStatus",
+  "fulfillmentStatus",
+  "totalAmount",
+  "deliveryFee",
+  "refundedAmount",
+  "paidAt",
+  "cancelledAt",
+  "cancelReason",
+  "paymentDueAt",
+  "paymentProcessingAt",
+  "paymentInfo.providerTransactionId",
+  "paymentProof.reference",
+  "cashCollection.collectedAt",
+];
+
+const getPath = (object, path) =>
+  path.split(".").reduce((value, key) => value?.[key], object);
+
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+/**
+ * Instantané des champs suivis d'une commande (avant modification)
+ * @param {Object} order - Commande (document ou objet lean)
+ * @returns {Object|null} Valeurs par chemin de champ
+ */
+export const snapshotOrder = (order) => {
+  if (!order) return null;
+
+  return Object.fromEntries(
+    TRACKED_FIELDS.map((field) => [
+      field,
+      normalizeValue(getPath(order, field)),
+    ]),
+  );
+};
+
+/**
+ * Diff entre deux instantanés (seuls les champs modifiés)
+ * @param {Object|null} before - Instantané avant modification
+ * @param {Object|null} after - Instantané après modification
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+export const diffSnapshots = (before, after) =>
+  TRACKED_FIELDS.filter(
+    (field) => (before?.[field] ?? null) !== (after?.[field] ?? null),
+  ).map((field) => ({
+    field,
+    before: before?.[field] ?? null,
+    after: after?.[field] ?? null,
+  }));
+
+/**
+ * Origine de la requête (IP et user agent)
+ * @param {Request} [req] - Requête entrante
+ * @returns {{ip: string, userAgent: string}|{}}
+ */
+export const getRequestOrigin = (req) => {
+  if (!req?.headers) return {};
+
+  return {
+    ip:
+      req.headers.get("x-forwarded-for")?.split(",")[0]?.trim() ||
+      req.headers.get("x-real-ip") ||
+      "unknown",
+    userAgent: req.headers.get("user-agent")?.slice(0, 500) || "unknown",
+  };
+};
+
+/**
+ * Enregistre un événement d'audit
+ *
+ * Avec une session, l'événement fait partie de la transaction: il n'existe
+ * que si la modification est validée, et une erreur d'écriture annule la
+ * transaction. Sans session (tentatives rejetées, traitements hors
+ * transaction), une erreur est journalisée sans être propagée.
+ *
+ * @param {Object} params
+ * @param {string} params.type - Type d'événement (ORDER_EVENT_TYPES)
+ * @param {Object} [params.order] - Commande concernée (état après modification)
+ * @param {string} [params.orderNumber] - Numéro, si la commande n'est pas chargée
+ * @param {string} [params.userId] - Client, si la commande n'existe pas
+ * @param {Object|null} [params.before] - Instantané avant modification (snapshotOrder)
+ * @param {Object} [params.actor] - { type: customer|staff|system|provider, id, name }
+ * @param {Request} [params.req] - Requête (IP, user agent)
+ * @param {Object} [params.metadata] - Contexte complémentaire
+ * @param {mongoose.ClientSession} [params.session] - Session de transaction
+ * @returns {Promise<Object|null>} Événement créé
+ */
+export const recordOrderEvent = async ({
+  type,
+  order,
+  orderNumber,
+  userId,
+  before = null,
+  actor = { type: "system" },
+  req,
+  metadata,
+  session,
+}) => {
+  const event = {
+    order: order?._id,
+    orderNumber: order?.orderNumber || orderNumber,
+    user: (order?.user || userId)?.toString(),
+    type,
+    actor: {
+      type: actor.type,
+      id: actor.id?.toString(),
+      name: actor.name,
+    },
+    ...getRequestOrigin(req),
+    changes: order ? diffSnapshots(before, snapshotOrder(order)) : [],
+    metadata,
+  };
+
+  if (session) {
+    const [created] = await OrderEvent.create([event], { session });
+    return created;
+  }
+
+  try {
+    return await OrderEvent.create(event);
+  } catch (error) {
+    console.error("Order event recording failed:", {
+      type,
+      orderNumber: event.orderNumber,
+      error: error.message,
+    });
+
+    captureException(error, {
+      tags: { component: "order-events", operation: "record" },
+      extra: { type, orderNumber: event.orderNumber },
+    });
+
+    return null;
+  }
+};
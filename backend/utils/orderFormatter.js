@@ -0,0 +1,122 @@
+import { buildPickupQrPayload } from "@/backend/utils/pickupCode";
+
+/**
+ * Helpers de présentation des commandes pour les routes /api/orders/me
+ * Centralise l'enrichissement (paiement CASH, libellé de statut, client)
+ */
+
+// Champs d'une commande exposés à son propriétaire
+export const USER_ORDER_FIELDS =
+  "orderNumber paymentInfo paymentStatus fulfillmentStatus statusHistory fulfillmentMethod shippingAddress deliveryFee totalAmount createdAt updatedAt paidAt cancelledAt cancelReason orderItems pickupCode cashCollection invoiceNumber refundedAmount paymentDueAt paymentProof";
+
+// Libellés des statuts de paiement affichés au client
+const PAYMENT_STATUS_DESCRIPTIONS = {
+  paid: "Payé",
+  unpaid: "Non payé",
+  processing: "En traitement",
+  pending_cash: "En attente de paiement en espèces",
+  refunded: "Remboursé",
+  failed: "Échoué",
+};
+
+/**
+ * Masque un numéro de compte de paiement (seuls les 4 derniers chiffres)
+ * Les documents lean ne passent pas par le getter du modèle
+ * @param {string} accountNumber - Numéro de compte
+ * @returns {string}
+ */
+export const maskAccountNumber = (accountNumber) => {
+  if (!accountNumber || accountNumber === "CASH") return accountNumber;
+  return accountNumber.length > 4
+    ? "••••••" + accountNumber.slice(-4)
+    : accountNumber;
+};
+
+/**
+ * Indique si une commande (document lean) est réglée en espèces
+ * @param {Object} order - Commande
+ * @returns {boolean}
+ */
+export const isCashOrder = (order) =>
+  order?.paymentInfo?.typePayment === "CASH" ||
+  order?.paymentInfo?.isCashPayment === true;
+
+/**
+ * Retourne le libellé lisible du statut de paiement d'une commande
+ * @param {Object} order - Commande
+ * @returns {string}
+ */
+export const getPaymentStatusDescription = (order) => {
+  if (isCashOrder(order)) {
+    return "Paiement en espèces à la récupération";
+  }
+
+  return PAYMENT_STATUS_DESCRIPTIONS[order?.paymentStatus] || "Statut inconnu";
+};
+
+/**
+ * Informations de retrait d'une commande CASH en attente d'encaissement
+ * @param {Object} order - Commande
+ * @returns {{code: string, qrPayload: string|null}|null}
+ */
+export const getPickupDetails = (order) => {
+  if (
+    !isCashOrder(order) ||
+    order.paymentStatus !== "pending_cash" ||
+    order.cancelledAt ||
+    !order.pickupCode
+  ) {
+    return null;
+  }
+
+  return {
+    code: order.pickupCode,
+    qrPayload: buildPickupQrPayload(order.orderNumber),
+  };
+};
+
+/**
+ * Enrichit une commande pour la réponse API de l'utilisateur connecté
+ * @param {Object} order - Commande (document lean)
+ * @param {Object} user - Utilisateur de la session
+ * @returns {Object} Commande formatée
+ */
+export const formatOrderForUser = (
+  { pickupCode, cashCollection, ...order },
+  user,
+) => ({
+  ...order,
+  paymentInfo: order.paymentInfo
+    ? {
+        ...order.paymentInfo,
+        paymentAccountNumber: maskAccountNumber(
+          order.paymentInfo.paymentAccountNumber,
+        ),
+      }
+    : order.paymentInfo,
+  // Les commandes antérieures au suivi logistique n'ont pas de statut
+  fulfillmentStatus:
+    order.fulfillmentStatus || (order.cancelledAt ? "cancelled" : "placed"),
+  fulfillmentMethod: order.fulfillmentMethod || "pickup",
+  deliveryFee: order.deliveryFee || 0,
+  // L'identité des membres du staff n'est pas exposée au client
+  statusHistory: (order.statusHistory || []).map((entry) => ({
+    status: entry.status,
+    changedAt: entry.changedAt,
+    actor: entry.actor?.type || "system",
+    note: entry.note,
+  })),
+  user: {
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+  },
+  // Code et QR de retrait tant que l'espèce n'est pas encaissée
+  pickup: getPickupDetails({ ...order, pickupCode }),
+  // L'identité du membre du staff ayant encaissé n'est pas exposée
+  cashCollectedAt: cashCollection?.collectedAt,
+  // Ajouter un flag pour identifier facilement les paiements CASH
+  isCashPayment: isCashOrder(order),
+  // Ajouter un message descriptif pour le statut
+  paymentStatusDescription: getPaymentStatusDescription(order),
+});
@@ -0,0 +1,220 @@
+import { maskAccountNumber } from "./orderFormatter";
+
+/**
+ * Requêtes et exports de l'historique des commandes (/api/orders/me)
+ * Les filtres reçus ont déjà été validés par helpers/validation/schemas/order
+ */
+
+// Tri MongoDB de chaque option de tri (createdAt départage les montants égaux)
+export const ORDER_SORT_STAGES = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  amount_desc: { totalAmount: -1, createdAt: -1 },
+  amount_asc: { totalAmount: 1, createdAt: -1 },
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Construit le filtre MongoDB de l'historique à partir des paramètres validés
+ * @param {string} userId - Propriétaire des commandes
+ * @param {Object} filters - Résultat de validateOrderHistoryFilters
+ * @returns {Object}
+ */
+export const buildOrderHistoryQuery = (userId, filters) => {
+  const query = { user: userId };
+
+  if (filters.paymentStatus) {
+    query.paymentStatus = filters.paymentStatus;
+  }
+
+  if (filters.typePayment) {
+    query["paymentInfo.typePayment"] = filters.typePayment;
+  }
+
+  if (filters.dateFrom || filters.dateTo) {
+    query.createdAt = {};
+    if (filters.dateFrom) {
+      query.createdAt.$gte = new Date(filters.dateFrom);
+    }
+    if (filters.dateTo) {
+      // Borne incluse: jusqu'à la fin de la journée
+      const end = new Date(filters.dateTo);
+      end.setUTCDate(end.getUTCDate() + 1);
+      query.createdAt.$lt = end;
+    }
+  }
+
+  if (filters.minAmount != null || filters.maxAmount != null) {
+    query.totalAmount = {};
+    if (filters.minAmount != null) query.totalAmount.$gte = filters.minAmount;
+    if (filters.maxAmount != null) query.totalAmount.$lte = filters.maxAmount;
+  }
+
+  if (filters.q) {
+    const pattern = new RegExp(escapeRegex(filters.q), "i");
+    query.$or = [{ orderNumber: pattern }, { "orderItems.name": pattern }];
+  }
+
+  return query;
+};
+
+// Champs lus pour l'export (pas d'identifiants internes ni de code de retrait)
+export const ORDER_EXPORT_FIELDS =
+  "orderNumber createdAt paymentInfo.typePayment paymentInfo.paymentAccountNumber paymentStatus fulfillmentStatus fulfillmentMethod paidAt cancelledAt deliveryFee totalAmount orderItems.name orderItems.category orderItems.quantity orderItems.price orderItems.subtotal";
+
+// Colonnes CSV: une ligne par article, les champs de la commande sont répétés
+const CSV_COLUMNS = [
+  ["orderNumber", "Commande"],
+  ["createdAt", "Date"],
+  ["paymentStatus", "Statut paiement"],
+  ["fulfillmentStatus", "Statut commande"],
+  ["fulfillmentMethod", "Mode de remise"],
+  ["typePayment", "Moyen de paiement"],
+  ["paymentAccountNumber", "Compte"],
+  ["paidAt", "Payée le"],
+  ["cancelledAt", "Annulée le"],
+  ["deliveryFee", "Frais de livraison"],
+  ["totalAmount", "Total commande"],
+  ["itemName", "Article"],
+  ["itemCategory", "Catégorie"],
+  ["itemQuantity", "Quantité"],
+  ["itemPrice", "Prix unitaire"],
+  ["itemSubtotal", "Sous-total"],
+];
+
+const toIsoString = (date) => (date ? new Date(date).toISOString() : null);
+
+/**
+ * Représentation exportée d'une commande (numéro de compte masqué comme le
+ * transform toJSON du modèle)
+ * @param {Object} order - Commande (document lean)
+ * @returns {Object}
+ */
+export const toExportOrder = (order) => ({
+  orderNumber: order.orderNumber,
+  createdAt: toIsoString(order.createdAt),
+  paymentStatus: order.paymentStatus,
+  fulfillmentStatus:
+    order.fulfillmentStatus || (order.cancelledAt ? "cancelled" : "placed"),
+  fulfillmentMethod: order.fulfillmentMethod || "pickup",
+  typePayment: order.paymentInfo?.typePayment || null,
+  paymentAccountNumber:
+    maskAccountNumber(order.paymentInfo?.paymentAccountNumber) || null,
+  paidAt: toIsoString(order.paidAt),
+  cancelledAt: toIsoString(order.cancelledAt),
+  deliveryFee: order.deliveryFee || 0,
+  totalAmount: order.totalAmount,
+  items: (order.orderItems || []).map((item) => ({
+    name: item.name,
+    category: item.category,
+    quantity: item.quantity,
+    price: item.price,
+    subtotal: item.subtotal,
+  })),
+});
+
+/**
+ * Échappe une cellule CSV (RFC 4180) et neutralise les formules
+ * (=, +, -, @ en tête) interprétées par les tableurs
+ * @param {*} value - Valeur de la cellule
+ * @returns {string}
+ */
+const escapeCsvCell = (value) => {
+  if (value === null || value === undefined) return "";
+
+  let cell = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(cell)) {
+    cell = `'${cell}`;
+  }
+
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/**
+ * Ligne d'en-tête du CSV
+ * @returns {string}
+ */
+export const getOrderCsvHeader = () =>
+  CSV_COLUMNS.map(([, label]) => escapeCsvCell(label)).join(",") + "\r\n";
+
+/**
+ * Lignes CSV d'une commande exportée (une par article)
+ * @param {Object} exportOrder - Résultat de toExportOrder
+ * @returns {string}
+ */
+export const toOrderCsvRows = ({ items, ...order }) =>
+  (items.length > 0 ? items : [null])
+    .map((item) => {
+      const row = {
+        ...order,
+        itemName: item?.name,
+        itemCategory: item?.category,
+        itemQuantity: item?.quantity,
+        itemPrice: item?.price,
+        itemSubtotal: item?.subtotal,
+      };
+      return CSV_COLUMNS.map(([key]) => escapeCsvCell(row[key])).join(",");
+    })
+    .join("\r\n") + "\r\n";
+
+/**
+ * Diffuse un export de commandes au fil du curseur MongoDB
+ * (l'historique complet n'est jamais chargé en mémoire)
+ *
+ * @param {AsyncIterable<Object>} cursor - Curseur de commandes lean
+ * @param {"csv"|"json"} format - Format de sortie
+ * @param {Object} [meta] - Métadonnées ajoutées en tête de l'export JSON
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export const streamOrderExport = (cursor, format, meta = {}) => {
+  const encoder = new TextEncoder();
+  const iterator = cursor[Symbol.asyncIterator]();
+  let started = false;
+  let count = 0;
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        if (!started) {
+          started = true;
+          controller.enqueue(
+            encoder.encode(
+              format === "csv"
+                ? // BOM UTF-8: accents correctement lus par Excel
+                  "\uFEFF" + getOrderCsvHeader()
+                : `{"meta":${JSON.stringify(meta)},"orders":[`,
+            ),
+          );
+          return;
+        }
+
+        const { value: order, done } = await iterator.next();
+
+        if (done) {
+          if (format === "json") {
+            controller.enqueue(encoder.encode("]}"));
+          }
+          controller.close();
+          return;
+        }
+
+        const exportOrder = toExportOrder(order);
+        controller.enqueue(
+          encoder.encode(
+            format === "csv"
+              ? toOrderCsvRows(exportOrder)
+              : `${count > 0 ? "," : ""}${JSON.stringify(exportOrder)}`,
+          ),
+        );
+        count++;
+      } catch (error) {
+        console.error("Order export stream error:", error.message);
+        controller.error(error);
+      }
+    },
+    async cancel() {
+      await iterator.return?.();
+    },
+  });
+};
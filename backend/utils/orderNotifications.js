@@ -0,0 +1,76 @@
+import dbConnect from "@/backend/config/dbConnect";
+import Order from "@/backend/models/order";
+import {
+  ORDER_EMAIL_EVENTS,
+  sendOrderEmail,
+} from "@/backend/utils/emailService";
+import { captureException } from "@/monitoring/sentry";
+
+/**
+ * Notifications email des événements de commande
+ *
+ * Appelée après le commit de la transaction (via after() dans les routes):
+ * la commande et le client sont relus depuis la base, et un échec d'envoi
+ * est journalisé sans jamais remonter à l'appelant.
+ */
+
+// Champs nécessaires au récapitulatif de l'email
+const NOTIFICATION_ORDER_FIELDS =
+  "orderNumber user orderItems paymentInfo.typePayment paymentStatus pickupCode deliveryFee totalAmount cancelReason";
+
+/**
+ * Envoie l'email correspondant à un événement de commande
+ * @param {string} event - confirmation | payment_received | cancelled | ready_for_pickup
+ * @param {string} orderId - Identifiant de la commande
+ * @returns {Promise<{success: boolean, skipped?: string}>} Ne rejette jamais
+ */
+export const notifyOrderEvent = async (event, orderId) => {
+  try {
+    if (!ORDER_EMAIL_EVENTS.includes(event)) {
+      throw new Error(`Unknown order event: ${event}`);
+    }
+
+    const mongooseInstance = await dbConnect();
+
+    const order = await Order.findById(orderId)
+      .select(NOTIFICATION_ORDER_FIELDS)
+      .lean();
+
+    if (!order?.user) {
+      return { success: false, skipped: "order_not_found" };
+    }
+
+    // Les comptes sont gérés par Better Auth (collection "user")
+    const customer = await mongooseInstance.connection
+      .getClient()
+      .db()
+      .collection("user")
+      .findOne(
+        { id: order.user.toString() },
+        { projection: { email: 1, name: 1 } },
+      );
+
+    if (!customer?.email) {
+      console.warn("Order notification skipped, customer has no email:", {
+        event,
+        orderNumber: order.orderNumber,
+      });
+      return { success: false, skipped: "customer_not_found" };
+    }
+
+    return await sendOrderEmail(event, customer.email, customer.name, order);
+  } catch (error) {
+    console.error("Order notification failed:", {
+      event,
+      orderId: orderId?.toString(),
+      error: error.message,
+    });
+
+    captureException(error, {
+      tags: { component: "orderNotifications", event },
+      extra: { orderId: orderId?.toString() },
+    });
+
+    return { success: false };
+  }
+};
@@ -0,0 +1,103 @@
+import crypto from "crypto";
+import PaymentNonce from "@/backend/models/paymentNonce";
+
+/**
+ * Vérification des callbacks signés des opérateurs de paiement mobile
+ *
+ * Chaque opérateur signe: HMAC-SHA256(secret, `${timestamp}.${nonce}.${rawBody}`)
+ * - En-têtes: X-Payment-Signature (hex), X-Payment-Timestamp (secondes Unix),
+ *   X-Payment-Nonce (unique par callback)
+ * - Secret par plateforme: PAYMENT_CALLBACK_SECRET_<PLATEFORME>
+ *   (ex: PAYMENT_CALLBACK_SECRET_D_MONEY)
+ */
+
+// Segment d'URL → type de paiement stocké sur la commande
+export const CALLBACK_PLATFORMS = {
+  waafi: "WAAFI",
+  "d-money": "D-MONEY",
+  "cac-pay": "CAC-PAY",
+  "bci-pay": "BCI-PAY",
+};
+
+// Écart maximal accepté entre l'horodatage signé et l'horloge du serveur
+export const CALLBACK_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Retourne le secret partagé avec une plateforme
+ * @param {string} typePayment - Type de paiement (ex: "D-MONEY")
+ * @returns {string|undefined}
+ */
+export const getCallbackSecret = (typePayment) =>
+  process.env[`PAYMENT_CALLBACK_SECRET_${typePayment.replace(/-/g, "_")}`];
+
+/**
+ * Calcule la signature attendue d'un callback
+ * @param {string} secret - Secret de la plateforme
+ * @param {string} timestamp - Horodatage signé
+ * @param {string} nonce - Nonce du callback
+ * @param {string} rawBody - Corps brut de la requête
+ * @returns {string} Signature hexadécimale
+ */
+export const computeCallbackSignature = (secret, timestamp, nonce, rawBody) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${nonce}.${rawBody}`)
+    .digest("hex");
+
+/**
+ * Vérifie la signature d'un callback en temps constant
+ * @returns {boolean}
+ */
+export const isValidCallbackSignature = ({
+  secret,
+  signature,
+  timestamp,
+  nonce,
+  rawBody,
+}) => {
+  if (!signature || !/^[0-9a-f]{64}$/i.test(signature)) return false;
+
+  const expected = computeCallbackSignature(secret, timestamp, nonce, rawBody);
+
+  return crypto.timingSafeEqual(
+    Buffer.from(expected, "hex"),
+    Buffer.from(signature.toLowerCase(), "hex"),
+  );
+};
+
+/**
+ * Vérifie que l'horodatage signé est dans la fenêtre de tolérance
+ * @param {string} timestamp - Secondes Unix
+ * @returns {boolean}
+ */
+export const isFreshTimestamp = (timestamp) => {
+  if (!/^\d{10}$/.test(timestamp || "")) return false;
+
+  const ageSeconds = Math.abs(Date.now() / 1000 - parseInt(timestamp, 10));
+  return ageSeconds <= CALLBACK_TOLERANCE_SECONDS;
+};
+
+/**
+ * Enregistre le nonce d'un callback
+ * Appelé dans la transaction qui applique le callback: un traitement en
+ * échec n'utilise pas le nonce et l'opérateur peut renvoyer la notification
+ *
+ * @param {string} platform - Type de paiement
+ * @param {string} nonce - Nonce reçu
+ * @param {Object} [options]
+ * @param {import("mongoose").ClientSession} [options.session] - Transaction
+ * @returns {Promise<boolean>} false si le nonce a déjà été utilisé (rejeu)
+ */
+export const registerCallbackNonce = async (
+  platform,
+  nonce,
+  { session } = {},
+) => {
+  try {
+    await PaymentNonce.create([{ platform, nonce }], { session });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
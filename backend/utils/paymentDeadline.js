@@ -0,0 +1,213 @@
+import Order from "@/backend/models/order";
+import Product from "@/backend/models/product";
+import { recordOrderEvent, snapshotOrder } from "@/backend/utils/orderEvents";
+import { lockProductStock } from "@/backend/utils/stockReservation";
+import { captureException } from "@/monitoring/sentry";
+
+/**
+ * Délai de paiement des commandes payées par mobile money
+ *
+ * Le stock est décrémenté dès la création de la commande. Une commande
+ * non-CASH doit être réglée avant paymentDueAt, sinon elle est annulée
+ * par le job cancelOverdueOrders (route cron ou scripts/cron.mjs) et son
+ * stock est restitué.
+ *
+ * Délai configurable par plateforme (en minutes):
+ * PAYMENT_DEADLINE_MINUTES_<PLATEFORME> (ex: PAYMENT_DEADLINE_MINUTES_D_MONEY),
+ * sinon PAYMENT_DEADLINE_MINUTES, sinon 60.
+ *
+ * Une commande en "processing" (preuve de paiement en attente de revue,
+ * paiement en cours chez l'opérateur) est annulée par le même job si elle
+ * n'est ni confirmée ni refusée dans les PAYMENT_PROCESSING_TIMEOUT_MINUTES
+ * (2880 par défaut, soit 48h) suivant son passage en "processing".
+ */
+
+const DEFAULT_DEADLINE_MINUTES = 60;
+const DEFAULT_PROCESSING_TIMEOUT_MINUTES = 48 * 60;
+
+// Nombre maximal de commandes traitées par exécution du job
+const DEFAULT_SWEEP_LIMIT = 50;
+
+// Statuts de paiement d'une commande qui bloque du stock sans être réglée
+// ("processing" a son propre délai, voir getPaymentProcessingTimeoutMinutes)
+export const OVERDUE_PAYMENT_STATUSES = ["unpaid", "failed"];
+
+// Raisons enregistrées sur les commandes annulées par le job
+export const PAYMENT_EXPIRED_REASON =
+  "Annulation automatique: délai de paiement dépassé";
+export const PAYMENT_REVIEW_EXPIRED_REASON =
+  "Annulation automatique: paiement non confirmé dans les délais";
+
+const SYSTEM_ACTOR = { type: "system", name: "Délai de paiement" };
+
+const parseMinutes = (value) => {
+  const minutes = parseInt(value, 10);
+  return Number.isInteger(minutes) && minutes > 0 ? minutes : null;
+};
+
+/**
+ * Délai de paiement d'une plateforme en minutes
+ * @param {string} typePayment - Type de paiement (ex: "WAAFI")
+ * @returns {number|null} null pour les paiements CASH (réglés au retrait)
+ */
+export const getPaymentDeadlineMinutes = (typePayment) => {
+  if (!typePayment || typePayment === "CASH") return null;
+
+  return (
+    parseMinutes(
+      process.env[`PAYMENT_DEADLINE_MINUTES_${typePayment.replace(/-/g, "_")}`],
+    ) ||
+    parseMinutes(process.env.PAYMENT_DEADLINE_MINUTES) ||
+    DEFAULT_DEADLINE_MINUTES
+  );
+};
+
+/**
+ * Délai de confirmation d'un paiement en "processing" en minutes
+ * @returns {number}
+ */
+export const getPaymentProcessingTimeoutMinutes = () =>
+  parseMinutes(process.env.PAYMENT_PROCESSING_TIMEOUT_MINUTES) ||
+  DEFAULT_PROCESSING_TIMEOUT_MINUTES;
+
+/**
+ * Date limite de paiement d'une nouvelle commande
+ * @param {string} typePayment - Type de paiement
+ * @param {Date} [from=new Date()] - Date de création
+ * @returns {Date|null} null pour les paiements CASH
+ */
+export const getPaymentDueAt = (typePayment, from = new Date()) => {
+  const minutes = getPaymentDeadlineMinutes(typePayment);
+  return minutes ? new Date(from.getTime() + minutes * 60000) : null;
+};
+
+/**
+ * Annule les commandes dont le délai de paiement est dépassé, ainsi que les
+ * commandes restées en "processing" au-delà du délai de confirmation
+ * Chaque commande est traitée dans sa propre transaction: annulation
+ * (cancelReason système) et restitution de stock / sold.
+ * Un paiement reçu entre-temps fait échouer les conditions: la commande
+ * est alors ignorée.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - Nombre maximal de commandes traitées
+ * @param {Date} [options.now=new Date()] - Date de référence
+ * @returns {Promise<Object>} { scanned, cancelled: [{ _id, orderNumber }], failed: [orderNumber] }
+ */
+export const cancelOverdueOrders = async ({
+  limit = DEFAULT_SWEEP_LIMIT,
+  now = new Date(),
+} = {}) => {
+  const processingCutoff = new Date(
+    now.getTime() - getPaymentProcessingTimeoutMinutes() * 60000,
+  );
+
+  const overdueQuery = {
+    cancelledAt: { $exists: false },
+    $or: [
+      {
+        paymentStatus: { $in: OVERDUE_PAYMENT_STATUSES },
+        paymentDueAt: { $lte: now },
+      },
+      {
+        paymentStatus: "processing",
+        paymentProcessingAt: { $lte: processingCutoff },
+      },
+      // Commandes passées en "processing" avant l'ajout de paymentProcessingAt
+      {
+        paymentStatus: "processing",
+        paymentProcessingAt: { $exists: false },
+        updatedAt: { $lte: processingCutoff },
+      },
+    ],
+  };
+
+  const overdueOrders = await Order.find(overdueQuery)
+    .select("_id orderNumber")
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .lean();
+
+  const cancelled = [];
+  const failed = [];
+
+  for (const { _id, orderNumber } of overdueOrders) {
+    const session = await Order.startSession();
+
+    try {
+      let isCancelled = false;
+
+      await session.withTransaction(async () => {
+        isCancelled = false;
+
+        // Relire la commande dans la transaction (paiement reçu entre-temps ?)
+        const order = await Order.findOne({ _id, ...overdueQuery }).session(
+          session,
+        );
+
+        if (!order || !order.canTransitionTo("cancelled")) return;
+
+        const before = snapshotOrder(order);
+        const isReviewExpired = order.paymentStatus === "processing";
+
+        for (const item of order.orderItems) {
+          await lockProductStock(item.product, session);
+          await Product.findByIdAndUpdate(
+            item.product,
+            { $inc: { stock: item.quantity, sold: -item.quantity } },
+            { session },
+          );
+        }
+
+        order.transitionTo(
+          "cancelled",
+          SYSTEM_ACTOR,
+          isReviewExpired
+            ? PAYMENT_REVIEW_EXPIRED_REASON
+            : PAYMENT_EXPIRED_REASON,
+        );
+        await order.save({ session });
+
+        await recordOrderEvent({
+          type: "cancelled",
+          order,
+          before,
+          actor: SYSTEM_ACTOR,
+          metadata: {
+            reason: isReviewExpired
+              ? "payment_review_expired"
+              : "payment_expired",
+          },
+          session,
+        });
+
+        isCancelled = true;
+      });
+
+      if (isCancelled) {
+        cancelled.push({ _id, orderNumber });
+      }
+    } catch (error) {
+      failed.push(orderNumber);
+
+      console.error("Overdue order cancellation failed:", {
+        orderNumber,
+        error: error.message,
+      });
+
+      captureException(error, {
+        tags: {
+          component: "payment-deadline",
+          operation: "cancel-overdue-order",
+          critical: true, // Restitution du stock en jeu
+        },
+        extra: { orderNumber },
+        level: "error",
+      });
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  return { scanned: overdueOrders.length, cancelled, failed };
+};
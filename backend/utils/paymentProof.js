@@ -0,0 +1,44 @@
+import { isCloudinaryUpload } from "@/backend/utils/cloudinaryUpload";
+
+/**
+ * Preuves de paiement des commandes mobile money
+ *
+ * Le client règle le montant sur le compte marchand affiché (PaymentType),
+ * puis transmet la référence de transaction et la capture du reçu.
+ * La commande passe en "processing" jusqu'à la confirmation du paiement.
+ * Une référence ne peut servir que pour une seule commande.
+ */
+
+// Dossier Cloudinary des reçus (signé par sign-cloudinary-params)
+export const PAYMENT_PROOF_FOLDER = "buyitnow/payment-proofs";
+
+// Statuts de paiement qui acceptent l'envoi d'une preuve
+// ("failed": nouvelle preuve après un paiement refusé)
+export const PAYMENT_PROOF_STATUSES = ["unpaid", "failed"];
+
+/**
+ * Vérifie que le reçu provient du dossier des preuves de paiement
+ * @param {{publicId: string, url: string}} receipt
+ * @returns {boolean}
+ */
+export const isPaymentProofReceipt = (receipt) =>
+  isCloudinaryUpload(receipt, PAYMENT_PROOF_FOLDER);
+
+/**
+ * Motif pour lequel une commande n'accepte pas de preuve de paiement
+ * @param {Object} order - Commande
+ * @param {Date} [now=new Date()] - Date de référence
+ * @returns {string|null} cash_order | cancelled | not_payable | payment_expired, null si accepté
+ */
+export const getPaymentProofRejection = (order, now = new Date()) => {
+  if (order.isCashPayment()) return "cash_order";
+  if (order.cancelledAt) return "cancelled";
+  if (!PAYMENT_PROOF_STATUSES.includes(order.paymentStatus)) {
+    return "not_payable";
+  }
+  if (order.paymentDueAt && order.paymentDueAt < now) {
+    return "payment_expired";
+  }
+
+  return null;
+};
@@ -0,0 +1,91 @@
+import crypto from "crypto";
+
+/**
+ * Codes de retrait des commandes payées en espèces
+ *
+ * - Code court (6 caractères) communiqué au client et saisi par le staff
+ * - QR code: numéro de commande signé HMAC-SHA256 avec PICKUP_QR_SECRET,
+ *   au format BIN1.<numéro de commande>.<signature base64url>
+ */
+
+// Alphabet sans caractères ambigus (0/O, 1/I/L)
+const PICKUP_CODE_ALPHABET = "23456789ABCDEFGHJKMNPQRSTUVWXYZ";
+export const PICKUP_CODE_LENGTH = 6;
+const QR_PAYLOAD_VERSION = "BIN1";
+
+/**
+ * Génère un code de retrait aléatoire
+ * @returns {string}
+ */
+export const generatePickupCode = () =>
+  Array.from(
+    { length: PICKUP_CODE_LENGTH },
+    () => PICKUP_CODE_ALPHABET[crypto.randomInt(PICKUP_CODE_ALPHABET.length)],
+  ).join("");
+
+/**
+ * Normalise un code saisi (majuscules, sans espaces ni tirets)
+ * @param {string} code - Code saisi par le staff
+ * @returns {string}
+ */
+export const normalizePickupCode = (code) =>
+  typeof code === "string" ? code.toUpperCase().replace(/[\s-]/g, "") : "";
+
+/**
+ * Compare un code saisi au code de la commande en temps constant
+ * @param {string} expected - Code enregistré sur la commande
+ * @param {string} provided - Code saisi
+ * @returns {boolean}
+ */
+export const isMatchingPickupCode = (expected, provided) => {
+  const normalized = normalizePickupCode(provided);
+  if (!expected || normalized.length !== expected.length) return false;
+
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized));
+};
+
+const signOrderNumber = (orderNumber) => {
+  const secret = process.env.PICKUP_QR_SECRET;
+  if (!secret) return null;
+
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${QR_PAYLOAD_VERSION}.${orderNumber}`)
+    .digest("base64url");
+};
+
+/**
+ * Construit le contenu du QR code d'une commande
+ * @param {string} orderNumber - Numéro de commande
+ * @returns {string|null} null si PICKUP_QR_SECRET n'est pas configuré
+ */
+export const buildPickupQrPayload = (orderNumber) => {
+  const signature = signOrderNumber(orderNumber);
+  return signature ? `${QR_PAYLOAD_VERSION}.${orderNumber}.${signature}` : null;
+};
+
+/**
+ * Vérifie un QR code scanné et retourne le numéro de commande signé
+ * @param {string} payload - Contenu du QR code
+ * @returns {string|null} Numéro de commande, ou null si invalide
+ */
+export const verifyPickupQrPayload = (payload) => {
+  if (typeof payload !== "string") return null;
+
+  const [version, orderNumber, signature, ...rest] = payload.trim().split(".");
+  if (
+    version !== QR_PAYLOAD_VERSION ||
+    !orderNumber ||
+    !signature ||
+    rest.length
+  ) {
+    return null;
+  }
+
+  const expected = signOrderNumber(orderNumber);
+  if (!expected || expected.length !== signature.length) return null;
+
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))
+    ? orderNumber
+    : null;
+};
@@ -0,0 +1,133 @@
+import Cart from "@/backend/models/cart";
+import Product from "@/backend/models/product";
+import {
+  getAvailableStock,
+  getReservedQuantities,
+} from "@/backend/utils/stockReservation";
+
+/**
+ * "Commander à nouveau": remet les articles d'une commande passée au panier
+ *
+ * Chaque article est ajouté au panier existant (quantités cumulées) dans la
+ * limite du stock disponible, réservations des autres clients déduites.
+ * Statut de chaque ligne du rapport:
+ * - added: quantité commandée ajoutée en totalité
+ * - adjusted: quantité ramenée au stock disponible
+ * - unavailable: produit supprimé, désactivé ou épuisé
+ * priceChanged signale un prix actuel différent du prix payé.
+ */
+
+// Quantité maximale d'un article du panier (identique à POST /api/cart)
+const MAX_CART_QUANTITY = 99;
+
+/**
+ * Ajoute les articles d'une commande au panier d'un utilisateur
+ *
+ * @param {string} userId - Propriétaire du panier
+ * @param {Array} orderItems - Articles de la commande (snapshots)
+ * @returns {Promise<{items: Array, summary: Object}>} Rapport par article
+ */
+export const addOrderItemsToCart = async (userId, orderItems) => {
+  // Un même produit peut apparaître sur plusieurs lignes: on les regroupe
+  const requested = new Map();
+  for (const item of orderItems || []) {
+    if (!item.product) continue;
+    const key = item.product.toString();
+    const previous = requested.get(key);
+    requested.set(key, {
+      productId: key,
+      name: item.name,
+      price: item.price,
+      quantity: (previous?.quantity || 0) + item.quantity,
+    });
+  }
+
+  const productIds = [...requested.keys()];
+  const [products, cartItems, reserved] = await Promise.all([
+    Product.find({ _id: { $in: productIds } })
+      .select("name price stock isActive")
+      .lean(),
+    Cart.find({ user: userId, product: { $in: productIds } }),
+    getReservedQuantities(productIds, { excludeUserId: userId }),
+  ]);
+
+  const items = [];
+
+  for (const line of requested.values()) {
+    const product = products.find((p) => p._id.toString() === line.productId);
+    const cartItem = cartItems.find(
+      (c) => c.product.toString() === line.productId,
+    );
+
+    const report = {
+      productId: line.productId,
+      name: product?.name || line.name,
+      requested: line.quantity,
+      previousPrice: line.price,
+      currentPrice: product?.price ?? null,
+      priceChanged: !!product && product.price !== line.price,
+    };
+
+    if (!product || !product.isActive) {
+      items.push({
+        ...report,
+        status: "unavailable",
+        reason: "product_inactive",
+        added: 0,
+      });
+      continue;
+    }
+
+    const available = Math.min(
+      getAvailableStock(product, reserved),
+      MAX_CART_QUANTITY,
+    );
+    const inCart = cartItem?.quantity || 0;
+    const target = Math.min(inCart + line.quantity, available);
+    const added = Math.max(0, target - inCart);
+
+    if (added === 0) {
+      items.push({
+        ...report,
+        status: "unavailable",
+        reason: available === 0 ? "out_of_stock" : "cart_limit_reached",
+        available,
+        added: 0,
+      });
+      continue;
+    }
+
+    if (cartItem) {
+      cartItem.quantity = target;
+      await cartItem.save();
+    } else {
+      await Cart.create({
+        user: userId,
+        product: product._id,
+        quantity: target,
+        price: product.price,
+        productName: product.name,
+      });
+    }
+
+    items.push({
+      ...report,
+      status: added < line.quantity ? "adjusted" : "added",
+      available,
+      added,
+    });
+  }
+
+  const countBy = (status) =>
+    items.filter((item) => item.status === status).length;
+
+  return {
+    items,
+    summary: {
+      added: countBy("added"),
+      adjusted: countBy("adjusted"),
+      unavailable: countBy("unavailable"),
+      priceChanged: items.filter((item) => item.priceChanged).length,
+    },
+  };
+};
@@ -0,0 +1,168 @@
+import mongoose from "mongoose";
+import Product from "@/backend/models/product";
+import ReturnRequest from "@/backend/models/returnRequest";
+import { isCloudinaryUpload } from "@/backend/utils/cloudinaryUpload";
+import { lockProductStock } from "@/backend/utils/stockReservation";
+
+/**
+ * Règles métier des demandes de retour / remboursement
+ *
+ * Une commande payée et remise peut faire l'objet de retours pendant
+ * RETURN_WINDOW_DAYS jours (14 par défaut). Plusieurs demandes sont possibles
+ * tant que les quantités commandées ne sont pas épuisées: les demandes
+ * refusées libèrent leurs quantités.
+ */
+
+const DEFAULT_RETURN_WINDOW_DAYS = 14;
+
+// Dossier Cloudinary des photos de retour (signé par sign-cloudinary-params)
+export const RETURN_PHOTO_FOLDER = "buyitnow/returns";
+
+// Statuts qui consomment les quantités retournables
+const ACTIVE_RETURN_STATUSES = ["requested", "approved", "refunded"];
+
+/**
+ * Durée de la fenêtre de retour en jours
+ * @returns {number}
+ */
+export const getReturnWindowDays = () => {
+  const days = parseInt(process.env.RETURN_WINDOW_DAYS, 10);
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_RETURN_WINDOW_DAYS;
+};
+
+/**
+ * Date limite de retour: remise de la commande + fenêtre de retour
+ * @param {Object} order - Commande (statusHistory, fulfillmentStatus)
+ * @returns {Date|null} null si la commande n'a pas été remise
+ */
+export const getReturnDeadline = (order) => {
+  if (order?.fulfillmentStatus !== "delivered") return null;
+
+  const deliveredEntry = [...(order.statusHistory || [])]
+    .reverse()
+    .find((entry) => entry.status === "delivered");
+  const deliveredAt = deliveredEntry?.changedAt || order.updatedAt;
+
+  return new Date(
+    new Date(deliveredAt).getTime() + getReturnWindowDays() * 86400000,
+  );
+};
+
+/**
+ * Quantités déjà engagées dans des retours, par ligne de commande
+ * @param {string|mongoose.Types.ObjectId} orderId - Commande
+ * @param {Object} [options]
+ * @param {mongoose.ClientSession} [options.session] - Session de transaction
+ * @returns {Promise<Map<string, number>>} Quantité par id de ligne de commande
+ */
+export const getReturnedQuantities = async (orderId, { session } = {}) => {
+  const results = await ReturnRequest.aggregate([
+    {
+      $match: {
+        order: new mongoose.Types.ObjectId(String(orderId)),
+        status: { $in: ACTIVE_RETURN_STATUSES },
+      },
+    },
+    { $unwind: "$items" },
+    {
+      $group: {
+        _id: "$items.orderItem",
+        quantity: { $sum: "$items.quantity" },
+      },
+    },
+  ]).session(session || null);
+
+  return new Map(
+    results.map((result) => [result._id.toString(), result.quantity]),
+  );
+};
+
+/**
+ * Éligibilité d'une commande au retour et quantités encore retournables
+ * @param {Object} order - Commande
+ * @param {Map<string, number>} returnedQuantities - Résultat de getReturnedQuantities
+ * @returns {{eligible: boolean, reason: string|null, deadline: Date|null, items: Array}}
+ */
+export const getReturnEligibility = (order, returnedQuantities = new Map()) => {
+  const deadline = getReturnDeadline(order);
+  const items = (order?.orderItems || []).map((item) => ({
+    orderItemId: item._id.toString(),
+    name: item.name,
+    ordered: item.quantity,
+    returnable: Math.max(
+      0,
+      item.quantity - (returnedQuantities.get(item._id.toString()) || 0),
+    ),
+  }));
+
+  let reason = null;
+  if (order?.paymentStatus !== "paid") {
+    reason = "not_paid";
+  } else if (!deadline) {
+    reason = "not_delivered";
+  } else if (deadline < new Date()) {
+    reason = "window_expired";
+  } else if (items.every((item) => item.returnable === 0)) {
+    reason = "nothing_to_return";
+  }
+
+  return { eligible: !reason, reason, deadline, items };
+};
+
+/**
+ * Vérifie qu'une photo provient du dossier de retour de notre compte Cloudinary
+ * @param {{publicId: string, url: string}} photo
+ * @returns {boolean}
+ */
+export const isReturnPhoto = (photo) =>
+  isCloudinaryUpload(photo, RETURN_PHOTO_FOLDER);
+
+/**
+ * Remet en stock les articles d'une demande de retour approuvée
+ * @param {Object} returnRequest - Demande de retour
+ * @param {mongoose.ClientSession} session - Session de transaction
+ */
+export const restockReturnItems = async (returnRequest, session) => {
+  for (const item of returnRequest.items) {
+    await lockProductStock(item.product, session);
+    await Product.findByIdAndUpdate(
+      item.product,
+      { $inc: { stock: item.quantity, sold: -item.quantity } },
+      { session },
+    );
+  }
+
+  returnRequest.restockedAt = new Date();
+};
+
+/**
+ * Formate une demande de retour pour son propriétaire
+ * L'identité des membres du staff n'est pas exposée
+ * @param {Object} returnRequest - Demande de retour (document lean)
+ * @returns {Object}
+ */
+export const formatReturnForUser = (returnRequest) => ({
+  _id: returnRequest._id,
+  returnNumber: returnRequest.returnNumber,
+  orderNumber: returnRequest.orderNumber,
+  status: returnRequest.status,
+  reasonCode: returnRequest.reasonCode,
+  comment: returnRequest.comment,
+  items: (returnRequest.items || []).map((item) => ({
+    orderItem: item.orderItem,
+    name: item.name,
+    image: item.image,
+    price: item.price,
+    quantity: item.quantity,
+  })),
+  photos: (returnRequest.photos || []).map((photo) => ({ url: photo.url })),
+  refundAmount: returnRequest.refundAmount,
+  statusHistory: (returnRequest.statusHistory || []).map((entry) => ({
+    status: entry.status,
+    changedAt: entry.changedAt,
+    actor: entry.actor?.type || "system",
+    note: entry.note,
+  })),
+  createdAt: returnRequest.createdAt,
+  refundedAt: returnRequest.refundedAt,
+});
@@ -0,0 +1,217 @@
+import mongoose from "mongoose";
+import Cart from "@/backend/models/cart";
+import Counter from "@/backend/models/counter";
+import Product from "@/backend/models/product";
+import Reservation from "@/backend/models/reservation";
+
+/**
+ * Réservations de stock pendant le passage en caisse
+ *
+ * Dès l'entrée sur la page de paiement, les quantités du panier sont bloquées
+ * pendant STOCK_RESERVATION_TTL_MINUTES (15 par défaut). Le stock disponible
+ * pour les autres clients devient: stock - réservations actives des autres.
+ * La création de la commande décrémente le stock et supprime les réservations.
+ */
+
+const DEFAULT_TTL_MINUTES = 15;
+
+/**
+ * Durée de vie d'une réservation en millisecondes
+ * @returns {number}
+ */
+export const getReservationTtlMs = () => {
+  const minutes = parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES, 10);
+  return (
+    (Number.isInteger(minutes) && minutes > 0 ? minutes : DEFAULT_TTL_MINUTES) *
+    60 *
+    1000
+  );
+};
+
+/**
+ * Sérialise les opérations de stock sur un produit dans une transaction
+ * L'écriture sur un compteur dédié provoque un conflit d'écriture entre deux
+ * transactions concurrentes: MongoDB en fait rejouer une (withTransaction)
+ *
+ * @param {string|mongoose.Types.ObjectId} productId - Produit concerné
+ * @param {mongoose.ClientSession} session - Session de transaction
+ */
+export const lockProductStock = (productId, session) =>
+  Counter.nextSequence(`stock-${productId}`, { session });
+
+/**
+ * Quantités réservées (réservations actives) par produit
+ *
+ * @param {Array<string|mongoose.Types.ObjectId>} productIds - Produits
+ * @param {Object} [options]
+ * @param {string} [options.excludeUserId] - Ignorer les réservations de cet utilisateur
+ * @param {mongoose.ClientSession} [options.session] - Session de transaction
+ * @returns {Promise<Map<string, number>>} Quantité réservée par id de produit
+ */
+export const getReservedQuantities = async (
+  productIds,
+  { excludeUserId, session } = {},
+) => {
+  const reserved = new Map();
+  if (!productIds?.length) return reserved;
+
+  const match = {
+    product: {
+      $in: productIds.map((id) => new mongoose.Types.ObjectId(String(id))),
+    },
+    expiresAt: { $gt: new Date() },
+  };
+
+  if (excludeUserId) {
+    match.user = { $ne: new mongoose.Types.ObjectId(String(excludeUserId)) };
+  }
+
+  const results = await Reservation.aggregate([
+    { $match: match },
+    { $group: { _id: "$product", quantity: { $sum: "$quantity" } } },
+  ]).session(session || null);
+
+  results.forEach((result) => {
+    reserved.set(result._id.toString(), result.quantity);
+  });
+
+  return reserved;
+};
+
+/**
+ * Stock disponible d'un produit une fois les réservations déduites
+ * @param {Object} product - Produit (avec _id et stock)
+ * @param {Map<string, number>} reserved - Résultat de getReservedQuantities
+ * @returns {number}
+ */
+export const getAvailableStock = (product, reserved) =>
+  Math.max(
+    0,
+    (product?.stock || 0) - (reserved.get(product._id.toString()) || 0),
+  );
+
+/**
+ * Réserve les quantités du panier d'un utilisateur
+ * Remplace ses réservations précédentes (panier modifié entre temps)
+ * Aucune réservation n'est posée si un article n'est plus disponible, ni si
+ * un prix a changé sans avoir été accepté par le client
+ *
+ * @param {string} userId - Utilisateur
+ * @returns {Promise<{expiresAt: Date|null, items: Array, unavailable: Array, priceChanges: Array}>}
+ */
+export const reserveCartItems = async (userId) => {
+  const session = await Reservation.startSession();
+  let result = null;
+
+  try {
+    await session.withTransaction(async () => {
+      const cartItems = await Cart.find({ user: userId })
+        .select("product quantity price")
+        .session(session)
+        .lean();
+
+      const productIds = cartItems.map((item) => item.product);
+
+      for (const productId of productIds) {
+        await lockProductStock(productId, session);
+      }
+
+      const products = await Product.find({ _id: { $in: productIds } })
+        .select("name price stock isActive")
+        .session(session)
+        .lean();
+
+      const reserved = await getReservedQuantities(productIds, {
+        excludeUserId: userId,
+        session,
+      });
+
+      const unavailable = [];
+      const priceChanges = [];
+      const items = [];
+
+      for (const cartItem of cartItems) {
+        const product = products.find(
+          (p) => p._id.toString() === cartItem.product.toString(),
+        );
+
+        if (!product || !product.isActive) {
+          unavailable.push({
+            productId: cartItem.product,
+            name: product?.name,
+            reason: "product_inactive",
+          });
+          continue;
+        }
+
+        const available = getAvailableStock(product, reserved);
+        if (available < cartItem.quantity) {
+          unavailable.push({
+            productId: product._id,
+            name: product.name,
+            available,
+            requested: cartItem.quantity,
+            reason: "insufficient_stock",
+          });
+          continue;
+        }
+
+        if (cartItem.price !== product.price) {
+          priceChanges.push({
+            productId: product._id,
+            name: product.name,
+            previousPrice: cartItem.price,
+            price: product.price,
+          });
+        }
+
+        items.push({ productId: product._id, quantity: cartItem.quantity });
+      }
+
+      // Les réservations précédentes sont remplacées dans tous les cas
+      await Reservation.deleteMany({ user: userId }, { session });
+
+      if (
+        unavailable.length > 0 ||
+        priceChanges.length > 0 ||
+        items.length === 0
+      ) {
+        result = { expiresAt: null, items: [], unavailable, priceChanges };
+        return;
+      }
+
+      const expiresAt = new Date(Date.now() + getReservationTtlMs());
+
+      await Reservation.insertMany(
+        items.map((item) => ({
+          user: userId,
+          product: item.productId,
+          quantity: item.quantity,
+          expiresAt,
+        })),
+        { session },
+      );
+
+      result = { expiresAt, items, unavailable, priceChanges };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return result;
+};
+
+/**
+ * Libère toutes les réservations d'un utilisateur
+ * @param {string} userId - Utilisateur
+ * @param {Object} [options]
+ * @param {mongoose.ClientSession} [options.session] - Session de transaction
+ * @returns {Promise<number>} Nombre de réservations supprimées
+ */
+export const releaseReservations = async (userId, { session } = {}) => {
+  const { deletedCount } = await Reservation.deleteMany(
+    { user: userId },
+    { session },
+  );
+  return deletedCount;
+};
@@ -0,0 +1,237 @@
+import Cart from "@/backend/models/cart";
+import Product from "@/backend/models/product";
+import Wishlist, { WISHLIST_MAX_ITEMS } from "@/backend/models/wishlist";
+import {
+  getAvailableStock,
+  getReservedQuantities,
+  lockProductStock,
+} from "@/backend/utils/stockReservation";
+
+/**
+ * Liste de souhaits et transferts panier <-> liste
+ *
+ * Les transferts sont transactionnels: un article n'existe jamais à la fois
+ * dans le panier et dans la liste, ni nulle part après une erreur.
+ * Erreurs métier levées (message): CART_ITEM_NOT_FOUND, WISHLIST_ITEM_NOT_FOUND,
+ * WISHLIST_FULL, PRODUCT_UNAVAILABLE, OUT_OF_STOCK.
+ */
+
+/**
+ * Construit la réponse liste de souhaits commune aux routes /api/wishlist
+ * Prix et stock actuels (réservations des autres clients déduites), avec la
+ * variation de prix depuis l'ajout
+ *
+ * @param {string} userId - Propriétaire de la liste
+ * @returns {Promise<{count: number, items: Array}>}
+ */
+export const buildWishlistPayload = async (userId) => {
+  const wishlistItems = await Wishlist.find({ user: userId })
+    .sort({ createdAt: -1 })
+    .populate("product", "name price stock images isActive")
+    .lean();
+
+  const reserved = await getReservedQuantities(
+    wishlistItems
+      .filter((item) => item.product)
+      .map((item) => item.product._id),
+    { excludeUserId: userId },
+  );
+
+  const items = wishlistItems.map((item) => {
+    const product = item.product;
+    const price = product?.price ?? item.priceAtAdd;
+    const stock =
+      product && product.isActive ? getAvailableStock(product, reserved) : 0;
+    const difference = price - item.priceAtAdd;
+
+    return {
+      id: item._id,
+      productId: product?._id || null,
+      productName: product?.name || item.productName,
+      imageUrl: product?.images?.[0]?.url || "",
+      price,
+      priceAtAdd: item.priceAtAdd,
+      priceChange:
+        difference !== 0
+          ? {
+              amount: difference,
+              percent:
+                item.priceAtAdd > 0
+                  ? Math.round((difference / item.priceAtAdd) * 1000) / 10
+                  : null,
+            }
+          : null,
+      stock,
+      isAvailable: !!product?.isActive && stock > 0,
+      quantity: item.quantity,
+      createdAt: item.createdAt,
+    };
+  });
+
+  return { count: items.length, items };
+};
+
+/**
+ * Vérifie qu'un produit peut encore être ajouté à la liste (limite)
+ * @param {string} userId - Utilisateur
+ * @param {string} productId - Produit ajouté
+ * @param {mongoose.ClientSession} [session] - Session de transaction
+ */
+export const assertWishlistCapacity = async (userId, productId, session) => {
+  const existing = await Wishlist.exists({
+    user: userId,
+    product: productId,
+  }).session(session || null);
+  if (existing) return;
+
+  const count = await Wishlist.countDocuments({ user: userId }).session(
+    session || null,
+  );
+
+  if (count >= WISHLIST_MAX_ITEMS) {
+    throw new Error("WISHLIST_FULL");
+  }
+};
+
+/**
+ * Met de côté un article du panier ("enregistrer pour plus tard")
+ * La quantité du panier est conservée dans la liste
+ *
+ * @param {string} userId - Utilisateur
+ * @param {string} cartItemId - Article du panier
+ * @returns {Promise<{productId: string, productName: string, quantity: number}>}
+ */
+export const moveCartItemToWishlist = async (userId, cartItemId) => {
+  const session = await Wishlist.startSession();
+  let moved = null;
+
+  try {
+    await session.withTransaction(async () => {
+      const cartItem = await Cart.findOne({ _id: cartItemId, user: userId })
+        .populate("product", "name price")
+        .session(session);
+
+      if (!cartItem) {
+        throw new Error("CART_ITEM_NOT_FOUND");
+      }
+
+      const productId = cartItem.product?._id || cartItem.product;
+      await assertWishlistCapacity(userId, productId, session);
+
+      await Wishlist.updateOne(
+        { user: userId, product: productId },
+        {
+          $set: { quantity: cartItem.quantity },
+          $setOnInsert: {
+            productName: cartItem.product?.name || cartItem.productName,
+            priceAtAdd: cartItem.product?.price ?? cartItem.price,
+            createdAt: new Date(),
+          },
+        },
+        { upsert: true, session },
+      );
+
+      await Cart.deleteOne({ _id: cartItem._id }, { session });
+
+      moved = {
+        productId,
+        productName: cartItem.product?.name || cartItem.productName,
+        quantity: cartItem.quantity,
+      };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return moved;
+};
+
+/**
+ * Remet un produit de la liste dans le panier
+ * La quantité mise de côté s'ajoute à celle du panier, plafonnée au stock
+ * disponible hors réservations des autres clients
+ *
+ * @param {string} userId - Utilisateur
+ * @param {string} productId - Produit de la liste
+ * @returns {Promise<{productId: string, productName: string, quantity: number, adjusted: boolean}>}
+ */
+export const moveWishlistItemToCart = async (userId, productId) => {
+  const session = await Wishlist.startSession();
+  let moved = null;
+
+  try {
+    await session.withTransaction(async () => {
+      const wishlistItem = await Wishlist.findOne({
+        user: userId,
+        product: productId,
+      }).session(session);
+
+      if (!wishlistItem) {
+        throw new Error("WISHLIST_ITEM_NOT_FOUND");
+      }
+
+      await lockProductStock(productId, session);
+
+      const product = await Product.findById(productId)
+        .select("name price stock isActive")
+        .session(session)
+        .lean();
+
+      if (!product || !product.isActive) {
+        throw new Error("PRODUCT_UNAVAILABLE");
+      }
+
+      const reserved = await getReservedQuantities([product._id], {
+        excludeUserId: userId,
+        session,
+      });
+      const available = getAvailableStock(product, reserved);
+
+      if (available === 0) {
+        throw new Error("OUT_OF_STOCK");
+      }
+
+      const cartItem = await Cart.findOne({
+        user: userId,
+        product: productId,
+      }).session(session);
+
+      const requested = (cartItem?.quantity || 0) + wishlistItem.quantity;
+      const quantity = Math.min(requested, available);
+
+      if (cartItem) {
+        await Cart.updateOne(
+          { _id: cartItem._id },
+          { $set: { quantity, updatedAt: new Date() } },
+          { session },
+        );
+      } else {
+        await Cart.create(
+          [
+            {
+              user: userId,
+              product: product._id,
+              quantity,
+              price: product.price,
+              productName: product.name,
+            },
+          ],
+          { session },
+        );
+      }
+
+      await Wishlist.deleteOne({ _id: wishlistItem._id }, { session });
+
+      moved = {
+        productId: product._id,
+        productName: product.name,
+        quantity,
+        adjusted: quantity < requested,
+      };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return moved;
+};
@@ -92,7 +92,14 @@ const Login = () => {
 
       if (data) {
         toast.success("Connexion réussie!");
-        router.push("/");
+        // Retour à la page d'origine (ex: panier invité vers la livraison),
+        // chemins internes uniquement
+        const returnPath = callBackUrl ? parseCallbackUrl(callBackUrl) : "/";
+        router.push(
+          returnPath.startsWith("/") && !returnPath.startsWith("//")
+            ? returnPath
+            : "/",
+        );
       }
     } catch (error) {
       // Monitoring : Erreurs techniques pendant la connexion
@@ -12,6 +12,7 @@ import {
   MapPin,
 } from "lucide-react";
 import { useSession } from "@/lib/auth-client";
+import SpendingSummary from "./SpendingSummary";
 
 const Profile = () => {
   // ✅ UTILISER useSession DIRECTEMENT
@@ -300,6 +301,9 @@ const Profile = () => {
           )}
         </div>
       </div>
+
+      {/* Statistiques d'achat */}
+      <SpendingSummary />
     </div>
   );
 };
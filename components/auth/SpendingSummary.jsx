@@ -0,0 +1,309 @@
+"use client";
+
+import { memo, useState, useEffect } from "react";
+import Link from "next/link";
+import {
+  BarChart3,
+  CreditCard,
+  ShoppingBag,
+  Tag,
+  Wallet,
+  Package,
+} from "lucide-react";
+import captureClientError from "@/monitoring/sentry";
+import { formatPrice } from "@/helpers/helpers";
+
+const MONTH_FORMATTER = new Intl.DateTimeFormat("fr-FR", {
+  month: "short",
+  timeZone: "UTC",
+});
+
+const PAYMENT_TYPE_LABELS = {
+  CASH: "Espèces",
+};
+
+/**
+ * Libellé court d'un mois "YYYY-MM" (ex: "janv.")
+ */
+const formatMonth = (month) => MONTH_FORMATTER.format(new Date(`${month}-01`));
+
+// Hauteurs des barres mensuelles, par douzième du mois le plus élevé
+// (classes écrites en entier pour être détectées par Tailwind)
+const BAR_HEIGHT_CLASSES = [
+  "h-0",
+  "h-1/12",
+  "h-2/12",
+  "h-3/12",
+  "h-4/12",
+  "h-5/12",
+  "h-6/12",
+  "h-7/12",
+  "h-8/12",
+  "h-9/12",
+  "h-10/12",
+  "h-11/12",
+  "h-full",
+];
+
+/**
+ * Classe de hauteur d'une barre (au moins 1/12 pour un mois non nul)
+ */
+const getBarHeightClass = (amount, maxAmount) => {
+  if (amount <= 0) return BAR_HEIGHT_CLASSES[0];
+
+  const step = Math.round((amount / maxAmount) * 12);
+  return BAR_HEIGHT_CLASSES[Math.min(12, Math.max(1, step))];
+};
+
+/**
+ * Carte de synthèse (montant ou compteur)
+ */
+const SummaryCard = ({ icon: Icon, label, value, hint, color }) => (
+  <div className="bg-white rounded-lg shadow-md p-4 flex items-start space-x-3">
+    <div
+      className={`w-10 h-10 rounded-full flex items-center justify-center flex-shrink-0 ${color}`}
+    >
+      <Icon className="w-5 h-5" />
+    </div>
+    <div className="min-w-0">
+      <p className="text-xs font-medium text-gray-500 uppercase tracking-wide">
+        {label}
+      </p>
+      <p className="mt-1 text-lg font-semibold text-gray-900">{value}</p>
+      {hint && <p className="text-xs text-gray-500 mt-0.5">{hint}</p>}
+    </div>
+  </div>
+);
+
+/**
+ * Liste classée (catégories, produits, modes de paiement)
+ */
+const RankingCard = ({ icon: Icon, title, items, emptyLabel }) => (
+  <div className="bg-white rounded-lg shadow-md overflow-hidden">
+    <div className="px-6 py-4 border-b border-gray-200 bg-gray-50">
+      <h3 className="text-sm font-semibold text-gray-900 flex items-center">
+        <Icon className="w-4 h-4 mr-2 text-blue-600" />
+        {title}
+      </h3>
+    </div>
+    {items.length === 0 ? (
+      <p className="px-6 py-4 text-sm text-gray-500">{emptyLabel}</p>
+    ) : (
+      <ul className="divide-y divide-gray-100">
+        {items.map((item) => (
+          <li
+            key={item.key}
+            className="px-6 py-3 flex items-center justify-between gap-3 text-sm"
+          >
+            <span className="text-gray-800 truncate">{item.label}</span>
+            <span className="text-gray-600 whitespace-nowrap">
+              {item.value}
+            </span>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+/**
+ * Tableau de bord des dépenses du profil
+ * Données fournies par GET /api/orders/me/stats
+ */
+const SpendingSummary = () => {
+  const [stats, setStats] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+    const fetchStats = async () => {
+      try {
+        const res = await fetch(
+          `${process.env.NEXT_PUBLIC_API_URL}/api/orders/me/stats`,
+          {
+            headers: { Accept: "application/json" },
+            signal: controller.signal,
+            credentials: "include",
+          },
+        );
+
+        const data = await res.json();
+
+        if (!res.ok || !data.success) {
+          const httpError = new Error(
+            `HTTP ${res.status}: ${data.message || "Stats error"}`,
+          );
+          captureClientError(
+            httpError,
+            "SpendingSummary",
+            "fetchStats",
+            res.status >= 500,
+          );
+          setError("Impossible de charger vos statistiques d'achat");
+          return;
+        }
+
+        setStats(data.data);
+      } catch (err) {
+        if (err.name === "AbortError") {
+          setError("La requête a pris trop de temps");
+          return;
+        }
+
+        captureClientError(err, "SpendingSummary", "fetchStats", false);
+        setError("Problème de connexion réseau");
+      } finally {
+        clearTimeout(timeoutId);
+        setIsLoading(false);
+      }
+    };
+
+    fetchStats();
+
+    return () => {
+      clearTimeout(timeoutId);
+      controller.abort();
+    };
+  }, []);
+
+  if (isLoading) {
+    return (
+      <div className="animate-pulse grid grid-cols-1 sm:grid-cols-3 gap-4">
+        {[...Array(3)].map((_, i) => (
+          <div key={i} className="bg-white rounded-lg shadow-md h-24"></div>
+        ))}
+      </div>
+    );
+  }
+
+  if (error || !stats) {
+    return (
+      <div className="p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-600">
+        {error || "Statistiques indisponibles"}
+      </div>
+    );
+  }
+
+  const { totals, monthly, topCategories, topProducts, paymentMethods } = stats;
+
+  if (totals.orderCount === 0) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6 text-center">
+        <ShoppingBag className="w-8 h-8 mx-auto text-gray-400 mb-3" />
+        <p className="text-sm text-gray-600">
+          Vos statistiques d&apos;achat apparaîtront après votre première
+          commande.
+        </p>
+        <Link
+          href="/"
+          className="inline-block mt-3 text-sm text-blue-600 hover:text-blue-800"
+        >
+          Découvrir nos produits
+        </Link>
+      </div>
+    );
+  }
+
+  const maxMonthAmount = Math.max(...monthly.map((m) => m.totalAmount), 1);
+
+  return (
+    <div className="space-y-6">
+      {/* Totaux */}
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <SummaryCard
+          icon={Wallet}
+          label="Total dépensé"
+          value={formatPrice(totals.totalAmount)}
+          hint="Hors commandes annulées"
+          color="bg-blue-100 text-blue-600"
+        />
+        <SummaryCard
+          icon={CreditCard}
+          label="Total payé"
+          value={formatPrice(totals.paidAmount)}
+          hint={
+            totals.refundedAmount > 0
+              ? `dont ${formatPrice(totals.refundedAmount)} remboursés`
+              : null
+          }
+          color="bg-green-100 text-green-600"
+        />
+        <SummaryCard
+          icon={ShoppingBag}
+          label="Commandes"
+          value={totals.orderCount}
+          hint={`Panier moyen ${formatPrice(totals.totalAmount / totals.orderCount)}`}
+          color="bg-orange-100 text-orange-600"
+        />
+      </div>
+
+      {/* Historique mensuel */}
+      <div className="bg-white rounded-lg shadow-md overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200 bg-gray-50">
+          <h3 className="text-sm font-semibold text-gray-900 flex items-center">
+            <BarChart3 className="w-4 h-4 mr-2 text-blue-600" />
+            Dépenses des 12 derniers mois
+          </h3>
+        </div>
+        <div className="px-6 py-4">
+          <ul className="flex items-end justify-between gap-1 h-32">
+            {monthly.map((month) => (
+              <li
+                key={month.month}
+                className="flex-1 flex flex-col items-center justify-end h-full"
+                title={`${month.month}: ${formatPrice(month.totalAmount)} (${month.orderCount} commande${month.orderCount > 1 ? "s" : ""})`}
+              >
+                <div
+                  className={`w-full max-w-6 bg-blue-500 rounded-t ${getBarHeightClass(month.totalAmount, maxMonthAmount)}`}
+                ></div>
+                <span className="mt-1 text-[10px] text-gray-500">
+                  {formatMonth(month.month)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+
+      {/* Classements */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <RankingCard
+          icon={Tag}
+          title="Catégories favorites"
+          emptyLabel="Aucune catégorie"
+          items={topCategories.map((category) => ({
+            key: category.category,
+            label: category.category,
+            value: formatPrice(category.totalAmount),
+          }))}
+        />
+        <RankingCard
+          icon={Package}
+          title="Produits les plus achetés"
+          emptyLabel="Aucun produit"
+          items={topProducts.map((product) => ({
+            key: product.productId,
+            label: product.name,
+            value: `× ${product.quantity}`,
+          }))}
+        />
+        <RankingCard
+          icon={CreditCard}
+          title="Moyens de paiement"
+          emptyLabel="Aucun paiement"
+          items={paymentMethods.map((method) => ({
+            key: method.typePayment,
+            label:
+              PAYMENT_TYPE_LABELS[method.typePayment] || method.typePayment,
+            value: `${method.share}%`,
+          }))}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default memo(SpendingSummary);
@@ -1,8 +1,9 @@
 "use client";
 
-import { useContext, useEffect, memo } from "react";
+import { useContext, useEffect, useState, memo } from "react";
 import { useRouter } from "next/navigation";
 import { toast } from "react-toastify";
+import { AlertTriangle, Clock, Trash2 } from "lucide-react";
 
 import CartContext from "@/context/CartContext";
 import dynamic from "next/dynamic";
@@ -20,10 +21,21 @@ import CartSkeleton from "../skeletons/CartSkeleton";
 import { useSession } from "@/lib/auth-client";
 
 const Cart = () => {
-  const { loading, cart, cartCount, cartTotal, error, clearError } =
-    useContext(CartContext);
+  const {
+    loading,
+    cart,
+    cartCount,
+    cartTotal,
+    expiryWarning,
+    error,
+    clearError,
+    reservation,
+    releaseReservation,
+    acceptPriceChanges,
+  } = useContext(CartContext);
 
-  const { data: session } = useSession(); // ✅ Récupérer la session
+  // Visiteur: panier invité, connexion demandée avant la livraison
+  const { data: session } = useSession();
   const router = useRouter();
 
   const {
@@ -31,17 +43,12 @@ const Cart = () => {
     itemBeingRemoved,
     increaseQty,
     decreaseQty,
+    setQty,
     handleDeleteItem,
+    handleClearCart,
+    handleSaveForLater,
   } = useCartOperations();
 
-  // ✅ NOUVEAU : Rediriger vers login si pas de session
-  useEffect(() => {
-    if (!session?.user) {
-      console.log("No session detected on cart page, redirecting to login");
-      router.push("/login?callbackUrl=/cart");
-    }
-  }, [session?.user, router]);
-
   useEffect(() => {
     // Nettoyage de l'erreur si elle existe
     if (error) {
@@ -52,11 +59,20 @@ const Cart = () => {
 
   // Précharger la page de livraison
   useEffect(() => {
-    router.prefetch("/payment");
+    router.prefetch("/shipping");
   }, [router]);
 
-  // ✅ SUPPRIMÉ : Plus de chargement ici, déjà géré par CartContext
-  // Le panier se charge automatiquement quand la session est disponible
+  // Retour au panier depuis le paiement: libérer le stock réservé
+  useEffect(() => {
+    if (reservation) {
+      releaseReservation();
+    }
+  }, [reservation, releaseReservation]);
+
+  // Le panier (utilisateur ou invité) est chargé par CartContext
+
+  // Prix modifiés depuis l'ajout: à accepter avant de commander
+  const priceChangeCount = cart.filter((item) => item.priceChange).length;
 
   // Afficher un skeleton pendant le chargement initial
   if (loading && cart.length === 0) {
@@ -71,6 +87,18 @@ const Cart = () => {
       {/* Contenu du panier */}
       <section className="py-8 md:py-10">
         <div className="container max-w-6xl mx-auto px-4">
+          {/* Articles bientôt supprimés faute d'activité */}
+          {expiryWarning && cart?.length > 0 && (
+            <CartExpiryNotice expiresAt={expiryWarning.expiresAt} />
+          )}
+
+          {priceChangeCount > 0 && (
+            <PriceChangeNotice
+              count={priceChangeCount}
+              onAccept={acceptPriceChanges}
+            />
+          )}
+
           {!loading && cart?.length === 0 ? (
             <EmptyCart />
           ) : (
@@ -80,15 +108,23 @@ const Cart = () => {
                 cart={cart}
                 loading={loading}
                 handleDeleteItem={handleDeleteItem}
+                handleClearCart={handleClearCart}
+                handleSaveForLater={session?.user ? handleSaveForLater : null}
                 decreaseQty={decreaseQty}
                 increaseQty={increaseQty}
+                setQty={setQty}
                 deleteInProgress={deleteInProgress}
                 itemBeingRemoved={itemBeingRemoved}
               />
 
               {/* Résumé du panier */}
               {cart?.length > 0 && (
-                <CartSummary cartItems={cart} amount={cartTotal} />
+                <CartSummary
+                  cartItems={cart}
+                  amount={cartTotal}
+                  isGuest={!session?.user}
+                  hasPriceChanges={priceChangeCount > 0}
+                />
               )}
             </div>
           )}
@@ -100,6 +136,58 @@ const Cart = () => {
 
 // Composants extraits pour une meilleure organisation
 
+const CartExpiryNotice = memo(({ expiresAt }) => (
+  <div
+    role="status"
+    className="mb-6 flex items-start gap-3 rounded-md border border-yellow-200 bg-yellow-50 p-4 text-sm text-yellow-800"
+  >
+    <Clock className="w-5 h-5 shrink-0" />
+    <p>
+      Certains articles de votre panier seront retirés le{" "}
+      {new Date(expiresAt).toLocaleString("fr-FR", {
+        dateStyle: "long",
+        timeStyle: "short",
+      })}
+      . Modifiez votre panier ou passez commande pour les conserver.
+    </p>
+  </div>
+));
+
+CartExpiryNotice.displayName = "CartExpiryNotice";
+
+const PriceChangeNotice = memo(({ count, onAccept }) => {
+  const [isAccepting, setIsAccepting] = useState(false);
+
+  const handleAccept = async () => {
+    setIsAccepting(true);
+    await onAccept();
+    setIsAccepting(false);
+  };
+
+  return (
+    <div
+      role="alert"
+      className="mb-6 flex flex-col sm:flex-row sm:items-center gap-3 rounded-md border border-orange-200 bg-orange-50 p-4 text-sm text-orange-800"
+    >
+      <AlertTriangle className="w-5 h-5 shrink-0" />
+      <p className="flex-1">
+        Le prix de {count} article{count > 1 ? "s" : ""} a changé depuis son
+        ajout au panier. Vérifiez les nouveaux prix avant de commander.
+      </p>
+      <button
+        type="button"
+        onClick={handleAccept}
+        disabled={isAccepting}
+        className="px-4 py-2 text-sm font-medium text-white bg-orange-600 rounded-md hover:bg-orange-700 transition-colors disabled:opacity-50"
+      >
+        {isAccepting ? "Confirmation..." : "Accepter les nouveaux prix"}
+      </button>
+    </div>
+  );
+});
+
+PriceChangeNotice.displayName = "PriceChangeNotice";
+
 const CartHeader = memo(({ cartCount }) => (
   <section className="py-5 sm:py-7 bg-linear-to-r from-blue-50 to-indigo-50">
     <div className="container max-w-6xl mx-auto px-4">
@@ -122,8 +210,11 @@ const CartItemsList = memo(
     cart,
     loading,
     handleDeleteItem,
+    handleClearCart,
+    handleSaveForLater,
     decreaseQty,
     increaseQty,
+    setQty,
     deleteInProgress,
     itemBeingRemoved,
   }) => (
@@ -149,12 +240,20 @@ const CartItemsList = memo(
               <ItemCart
                 cartItem={cartItem}
                 deleteItemFromCart={handleDeleteItem}
+                saveForLater={handleSaveForLater}
                 decreaseQty={decreaseQty}
                 increaseQty={increaseQty}
+                setQty={setQty}
                 deleteInProgress={deleteInProgress}
               />
             </div>
           ))}
+        {!loading && cart?.length > 0 && (
+          <ClearCartButton
+            onClear={handleClearCart}
+            disabled={deleteInProgress}
+          />
+        )}
       </div>
     </main>
   ),
@@ -162,4 +261,50 @@ const CartItemsList = memo(
 
 CartItemsList.displayName = "CartItemsList";
 
+const ClearCartButton = memo(({ onClear, disabled }) => {
+  const [showConfirm, setShowConfirm] = useState(false);
+
+  const handleClear = async () => {
+    await onClear();
+    setShowConfirm(false);
+  };
+
+  return (
+    <div className="flex justify-end items-center gap-2 pt-2">
+      {showConfirm ? (
+        <>
+          <span className="text-xs text-gray-600">Vider tout le panier ?</span>
+          <button
+            type="button"
+            onClick={handleClear}
+            disabled={disabled}
+            className="text-xs bg-red-600 hover:bg-red-700 text-white py-1 px-2 rounded transition-colors disabled:opacity-50"
+          >
+            {disabled ? "Suppression..." : "Confirmer"}
+          </button>
+          <button
+            type="button"
+            onClick={() => setShowConfirm(false)}
+            className="text-xs bg-gray-200 hover:bg-gray-300 text-gray-800 py-1 px-2 rounded transition-colors"
+          >
+            Annuler
+          </button>
+        </>
+      ) : (
+        <button
+          type="button"
+          onClick={() => setShowConfirm(true)}
+          disabled={disabled}
+          className="text-xs text-red-600 hover:text-red-800 transition-colors flex items-center disabled:opacity-50"
+        >
+          <Trash2 className="w-4 h-4 mr-1" />
+          Vider le panier
+        </button>
+      )}
+    </div>
+  );
+});
+
+ClearCartButton.displayName = "ClearCartButton";
+
 export default Cart;
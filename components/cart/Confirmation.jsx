@@ -7,7 +7,10 @@ import Link from "next/link";
 import { notFound } from "next/navigation";
 import { useContext, useEffect } from "react";
 import { toast } from "react-toastify";
+import { formatPrice } from "@/helpers/helpers";
 import BreadCrumbs from "../layouts/BreadCrumbs";
+import PickupCode from "../orders/PickupCode";
+import PaymentProofForm from "../orders/PaymentProofForm";
 import {
   CircleCheckBig,
   Banknote,
@@ -16,6 +19,7 @@ import {
   Info,
   Smartphone,
   Building2,
+  Truck,
 } from "lucide-react";
 
 // Configuration des plateformes de paiement
@@ -48,7 +52,8 @@ const PLATFORM_CONFIG = {
 };
 
 const Confirmation = () => {
-  const { orderId, paymentTypes } = useContext(OrderContext);
+  const { orderId, orderSummary, paymentTypes } = useContext(OrderContext);
+  const isDelivery = orderSummary?.fulfillmentMethod === "delivery";
   const { setCartToState } = useContext(CartContext);
 
   useEffect(() => {
@@ -98,6 +103,69 @@ const Confirmation = () => {
             </p>
           </div>
 
+          {/* Paiement en espèces: code à présenter lors de l'encaissement */}
+          {orderSummary?.pickup && (
+            <div className="mb-6">
+              <PickupCode pickup={orderSummary.pickup} />
+            </div>
+          )}
+
+          {/* Paiement mobile money: référence et reçu à transmettre */}
+          {orderSummary && !orderSummary.isCashPayment && (
+            <div className="mb-6">
+              <PaymentProofForm
+                orderNumber={orderSummary.orderNumber}
+                totalAmount={orderSummary.totalAmount}
+                paymentDueAt={orderSummary.paymentDueAt}
+                merchant={paymentTypes?.find(
+                  (payment) => payment?.platform === orderSummary.typePayment,
+                )}
+              />
+            </div>
+          )}
+
+          {/* Montants confirmés par le serveur */}
+          {orderSummary && (
+            <div className="border-t border-gray-200 pt-6 mb-6">
+              <div className="flex items-center gap-3 mb-4">
+                <div className="p-2 bg-blue-100 rounded-lg">
+                  {isDelivery ? (
+                    <Truck className="w-6 h-6 text-blue-600" />
+                  ) : (
+                    <Package className="w-6 h-6 text-blue-600" />
+                  )}
+                </div>
+                <h2 className="text-xl font-bold text-gray-900">
+                  {isDelivery ? "Livraison à domicile" : "Retrait en magasin"}
+                </h2>
+              </div>
+              <div className="space-y-2 text-gray-700">
+                <div className="flex justify-between">
+                  <span>Articles:</span>
+                  <span>
+                    {formatPrice(
+                      orderSummary.totalAmount - orderSummary.deliveryFee,
+                    )}
+                  </span>
+                </div>
+                <div className="flex justify-between">
+                  <span>Frais de livraison:</span>
+                  {orderSummary.deliveryFee > 0 ? (
+                    <span>{formatPrice(orderSummary.deliveryFee)}</span>
+                  ) : (
+                    <span className="text-green-600">Gratuit</span>
+                  )}
+                </div>
+                <div className="flex justify-between text-lg font-bold border-t pt-2">
+                  <span>Total:</span>
+                  <span className="text-blue-600">
+                    {formatPrice(orderSummary.totalAmount)}
+                  </span>
+                </div>
+              </div>
+            </div>
+          )}
+
           {/* Informations de paiement */}
           <div className="border-t border-gray-200 pt-6">
             <div className="flex items-center gap-3 mb-6">
@@ -238,7 +306,11 @@ const Confirmation = () => {
                         Effectuez le paiement via l&apos;un des moyens ci-dessus
                       </li>
                       <li>Vous serez contacté une fois la commande prête</li>
-                      <li>Récupérez votre commande au point de retrait</li>
+                      <li>
+                        {isDelivery
+                          ? "Votre commande vous est livrée à l'adresse indiquée"
+                          : "Récupérez votre commande au point de retrait"}
+                      </li>
                     </ul>
                   </div>
                 </div>
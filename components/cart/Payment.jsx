@@ -68,10 +68,17 @@ const Payment = ({ paymentTypes }) => {
   const submitAttempts = useRef(0);
 
   // Contextes
-  const { cart, cartTotal, cartCount } = useContext(CartContext);
+  const { cart, cartTotal, cartCount, reservation, reserveCart } =
+    useContext(CartContext);
 
-  const { orderInfo, setOrderInfo, setPaymentTypes, error, clearErrors } =
-    useContext(OrderContext);
+  const {
+    orderInfo,
+    shippingInfo,
+    setOrderInfo,
+    setPaymentTypes,
+    error,
+    clearErrors,
+  } = useContext(OrderContext);
 
   const router = useRouter();
 
@@ -82,16 +89,20 @@ const Payment = ({ paymentTypes }) => {
     );
   }, [selectedPayment]);
 
-  // Calcul du montant total
+  // Frais de livraison choisis à l'étape précédente (recalculés par le serveur)
+  const deliveryFee = shippingInfo?.deliveryFee || 0;
+
+  // Calcul du montant total (articles + livraison)
   const totalAmount = useMemo(() => {
-    return Number(safeValue(cartTotal?.toFixed(2), 0));
-  }, [cartTotal]);
+    return Number(safeValue(cartTotal?.toFixed(2), 0)) + deliveryFee;
+  }, [cartTotal, deliveryFee]);
 
   // Chemins de fil d'Ariane
   const breadCrumbs = useMemo(() => {
     const steps = [
       { name: "Accueil", url: "/" },
       { name: "Panier", url: "/cart" },
+      { name: "Livraison", url: "/shipping" },
     ];
 
     steps.push({ name: "Paiement", url: "" });
@@ -105,6 +116,24 @@ const Payment = ({ paymentTypes }) => {
       try {
         setIsLoading(true);
 
+        // Le mode de remise doit être choisi avant le paiement
+        if (!shippingInfo) {
+          return router.push("/shipping");
+        }
+
+        // Bloquer le stock du panier pendant le paiement
+        const reservationResult = await reserveCart();
+        if (
+          reservationResult.code === "STOCK_UNAVAILABLE" ||
+          reservationResult.code === "PRICE_CHANGED"
+        ) {
+          toast.error(reservationResult.message, {
+            position: "bottom-right",
+            autoClose: 5000,
+          });
+          return router.push("/cart");
+        }
+
         // Préparation des éléments de commande
         const orderItems = prepareOrderItems();
         setOrderInfo({ orderItems });
@@ -157,6 +186,8 @@ const Payment = ({ paymentTypes }) => {
     cartCount,
     router,
     setOrderInfo,
+    shippingInfo,
+    reserveCart,
   ]);
 
   // Handle auth context updates
@@ -356,6 +387,10 @@ const Payment = ({ paymentTypes }) => {
       const finalOrderInfo = {
         ...orderInfo,
         paymentInfo,
+        fulfillment: {
+          method: shippingInfo?.method || "pickup",
+          zone: shippingInfo?.zone,
+        },
         totalAmount: totalAmount,
       };
 
@@ -395,6 +430,7 @@ const Payment = ({ paymentTypes }) => {
     accountNumber,
     totalAmount,
     orderInfo,
+    shippingInfo,
     setOrderInfo,
     router,
     isCashPayment,
@@ -467,15 +503,31 @@ const Payment = ({ paymentTypes }) => {
                           Paiement en espèces
                         </h3>
                         <p className="text-sm text-green-700">
-                          Vous paierez en espèces lors de la récupération de
-                          votre commande. Aucune information de compte
-                          n&apos;est requise.
+                          {shippingInfo?.method === "delivery"
+                            ? "Vous paierez en espèces à la livraison de votre commande."
+                            : "Vous paierez en espèces lors de la récupération de votre commande."}{" "}
+                          Aucune information de compte n&apos;est requise.
                         </p>
                       </div>
                     </div>
                   </div>
                 )}
 
+                {reservation?.expiresAt && (
+                  <div className="mt-6 p-4 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+                    <p className="flex items-start">
+                      <Info className="mr-2 flex-shrink-0 mt-0.5" size={16} />
+                      Vos articles sont réservés jusqu&apos;à{" "}
+                      {new Date(reservation.expiresAt).toLocaleTimeString(
+                        "fr-FR",
+                        { hour: "2-digit", minute: "2-digit" },
+                      )}
+                      . Passé ce délai, ils pourront être achetés par
+                      d&apos;autres clients.
+                    </p>
+                  </div>
+                )}
+
                 <div className="mt-8 p-4 bg-blue-50 rounded-lg text-sm text-blue-700">
                   <p className="flex items-start">
                     <Info className="mr-2 flex-shrink-0 mt-0.5" size={16} />
@@ -566,6 +618,12 @@ const Payment = ({ paymentTypes }) => {
                 )}
 
                 <div className="space-y-3 mb-6">
+                  {deliveryFee > 0 && (
+                    <div className="flex justify-between text-gray-600">
+                      <span>Livraison ({shippingInfo?.zoneLabel}):</span>
+                      <span>{formatPrice(deliveryFee)}</span>
+                    </div>
+                  )}
                   <div className="flex justify-between text-lg font-bold border-t pt-3 mt-2">
                     <span>Total a payer:</span>
                     <span className="text-blue-600">
@@ -576,7 +634,7 @@ const Payment = ({ paymentTypes }) => {
 
                 <div className="flex items-center justify-between space-x-3">
                   <Link
-                    href="/cart"
+                    href="/shipping"
                     className="px-4 py-2 text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 transition-colors focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-offset-2 shadow-sm"
                   >
                     Retour
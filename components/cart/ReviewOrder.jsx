@@ -21,6 +21,8 @@ import {
   Package,
   Info,
   Banknote,
+  Store,
+  Truck,
 } from "lucide-react";
 
 // Helpers
@@ -39,7 +41,11 @@ const ReviewOrder = () => {
 
   // Contextes
   const { cart, cartTotal, cartCount } = useContext(CartContext);
-  const { orderInfo, addOrder, error, clearErrors } = useContext(OrderContext);
+  const { orderInfo, shippingInfo, addOrder, error, clearErrors } =
+    useContext(OrderContext);
+
+  const isDelivery = shippingInfo?.method === "delivery";
+  const deliveryFee = isDelivery ? shippingInfo?.deliveryFee || 0 : 0;
 
   // Vérifier si c'est un paiement CASH
   const isCashPayment = useMemo(() => {
@@ -94,16 +100,19 @@ const ReviewOrder = () => {
     }
   }, [error, clearErrors]);
 
-  // Calculer le total
-  const totalAmount = useMemo(() => {
-    return cartTotal?.toFixed(2) || "0.00";
+  // Calculer les totaux (les frais sont recalculés par le serveur)
+  const itemsTotal = useMemo(() => {
+    return Number(cartTotal?.toFixed(2) || 0);
   }, [cartTotal]);
 
+  const totalAmount = itemsTotal + deliveryFee;
+
   // Fil d'Ariane
   const breadCrumbs = useMemo(
     () => [
       { name: "Accueil", url: "/" },
       { name: "Panier", url: "/cart" },
+      { name: "Livraison", url: "/shipping" },
       { name: "Paiement", url: "/payment" },
       { name: "Révision", url: "" },
     ],
@@ -225,6 +234,46 @@ const ReviewOrder = () => {
                 </div>
               </div>
 
+              {/* Section Mode de remise */}
+              <div className="bg-white shadow rounded-lg p-6">
+                <div className="flex items-center justify-between mb-4">
+                  <h2 className="text-lg font-semibold text-gray-800 flex items-center">
+                    {isDelivery ? (
+                      <Truck className="mr-2 text-blue-600" size={20} />
+                    ) : (
+                      <Store className="mr-2 text-blue-600" size={20} />
+                    )}
+                    {isDelivery ? "Livraison à domicile" : "Retrait en magasin"}
+                  </h2>
+                  <Link
+                    href="/shipping"
+                    className="text-blue-600 hover:text-blue-700 text-sm font-medium"
+                  >
+                    Modifier
+                  </Link>
+                </div>
+
+                {isDelivery ? (
+                  <div className="text-sm text-gray-600 space-y-1">
+                    <p>{shippingInfo.address?.street}</p>
+                    <p>
+                      {shippingInfo.address?.city}
+                      {shippingInfo.address?.country
+                        ? `, ${shippingInfo.address.country}`
+                        : ""}
+                    </p>
+                    <p className="pt-2 text-gray-500">
+                      Zone: {shippingInfo.zoneLabel}
+                    </p>
+                  </div>
+                ) : (
+                  <p className="text-sm text-gray-600">
+                    Vous serez prévenu dès que votre commande sera prête à être
+                    retirée.
+                  </p>
+                )}
+              </div>
+
               {/* Section Informations de paiement */}
               <div className="bg-white shadow rounded-lg p-6">
                 <div className="flex items-center justify-between mb-4">
@@ -257,8 +306,9 @@ const ReviewOrder = () => {
                           Paiement en espèces
                         </h3>
                         <p className="text-sm text-green-700 mb-2">
-                          Vous paierez en espèces lors de la récupération de
-                          votre commande.
+                          {isDelivery
+                            ? "Vous paierez en espèces à la livraison de votre commande."
+                            : "Vous paierez en espèces lors de la récupération de votre commande."}
                         </p>
                         <div className="mt-3 pt-3 border-t border-green-300">
                           <div className="flex justify-between text-sm mb-1">
@@ -343,11 +393,15 @@ const ReviewOrder = () => {
                 <div className="space-y-3 mb-6">
                   <div className="flex justify-between text-gray-600">
                     <span>Sous-total ({cartCount} articles):</span>
-                    <span>{formatPrice(totalAmount)}</span>
+                    <span>{formatPrice(itemsTotal)}</span>
                   </div>
                   <div className="flex justify-between text-gray-600">
                     <span>Frais de livraison:</span>
-                    <span className="text-green-600">Gratuit</span>
+                    {deliveryFee > 0 ? (
+                      <span>{formatPrice(deliveryFee)}</span>
+                    ) : (
+                      <span className="text-green-600">Gratuit</span>
+                    )}
                   </div>
                   <div className="border-t pt-3">
                     <div className="flex justify-between text-lg font-bold">
@@ -0,0 +1,350 @@
+"use client";
+
+import {
+  memo,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useState,
+} from "react";
+import dynamic from "next/dynamic";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { toast } from "react-toastify";
+import { MapPin, Store, Truck, ShoppingCart, Info } from "lucide-react";
+
+import CartContext from "@/context/CartContext";
+import OrderContext from "@/context/OrderContext";
+import { useSession } from "@/lib/auth-client";
+import { formatPrice, safeValue } from "@/helpers/helpers";
+import PaymentPageSkeleton from "../skeletons/PaymentPageSkeleton";
+
+const BreadCrumbs = dynamic(() => import("@/components/layouts/BreadCrumbs"), {
+  loading: () => <div className="h-12 animate-pulse bg-gray-200 rounded"></div>,
+  ssr: true,
+});
+
+/**
+ * Étape de choix du mode de remise (avant le paiement)
+ * - Retrait en magasin: sans frais
+ * - Livraison à domicile: adresse du profil + frais selon la zone
+ *
+ * @param {Object} props
+ * @param {Array} props.deliveryZones - Zones et frais fournis par le serveur
+ */
+const Shipping = ({ deliveryZones = [] }) => {
+  const { cart, cartTotal, cartCount } = useContext(CartContext);
+  const { shippingInfo, setShippingInfo } = useContext(OrderContext);
+  const { data: session, isPending } = useSession();
+  const router = useRouter();
+
+  const [method, setMethod] = useState(shippingInfo?.method || "pickup");
+  const [zoneId, setZoneId] = useState(shippingInfo?.zone || "");
+
+  const address = session?.user?.address;
+  const hasCompleteAddress = !!(
+    address?.street?.trim() && address?.city?.trim()
+  );
+
+  const selectedZone = useMemo(
+    () => deliveryZones.find((zone) => zone.id === zoneId) || null,
+    [deliveryZones, zoneId],
+  );
+
+  const deliveryFee =
+    method === "delivery" && selectedZone ? selectedZone.fee : 0;
+
+  const itemsTotal = useMemo(
+    () => Number(safeValue(cartTotal?.toFixed(2), 0)),
+    [cartTotal],
+  );
+
+  const breadCrumbs = useMemo(
+    () => [
+      { name: "Accueil", url: "/" },
+      { name: "Panier", url: "/cart" },
+      { name: "Livraison", url: "" },
+    ],
+    [],
+  );
+
+  useEffect(() => {
+    router.prefetch("/payment");
+  }, [router]);
+
+  const canContinue =
+    method === "pickup" || (hasCompleteAddress && !!selectedZone);
+
+  const handleContinue = useCallback(() => {
+    if (method === "delivery") {
+      if (!hasCompleteAddress) {
+        toast.error("Complétez votre adresse avant de choisir la livraison", {
+          position: "bottom-right",
+        });
+        return;
+      }
+
+      if (!selectedZone) {
+        toast.error("Veuillez choisir votre zone de livraison", {
+          position: "bottom-right",
+        });
+        return;
+      }
+    }
+
+    setShippingInfo(
+      method === "delivery"
+        ? {
+            method,
+            zone: selectedZone.id,
+            zoneLabel: selectedZone.label,
+            deliveryFee: selectedZone.fee,
+            address: {
+              street: address.street,
+              city: address.city,
+              country: address.country,
+            },
+          }
+        : { method: "pickup", deliveryFee: 0 },
+    );
+
+    router.push("/payment");
+  }, [
+    method,
+    hasCompleteAddress,
+    selectedZone,
+    address,
+    setShippingInfo,
+    router,
+  ]);
+
+  if (isPending) {
+    return <PaymentPageSkeleton />;
+  }
+
+  if (!Array.isArray(cart) || cartCount === 0) {
+    return (
+      <div className="container mx-auto px-4 py-16 text-center">
+        <div className="flex flex-col items-center justify-center">
+          <div className="bg-blue-50 rounded-full p-6 mb-6">
+            <ShoppingCart size={72} strokeWidth={1.5} />
+          </div>
+          <h2 className="text-2xl font-semibold mb-3">Votre panier est vide</h2>
+          <Link
+            href="/"
+            className="px-6 py-3 bg-blue-600 text-white font-semibold rounded-md shadow hover:bg-blue-700 transition-colors"
+          >
+            Découvrir nos produits
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <BreadCrumbs breadCrumbs={breadCrumbs} />
+
+      <section className="py-8 md:py-10">
+        <div className="container max-w-6xl mx-auto px-4">
+          <div className="flex flex-col md:flex-row gap-6">
+            <main className="md:w-2/3">
+              <div className="bg-white shadow rounded-lg p-6">
+                <h2 className="text-xl font-semibold mb-6 pb-2 border-b">
+                  Comment souhaitez-vous recevoir votre commande ?
+                </h2>
+
+                <div className="grid sm:grid-cols-2 gap-4 mb-6">
+                  <MethodCard
+                    icon={Store}
+                    title="Retrait en magasin"
+                    description="Gratuit - récupérez votre commande dès qu'elle est prête"
+                    isSelected={method === "pickup"}
+                    onSelect={() => setMethod("pickup")}
+                  />
+                  <MethodCard
+                    icon={Truck}
+                    title="Livraison à domicile"
+                    description="Frais selon votre zone de livraison"
+                    isSelected={method === "delivery"}
+                    onSelect={() => setMethod("delivery")}
+                  />
+                </div>
+
+                {method === "delivery" && (
+                  <div className="space-y-6">
+                    <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg">
+                      <div className="flex items-start justify-between gap-4">
+                        <div className="flex items-start">
+                          <MapPin
+                            className="mr-3 text-blue-600 flex-shrink-0 mt-0.5"
+                            size={20}
+                          />
+                          <div>
+                            <h3 className="font-semibold text-gray-800 mb-1">
+                              Adresse de livraison
+                            </h3>
+                            {hasCompleteAddress ? (
+                              <p className="text-sm text-gray-600">
+                                {address.street}
+                                <br />
+                                {address.city}
+                                {address.country ? `, ${address.country}` : ""}
+                              </p>
+                            ) : (
+                              <p className="text-sm text-red-600">
+                                Votre profil ne contient pas d&apos;adresse
+                                complète.
+                              </p>
+                            )}
+                          </div>
+                        </div>
+                        <Link
+                          href="/me/update"
+                          className="text-blue-600 hover:text-blue-700 text-sm font-medium whitespace-nowrap"
+                        >
+                          {hasCompleteAddress ? "Modifier" : "Ajouter"}
+                        </Link>
+                      </div>
+                    </div>
+
+                    <div>
+                      <h3 className="font-semibold text-gray-800 mb-3">
+                        Zone de livraison
+                      </h3>
+                      <div className="space-y-2">
+                        {deliveryZones.map((zone) => (
+                          <label
+                            key={zone.id}
+                            className={`flex items-center justify-between p-3 border rounded-lg cursor-pointer transition-colors ${
+                              zoneId === zone.id
+                                ? "border-blue-500 bg-blue-50"
+                                : "border-gray-200 hover:border-gray-300"
+                            }`}
+                          >
+                            <span className="flex items-center">
+                              <input
+                                type="radio"
+                                name="deliveryZone"
+                                value={zone.id}
+                                checked={zoneId === zone.id}
+                                onChange={() => setZoneId(zone.id)}
+                                className="mr-3"
+                              />
+                              <span>
+                                <span className="block font-medium text-gray-800">
+                                  {zone.label}
+                                </span>
+                                <span className="block text-xs text-gray-500">
+                                  {zone.description}
+                                </span>
+                              </span>
+                            </span>
+                            <span className="font-medium text-gray-800">
+                              {formatPrice(zone.fee)}
+                            </span>
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                  </div>
+                )}
+
+                {method === "pickup" && (
+                  <div className="p-4 bg-blue-50 rounded-lg text-sm text-blue-700">
+                    <p className="flex items-start">
+                      <Info className="mr-2 flex-shrink-0 mt-0.5" size={16} />
+                      Vous serez prévenu dès que votre commande sera prête à
+                      être retirée.
+                    </p>
+                  </div>
+                )}
+              </div>
+            </main>
+
+            <aside className="md:w-1/3">
+              <div className="bg-white shadow rounded-lg p-6 sticky top-24">
+                <h2 className="font-semibold text-lg mb-6 pb-2 border-b">
+                  Récapitulatif
+                </h2>
+
+                <div className="space-y-3 mb-6">
+                  <div className="flex justify-between text-gray-600">
+                    <span>Articles ({cartCount}):</span>
+                    <span>{formatPrice(itemsTotal)}</span>
+                  </div>
+                  <div className="flex justify-between text-gray-600">
+                    <span>Frais de livraison:</span>
+                    <span>
+                      {deliveryFee > 0 ? (
+                        formatPrice(deliveryFee)
+                      ) : (
+                        <span className="text-green-600">Gratuit</span>
+                      )}
+                    </span>
+                  </div>
+                  <div className="flex justify-between text-lg font-bold border-t pt-3 mt-2">
+                    <span>Total:</span>
+                    <span className="text-blue-600">
+                      {formatPrice(itemsTotal + deliveryFee)}
+                    </span>
+                  </div>
+                </div>
+
+                <div className="flex items-center justify-between space-x-3">
+                  <Link
+                    href="/cart"
+                    className="px-4 py-2 text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 transition-colors shadow-sm"
+                  >
+                    Retour
+                  </Link>
+
+                  <button
+                    type="button"
+                    onClick={handleContinue}
+                    disabled={!canContinue}
+                    className={`flex-1 px-5 py-2 text-white rounded-md transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2 ${
+                      canContinue
+                        ? "bg-blue-600 hover:bg-blue-700 focus:ring-blue-500"
+                        : "bg-gray-400 cursor-not-allowed"
+                    }`}
+                  >
+                    Continuer vers le paiement
+                  </button>
+                </div>
+              </div>
+            </aside>
+          </div>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+const MethodCard = memo(
+  ({ icon: Icon, title, description, isSelected, onSelect }) => (
+    <button
+      type="button"
+      onClick={onSelect}
+      aria-pressed={isSelected}
+      className={`flex items-start p-4 text-left border-2 rounded-lg transition-colors ${
+        isSelected
+          ? "border-blue-500 bg-blue-50"
+          : "border-gray-200 hover:border-gray-300"
+      }`}
+    >
+      <Icon
+        className={`mr-3 flex-shrink-0 ${isSelected ? "text-blue-600" : "text-gray-500"}`}
+        size={24}
+      />
+      <span>
+        <span className="block font-semibold text-gray-800">{title}</span>
+        <span className="block text-sm text-gray-600 mt-1">{description}</span>
+      </span>
+    </button>
+  ),
+);
+MethodCard.displayName = "MethodCard";
+
+export default Shipping;
@@ -4,14 +4,23 @@ import { memo, useEffect, useState } from "react";
 import Link from "next/link";
 import Image from "next/image";
 import { formatPrice } from "@/helpers/helpers";
-import { Minus, Plus, Trash2 } from "lucide-react";
+import {
+  Heart,
+  Minus,
+  Plus,
+  Trash2,
+  TrendingDown,
+  TrendingUp,
+} from "lucide-react";
 
 const ItemCart = memo(
   ({
     cartItem,
     deleteItemFromCart,
+    saveForLater,
     decreaseQty,
     increaseQty,
+    setQty,
     deleteInProgress,
   }) => {
     const [isStockLow, setIsStockLow] = useState(false);
@@ -19,6 +28,29 @@ const ItemCart = memo(
     const [isDeleting, setIsDeleting] = useState(false);
     const [isImageError, setIsImageError] = useState(false);
     const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+    // Quantité en cours de saisie, envoyée à la validation (Entrée / perte du focus)
+    const [quantityInput, setQuantityInput] = useState(
+      String(cartItem?.quantity ?? 1),
+    );
+
+    useEffect(() => {
+      setQuantityInput(String(cartItem?.quantity ?? 1));
+    }, [cartItem?.quantity]);
+
+    const submitQuantity = async () => {
+      const quantity = parseInt(quantityInput, 10);
+
+      if (!Number.isInteger(quantity) || quantity === cartItem.quantity) {
+        setQuantityInput(String(cartItem.quantity));
+        return;
+      }
+
+      // Refus (stock insuffisant...): retour à la quantité du panier
+      const updated = await setQty(cartItem, quantity);
+      if (!updated) {
+        setQuantityInput(String(cartItem.quantity));
+      }
+    };
 
     useEffect(() => {
       // Calculs pour l'affichage
@@ -36,6 +68,11 @@ const ItemCart = memo(
       setShowDeleteConfirm(false);
     };
 
+    // Prix modifié depuis l'ajout au panier
+    const priceChange = cartItem?.priceChange;
+    const isPriceDrop = priceChange?.amount < 0;
+    const PriceIcon = isPriceDrop ? TrendingDown : TrendingUp;
+
     // Source de l'image avec fallback
     const imageSource =
       isImageError || !cartItem?.imageUrl
@@ -44,7 +81,13 @@ const ItemCart = memo(
 
     return (
       <div className="group relative">
-        <div className="flex flex-col sm:flex-row items-start sm:items-center gap-4 py-4 transition-all duration-200 hover:bg-gray-50 rounded-lg p-2">
+        <div
+          className={`flex flex-col sm:flex-row items-start sm:items-center gap-4 py-4 transition-all duration-200 rounded-lg p-2 ${
+            priceChange
+              ? "bg-orange-50 ring-1 ring-orange-200"
+              : "hover:bg-gray-50"
+          }`}
+        >
           <div className="w-full sm:w-2/5 flex">
             <div className="shrink-0">
               <Link
@@ -103,9 +146,17 @@ const ItemCart = memo(
 
               <input
                 type="text"
+                inputMode="numeric"
                 className="h-full w-12 border-transparent text-center text-sm font-medium text-gray-900 focus:ring-0 focus:outline-none bg-transparent"
-                value={cartItem?.quantity}
-                readOnly
+                value={quantityInput}
+                onChange={(e) =>
+                  setQuantityInput(
+                    e.target.value.replace(/\D/g, "").slice(0, 2),
+                  )
+                }
+                onBlur={submitQuantity}
+                onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+                disabled={isOutOfStock}
                 aria-label="Quantité"
               />
 
@@ -128,6 +179,23 @@ const ItemCart = memo(
             <div className="text-gray-500 text-sm">
               {formatPrice(cartItem?.price)} l&apos;unité
             </div>
+            {priceChange && (
+              <div
+                className={`text-xs flex items-center gap-1 ${isPriceDrop ? "text-green-700" : "text-orange-700"}`}
+              >
+                <PriceIcon className="w-3 h-3" />
+                <span className="line-through">
+                  {formatPrice(priceChange.previousPrice)}
+                </span>
+                <span>→ {formatPrice(cartItem?.price)}</span>
+                {priceChange.percent !== null && (
+                  <span>
+                    ({priceChange.percent > 0 ? "+" : ""}
+                    {priceChange.percent} %)
+                  </span>
+                )}
+              </div>
+            )}
 
             <div className="mt-3 relative">
               {showDeleteConfirm ? (
@@ -147,14 +215,27 @@ const ItemCart = memo(
                   </button>
                 </div>
               ) : (
-                <button
-                  onClick={() => setShowDeleteConfirm(true)}
-                  disabled={isDeleting}
-                  className="text-xs text-red-600 hover:text-red-800 transition-colors flex items-center disabled:opacity-50 group-hover:underline"
-                >
-                  <Trash2 className="mr-2" />
-                  Supprimer
-                </button>
+                <div className="flex flex-col items-start sm:items-end gap-2">
+                  <button
+                    onClick={() => setShowDeleteConfirm(true)}
+                    disabled={isDeleting}
+                    className="text-xs text-red-600 hover:text-red-800 transition-colors flex items-center disabled:opacity-50 group-hover:underline"
+                  >
+                    <Trash2 className="mr-2" />
+                    Supprimer
+                  </button>
+                  {/* Liste de souhaits: utilisateurs connectés uniquement */}
+                  {saveForLater && (
+                    <button
+                      onClick={() => saveForLater(cartItem.id)}
+                      disabled={isDeleting || deleteInProgress}
+                      className="text-xs text-blue-600 hover:text-blue-800 transition-colors flex items-center disabled:opacity-50"
+                    >
+                      <Heart className="mr-2" />
+                      Enregistrer pour plus tard
+                    </button>
+                  )}
+                </div>
               )}
             </div>
           </div>
@@ -54,6 +54,8 @@ const UserDropdown = memo(({ user }) => {
   const menuItems = [
     { href: "/me", label: "Mon profil" },
     { href: "/me/orders", label: "Mes commandes" },
+    { href: "/me/returns", label: "Mes retours" },
+    { href: "/me/wishlist", label: "Mes favoris" },
     { href: "/me/contact", label: "Contactez le vendeur" },
   ];
 
@@ -246,23 +248,23 @@ const Header = () => {
 
           {/* Mobile buttons (Panier + Photo profil OU Hamburger) */}
           <div className="md:hidden flex items-center gap-2">
+            {/* Bouton Panier Mobile (panier invité pour les visiteurs) */}
+            <Link
+              href="/cart"
+              className="px-3 py-2 inline-block text-center text-gray-700 bg-white shadow-sm border border-gray-200 rounded-md relative hover:bg-blue-50"
+              aria-label="Panier"
+              title="Accéder au panier"
+            >
+              <ShoppingCart className="text-gray-400 w-5" />
+              {cartCount > 0 && (
+                <span className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full w-5 h-5 flex items-center justify-center text-xs">
+                  {cartCount}
+                </span>
+              )}
+            </Link>
+
             {user && (
               <>
-                {/* Bouton Panier Mobile */}
-                <Link
-                  href="/cart"
-                  className="px-3 py-2 inline-block text-center text-gray-700 bg-white shadow-sm border border-gray-200 rounded-md relative hover:bg-blue-50"
-                  aria-label="Panier"
-                  title="Accéder au panier"
-                >
-                  <ShoppingCart className="text-gray-400 w-5" />
-                  {cartCount > 0 && (
-                    <span className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full w-5 h-5 flex items-center justify-center text-xs">
-                      {cartCount}
-                    </span>
-                  )}
-                </Link>
-
                 {/* Photo de profil Mobile (remplace hamburger) */}
                 <button
                   onClick={toggleMobileMenu}
@@ -311,7 +313,7 @@ const Header = () => {
 
           {/* User navigation - Desktop */}
           <div className="hidden md:flex items-center space-x-3">
-            {user && <CartButton cartCount={cartCount} />}
+            <CartButton cartCount={cartCount} />
 
             {!user ? (
               <Link
@@ -356,6 +358,22 @@ const Header = () => {
                   Mes commandes
                 </Link>
 
+                <Link
+                  href="/me/returns"
+                  onClick={closeMobileMenu}
+                  className="block px-2 py-2 text-sm text-gray-700 hover:bg-blue-50 rounded-md"
+                >
+                  Mes retours
+                </Link>
+
+                <Link
+                  href="/me/wishlist"
+                  onClick={closeMobileMenu}
+                  className="block px-2 py-2 text-sm text-gray-700 hover:bg-blue-50 rounded-md"
+                >
+                  Mes favoris
+                </Link>
+
                 <Link
                   href="/me/contact"
                   onClick={closeMobileMenu}
@@ -0,0 +1,120 @@
+"use client";
+
+import { memo, useState, useContext, useCallback } from "react";
+import { toast } from "react-toastify";
+import { XCircle } from "lucide-react";
+import OrderContext from "@/context/OrderContext";
+
+const MIN_REASON_LENGTH = 3;
+const MAX_REASON_LENGTH = 200;
+
+/**
+ * Action d'annulation d'une commande par le client
+ * Demande une raison avant d'appeler PATCH /api/orders/me/[id]/cancel
+ */
+const CancelOrderForm = memo(({ order }) => {
+  const { cancelOrder } = useContext(OrderContext);
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [reason, setReason] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const trimmedReason = reason.trim();
+  const isReasonValid =
+    trimmedReason.length >= MIN_REASON_LENGTH &&
+    trimmedReason.length <= MAX_REASON_LENGTH;
+
+  const handleClose = useCallback(() => {
+    setIsOpen(false);
+    setReason("");
+  }, []);
+
+  const handleSubmit = useCallback(
+    async (e) => {
+      e.preventDefault();
+      if (!isReasonValid || isSubmitting) return;
+
+      setIsSubmitting(true);
+      const result = await cancelOrder(order._id, trimmedReason);
+      setIsSubmitting(false);
+
+      if (result.success) {
+        toast.success("Commande annulée");
+        handleClose();
+      } else {
+        toast.error(result.message);
+      }
+    },
+    [
+      cancelOrder,
+      order._id,
+      trimmedReason,
+      isReasonValid,
+      isSubmitting,
+      handleClose,
+    ],
+  );
+
+  if (!isOpen) {
+    return (
+      <button
+        type="button"
+        onClick={() => setIsOpen(true)}
+        className="inline-flex items-center gap-1 px-3 py-2 text-sm font-medium text-red-600 border border-red-300 rounded-md hover:bg-red-50 transition-colors"
+      >
+        <XCircle size={16} />
+        Annuler la commande
+      </button>
+    );
+  }
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="p-3 bg-red-50 border border-red-200 rounded-lg"
+    >
+      <label
+        htmlFor={`cancel-reason-${order._id}`}
+        className="block text-sm font-medium text-red-800 mb-2"
+      >
+        Pourquoi souhaitez-vous annuler la commande {order.orderNumber} ?
+      </label>
+      <textarea
+        id={`cancel-reason-${order._id}`}
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        maxLength={MAX_REASON_LENGTH}
+        rows={3}
+        required
+        disabled={isSubmitting}
+        className="w-full px-3 py-2 text-sm border border-red-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500"
+        placeholder="Ex: commande passée par erreur"
+      />
+      <p className="text-xs text-gray-500 mt-1">
+        {trimmedReason.length}/{MAX_REASON_LENGTH} caractères
+      </p>
+
+      <div className="flex justify-end gap-2 mt-3">
+        <button
+          type="button"
+          onClick={handleClose}
+          disabled={isSubmitting}
+          className="px-3 py-2 text-sm text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+        >
+          Retour
+        </button>
+        <button
+          type="submit"
+          disabled={!isReasonValid || isSubmitting}
+          className="px-3 py-2 text-sm text-white bg-red-600 rounded-md hover:bg-red-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSubmitting ? "Annulation..." : "Confirmer l'annulation"}
+        </button>
+      </div>
+    </form>
+  );
+});
+
+CancelOrderForm.displayName = "CancelOrderForm";
+
+export default CancelOrderForm;
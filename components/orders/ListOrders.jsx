@@ -3,8 +3,12 @@
 import { useState, useEffect, useMemo, useCallback } from "react";
 import dynamic from "next/dynamic";
 import { useRouter, useSearchParams } from "next/navigation";
-import { ShoppingBag, Banknote } from "lucide-react";
+import { ShoppingBag, Banknote, Download, Search, X } from "lucide-react";
 import captureClientError from "@/monitoring/sentry";
+import {
+  DEFAULT_ORDERS_PER_PAGE,
+  ORDER_HISTORY_PARAMS,
+} from "@/helpers/validation/schemas/order";
 
 // Chargement dynamique des composants
 const OrderItem = dynamic(() => import("./OrderItem"), {
@@ -42,25 +46,99 @@ const OrderItemSkeleton = () => (
   </div>
 );
 
+// Libellés des filtres (valeurs acceptées par GET /api/orders/me)
+const PAYMENT_STATUS_OPTIONS = [
+  { value: "", label: "Tous les statuts" },
+  { value: "paid", label: "✓ Payées" },
+  { value: "unpaid", label: "✗ Non payées" },
+  { value: "pending_cash", label: "💵 En attente (Espèces)" },
+  { value: "processing", label: "⏳ En traitement" },
+  { value: "refunded", label: "↩ Remboursées" },
+  { value: "failed", label: "⚠ Échouées" },
+];
+
+const PAYMENT_TYPE_OPTIONS = [
+  { value: "", label: "Tous les moyens" },
+  { value: "CASH", label: "💰 Espèces" },
+  { value: "WAAFI", label: "WAAFI" },
+  { value: "D-MONEY", label: "D-MONEY" },
+  { value: "CAC-PAY", label: "CAC-PAY" },
+  { value: "BCI-PAY", label: "BCI-PAY" },
+];
+
+const SORT_OPTIONS = [
+  { value: "newest", label: "Plus récentes" },
+  { value: "oldest", label: "Plus anciennes" },
+  { value: "amount_desc", label: "Montant décroissant" },
+  { value: "amount_asc", label: "Montant croissant" },
+];
+
+const PER_PAGE_OPTIONS = [10, 20, 50];
+
+// Filtres saisis (appliqués à la validation du formulaire)
+const DRAFT_KEYS = ["q", "dateFrom", "dateTo", "minAmount", "maxAmount"];
+
+const SELECT_CLASS =
+  "px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+const readDraft = (searchParams) =>
+  Object.fromEntries(
+    DRAFT_KEYS.map((key) => [key, searchParams?.get(key) || ""]),
+  );
+
 /**
  * Composant d'affichage de la liste des commandes
  * Adapté au modèle Order avec support du paiement CASH
+ *
+ * Filtres, tri et pagination sont appliqués côté serveur et reflétés dans
+ * l'URL (/me/orders?paymentStatus=paid&sort=oldest&page=2 ...)
  */
 const ListOrders = ({ orders }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [filterStatus, setFilterStatus] = useState("all");
-  const [sortOrder, setSortOrder] = useState("desc");
 
   const router = useRouter();
   const searchParams = useSearchParams();
 
+  // Champs texte: brouillon local resynchronisé avec l'URL
+  const [draft, setDraft] = useState(() => readDraft(searchParams));
+
+  useEffect(() => {
+    setDraft(readDraft(searchParams));
+  }, [searchParams]);
+
   // Obtenir la page courante depuis l'URL
   const currentPage = useMemo(() => {
     const page = searchParams?.get("page");
     return page ? parseInt(page, 10) : 1;
   }, [searchParams]);
 
+  const paymentStatus = searchParams?.get("paymentStatus") || "";
+  const typePayment = searchParams?.get("typePayment") || "";
+  const sort = searchParams?.get("sort") || "newest";
+  const perPage =
+    searchParams?.get("perPage") || String(DEFAULT_ORDERS_PER_PAGE);
+
+  // Au moins un filtre actif dans l'URL
+  const hasActiveFilters = useMemo(
+    () =>
+      ORDER_HISTORY_PARAMS.some(
+        (key) =>
+          !["page", "perPage", "sort"].includes(key) && searchParams?.get(key),
+      ),
+    [searchParams],
+  );
+
+  // Export de l'historique avec le statut et la période sélectionnés
+  const exportQuery = useMemo(() => {
+    const params = new URLSearchParams();
+    ["paymentStatus", "dateFrom", "dateTo"].forEach((key) => {
+      const value = searchParams?.get(key);
+      if (value) params.set(key, value);
+    });
+    return params.toString();
+  }, [searchParams]);
+
   // Vérification et utilisation sûre des données
   const hasOrders = useMemo(() => {
     return (
@@ -68,6 +146,10 @@ const ListOrders = ({ orders }) => {
     );
   }, [orders]);
 
+  // L'utilisateur a déjà commandé (indépendamment des filtres)
+  const hasOrderHistory = (orders?.count || 0) > 0;
+  const filterErrors = orders?.filterErrors;
+
   const totalPages = useMemo(() => {
     return orders?.totalPages && !isNaN(parseInt(orders.totalPages))
       ? parseInt(orders.totalPages)
@@ -80,90 +162,84 @@ const ListOrders = ({ orders }) => {
     return orders.orders.filter((order) => order.isCashPayment).length;
   }, [hasOrders, orders]);
 
-  // Filtrage et tri des commandes - ADAPTÉ AU NOUVEAU MODÈLE AVEC CASH
-  const filteredAndSortedOrders = useMemo(() => {
-    try {
-      if (!hasOrders) return [];
-
-      let filtered = [...orders.orders];
-
-      // Filtrage par statut de paiement avec support CASH
-      if (filterStatus !== "all") {
-        filtered = filtered.filter((order) => {
-          if (filterStatus === "paid") return order.paymentStatus === "paid";
-          if (filterStatus === "unpaid")
-            return order.paymentStatus === "unpaid";
-          if (filterStatus === "processing")
-            return order.paymentStatus === "processing";
-          if (filterStatus === "refunded")
-            return order.paymentStatus === "refunded";
-          if (filterStatus === "failed")
-            return order.paymentStatus === "failed";
-          if (filterStatus === "pending_cash")
-            return (
-              order.paymentStatus === "pending_cash" || order.isCashPayment
-            );
-          if (filterStatus === "cash") return order.isCashPayment === true;
-          if (filterStatus === "cancelled") return !!order.cancelledAt;
-          return true;
-        });
-      }
+  /**
+   * Met à jour les paramètres d'URL puis recharge la liste
+   * Tout changement de filtre ramène à la première page
+   */
+  const updateParams = useCallback(
+    (updates) => {
+      try {
+        const params = new URLSearchParams(searchParams?.toString() || "");
 
-      // Tri par date
-      filtered.sort((a, b) => {
-        const dateA = new Date(a.createdAt);
-        const dateB = new Date(b.createdAt);
-        return sortOrder === "desc" ? dateB - dateA : dateA - dateB;
-      });
-
-      return filtered;
-    } catch (error) {
-      captureClientError(error, "ListOrders", "filterAndSort", true, {
-        filterStatus,
-        sortOrder,
-        ordersCount: orders?.orders?.length || 0,
-        hasValidOrders: hasOrders,
-      });
-
-      return [];
-    }
-  }, [hasOrders, orders?.orders, filterStatus, sortOrder]);
+        Object.entries(updates).forEach(([key, value]) => {
+          if (value === null || value === undefined || value === "") {
+            params.delete(key);
+          } else {
+            params.set(key, String(value));
+          }
+        });
 
-  const handlePageChange = useCallback(
-    (pageNumber) => {
-      try {
-        if (!pageNumber || pageNumber < 1 || pageNumber > totalPages) {
-          const validationError = new Error(`Page invalide: ${pageNumber}`);
-          captureClientError(
-            validationError,
-            "ListOrders",
-            "pageValidation",
-            false,
-            {
-              requestedPage: pageNumber,
-              totalPages,
-              currentPage,
-            },
-          );
-          setError("Numéro de page invalide");
-          return;
+        if (!("page" in updates)) {
+          params.delete("page");
         }
 
+        const queryString = params.toString();
         setIsLoading(true);
-        router.push(`/me/orders?page=${pageNumber}`);
+        router.push(`/me/orders${queryString ? `?${queryString}` : ""}`);
       } catch (err) {
-        captureClientError(err, "ListOrders", "navigationError", true, {
-          requestedPage: pageNumber,
-          currentPage,
-          totalPages,
+        captureClientError(err, "ListOrders", "updateParams", true, {
+          updates,
           errorMessage: err.message,
         });
 
-        setError("Erreur lors du changement de page");
-        console.error("Error changing page:", err);
+        setError("Erreur lors de la mise à jour des filtres");
       }
     },
-    [router, currentPage, totalPages],
+    [router, searchParams],
+  );
+
+  const handleDraftChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setDraft((prev) => ({ ...prev, [name]: value }));
+  }, []);
+
+  const handleApplyDraft = useCallback(
+    (e) => {
+      e.preventDefault();
+      updateParams(
+        Object.fromEntries(DRAFT_KEYS.map((key) => [key, draft[key].trim()])),
+      );
+    },
+    [draft, updateParams],
+  );
+
+  const handleResetFilters = useCallback(() => {
+    setIsLoading(true);
+    router.push("/me/orders");
+  }, [router]);
+
+  const handlePageChange = useCallback(
+    (pageNumber) => {
+      if (!pageNumber || pageNumber < 1 || pageNumber > totalPages) {
+        const validationError = new Error(`Page invalide: ${pageNumber}`);
+        captureClientError(
+          validationError,
+          "ListOrders",
+          "pageValidation",
+          false,
+          {
+            requestedPage: pageNumber,
+            totalPages,
+            currentPage,
+          },
+        );
+        setError("Numéro de page invalide");
+        return;
+      }
+
+      updateParams({ page: pageNumber });
+    },
+    [updateParams, currentPage, totalPages],
   );
 
   // Réinitialiser les états lors du changement de données
@@ -191,41 +267,178 @@ const ListOrders = ({ orders }) => {
           Historique de vos commandes
         </h2>
 
-        {/* Filtres et tri - ADAPTÉ AU NOUVEAU MODÈLE AVEC CASH */}
-        {hasOrders && (
+        {/* Tri et taille de page */}
+        {hasOrderHistory && (
           <div className="flex gap-2 flex-wrap">
             <select
-              value={filterStatus}
-              onChange={(e) => setFilterStatus(e.target.value)}
-              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-              aria-label="Filtrer par statut"
+              value={sort}
+              onChange={(e) => updateParams({ sort: e.target.value })}
+              className={SELECT_CLASS}
+              aria-label="Trier les commandes"
             >
-              <option value="all">Tous les statuts</option>
-              <option value="paid">✓ Payées</option>
-              <option value="unpaid">✗ Non payées</option>
-              <option value="pending_cash">💵 En attente (Espèces)</option>
-              <option value="cash">💰 Paiement en espèces</option>
-              <option value="processing">⏳ En traitement</option>
-              <option value="refunded">↩ Remboursées</option>
-              <option value="failed">⚠ Échouées</option>
-              <option value="cancelled">🚫 Annulées</option>
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
             </select>
 
+            {["csv", "json"].map((format) => (
+              <a
+                key={format}
+                href={`/api/orders/me/export?format=${format}${exportQuery ? `&${exportQuery}` : ""}`}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+                title="Exporter les commandes (statut et période sélectionnés)"
+              >
+                <Download size={14} className="mr-1" />
+                {format.toUpperCase()}
+              </a>
+            ))}
+
             <select
-              value={sortOrder}
-              onChange={(e) => setSortOrder(e.target.value)}
-              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-              aria-label="Trier par date"
+              value={perPage}
+              onChange={(e) => updateParams({ perPage: e.target.value })}
+              className={SELECT_CLASS}
+              aria-label="Commandes par page"
             >
-              <option value="desc">Plus récentes</option>
-              <option value="asc">Plus anciennes</option>
+              {PER_PAGE_OPTIONS.map((value) => (
+                <option key={value} value={String(value)}>
+                  {value} par page
+                </option>
+              ))}
             </select>
           </div>
         )}
       </div>
 
-      {/* Statistiques avec support CASH */}
-      {hasOrders && (
+      {/* Filtres - synchronisés avec l'URL */}
+      {(hasOrderHistory || filterErrors) && (
+        <form
+          onSubmit={handleApplyDraft}
+          className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded-md"
+          aria-label="Filtrer les commandes"
+        >
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <div className="md:col-span-3 relative">
+              <Search
+                size={16}
+                className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400"
+              />
+              <input
+                type="search"
+                name="q"
+                value={draft.q}
+                onChange={handleDraftChange}
+                placeholder="N° de commande ou nom de produit"
+                maxLength={100}
+                className={`${SELECT_CLASS} w-full pl-9`}
+                aria-label="Rechercher une commande"
+              />
+            </div>
+
+            <select
+              value={paymentStatus}
+              onChange={(e) => updateParams({ paymentStatus: e.target.value })}
+              className={SELECT_CLASS}
+              aria-label="Filtrer par statut"
+            >
+              {PAYMENT_STATUS_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+
+            <select
+              value={typePayment}
+              onChange={(e) => updateParams({ typePayment: e.target.value })}
+              className={SELECT_CLASS}
+              aria-label="Filtrer par moyen de paiement"
+            >
+              {PAYMENT_TYPE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+
+            <div className="flex gap-2">
+              <input
+                type="number"
+                name="minAmount"
+                value={draft.minAmount}
+                onChange={handleDraftChange}
+                min="0"
+                placeholder="Montant min"
+                className={`${SELECT_CLASS} w-1/2`}
+                aria-label="Montant minimum"
+              />
+              <input
+                type="number"
+                name="maxAmount"
+                value={draft.maxAmount}
+                onChange={handleDraftChange}
+                min="0"
+                placeholder="Montant max"
+                className={`${SELECT_CLASS} w-1/2`}
+                aria-label="Montant maximum"
+              />
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-600">
+              Du
+              <input
+                type="date"
+                name="dateFrom"
+                value={draft.dateFrom}
+                onChange={handleDraftChange}
+                className={`${SELECT_CLASS} flex-1`}
+              />
+            </label>
+
+            <label className="flex items-center gap-2 text-sm text-gray-600">
+              Au
+              <input
+                type="date"
+                name="dateTo"
+                value={draft.dateTo}
+                onChange={handleDraftChange}
+                className={`${SELECT_CLASS} flex-1`}
+              />
+            </label>
+
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                className="flex-1 px-4 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 transition-colors"
+              >
+                Filtrer
+              </button>
+              {(hasActiveFilters || filterErrors) && (
+                <button
+                  type="button"
+                  onClick={handleResetFilters}
+                  className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm rounded-md text-gray-700 hover:bg-gray-100"
+                >
+                  <X size={14} className="mr-1" />
+                  Réinitialiser
+                </button>
+              )}
+            </div>
+          </div>
+
+          {filterErrors && (
+            <ul className="mt-3 text-sm text-red-600" role="alert">
+              {Object.entries(filterErrors).map(([field, message]) => (
+                <li key={field}>{message}</li>
+              ))}
+            </ul>
+          )}
+        </form>
+      )}
+
+      {/* Statistiques avec support CASH (tout l'historique) */}
+      {hasOrderHistory && (
         <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-6">
           <div className="bg-gray-50 p-3 rounded-md border border-gray-200">
             <p className="text-sm text-gray-600">Total commandes</p>
@@ -289,7 +502,7 @@ const ListOrders = ({ orders }) => {
             <OrderItemSkeleton key={i} />
           ))}
         </div>
-      ) : !hasOrders ? (
+      ) : !hasOrderHistory && !filterErrors ? (
         <div className="flex flex-col items-center p-8 bg-gray-50 rounded-lg border border-gray-200">
           <div className="w-16 h-16 flex items-center justify-center rounded-full bg-blue-100 mb-4">
             <ShoppingBag
@@ -311,13 +524,13 @@ const ListOrders = ({ orders }) => {
         </div>
       ) : (
         <>
-          {filteredAndSortedOrders.length === 0 ? (
+          {!hasOrders ? (
             <div className="p-6 bg-yellow-50 border border-yellow-200 rounded-md text-center">
               <p className="text-yellow-800">
                 Aucune commande ne correspond à vos filtres.
               </p>
               <button
-                onClick={() => setFilterStatus("all")}
+                onClick={handleResetFilters}
                 className="mt-3 text-blue-600 hover:text-blue-800 underline"
               >
                 Réinitialiser les filtres
@@ -325,13 +538,21 @@ const ListOrders = ({ orders }) => {
             </div>
           ) : (
             <>
+              {hasActiveFilters && (
+                <p className="text-sm text-gray-600 mb-3">
+                  {orders.filteredCount} commande
+                  {orders.filteredCount > 1 ? "s" : ""} trouvée
+                  {orders.filteredCount > 1 ? "s" : ""}
+                </p>
+              )}
+
               <div className="space-y-4" aria-label="Liste de vos commandes">
-                {filteredAndSortedOrders.map((order) => (
+                {orders.orders.map((order) => (
                   <OrderItem key={order._id} order={order} />
                 ))}
               </div>
 
-              {totalPages > 1 && filterStatus === "all" && (
+              {totalPages > 1 && (
                 <div className="mt-8">
                   <CustomPagination
                     totalPages={totalPages}
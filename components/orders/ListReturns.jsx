@@ -0,0 +1,172 @@
+"use client";
+
+import { memo } from "react";
+import dynamic from "next/dynamic";
+import Link from "next/link";
+import { ArrowLeft, RotateCcw } from "lucide-react";
+import { formatDate, formatPrice } from "@/helpers/helpers";
+import { RETURN_REASON_LABELS } from "@/helpers/validation/schemas/return";
+
+const CustomPagination = dynamic(
+  () => import("@/components/layouts/CustomPagination"),
+  { ssr: true },
+);
+
+// Libellés et couleurs des statuts de retour
+const RETURN_STATUS_STYLES = {
+  requested: {
+    label: "Demande envoyée",
+    className: "bg-amber-50 text-amber-700 border-amber-300",
+  },
+  approved: {
+    label: "Retour accepté",
+    className: "bg-blue-50 text-blue-700 border-blue-300",
+  },
+  rejected: {
+    label: "Retour refusé",
+    className: "bg-red-50 text-red-600 border-red-300",
+  },
+  refunded: {
+    label: "Remboursé",
+    className: "bg-green-50 text-green-700 border-green-300",
+  },
+};
+
+const DATE_TIME_OPTIONS = { hour: "2-digit", minute: "2-digit" };
+
+/**
+ * Carte d'une demande de retour avec son suivi
+ */
+const ReturnCard = memo(({ returnRequest }) => {
+  const status =
+    RETURN_STATUS_STYLES[returnRequest.status] ||
+    RETURN_STATUS_STYLES.requested;
+
+  return (
+    <article className="p-4 border border-gray-200 rounded-md bg-white shadow-sm">
+      <header className="flex flex-wrap justify-between items-start gap-2 mb-3">
+        <div>
+          <p className="font-semibold">
+            Retour{" "}
+            <span className="font-mono text-gray-700">
+              {returnRequest.returnNumber}
+            </span>
+          </p>
+          <p className="text-xs text-gray-500">
+            Commande{" "}
+            <Link
+              href={`/me/orders/${encodeURIComponent(returnRequest.orderNumber)}`}
+              className="text-blue-600 hover:text-blue-800 font-mono"
+            >
+              {returnRequest.orderNumber}
+            </Link>{" "}
+            • {formatDate(returnRequest.createdAt)}
+          </p>
+        </div>
+        <span
+          className={`px-2 py-1 rounded-full text-xs font-semibold border ${status.className}`}
+        >
+          {status.label}
+        </span>
+      </header>
+
+      <ul className="text-sm text-gray-700 space-y-1 mb-3">
+        {returnRequest.items.map((item) => (
+          <li key={item.orderItem} className="flex justify-between gap-3">
+            <span>
+              {item.name} × {item.quantity}
+            </span>
+            <span>{formatPrice(item.price * item.quantity)}</span>
+          </li>
+        ))}
+      </ul>
+
+      <p className="text-sm text-gray-600">
+        Motif:{" "}
+        {RETURN_REASON_LABELS[returnRequest.reasonCode] ||
+          returnRequest.reasonCode}
+      </p>
+      {returnRequest.comment && (
+        <p className="text-sm text-gray-500 italic mt-1">
+          {returnRequest.comment}
+        </p>
+      )}
+
+      <p className="text-sm font-medium mt-2">
+        {returnRequest.status === "refunded"
+          ? "Montant remboursé"
+          : "Montant à rembourser"}
+        : {formatPrice(returnRequest.refundAmount)}
+      </p>
+
+      <ol className="mt-3 border-l border-gray-300 ml-2 pl-4 space-y-2">
+        {returnRequest.statusHistory.map((entry) => (
+          <li key={`${entry.status}-${entry.changedAt}`}>
+            <p className="text-xs font-medium text-gray-800">
+              {RETURN_STATUS_STYLES[entry.status]?.label || entry.status}
+            </p>
+            <time className="text-xs text-gray-500">
+              {formatDate(entry.changedAt, DATE_TIME_OPTIONS)}
+            </time>
+            {entry.note && (
+              <p className="text-xs text-gray-600 mt-0.5">{entry.note}</p>
+            )}
+          </li>
+        ))}
+      </ol>
+    </article>
+  );
+});
+
+ReturnCard.displayName = "ReturnCard";
+
+/**
+ * Liste paginée des demandes de retour de l'utilisateur
+ */
+const ListReturns = memo(({ data, message }) => {
+  const returns = data?.returns || [];
+
+  return (
+    <div>
+      <Link
+        href="/me/orders"
+        className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 mb-4"
+      >
+        <ArrowLeft size={16} className="mr-1" />
+        Retour à mes commandes
+      </Link>
+
+      {message && (
+        <div className="p-3 mb-4 bg-red-50 border border-red-200 rounded-md text-sm text-red-600">
+          {message}
+        </div>
+      )}
+
+      {returns.length === 0 ? (
+        <div className="text-center py-10 text-gray-500">
+          <RotateCcw className="mx-auto mb-3" size={32} />
+          <p>Vous n&apos;avez aucune demande de retour.</p>
+          <p className="text-sm mt-1">
+            Un retour se demande depuis le détail d&apos;une commande remise.
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {returns.map((returnRequest) => (
+            <ReturnCard key={returnRequest._id} returnRequest={returnRequest} />
+          ))}
+        </div>
+      )}
+
+      {data?.totalPages > 1 && (
+        <div className="mt-6">
+          <CustomPagination totalPages={data.totalPages} />
+        </div>
+      )}
+    </div>
+  );
+});
+
+ListReturns.displayName = "ListReturns";
+
+export default ListReturns;
@@ -0,0 +1,417 @@
+"use client";
+
+import { memo, useMemo } from "react";
+import dynamic from "next/dynamic";
+import Link from "next/link";
+import {
+  ArrowLeft,
+  Banknote,
+  CreditCard,
+  CalendarCheck,
+  CircleCheck,
+  CircleX,
+  Download,
+  FileText,
+  RefreshCw,
+  Truck,
+} from "lucide-react";
+import { formatDate, formatPrice } from "@/helpers/helpers";
+
+const OrderedProduct = dynamic(() => import("./OrderedProduct"), {
+  loading: () => (
+    <div className="h-28 bg-gray-100 rounded-md animate-pulse"></div>
+  ),
+  ssr: true,
+});
+
+const OrderStatusTracker = dynamic(() => import("./OrderStatusTracker"), {
+  ssr: true,
+});
+
+const PickupCode = dynamic(() => import("./PickupCode"), {
+  ssr: false,
+});
+
+const CancelOrderForm = dynamic(() => import("./CancelOrderForm"), {
+  ssr: false,
+});
+
+const ReturnRequestForm = dynamic(() => import("./ReturnRequestForm"), {
+  ssr: false,
+});
+
+const PaymentProofForm = dynamic(() => import("./PaymentProofForm"), {
+  ssr: false,
+});
+
+// Libellés des étapes logistiques dans la timeline
+const FULFILLMENT_LABELS = {
+  preparing: "Commande en préparation",
+  ready_for_pickup: "Prête à être récupérée",
+  shipped: "Commande expédiée",
+  delivered: "Commande remise",
+};
+
+// Options d'affichage des dates de la timeline
+const DATE_TIME_OPTIONS = { hour: "2-digit", minute: "2-digit" };
+
+/**
+ * Construit la timeline chronologique d'une commande
+ * @param {Object} order - Commande formatée par l'API
+ * @returns {Array} Étapes datées, triées de la plus ancienne à la plus récente
+ */
+const buildTimeline = (order) => {
+  const events = [
+    {
+      key: "created",
+      label: "Commande passée",
+      date: order.createdAt,
+      icon: CalendarCheck,
+      color: "text-blue-600 bg-blue-100",
+    },
+  ];
+
+  // Étapes logistiques (la création est déjà représentée)
+  (order.statusHistory || [])
+    .filter(
+      (entry) => entry.status !== "placed" && entry.status !== "cancelled",
+    )
+    .forEach((entry, index) => {
+      events.push({
+        key: `status-${entry.status}-${index}`,
+        label: FULFILLMENT_LABELS[entry.status] || entry.status,
+        date: entry.changedAt,
+        icon: Truck,
+        color: "text-indigo-600 bg-indigo-100",
+        note: entry.note,
+      });
+    });
+
+  if (order.paidAt) {
+    events.push({
+      key: "paid",
+      label: "Paiement reçu",
+      date: order.paidAt,
+      icon: CircleCheck,
+      color: "text-green-600 bg-green-100",
+    });
+  }
+
+  if (order.cancelledAt) {
+    events.push({
+      key: "cancelled",
+      label: "Commande annulée",
+      date: order.cancelledAt,
+      icon: CircleX,
+      color: "text-red-600 bg-red-100",
+      note: order.cancelReason,
+    });
+  }
+
+  if (
+    order.updatedAt &&
+    order.updatedAt !== order.createdAt &&
+    !events.some((event) => event.date === order.updatedAt)
+  ) {
+    events.push({
+      key: "updated",
+      label: "Dernière mise à jour",
+      date: order.updatedAt,
+      icon: RefreshCw,
+      color: "text-gray-600 bg-gray-100",
+    });
+  }
+
+  return events.sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+/**
+ * Page de détail d'une commande: articles, paiement masqué et historique
+ */
+const OrderDetails = memo(({ order }) => {
+  const timeline = useMemo(() => (order ? buildTimeline(order) : []), [order]);
+
+  if (!order) return null;
+
+  const isCashPayment = order.isCashPayment === true;
+  const isCancelled = !!order.cancelledAt;
+  const canBeCancelled =
+    !isCancelled &&
+    ["unpaid", "pending_cash"].includes(order.paymentStatus) &&
+    ["placed", "preparing", "ready_for_pickup"].includes(
+      order.fulfillmentStatus,
+    );
+  // Commande mobile money annulée automatiquement au-delà de cette date
+  const paymentDueAt =
+    !isCancelled && ["unpaid", "failed"].includes(order.paymentStatus)
+      ? order.paymentDueAt
+      : null;
+  // Paiement mobile money en attente: le client peut transmettre sa preuve
+  const awaitsPaymentProof =
+    !isCancelled &&
+    !isCashPayment &&
+    ["unpaid", "failed"].includes(order.paymentStatus) &&
+    (!order.paymentDueAt || new Date(order.paymentDueAt) > new Date());
+  // Facture disponible une fois la commande réglée
+  const hasInvoice = ["paid", "refunded"].includes(order.paymentStatus);
+  const invoiceUrl = `/api/orders/me/${order.orderNumber}/invoice`;
+  const totalItems =
+    order.orderItems?.reduce(
+      (total, item) => total + (item.quantity || 0),
+      0,
+    ) || 0;
+
+  return (
+    <article className="bg-white border border-gray-200 rounded-md shadow-sm p-4 lg:p-6">
+      <Link
+        href="/me/orders"
+        className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 mb-4"
+      >
+        <ArrowLeft size={16} className="mr-1" />
+        Retour à mes commandes
+      </Link>
+
+      <header className="lg:flex justify-between items-start mb-6">
+        <div className="mb-4 lg:mb-0">
+          <h1 className="text-2xl font-semibold">
+            Commande{" "}
+            <span className="font-mono text-gray-700">{order.orderNumber}</span>
+          </h1>
+          <div className="flex flex-wrap items-center gap-2 mt-2 text-sm">
+            <span className="px-2 py-1 rounded-full text-xs font-semibold border bg-gray-50 text-gray-700 border-gray-300">
+              {order.paymentStatusDescription}
+            </span>
+            {isCancelled && (
+              <span className="px-2 py-1 rounded-full text-xs font-semibold bg-red-50 text-red-600 border border-red-300">
+                ANNULÉE
+              </span>
+            )}
+            <span className="text-gray-500">
+              Passée le {formatDate(order.createdAt)} • {totalItems} article
+              {totalItems > 1 ? "s" : ""}
+            </span>
+          </div>
+        </div>
+
+        <div className="text-right">
+          <p className="text-sm text-gray-600">
+            {isCashPayment ? "Montant à préparer" : "Montant total"}
+          </p>
+          <p
+            className={`text-2xl font-bold ${isCashPayment ? "text-green-600" : "text-blue-600"}`}
+          >
+            {formatPrice(order.totalAmount)}
+          </p>
+          {order.deliveryFee > 0 && (
+            <p className="text-xs text-gray-500">
+              dont livraison {formatPrice(order.deliveryFee)}
+            </p>
+          )}
+          {paymentDueAt && (
+            <p className="text-xs text-orange-600">
+              À régler avant le {formatDate(paymentDueAt, DATE_TIME_OPTIONS)}
+            </p>
+          )}
+          {order.refundedAmount > 0 && (
+            <p className="text-xs text-green-700">
+              Remboursé: {formatPrice(order.refundedAmount)}
+            </p>
+          )}
+          {hasInvoice && (
+            <div className="flex justify-end gap-3 mt-2 text-sm">
+              <a
+                href={invoiceUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="inline-flex items-center text-blue-600 hover:text-blue-800"
+              >
+                <FileText size={16} className="mr-1" />
+                {order.invoiceNumber
+                  ? `Facture ${order.invoiceNumber}`
+                  : "Voir la facture"}
+              </a>
+              <a
+                href={`${invoiceUrl}?format=pdf&download=1`}
+                className="inline-flex items-center text-blue-600 hover:text-blue-800"
+              >
+                <Download size={16} className="mr-1" />
+                PDF
+              </a>
+            </div>
+          )}
+        </div>
+      </header>
+
+      <section className="mb-6" aria-label="Suivi de la commande">
+        <OrderStatusTracker
+          status={order.fulfillmentStatus}
+          history={order.statusHistory}
+        />
+      </section>
+
+      <div className="grid md:grid-cols-2 gap-6 mb-6">
+        {/* Informations de paiement (numéro masqué par l'API) */}
+        <section className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+          <h2 className="text-gray-700 font-medium mb-3 flex items-center gap-2">
+            {isCashPayment ? <Banknote size={18} /> : <CreditCard size={18} />}
+            Paiement
+          </h2>
+          {isCashPayment ? (
+            <div className="space-y-3">
+              <p className="text-sm text-green-700">
+                {order.cashCollectedAt
+                  ? `Espèces encaissées le ${formatDate(order.cashCollectedAt)}`
+                  : order.paymentInfo?.cashPaymentNote ||
+                    "Le paiement sera effectué en espèces lors de la récupération"}
+              </p>
+              {order.pickup && <PickupCode pickup={order.pickup} />}
+            </div>
+          ) : (
+            <ul className="text-sm text-gray-700 space-y-1">
+              <li>
+                <span className="text-gray-600">Mode:</span>{" "}
+                <span className="font-medium">
+                  {order.paymentInfo?.typePayment || "-"}
+                </span>
+              </li>
+              <li>
+                <span className="text-gray-600">Nom:</span>{" "}
+                <span className="font-medium">
+                  {order.paymentInfo?.paymentAccountName || "-"}
+                </span>
+              </li>
+              <li>
+                <span className="text-gray-600">Numéro:</span>{" "}
+                <span className="font-mono text-xs">
+                  {order.paymentInfo?.paymentAccountNumber || "••••••••"}
+                </span>
+              </li>
+              {order.paymentProof && (
+                <li>
+                  <span className="text-gray-600">Référence:</span>{" "}
+                  <span className="font-mono text-xs">
+                    {order.paymentProof.reference}
+                  </span>{" "}
+                  <span className="text-xs text-gray-500">
+                    (preuve envoyée le{" "}
+                    {formatDate(
+                      order.paymentProof.submittedAt,
+                      DATE_TIME_OPTIONS,
+                    )}
+                    )
+                  </span>
+                </li>
+              )}
+            </ul>
+          )}
+        </section>
+
+        {/* Mode de remise (adresse figée au moment de la commande) */}
+        <section className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+          <h2 className="text-gray-700 font-medium mb-3 flex items-center gap-2">
+            <Truck size={18} />
+            {order.fulfillmentMethod === "delivery"
+              ? "Livraison à domicile"
+              : "Retrait en magasin"}
+          </h2>
+          {order.fulfillmentMethod === "delivery" && order.shippingAddress ? (
+            <ul className="text-sm text-gray-700 space-y-1">
+              <li>{order.shippingAddress.street}</li>
+              <li>
+                {order.shippingAddress.city}
+                {order.shippingAddress.country
+                  ? `, ${order.shippingAddress.country}`
+                  : ""}
+              </li>
+              <li className="text-gray-600">
+                Zone: {order.shippingAddress.zoneLabel || "-"} •{" "}
+                {formatPrice(order.deliveryFee)}
+              </li>
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-700">
+              À récupérer au point de retrait une fois prête
+            </p>
+          )}
+        </section>
+
+        {/* Timeline de la commande */}
+        <section className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+          <h2 className="text-gray-700 font-medium mb-3">
+            Historique de la commande
+          </h2>
+          <ol className="relative border-l border-gray-300 ml-3">
+            {timeline.map((event) => {
+              const Icon = event.icon;
+              return (
+                <li key={event.key} className="mb-4 ml-6 last:mb-0">
+                  <span
+                    className={`absolute -left-3 flex items-center justify-center w-6 h-6 rounded-full ${event.color}`}
+                  >
+                    <Icon size={14} />
+                  </span>
+                  <p className="text-sm font-medium text-gray-800">
+                    {event.label}
+                  </p>
+                  <time className="text-xs text-gray-500">
+                    {formatDate(event.date, DATE_TIME_OPTIONS)}
+                  </time>
+                  {event.note && (
+                    <p className="text-xs text-red-700 mt-1">{event.note}</p>
+                  )}
+                </li>
+              );
+            })}
+          </ol>
+        </section>
+      </div>
+
+      {awaitsPaymentProof && (
+        <div className="mb-6">
+          <PaymentProofForm
+            orderNumber={order.orderNumber}
+            totalAmount={order.totalAmount}
+            paymentDueAt={order.paymentDueAt}
+          />
+        </div>
+      )}
+
+      <section>
+        <h2 className="text-gray-700 font-medium mb-3">Articles commandés</h2>
+        <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-3">
+          {order.orderItems?.length > 0 ? (
+            order.orderItems.map((item) => (
+              <OrderedProduct key={item._id} item={item} />
+            ))
+          ) : (
+            <p className="text-gray-500 italic col-span-full">
+              Aucun article dans cette commande
+            </p>
+          )}
+        </div>
+      </section>
+
+      {canBeCancelled && (
+        <div className="mt-6 flex justify-end">
+          <CancelOrderForm order={order} />
+        </div>
+      )}
+
+      {order.returnEligibility?.eligible && (
+        <div className="mt-6 flex flex-col items-end gap-2">
+          <ReturnRequestForm order={order} />
+          <Link
+            href="/me/returns"
+            className="text-sm text-blue-600 hover:text-blue-800"
+          >
+            Suivre mes demandes de retour
+          </Link>
+        </div>
+      )}
+    </article>
+  );
+});
+
+OrderDetails.displayName = "OrderDetails";
+
+export default OrderDetails;
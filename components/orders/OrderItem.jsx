@@ -1,8 +1,17 @@
 "use client";
 
-import { memo, useState, useCallback } from "react";
+import { memo, useState, useCallback, useContext } from "react";
 import dynamic from "next/dynamic";
-import { ChevronDown, ChevronUp, Banknote, CreditCard } from "lucide-react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import {
+  ChevronDown,
+  ChevronUp,
+  Banknote,
+  CreditCard,
+  RotateCcw,
+} from "lucide-react";
+import CartContext from "@/context/CartContext";
 
 // Chargement dynamique des composants
 const OrderedProduct = dynamic(() => import("./OrderedProduct"), {
@@ -12,12 +21,35 @@ const OrderedProduct = dynamic(() => import("./OrderedProduct"), {
   ssr: true,
 });
 
+const OrderStatusTracker = dynamic(() => import("./OrderStatusTracker"), {
+  loading: () => <div className="h-14 bg-gray-100 rounded-md animate-pulse" />,
+  ssr: true,
+});
+
+const CancelOrderForm = dynamic(() => import("./CancelOrderForm"), {
+  ssr: false,
+});
+
 /**
  * Composant d'affichage d'une commande individuelle
  * Adapté au modèle Order avec support du paiement CASH
  */
 const OrderItem = memo(({ order }) => {
   const [expanded, setExpanded] = useState(false);
+  const [isReordering, setIsReordering] = useState(false);
+  const { reorder } = useContext(CartContext);
+  const router = useRouter();
+
+  // Remettre les articles de la commande au panier puis ouvrir le panier
+  const handleReorder = useCallback(async () => {
+    setIsReordering(true);
+    const result = await reorder(order?.orderNumber || order?._id);
+    setIsReordering(false);
+
+    if (result?.success) {
+      router.push("/cart");
+    }
+  }, [reorder, order?.orderNumber, order?._id, router]);
 
   // Validation des données
   if (!order || typeof order !== "object" || !order._id) {
@@ -67,6 +99,12 @@ const OrderItem = memo(({ order }) => {
   const updatedDate = order.updatedAt ? formatDate(order.updatedAt) : null;
   const paymentStatus = order.paymentStatus || "unpaid";
   const isCancelled = !!order.cancelledAt;
+  const fulfillmentStatus =
+    order.fulfillmentStatus || (isCancelled ? "cancelled" : "placed");
+  const canBeCancelled =
+    !isCancelled &&
+    ["unpaid", "pending_cash"].includes(paymentStatus) &&
+    ["placed", "preparing", "ready_for_pickup"].includes(fulfillmentStatus);
 
   // Utilisation du totalAmount du modèle
   const totalAmount = order.totalAmount || 0;
@@ -196,6 +234,14 @@ const OrderItem = memo(({ order }) => {
         </div>
       </header>
 
+      {/* Suivi logistique de la commande */}
+      <div className="mb-4">
+        <OrderStatusTracker
+          status={fulfillmentStatus}
+          history={order.statusHistory}
+        />
+      </div>
+
       <div className="grid md:grid-cols-3 gap-4">
         <div>
           <p className="text-gray-600 mb-1 font-medium text-sm">Client</p>
@@ -391,6 +437,30 @@ const OrderItem = memo(({ order }) => {
         </>
       )}
 
+      <div className="mt-4 flex flex-wrap justify-end items-start gap-2">
+        <Link
+          href={`/me/orders/${encodeURIComponent(orderNumber)}`}
+          className="px-3 py-2 text-sm font-medium text-blue-600 border border-blue-300 rounded-md hover:bg-blue-50 transition-colors"
+        >
+          Voir la commande
+        </Link>
+        {order.orderItems?.length > 0 && (
+          <button
+            type="button"
+            onClick={handleReorder}
+            disabled={isReordering}
+            className="inline-flex items-center px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            <RotateCcw
+              size={16}
+              className={`mr-1 ${isReordering ? "animate-spin" : ""}`}
+            />
+            Commander à nouveau
+          </button>
+        )}
+        {canBeCancelled && <CancelOrderForm order={order} />}
+      </div>
+
       <div className="text-center mt-4">
         <button
           onClick={toggleExpanded}
@@ -0,0 +1,121 @@
+"use client";
+
+import { memo } from "react";
+import {
+  ClipboardList,
+  PackageOpen,
+  Store,
+  Truck,
+  PackageCheck,
+  CircleX,
+} from "lucide-react";
+
+// Étapes du suivi logistique (l'étape 3 dépend du mode de remise)
+const STEP_CONFIG = {
+  placed: { label: "Commandée", icon: ClipboardList },
+  preparing: { label: "En préparation", icon: PackageOpen },
+  ready_for_pickup: { label: "Prête à récupérer", icon: Store },
+  shipped: { label: "Expédiée", icon: Truck },
+  delivered: { label: "Livrée", icon: PackageCheck },
+};
+
+/**
+ * Retourne les étapes à afficher pour une commande
+ * @param {string} status - Statut logistique courant
+ * @param {Array} history - Historique des statuts
+ */
+const getSteps = (status, history = []) => {
+  const wasShipped =
+    status === "shipped" || history.some((entry) => entry.status === "shipped");
+
+  return [
+    "placed",
+    "preparing",
+    wasShipped ? "shipped" : "ready_for_pickup",
+    "delivered",
+  ];
+};
+
+/**
+ * Tracker de progression du statut logistique d'une commande
+ */
+const OrderStatusTracker = memo(({ status = "placed", history = [] }) => {
+  if (status === "cancelled") {
+    const cancelledEntry = history.find(
+      (entry) => entry.status === "cancelled",
+    );
+
+    return (
+      <div
+        className="flex items-center gap-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700"
+        role="status"
+      >
+        <CircleX size={18} className="flex-shrink-0" />
+        <span className="font-medium">Commande annulée</span>
+        {cancelledEntry?.changedAt && (
+          <span className="text-red-600">
+            le {new Date(cancelledEntry.changedAt).toLocaleDateString("fr-FR")}
+          </span>
+        )}
+      </div>
+    );
+  }
+
+  const steps = getSteps(status, history);
+  const currentIndex = Math.max(steps.indexOf(status), 0);
+
+  return (
+    <ol
+      className="flex items-center w-full"
+      aria-label={`Suivi de commande: ${STEP_CONFIG[status]?.label || status}`}
+    >
+      {steps.map((step, index) => {
+        const { label, icon: Icon } = STEP_CONFIG[step];
+        const isDone = index <= currentIndex;
+        const isCurrent = index === currentIndex;
+        const reachedAt = history.find(
+          (entry) => entry.status === step,
+        )?.changedAt;
+
+        return (
+          <li
+            key={step}
+            className={`flex items-center ${index < steps.length - 1 ? "flex-1" : ""}`}
+            aria-current={isCurrent ? "step" : undefined}
+          >
+            <div className="flex flex-col items-center text-center min-w-[4.5rem]">
+              <span
+                className={`flex items-center justify-center w-8 h-8 rounded-full border-2 ${
+                  isDone
+                    ? "bg-blue-600 border-blue-600 text-white"
+                    : "bg-white border-gray-300 text-gray-400"
+                }`}
+              >
+                <Icon size={16} />
+              </span>
+              <span
+                className={`mt-1 text-xs ${isCurrent ? "font-semibold text-blue-700" : isDone ? "text-gray-700" : "text-gray-400"}`}
+              >
+                {label}
+              </span>
+              {reachedAt && (
+                <time className="text-[10px] text-gray-500">
+                  {new Date(reachedAt).toLocaleDateString("fr-FR")}
+                </time>
+              )}
+            </div>
+            {index < steps.length - 1 && (
+              <div
+                className={`flex-1 h-0.5 mx-1 mb-5 ${index < currentIndex ? "bg-blue-600" : "bg-gray-300"}`}
+              />
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+});
+
+OrderStatusTracker.displayName = "OrderStatusTracker";
+
+export default OrderStatusTracker;
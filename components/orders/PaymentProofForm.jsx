@@ -0,0 +1,217 @@
+"use client";
+
+import { memo, useState, useContext, useCallback } from "react";
+import Image from "next/image";
+import { CldUploadWidget } from "next-cloudinary";
+import { toast } from "react-toastify";
+import { CircleCheckBig, Receipt, Upload, X } from "lucide-react";
+import OrderContext from "@/context/OrderContext";
+import { formatDate, formatPrice } from "@/helpers/helpers";
+
+const DATE_TIME_OPTIONS = { hour: "2-digit", minute: "2-digit" };
+
+/**
+ * Envoi de la preuve d'un paiement mobile money: référence de transaction
+ * et capture du reçu (dossier Cloudinary des preuves de paiement)
+ */
+const PaymentProofForm = memo(
+  ({ orderNumber, totalAmount, paymentDueAt, merchant }) => {
+    const { submitPaymentProof } = useContext(OrderContext);
+
+    const [reference, setReference] = useState("");
+    const [receipt, setReceipt] = useState(null);
+    const [uploadInProgress, setUploadInProgress] = useState(false);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [isSubmitted, setIsSubmitted] = useState(false);
+
+    const trimmedReference = reference.trim();
+    const isValid = trimmedReference.length >= 4 && !!receipt;
+
+    const handleUploadSuccess = useCallback((result) => {
+      const publicId = result?.info?.public_id;
+      const secureUrl = result?.info?.secure_url;
+
+      if (!publicId?.startsWith("buyitnow/payment-proofs/")) {
+        toast.error("Erreur de téléchargement: dossier incorrect");
+        return;
+      }
+
+      setReceipt({ publicId, url: secureUrl });
+    }, []);
+
+    const handleUploadError = useCallback(() => {
+      toast.error("Erreur lors du téléchargement du reçu");
+      setUploadInProgress(false);
+    }, []);
+
+    const handleSubmit = useCallback(
+      async (e) => {
+        e.preventDefault();
+        if (!isValid || isSubmitting || uploadInProgress) return;
+
+        setIsSubmitting(true);
+        const result = await submitPaymentProof(orderNumber, {
+          reference: trimmedReference,
+          receipt,
+        });
+        setIsSubmitting(false);
+
+        if (result.success) {
+          toast.success("Preuve de paiement envoyée");
+          setIsSubmitted(true);
+        } else {
+          toast.error(result.message);
+        }
+      },
+      [
+        submitPaymentProof,
+        orderNumber,
+        trimmedReference,
+        receipt,
+        isValid,
+        isSubmitting,
+        uploadInProgress,
+      ],
+    );
+
+    if (isSubmitted) {
+      return (
+        <div className="p-4 bg-green-50 border border-green-200 rounded-lg flex items-start gap-3">
+          <CircleCheckBig className="w-5 h-5 text-green-600 flex-shrink-0 mt-0.5" />
+          <div className="text-sm text-green-800">
+            <p className="font-medium">Preuve de paiement reçue</p>
+            <p>
+              Votre paiement est en cours de vérification. Vous serez prévenu
+              dès sa confirmation.
+            </p>
+          </div>
+        </div>
+      );
+    }
+
+    return (
+      <form
+        onSubmit={handleSubmit}
+        className="w-full p-4 bg-blue-50 border border-blue-200 rounded-lg space-y-4"
+      >
+        <div>
+          <h3 className="text-sm font-semibold text-blue-900 flex items-center">
+            <Receipt className="w-4 h-4 mr-2" />
+            Confirmer votre paiement
+          </h3>
+          <p className="text-xs text-gray-600 mt-1">
+            Envoyez {formatPrice(totalAmount)}
+            {merchant?.paymentNumber && (
+              <>
+                {" "}
+                au{" "}
+                <span className="font-mono font-semibold">
+                  {merchant.paymentNumber}
+                </span>
+                {merchant.paymentName && ` (${merchant.paymentName})`}
+              </>
+            )}
+            , puis indiquez la référence de la transaction et joignez la capture
+            du reçu.
+          </p>
+          {paymentDueAt && (
+            <p className="text-xs text-orange-600 mt-1">
+              À régler avant le {formatDate(paymentDueAt, DATE_TIME_OPTIONS)}
+            </p>
+          )}
+        </div>
+
+        <div>
+          <label
+            htmlFor={`payment-reference-${orderNumber}`}
+            className="block text-sm font-medium text-gray-700 mb-1"
+          >
+            Référence de la transaction
+          </label>
+          <input
+            id={`payment-reference-${orderNumber}`}
+            type="text"
+            value={reference}
+            onChange={(e) => setReference(e.target.value)}
+            maxLength={50}
+            required
+            disabled={isSubmitting}
+            autoComplete="off"
+            className="w-full px-3 py-2 text-sm font-mono uppercase border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            placeholder="Ex: TX12345678"
+          />
+        </div>
+
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">
+            Capture du reçu
+          </p>
+          {receipt ? (
+            <div className="relative w-24 h-24">
+              <Image
+                src={receipt.url}
+                alt="Reçu de paiement"
+                fill
+                sizes="96px"
+                className="object-cover rounded-md border border-gray-200"
+              />
+              <button
+                type="button"
+                onClick={() => setReceipt(null)}
+                className="absolute -top-2 -right-2 p-0.5 bg-white border border-gray-300 rounded-full text-gray-600 hover:text-red-600"
+                aria-label="Retirer le reçu"
+              >
+                <X size={12} />
+              </button>
+            </div>
+          ) : (
+            <CldUploadWidget
+              signatureEndpoint={`${process.env.NEXT_PUBLIC_API_URL}/api/auth/me/update/sign-cloudinary-params?purpose=payment_proof`}
+              onSuccess={handleUploadSuccess}
+              onError={handleUploadError}
+              onOpen={() => setUploadInProgress(true)}
+              onClose={() => setUploadInProgress(false)}
+              options={{
+                folder: "buyitnow/payment-proofs",
+                maxFiles: 1,
+                maxFileSize: 5000000,
+                resourceType: "image",
+                clientAllowedFormats: ["jpg", "jpeg", "png", "webp"],
+                sources: ["local", "camera"],
+                multiple: false,
+                showPoweredBy: false,
+              }}
+              uploadPreset={undefined}
+            >
+              {({ open }) => (
+                <button
+                  type="button"
+                  onClick={() => typeof open === "function" && open()}
+                  disabled={isSubmitting}
+                  className="inline-flex items-center gap-1 px-3 py-2 text-sm text-blue-600 bg-white border border-blue-300 rounded-md hover:bg-blue-50 transition-colors disabled:opacity-50"
+                >
+                  <Upload size={16} />
+                  Joindre le reçu
+                </button>
+              )}
+            </CldUploadWidget>
+          )}
+        </div>
+
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={!isValid || isSubmitting || uploadInProgress}
+            className="px-3 py-2 text-sm text-white bg-blue-600 rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? "Envoi..." : "Envoyer la preuve de paiement"}
+          </button>
+        </div>
+      </form>
+    );
+  },
+);
+
+PaymentProofForm.displayName = "PaymentProofForm";
+
+export default PaymentProofForm;
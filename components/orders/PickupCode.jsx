@@ -0,0 +1,69 @@
+"use client";
+
+import { memo, useEffect, useState } from "react";
+import Image from "next/image";
+import QRCode from "qrcode";
+import { QrCode } from "lucide-react";
+
+/**
+ * Code de retrait d'une commande payée en espèces
+ * Le client le présente au staff, qui scanne le QR code ou saisit le code
+ *
+ * @param {Object} props
+ * @param {Object} props.pickup - { code, qrPayload }
+ */
+const PickupCode = memo(({ pickup }) => {
+  const [qrImage, setQrImage] = useState(null);
+
+  useEffect(() => {
+    if (!pickup?.qrPayload) return;
+
+    let cancelled = false;
+
+    QRCode.toDataURL(pickup.qrPayload, { margin: 1, width: 160 })
+      .then((url) => {
+        if (!cancelled) setQrImage(url);
+      })
+      .catch((error) => {
+        console.error("QR code generation error:", error.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pickup?.qrPayload]);
+
+  if (!pickup?.code) return null;
+
+  return (
+    <div className="flex flex-col sm:flex-row items-center gap-4 p-4 bg-emerald-50 border border-emerald-200 rounded-lg">
+      {qrImage ? (
+        <Image
+          src={qrImage}
+          unoptimized
+          alt="QR code de retrait"
+          width={160}
+          height={160}
+          className="rounded bg-white p-1 border border-emerald-200"
+        />
+      ) : (
+        <div className="flex items-center justify-center w-40 h-40 rounded bg-white border border-emerald-200">
+          <QrCode className="text-emerald-300" size={48} />
+        </div>
+      )}
+      <div className="text-center sm:text-left">
+        <p className="text-sm text-emerald-700 mb-1">Code de retrait</p>
+        <p className="font-mono text-3xl font-bold tracking-widest text-emerald-900">
+          {pickup.code}
+        </p>
+        <p className="text-xs text-emerald-700 mt-2">
+          Présentez ce code ou le QR code lors du paiement en espèces.
+        </p>
+      </div>
+    </div>
+  );
+});
+
+PickupCode.displayName = "PickupCode";
+
+export default PickupCode;
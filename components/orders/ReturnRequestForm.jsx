@@ -0,0 +1,323 @@
+"use client";
+
+import { memo, useState, useContext, useCallback, useMemo } from "react";
+import Image from "next/image";
+import { CldUploadWidget } from "next-cloudinary";
+import { toast } from "react-toastify";
+import { Camera, RotateCcw, X } from "lucide-react";
+import OrderContext from "@/context/OrderContext";
+import { formatDate } from "@/helpers/helpers";
+import {
+  MAX_RETURN_PHOTOS,
+  RETURN_REASON_LABELS,
+} from "@/helpers/validation/schemas/return";
+
+const MAX_COMMENT_LENGTH = 1000;
+
+/**
+ * Demande de retour / remboursement d'une commande remise
+ * Quantités limitées à celles encore retournables (returnEligibility),
+ * photos uploadées dans le dossier Cloudinary des retours
+ */
+const ReturnRequestForm = memo(({ order }) => {
+  const { requestReturn } = useContext(OrderContext);
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [quantities, setQuantities] = useState({});
+  const [reasonCode, setReasonCode] = useState("");
+  const [comment, setComment] = useState("");
+  const [photos, setPhotos] = useState([]);
+  const [uploadInProgress, setUploadInProgress] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const eligibility = order.returnEligibility;
+  const returnableItems = useMemo(
+    () => (eligibility?.items || []).filter((item) => item.returnable > 0),
+    [eligibility],
+  );
+
+  const selectedItems = Object.entries(quantities)
+    .filter(([, quantity]) => quantity > 0)
+    .map(([orderItemId, quantity]) => ({ orderItemId, quantity }));
+  const trimmedComment = comment.trim();
+  const isValid =
+    selectedItems.length > 0 &&
+    !!reasonCode &&
+    (reasonCode !== "other" || trimmedComment.length >= 10);
+
+  const handleClose = useCallback(() => {
+    setIsOpen(false);
+    setQuantities({});
+    setReasonCode("");
+    setComment("");
+    setPhotos([]);
+  }, []);
+
+  const handleQuantityChange = useCallback((item, value) => {
+    const quantity = Math.min(
+      Math.max(parseInt(value, 10) || 0, 0),
+      item.returnable,
+    );
+    setQuantities((prev) => ({ ...prev, [item.orderItemId]: quantity }));
+  }, []);
+
+  const handleUploadSuccess = useCallback((result) => {
+    const publicId = result?.info?.public_id;
+    const secureUrl = result?.info?.secure_url;
+
+    if (!publicId?.startsWith("buyitnow/returns/")) {
+      toast.error("Erreur de téléchargement: dossier incorrect");
+      return;
+    }
+
+    setPhotos((prev) =>
+      prev.length < MAX_RETURN_PHOTOS
+        ? [...prev, { publicId, url: secureUrl }]
+        : prev,
+    );
+  }, []);
+
+  const handleUploadError = useCallback(() => {
+    toast.error("Erreur lors du téléchargement de la photo");
+    setUploadInProgress(false);
+  }, []);
+
+  const handleSubmit = useCallback(
+    async (e) => {
+      e.preventDefault();
+      if (!isValid || isSubmitting || uploadInProgress) return;
+
+      setIsSubmitting(true);
+      const result = await requestReturn(order.orderNumber, {
+        items: selectedItems,
+        reasonCode,
+        comment: trimmedComment || null,
+        photos,
+      });
+      setIsSubmitting(false);
+
+      if (result.success) {
+        toast.success(
+          `Demande de retour ${result.returnRequest?.returnNumber || ""} envoyée`,
+        );
+        handleClose();
+      } else {
+        toast.error(result.message);
+      }
+    },
+    [
+      requestReturn,
+      order.orderNumber,
+      selectedItems,
+      reasonCode,
+      trimmedComment,
+      photos,
+      isValid,
+      isSubmitting,
+      uploadInProgress,
+      handleClose,
+    ],
+  );
+
+  if (!eligibility?.eligible) return null;
+
+  if (!isOpen) {
+    return (
+      <button
+        type="button"
+        onClick={() => setIsOpen(true)}
+        className="inline-flex items-center gap-1 px-3 py-2 text-sm font-medium text-blue-600 border border-blue-300 rounded-md hover:bg-blue-50 transition-colors"
+      >
+        <RotateCcw size={16} />
+        Retourner des articles
+      </button>
+    );
+  }
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="w-full p-4 bg-blue-50 border border-blue-200 rounded-lg space-y-4"
+    >
+      <div>
+        <h3 className="text-sm font-semibold text-blue-900">
+          Demande de retour – commande {order.orderNumber}
+        </h3>
+        {eligibility.deadline && (
+          <p className="text-xs text-gray-600 mt-1">
+            Retours acceptés jusqu&apos;au {formatDate(eligibility.deadline)}
+          </p>
+        )}
+      </div>
+
+      <fieldset>
+        <legend className="text-sm font-medium text-gray-700 mb-2">
+          Articles à retourner
+        </legend>
+        <ul className="space-y-2">
+          {returnableItems.map((item) => (
+            <li
+              key={item.orderItemId}
+              className="flex items-center justify-between gap-3 text-sm"
+            >
+              <label
+                htmlFor={`return-qty-${item.orderItemId}`}
+                className="text-gray-800"
+              >
+                {item.name}
+                <span className="text-xs text-gray-500 ml-1">
+                  ({item.returnable} retournable
+                  {item.returnable > 1 ? "s" : ""})
+                </span>
+              </label>
+              <input
+                id={`return-qty-${item.orderItemId}`}
+                type="number"
+                min={0}
+                max={item.returnable}
+                value={quantities[item.orderItemId] || 0}
+                onChange={(e) => handleQuantityChange(item, e.target.value)}
+                disabled={isSubmitting}
+                className="w-20 px-2 py-1 border border-gray-300 rounded-md text-right"
+              />
+            </li>
+          ))}
+        </ul>
+      </fieldset>
+
+      <div>
+        <label
+          htmlFor={`return-reason-${order._id}`}
+          className="block text-sm font-medium text-gray-700 mb-1"
+        >
+          Motif
+        </label>
+        <select
+          id={`return-reason-${order._id}`}
+          value={reasonCode}
+          onChange={(e) => setReasonCode(e.target.value)}
+          required
+          disabled={isSubmitting}
+          className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md bg-white"
+        >
+          <option value="">Choisissez un motif</option>
+          {Object.entries(RETURN_REASON_LABELS).map(([code, label]) => (
+            <option key={code} value={code}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label
+          htmlFor={`return-comment-${order._id}`}
+          className="block text-sm font-medium text-gray-700 mb-1"
+        >
+          Commentaire {reasonCode === "other" ? "" : "(facultatif)"}
+        </label>
+        <textarea
+          id={`return-comment-${order._id}`}
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          maxLength={MAX_COMMENT_LENGTH}
+          rows={3}
+          required={reasonCode === "other"}
+          disabled={isSubmitting}
+          className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          placeholder="Décrivez le problème rencontré"
+        />
+        <p className="text-xs text-gray-500 mt-1">
+          {trimmedComment.length}/{MAX_COMMENT_LENGTH} caractères
+        </p>
+      </div>
+
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-2">
+          Photos ({photos.length}/{MAX_RETURN_PHOTOS})
+        </p>
+        {photos.length > 0 && (
+          <ul className="flex flex-wrap gap-2 mb-2">
+            {photos.map((photo) => (
+              <li key={photo.publicId} className="relative w-16 h-16">
+                <Image
+                  src={photo.url}
+                  alt="Photo jointe"
+                  fill
+                  sizes="64px"
+                  className="object-cover rounded-md border border-gray-200"
+                />
+                <button
+                  type="button"
+                  onClick={() =>
+                    setPhotos((prev) =>
+                      prev.filter((p) => p.publicId !== photo.publicId),
+                    )
+                  }
+                  className="absolute -top-2 -right-2 p-0.5 bg-white border border-gray-300 rounded-full text-gray-600 hover:text-red-600"
+                  aria-label="Retirer la photo"
+                >
+                  <X size={12} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        {photos.length < MAX_RETURN_PHOTOS && (
+          <CldUploadWidget
+            signatureEndpoint={`${process.env.NEXT_PUBLIC_API_URL}/api/auth/me/update/sign-cloudinary-params?purpose=return`}
+            onSuccess={handleUploadSuccess}
+            onError={handleUploadError}
+            onOpen={() => setUploadInProgress(true)}
+            onClose={() => setUploadInProgress(false)}
+            options={{
+              folder: "buyitnow/returns",
+              maxFiles: MAX_RETURN_PHOTOS - photos.length,
+              maxFileSize: 5000000,
+              resourceType: "image",
+              clientAllowedFormats: ["jpg", "jpeg", "png", "webp"],
+              sources: ["local", "camera"],
+              multiple: true,
+              showPoweredBy: false,
+            }}
+            uploadPreset={undefined}
+          >
+            {({ open }) => (
+              <button
+                type="button"
+                onClick={() => typeof open === "function" && open()}
+                disabled={isSubmitting}
+                className="inline-flex items-center gap-1 px-3 py-2 text-sm text-blue-600 bg-white border border-blue-300 rounded-md hover:bg-blue-50 transition-colors disabled:opacity-50"
+              >
+                <Camera size={16} />
+                Ajouter des photos
+              </button>
+            )}
+          </CldUploadWidget>
+        )}
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={handleClose}
+          disabled={isSubmitting}
+          className="px-3 py-2 text-sm text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+        >
+          Annuler
+        </button>
+        <button
+          type="submit"
+          disabled={!isValid || isSubmitting || uploadInProgress}
+          className="px-3 py-2 text-sm text-white bg-blue-600 rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSubmitting ? "Envoi..." : "Envoyer la demande"}
+        </button>
+      </div>
+    </form>
+  );
+});
+
+ReturnRequestForm.displayName = "ReturnRequestForm";
+
+export default ReturnRequestForm;
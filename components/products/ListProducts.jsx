@@ -10,7 +10,6 @@ import {
   ProductItemSkeleton,
 } from "../skeletons/ListProductsSkeleton";
 import { SearchX } from "lucide-react";
-import { useSession } from "@/lib/auth-client";
 
 // Import dynamique des composants
 const CustomPagination = dynamic(
@@ -29,8 +28,6 @@ const ProductItem = dynamic(() => import("./ProductItem"), {
 });
 
 const ListProducts = ({ data, categories }) => {
-  const { data: session } = useSession();
-  const user = session?.user;
   // États locaux
   const [localLoading, setLocalLoading] = useState(false);
   const [isInitialLoad, setIsInitialLoad] = useState(true);
@@ -208,7 +205,7 @@ const ListProducts = ({ data, categories }) => {
                       key={product?._id || `product-${Math.random()}`}
                       fallback={<ProductItemSkeleton />}
                     >
-                      <ProductItem product={product} user={user} />
+                      <ProductItem product={product} />
                     </Suspense>
                   ))}
                 </div>
@@ -22,7 +22,7 @@ import { INCREASE } from "@/helpers/constants";
 import DOMPurify from "dompurify";
 import { Share2, ShoppingCart, Star, Truck } from "lucide-react";
 import { useSwipeable } from "react-swipeable";
-import { useSession } from "@/lib/auth-client";
+import WishlistButton from "./WishlistButton";
 
 // Chargement dynamique des composants
 const BreadCrumbs = dynamic(() => import("@/components/layouts/BreadCrumbs"), {
@@ -245,6 +245,12 @@ const ProductInfo = memo(function ProductInfo({
           )}
         </button>
 
+        <WishlistButton
+          productId={product?._id}
+          withLabel
+          className="w-full sm:w-auto px-4 py-2"
+        />
+
         <button
           className="w-full sm:w-auto px-4 py-2 flex flex-row text-blue-600 border border-blue-600 rounded-lg hover:bg-blue-50 focus:ring-2 focus:ring-blue-300 focus:outline-none transition-colors"
           aria-label="Partager ce produit"
@@ -588,9 +594,6 @@ const RelatedProductsCarousel = memo(function RelatedProductsCarousel({
 
 // Composant principal
 function ProductDetails({ product, sameCategoryProducts }) {
-  const { data: session } = useSession();
-  const user = session?.user;
-
   const { addItemToCart, updateCart, cart, error, clearError } =
     useContext(CartContext);
 
@@ -652,13 +655,6 @@ function ProductDetails({ product, sameCategoryProducts }) {
       return;
     }
 
-    if (!user) {
-      toast.info(
-        "Veuillez vous connecter pour ajouter des articles à votre panier",
-      );
-      return;
-    }
-
     if (!inStock) {
       toast.warning("Ce produit est en rupture de stock");
       return;
@@ -689,7 +685,7 @@ function ProductDetails({ product, sameCategoryProducts }) {
         setIsAddingToCart(false);
       }, 500);
     }
-  }, [product, user, cart, inStock, addItemToCart, updateCart, isAddingToCart]);
+  }, [product, cart, inStock, addItemToCart, updateCart, isAddingToCart]);
 
   // Fonction pour partager le produit
   const handleShare = useCallback(() => {
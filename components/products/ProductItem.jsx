@@ -4,9 +4,10 @@ import Link from "next/link";
 import Image from "next/image";
 
 import CartContext from "@/context/CartContext";
+import WishlistButton from "./WishlistButton";
 import { INCREASE } from "@/helpers/constants";
 
-const ProductItem = memo(({ product, user }) => {
+const ProductItem = memo(({ product }) => {
   const { addItemToCart, updateCart, cart } = useContext(CartContext);
 
   // Vérification de sécurité pour s'assurer que product est un objet valide
@@ -30,13 +31,6 @@ const ProductItem = memo(({ product, user }) => {
       e.preventDefault();
 
       try {
-        if (!user) {
-          console.log("User in ProductItem", user);
-          return toast.error(
-            "Connectez-vous pour ajouter des articles à votre panier !",
-          );
-        }
-
         const isProductInCart = cart.find((i) => i?.productId === productId);
 
         if (isProductInCart) {
@@ -132,7 +126,7 @@ const ProductItem = memo(({ product, user }) => {
             >
               Livraison gratuite
             </p>
-            <div className="my-3 flex justify-center md:justify-start">
+            <div className="my-3 flex justify-center md:justify-start gap-2">
               <button
                 disabled={!inStock}
                 className={`px-2 lg:px-4 py-2 inline-block md:text-xs lg:text-sm text-white rounded-md hover:bg-blue-700 transition
@@ -147,6 +141,7 @@ const ProductItem = memo(({ product, user }) => {
               >
                 {inStock ? "Ajouter au panier" : "Indisponible"}
               </button>
+              <WishlistButton productId={productId} className="px-2" />
             </div>
           </div>
         </div>
@@ -0,0 +1,49 @@
+"use client";
+
+import { memo, useContext } from "react";
+import { Heart } from "lucide-react";
+import WishlistContext from "@/context/WishlistContext";
+
+/**
+ * Bouton cœur: ajoute ou retire un produit de la liste de souhaits
+ * Utilisable dans un lien (la navigation est bloquée au clic)
+ */
+const WishlistButton = memo(
+  ({ productId, withLabel = false, className = "" }) => {
+    const { isInWishlist, toggleWishlist, pendingProductId } =
+      useContext(WishlistContext);
+
+    const isSaved = isInWishlist(productId);
+    const isPending = pendingProductId === productId;
+    const label = isSaved ? "Retirer des favoris" : "Ajouter aux favoris";
+
+    const handleClick = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      toggleWishlist(productId);
+    };
+
+    return (
+      <button
+        type="button"
+        onClick={handleClick}
+        disabled={isPending}
+        aria-pressed={isSaved}
+        aria-label={label}
+        title={label}
+        className={`inline-flex items-center justify-center gap-1 rounded-lg border transition-colors disabled:opacity-50 ${
+          isSaved
+            ? "text-red-600 border-red-300 bg-red-50 hover:bg-red-100"
+            : "text-gray-600 border-gray-300 bg-white hover:text-red-600 hover:border-red-300"
+        } ${className}`}
+      >
+        <Heart className="w-5 h-5" fill={isSaved ? "currentColor" : "none"} />
+        {withLabel && <span>{isSaved ? "Dans vos favoris" : "Favoris"}</span>}
+      </button>
+    );
+  },
+);
+
+WishlistButton.displayName = "WishlistButton";
+
+export default WishlistButton;
@@ -0,0 +1,176 @@
+"use client";
+
+import { memo, useContext, useState } from "react";
+import Link from "next/link";
+import Image from "next/image";
+import {
+  Heart,
+  ShoppingCart,
+  Trash2,
+  TrendingDown,
+  TrendingUp,
+} from "lucide-react";
+import WishlistContext from "@/context/WishlistContext";
+import { formatPrice } from "@/helpers/helpers";
+
+/**
+ * Badge de variation du prix depuis l'ajout à la liste
+ */
+const PriceChange = memo(({ priceChange, priceAtAdd }) => {
+  if (!priceChange) return null;
+
+  const isDrop = priceChange.amount < 0;
+  const Icon = isDrop ? TrendingDown : TrendingUp;
+
+  return (
+    <p
+      className={`text-xs flex items-center gap-1 ${isDrop ? "text-green-700" : "text-orange-600"}`}
+      title={`Prix lors de l'ajout: ${formatPrice(priceAtAdd)}`}
+    >
+      <Icon className="w-3 h-3" />
+      {isDrop ? "Baisse" : "Hausse"} de{" "}
+      {formatPrice(Math.abs(priceChange.amount))}
+      {priceChange.percent !== null && ` (${Math.abs(priceChange.percent)} %)`}
+    </p>
+  );
+});
+
+PriceChange.displayName = "PriceChange";
+
+/**
+ * Produit de la liste avec prix et stock actuels
+ */
+const WishlistItem = memo(({ item, onMoveToCart, onRemove, isPending }) => {
+  const [isImageError, setIsImageError] = useState(false);
+  const isStockLow = item.isAvailable && item.stock <= 5;
+
+  return (
+    <li className="flex flex-col sm:flex-row sm:items-center gap-4 py-4">
+      <Link
+        href={`/product/${item.productId}`}
+        className="relative h-20 w-20 shrink-0 rounded border overflow-hidden"
+      >
+        <Image
+          src={
+            isImageError || !item.imageUrl
+              ? "/images/default_product.png"
+              : item.imageUrl
+          }
+          alt={item.productName}
+          fill
+          sizes="80px"
+          className="object-contain"
+          onError={() => setIsImageError(true)}
+        />
+      </Link>
+
+      <div className="flex-1 min-w-0">
+        <Link
+          href={`/product/${item.productId}`}
+          className="font-semibold text-gray-800 hover:text-blue-600 line-clamp-2"
+        >
+          {item.productName}
+        </Link>
+        <p className="text-blue-600 font-medium">{formatPrice(item.price)}</p>
+        <PriceChange
+          priceChange={item.priceChange}
+          priceAtAdd={item.priceAtAdd}
+        />
+        <p className="mt-1">
+          {!item.isAvailable ? (
+            <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-red-100 text-red-800">
+              Indisponible
+            </span>
+          ) : isStockLow ? (
+            <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800">
+              Stock limité: {item.stock}
+            </span>
+          ) : (
+            <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-green-100 text-green-800">
+              En stock
+            </span>
+          )}
+          {item.quantity > 1 && (
+            <span className="ml-2 text-xs text-gray-500">
+              Quantité enregistrée: {item.quantity}
+            </span>
+          )}
+        </p>
+      </div>
+
+      <div className="flex sm:flex-col gap-2">
+        <button
+          type="button"
+          onClick={() => onMoveToCart(item.productId)}
+          disabled={!item.isAvailable || isPending}
+          className="inline-flex items-center justify-center gap-1 px-3 py-2 text-sm text-white bg-blue-600 rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <ShoppingCart className="w-4 h-4" />
+          Ajouter au panier
+        </button>
+        <button
+          type="button"
+          onClick={() => onRemove(item.productId)}
+          disabled={isPending}
+          className="inline-flex items-center justify-center gap-1 px-3 py-2 text-sm text-red-600 bg-white border border-gray-200 rounded-md hover:bg-red-50 transition-colors disabled:opacity-50"
+        >
+          <Trash2 className="w-4 h-4" />
+          Retirer
+        </button>
+      </div>
+    </li>
+  );
+});
+
+WishlistItem.displayName = "WishlistItem";
+
+/**
+ * Liste de souhaits de l'espace personnel (/me/wishlist)
+ */
+const Wishlist = () => {
+  const { items, loading, pendingProductId, moveToCart, toggleWishlist } =
+    useContext(WishlistContext);
+
+  if (loading && items.length === 0) {
+    return (
+      <div className="animate-pulse space-y-4" aria-busy="true">
+        {[...Array(3)].map((_, index) => (
+          <div key={index} className="h-24 bg-gray-200 rounded-md" />
+        ))}
+      </div>
+    );
+  }
+
+  if (items.length === 0) {
+    return (
+      <div className="text-center py-10">
+        <Heart className="w-10 h-10 mx-auto text-gray-300 mb-3" />
+        <p className="text-gray-600 mb-4">
+          Vous n&apos;avez encore enregistré aucun produit.
+        </p>
+        <Link
+          href="/"
+          className="px-4 py-2 text-sm text-white bg-blue-600 rounded-md hover:bg-blue-700"
+        >
+          Découvrir nos produits
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <ul className="divide-y divide-gray-100">
+      {items.map((item) => (
+        <WishlistItem
+          key={item.id}
+          item={item}
+          onMoveToCart={moveToCart}
+          onRemove={toggleWishlist}
+          isPending={pendingProductId === item.productId}
+        />
+      ))}
+    </ul>
+  );
+};
+
+export default Wishlist;
@@ -9,54 +9,66 @@ import {
   useRef,
 } from "react";
 import { toast } from "react-toastify";
-import { DECREASE, INCREASE } from "@/helpers/constants";
+import { DECREASE, INCREASE, SET_QUANTITY } from "@/helpers/constants";
 import captureClientError from "@/monitoring/sentry";
 import { useSession } from "@/lib/auth-client";
 
 const CartContext = createContext();
 
 export const CartProvider = ({ children }) => {
-  const { data: session } = useSession();
+  const { data: session, isPending } = useSession();
   const [loading, setLoading] = useState(false);
   const [cart, setCart] = useState([]);
   const [cartCount, setCartCount] = useState(0);
   const [cartTotal, setCartTotal] = useState(0);
+  // Articles proches de l'expiration (GET /api/cart): { expiresAt, itemIds }
+  const [expiryWarning, setExpiryWarning] = useState(null);
   const [error, setError] = useState(null);
+  // Réservation de stock en cours pendant le paiement: { expiresAt }
+  const [reservation, setReservation] = useState(null);
 
   // ✅ Flag pour éviter les chargements multiples
   const isLoadingRef = useRef(false);
-  const hasLoadedRef = useRef(false);
-  const wasLoggedInRef = useRef(false); // ✅ Nouveau : tracker si l'utilisateur était connecté
+  // Propriétaire du panier chargé: undefined (rien), null (invité), id utilisateur
+  const cartOwnerRef = useRef(undefined);
 
-  // ✅ Charger le panier automatiquement quand la session est disponible
+  // ✅ Charger le panier dès que la session est connue, puis à chaque
+  // connexion / déconnexion
   useEffect(() => {
-    if (session?.user && !hasLoadedRef.current) {
-      hasLoadedRef.current = true;
-      wasLoggedInRef.current = true; // ✅ Marquer comme connecté
-      setCartToState();
-    } else if (!session?.user) {
-      // Réinitialiser quand l'utilisateur se déconnecte
-      clearCartOnLogout();
-      hasLoadedRef.current = false;
-
-      // ✅ NOUVEAU : Si l'utilisateur était connecté et ne l'est plus
-      // ET qu'on est sur une page protégée, rediriger vers login
-      if (wasLoggedInRef.current) {
-        wasLoggedInRef.current = false;
-
-        // Vérifier si on est sur une page protégée
-        const protectedPaths = ["/cart", "/payment", "/me", "/shipping"];
-        const currentPath = window.location.pathname;
-
-        if (protectedPaths.some((path) => currentPath.startsWith(path))) {
-          console.log("Session lost on protected page, redirecting to login");
-          window.location.href = `/login?callbackUrl=${encodeURIComponent(currentPath)}`;
-        }
+    if (isPending) return;
+
+    const userId = session?.user?.id || null;
+    if (cartOwnerRef.current === userId) return;
+
+    const wasLoggedIn = !!cartOwnerRef.current;
+    cartOwnerRef.current = userId;
+
+    if (userId) {
+      // Connexion: le panier invité éventuel rejoint celui de l'utilisateur
+      mergeGuestCart().then((merged) => {
+        if (!merged) setCartToState();
+      });
+      return;
+    }
+
+    // Déconnexion ou visiteur: panier invité
+    clearCartOnLogout();
+    setCartToState();
+
+    // ✅ Si l'utilisateur était connecté et ne l'est plus
+    // ET qu'on est sur une page protégée, rediriger vers login
+    if (wasLoggedIn) {
+      const protectedPaths = ["/payment", "/me", "/shipping"];
+      const currentPath = window.location.pathname;
+
+      if (protectedPaths.some((path) => currentPath.startsWith(path))) {
+        console.log("Session lost on protected page, redirecting to login");
+        window.location.href = `/login?callbackUrl=${encodeURIComponent(currentPath)}`;
       }
     }
-  }, [session?.user?.id]);
+  }, [session?.user?.id, isPending]);
 
-  // Récupérer le panier
+  // Récupérer le panier (utilisateur connecté ou invité)
   const setCartToState = useCallback(async () => {
     // ✅ Empêcher les appels multiples simultanés
     if (isLoadingRef.current) {
@@ -64,11 +76,6 @@ export const CartProvider = ({ children }) => {
       return;
     }
 
-    if (!session?.user) {
-      console.log("No session available, skipping cart load");
-      return;
-    }
-
     try {
       isLoadingRef.current = true;
       setLoading(true);
@@ -133,16 +140,78 @@ export const CartProvider = ({ children }) => {
       setLoading(false);
       isLoadingRef.current = false;
     }
-  }, [session?.user]);
+  }, []);
 
-  // Ajouter au panier - SIMPLIFIÉ (40 lignes max)
-  const addItemToCart = async ({ product, quantity = 1 }) => {
-    // ✅ Vérifier la session avant l'action
-    if (!session?.user) {
-      toast.error("Veuillez vous connecter pour ajouter au panier");
-      return;
+  // Fusionner le panier invité à la connexion, sans rechargement de page
+  const mergeGuestCart = useCallback(async () => {
+    try {
+      isLoadingRef.current = true;
+      setLoading(true);
+      setError(null);
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/cart/merge`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Accept: "application/json",
+          },
+          signal: controller.signal,
+          credentials: "include",
+        },
+      );
+
+      clearTimeout(timeoutId);
+      const data = await res.json();
+
+      if (!res.ok) {
+        const httpError = new Error(`HTTP ${res.status}: ${data.message}`);
+        captureClientError(
+          httpError,
+          "CartContext",
+          "mergeGuestCart",
+          res.status === 401,
+        );
+        return false;
+      }
+
+      remoteDataInState(data);
+
+      const merge = data.data.merge;
+      if (merge?.merged > 0) {
+        const notes = [
+          merge.adjusted.length > 0 &&
+            `${merge.adjusted.length} quantité(s) ajustée(s) au stock`,
+          merge.dropped.length > 0 &&
+            `${merge.dropped.length} article(s) indisponible(s)`,
+        ].filter(Boolean);
+
+        if (notes.length > 0) {
+          toast.info(`Votre panier a été récupéré: ${notes.join(", ")}`);
+        } else {
+          toast.success("Votre panier a été récupéré");
+        }
+      } else if (merge?.dropped.length > 0) {
+        toast.info("Les articles de votre panier ne sont plus disponibles");
+      }
+
+      return true;
+    } catch (error) {
+      captureClientError(error, "CartContext", "mergeGuestCart", false);
+      console.error("Guest cart merge error:", error.message);
+      return false;
+    } finally {
+      setLoading(false);
+      isLoadingRef.current = false;
     }
+  }, []);
 
+  // Ajouter au panier - SIMPLIFIÉ (40 lignes max)
+  const addItemToCart = async ({ product, quantity = 1 }) => {
     try {
       if (!product) {
         const validationError = new Error("Produit invalide");
@@ -237,12 +306,6 @@ export const CartProvider = ({ children }) => {
 
   // Mettre à jour quantité - SIMPLIFIÉ (40 lignes max)
   const updateCart = async (product, action) => {
-    // ✅ Vérifier la session avant l'action
-    if (!session?.user) {
-      toast.error("Veuillez vous connecter");
-      return;
-    }
-
     try {
       if (!product?.id || ![INCREASE, DECREASE].includes(action)) {
         const validationError = new Error(
@@ -312,14 +375,240 @@ export const CartProvider = ({ children }) => {
     }
   };
 
-  // Supprimer du panier - SIMPLIFIÉ (30 lignes max)
-  const deleteItemFromCart = async (id) => {
-    // ✅ Vérifier la session avant l'action
-    if (!session?.user) {
-      toast.error("Veuillez vous connecter");
-      return;
+  // Fixer la quantité d'un article (0 le supprime)
+  const setItemQuantity = async (product, quantity) => {
+    try {
+      const parsedQuantity = parseInt(quantity, 10);
+
+      if (
+        !product?.id ||
+        !Number.isInteger(parsedQuantity) ||
+        parsedQuantity < 0 ||
+        parsedQuantity > 99
+      ) {
+        const validationError = new Error(
+          "Données invalides pour mise à jour panier",
+        );
+        captureClientError(
+          validationError,
+          "CartContext",
+          "setItemQuantity",
+          false,
+        );
+        toast.error("Quantité invalide (0 à 99)");
+        return false;
+      }
+
+      setLoading(true);
+      setError(null);
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+      const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/cart`, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        body: JSON.stringify({
+          product: { id: product.id },
+          value: SET_QUANTITY,
+          quantity: parsedQuantity,
+        }),
+        signal: controller.signal,
+        credentials: "include",
+      });
+
+      clearTimeout(timeoutId);
+      const data = await res.json();
+
+      if (!res.ok) {
+        const errorMessage = data.message || "Erreur de mise à jour";
+
+        const httpError = new Error(`HTTP ${res.status}: ${errorMessage}`);
+        const isCritical = res.status === 401;
+        captureClientError(
+          httpError,
+          "CartContext",
+          "setItemQuantity",
+          isCritical,
+        );
+
+        toast.error(
+          data.code === "INSUFFICIENT_STOCK"
+            ? `Seulement ${data.data?.available} unité(s) disponible(s)`
+            : errorMessage,
+        );
+        return false;
+      }
+
+      remoteDataInState(data);
+      toast.success(
+        data.data.updatedItem?.deleted
+          ? "Article supprimé"
+          : "Quantité mise à jour",
+      );
+      return true;
+    } catch (error) {
+      if (error.name === "AbortError") {
+        toast.error("La connexion est trop lente");
+        captureClientError(error, "CartContext", "setItemQuantity", false);
+      } else {
+        toast.error("Problème de connexion");
+        captureClientError(error, "CartContext", "setItemQuantity", true);
+      }
+      console.error("Set cart quantity error:", error.message);
+      return false;
+    } finally {
+      setLoading(false);
     }
+  };
 
+  // Ajouter ou mettre à jour plusieurs produits en une requête
+  // items: [{ productId, quantity }], mode: "add" (cumul) ou "set" (remplace)
+  const updateCartItems = async (items, { mode = "add" } = {}) => {
+    try {
+      if (!Array.isArray(items) || items.length === 0) {
+        const validationError = new Error("Aucun article à mettre à jour");
+        captureClientError(
+          validationError,
+          "CartContext",
+          "updateCartItems",
+          false,
+        );
+        return { success: false };
+      }
+
+      setLoading(true);
+      setError(null);
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/cart/batch`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Accept: "application/json",
+          },
+          body: JSON.stringify({ mode, items }),
+          signal: controller.signal,
+          credentials: "include",
+        },
+      );
+
+      clearTimeout(timeoutId);
+      const data = await res.json();
+
+      if (!res.ok) {
+        if (res.status === 409) {
+          // Aucune modification enregistrée: détail des lignes refusées
+          toast.error(
+            "Certains produits ne sont pas disponibles en quantité suffisante",
+          );
+          return {
+            success: false,
+            code: data.code,
+            rejected: data.data?.rejected || [],
+          };
+        }
+
+        const errorMessage = data.message || "Erreur de mise à jour";
+
+        const httpError = new Error(`HTTP ${res.status}: ${errorMessage}`);
+        captureClientError(
+          httpError,
+          "CartContext",
+          "updateCartItems",
+          res.status === 401,
+        );
+        toast.error(
+          res.status === 429
+            ? "Trop de tentatives. Réessayez plus tard."
+            : errorMessage,
+        );
+        return { success: false, code: data.code };
+      }
+
+      remoteDataInState(data);
+      toast.success("Panier mis à jour");
+      return { success: true, applied: data.data.applied };
+    } catch (error) {
+      if (error.name === "AbortError") {
+        toast.error("La connexion est trop lente");
+        captureClientError(error, "CartContext", "updateCartItems", false);
+      } else {
+        toast.error("Problème de connexion");
+        captureClientError(error, "CartContext", "updateCartItems", true);
+      }
+      console.error("Batch cart update error:", error.message);
+      return { success: false };
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Vider le panier
+  const clearCart = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+      const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/cart`, {
+        method: "DELETE",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        signal: controller.signal,
+        credentials: "include",
+      });
+
+      clearTimeout(timeoutId);
+      const data = await res.json();
+
+      if (!res.ok) {
+        const errorMessage = data.message || "Erreur lors du vidage du panier";
+
+        const httpError = new Error(`HTTP ${res.status}: ${errorMessage}`);
+        captureClientError(
+          httpError,
+          "CartContext",
+          "clearCart",
+          res.status === 401,
+        );
+
+        toast.error("Impossible de vider le panier");
+        return false;
+      }
+
+      remoteDataInState(data);
+      setReservation(null);
+      toast.success("Panier vidé");
+      return true;
+    } catch (error) {
+      if (error.name === "AbortError") {
+        toast.error("La connexion est trop lente");
+        captureClientError(error, "CartContext", "clearCart", false);
+      } else {
+        toast.error("Problème de connexion");
+        captureClientError(error, "CartContext", "clearCart", true);
+      }
+      console.error("Clear cart error:", error.message);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Supprimer du panier - SIMPLIFIÉ (30 lignes max)
+  const deleteItemFromCart = async (id) => {
     try {
       if (!id) {
         const validationError = new Error(
@@ -391,6 +680,236 @@ export const CartProvider = ({ children }) => {
     }
   };
 
+  // Réserver les quantités du panier pendant le paiement
+  const reserveCart = useCallback(async () => {
+    try {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/cart/reservation`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Accept: "application/json",
+          },
+          signal: controller.signal,
+          credentials: "include",
+        },
+      );
+
+      clearTimeout(timeoutId);
+      const data = await res.json();
+
+      if (!res.ok) {
+        setReservation(null);
+
+        if (res.status === 409 && data.code === "PRICE_CHANGED") {
+          // Prix modifiés: à accepter depuis le panier avant de payer
+          await setCartToState();
+          return {
+            success: false,
+            code: data.code,
+            priceChanges: data.data?.priceChanges || [],
+            message:
+              "Le prix de certains articles a changé. Veuillez le confirmer dans votre panier",
+          };
+        }
+
+        if (res.status === 409) {
+          // Le stock a été pris entre temps: recharger le panier ajusté
+          await setCartToState();
+          return {
+            success: false,
+            code: data.code,
+            unavailableProducts: data.data?.unavailableProducts || [],
+            message:
+              "Certains articles ne sont plus disponibles dans la quantité demandée",
+          };
+        }
+
+        const httpError = new Error(`HTTP ${res.status}: ${data.message}`);
+        captureClientError(httpError, "CartContext", "reserveCart", false);
+        return { success: false, code: data.code, message: data.message };
+      }
+
+      setReservation({ expiresAt: data.data.expiresAt });
+      return { success: true, expiresAt: data.data.expiresAt };
+    } catch (error) {
+      // La réservation est une protection: son échec ne bloque pas le paiement
+      captureClientError(error, "CartContext", "reserveCart", false);
+      console.error("Cart reservation error:", error.message);
+      return { success: false, message: error.message };
+    }
+  }, [setCartToState]);
+
+  // Commander à nouveau: remettre les articles d'une commande au panier
+  const reorder = useCallback(
+    async (orderReference) => {
+      if (!session?.user) {
+        toast.error("Veuillez vous connecter pour commander à nouveau");
+        return { success: false };
+      }
+
+      try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+        const res = await fetch(
+          `${process.env.NEXT_PUBLIC_API_URL}/api/orders/me/${encodeURIComponent(orderReference)}/reorder`,
+          {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+              Accept: "application/json",
+            },
+            signal: controller.signal,
+            credentials: "include",
+          },
+        );
+
+        clearTimeout(timeoutId);
+        const data = await res.json();
+
+        if (!res.ok) {
+          if (res.status === 409) {
+            toast.info(
+              "Aucun article de cette commande n'est disponible actuellement",
+            );
+            return { success: false, code: data.code, ...data.data };
+          }
+
+          const httpError = new Error(`HTTP ${res.status}: ${data.message}`);
+          captureClientError(
+            httpError,
+            "CartContext",
+            "reorder",
+            res.status === 401,
+          );
+          toast.error(
+            res.status === 429
+              ? "Trop de tentatives. Réessayez plus tard."
+              : "Impossible de commander à nouveau",
+          );
+          return { success: false, code: data.code };
+        }
+
+        await setCartToState();
+
+        const { summary } = data.data;
+        const notes = [
+          summary.adjusted > 0 &&
+            `${summary.adjusted} quantité(s) ajustée(s) au stock`,
+          summary.unavailable > 0 &&
+            `${summary.unavailable} article(s) indisponible(s)`,
+          summary.priceChanged > 0 && `${summary.priceChanged} prix modifié(s)`,
+        ].filter(Boolean);
+
+        if (notes.length > 0) {
+          toast.warning(`Articles ajoutés au panier: ${notes.join(", ")}`);
+        } else {
+          toast.success("Articles ajoutés au panier");
+        }
+
+        return { success: true, items: data.data.items, summary };
+      } catch (error) {
+        if (error.name === "AbortError") {
+          toast.error("La connexion est trop lente");
+          captureClientError(error, "CartContext", "reorder", false);
+        } else {
+          toast.error("Problème de connexion");
+          captureClientError(error, "CartContext", "reorder", true);
+        }
+        console.error("Reorder error:", error.message);
+        return { success: false };
+      }
+    },
+    [session?.user, setCartToState],
+  );
+
+  // Accepter les nouveaux prix des articles du panier
+  const acceptPriceChanges = useCallback(async () => {
+    // Prix affichés au client: seuls ceux-ci peuvent être acceptés
+    const items = cart
+      .filter((item) => item.priceChange)
+      .map((item) => ({ cartItemId: item.id, price: item.price }));
+
+    if (items.length === 0) return true;
+
+    try {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/cart/accept-prices`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Accept: "application/json",
+          },
+          body: JSON.stringify({ items }),
+          signal: controller.signal,
+          credentials: "include",
+        },
+      );
+
+      clearTimeout(timeoutId);
+      const data = await res.json();
+
+      if (res.status === 409 && data.code === "PRICE_CONFLICT") {
+        // Prix de nouveau modifiés: le client doit revoir le panier à jour
+        await setCartToState();
+        toast.warning(
+          "Certains prix ont encore changé. Vérifiez votre panier avant de confirmer",
+        );
+        return false;
+      }
+
+      if (!res.ok) {
+        const httpError = new Error(`HTTP ${res.status}: ${data.message}`);
+        captureClientError(
+          httpError,
+          "CartContext",
+          "acceptPriceChanges",
+          res.status === 401,
+        );
+        toast.error(
+          res.status === 429
+            ? "Trop de tentatives. Réessayez plus tard."
+            : "Impossible de confirmer les nouveaux prix",
+        );
+        return false;
+      }
+
+      await setCartToState();
+      toast.success("Nouveaux prix acceptés");
+      return true;
+    } catch (error) {
+      toast.error("Problème de connexion");
+      captureClientError(error, "CartContext", "acceptPriceChanges", false);
+      console.error("Accept prices error:", error.message);
+      return false;
+    }
+  }, [cart, setCartToState]);
+
+  // Libérer la réservation (retour au panier)
+  const releaseReservation = useCallback(async () => {
+    setReservation(null);
+
+    try {
+      await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/cart/reservation`, {
+        method: "DELETE",
+        headers: { Accept: "application/json" },
+        credentials: "include",
+      });
+    } catch (error) {
+      // Sans effet bloquant: la réservation expire d'elle-même
+      captureClientError(error, "CartContext", "releaseReservation", false);
+    }
+  }, []);
+
   const clearError = () => {
     setError(null);
   };
@@ -400,6 +919,8 @@ export const CartProvider = ({ children }) => {
     setLoading(false);
     setCartCount(0);
     setCartTotal(0);
+    setExpiryWarning(null);
+    setReservation(null);
   };
 
   const remoteDataInState = (response) => {
@@ -413,6 +934,8 @@ export const CartProvider = ({ children }) => {
       setCart(normalizedCart);
       setCartCount(response.data.cartCount || 0);
       setCartTotal(response.data.cartTotal || 0);
+      // Une modification du panier repousse son expiration
+      setExpiryWarning(response.data.expiryWarning || null);
     } catch (error) {
       captureClientError(error, "CartContext", "remoteDataInState", true);
       console.error("Error normalizing cart data:", error.message);
@@ -429,15 +952,37 @@ export const CartProvider = ({ children }) => {
       cart,
       cartCount,
       cartTotal,
+      expiryWarning,
       error,
+      reservation,
       setCartToState,
+      reserveCart,
+      releaseReservation,
+      reorder,
+      acceptPriceChanges,
       addItemToCart,
       updateCart,
+      setItemQuantity,
+      updateCartItems,
       deleteItemFromCart,
+      clearCart,
       clearError,
       clearCartOnLogout,
     }),
-    [loading, cart, cartCount, cartTotal, error, setCartToState],
+    [
+      loading,
+      cart,
+      cartCount,
+      cartTotal,
+      expiryWarning,
+      error,
+      reservation,
+      setCartToState,
+      reserveCart,
+      releaseReservation,
+      reorder,
+      acceptPriceChanges,
+    ],
   );
 
   return (
@@ -1,7 +1,7 @@
 "use client";
 
 import { useRouter } from "next/navigation";
-import { createContext, useState } from "react";
+import { createContext, useEffect, useRef, useState } from "react";
 import captureClientError from "@/monitoring/sentry";
 
 const OrderContext = createContext();
@@ -11,13 +11,37 @@ export const OrderProvider = ({ children }) => {
   const [updated, setUpdated] = useState(false);
   const [orderId, setOrderId] = useState(null);
   const [lowStockProducts, setLowStockProducts] = useState(null);
+  const [priceChanges, setPriceChanges] = useState(null);
 
   // États pour les autres parties de l'app (shipping, etc.)
   const [paymentTypes, setPaymentTypes] = useState([]);
   const [orderInfo, setOrderInfo] = useState(null);
+  // Mode de remise choisi à l'étape livraison: { method, zone, zoneLabel, deliveryFee, address }
+  const [shippingInfo, setShippingInfo] = useState(null);
+  // Montants confirmés par le serveur pour la page de confirmation
+  const [orderSummary, setOrderSummary] = useState(null);
 
   const router = useRouter();
 
+  // Clé d'idempotence de la tentative de commande en cours
+  // Conservée entre les renvois (timeout, coupure réseau) pour éviter les doublons
+  const idempotencyKeyRef = useRef(null);
+
+  // Un nouveau récapitulatif de commande correspond à une nouvelle tentative
+  useEffect(() => {
+    idempotencyKeyRef.current = null;
+  }, [orderInfo]);
+
+  const getIdempotencyKey = () => {
+    if (!idempotencyKeyRef.current) {
+      idempotencyKeyRef.current =
+        typeof crypto !== "undefined" && crypto.randomUUID
+          ? crypto.randomUUID()
+          : `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 12)}`;
+    }
+    return idempotencyKeyRef.current;
+  };
+
   const addOrder = async (orderInfo) => {
     try {
       setError(null);
@@ -54,6 +78,7 @@ export const OrderProvider = ({ children }) => {
           headers: {
             "Content-Type": "application/json",
             Accept: "application/json",
+            "Idempotency-Key": getIdempotencyKey(),
           },
           body: JSON.stringify(orderInfo),
           signal: controller.signal,
@@ -65,10 +90,28 @@ export const OrderProvider = ({ children }) => {
       const data = await res.json();
 
       if (!res.ok) {
+        // Erreur définitive: la prochaine soumission sera une nouvelle tentative
+        if (
+          res.status >= 400 &&
+          res.status < 500 &&
+          data.code !== "IDEMPOTENCY_IN_PROGRESS"
+        ) {
+          idempotencyKeyRef.current = null;
+        }
+
         let errorMessage = "";
         switch (res.status) {
           case 400:
-            errorMessage = data.message || "Données de commande invalides";
+            if (
+              data.code === "ADDRESS_REQUIRED" ||
+              data.code === "INVALID_DELIVERY_ZONE"
+            ) {
+              errorMessage =
+                "Informations de livraison incomplètes. Vérifiez votre adresse et votre zone.";
+              router.push("/shipping");
+            } else {
+              errorMessage = data.message || "Données de commande invalides";
+            }
             break;
           case 401:
             errorMessage = "Session expirée. Veuillez vous reconnecter.";
@@ -80,7 +123,16 @@ export const OrderProvider = ({ children }) => {
             break;
           case 409:
             // Produits indisponibles - Cas spécial critique pour l'e-commerce
-            if (data.unavailableProducts) {
+            if (data.code === "IDEMPOTENCY_IN_PROGRESS") {
+              errorMessage =
+                "Votre commande est en cours de traitement. Patientez quelques secondes.";
+            } else if (data.code === "PRICE_CHANGED") {
+              // Panier affiché obsolète: recharger les prix actuels
+              setPriceChanges(data.priceDrift || []);
+              errorMessage =
+                "Le prix de certains articles a changé. Vérifiez votre panier avant de commander.";
+              router.push("/cart");
+            } else if (data.unavailableProducts) {
               setLowStockProducts(data.unavailableProducts);
               errorMessage = "Produits indisponibles détectés";
               router.push("/error");
@@ -88,6 +140,10 @@ export const OrderProvider = ({ children }) => {
               errorMessage = "Certains produits ne sont plus disponibles";
             }
             break;
+          case 422:
+            errorMessage =
+              "Votre commande a été modifiée. Veuillez la valider à nouveau.";
+            break;
           case 429:
             errorMessage = "Trop de tentatives. Réessayez plus tard.";
             break;
@@ -108,7 +164,19 @@ export const OrderProvider = ({ children }) => {
 
       // Succès - Validation de la réponse
       if (data.success && data.id) {
+        idempotencyKeyRef.current = null;
         setOrderId(data.id);
+        setOrderSummary({
+          orderNumber: data.orderNumber,
+          fulfillmentMethod: data.fulfillmentMethod,
+          deliveryFee: data.deliveryFee || 0,
+          totalAmount: data.totalAmount,
+          pickup: data.pickup || null,
+          isCashPayment: data.isCashPayment === true,
+          typePayment: data.typePayment,
+          paymentDueAt: data.paymentDueAt || null,
+        });
+        setPriceChanges(null);
         setError(null);
 
         console.log("Order created:", data.orderNumber);
@@ -146,6 +214,308 @@ export const OrderProvider = ({ children }) => {
     }
   };
 
+  const cancelOrder = async (orderId, reason) => {
+    try {
+      if (!orderId) {
+        const validationError = new Error("ID de commande manquant");
+        captureClientError(
+          validationError,
+          "OrderContext",
+          "cancelOrder",
+          false,
+        );
+        return { success: false, message: "Commande invalide" };
+      }
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/orders/me/${orderId}/cancel`,
+        {
+          method: "PATCH",
+          headers: {
+            "Content-Type": "application/json",
+            Accept: "application/json",
+          },
+          body: JSON.stringify({ reason }),
+          signal: controller.signal,
+          credentials: "include",
+        },
+      );
+
+      clearTimeout(timeoutId);
+      const data = await res.json();
+
+      if (!res.ok) {
+        let errorMessage = "";
+        switch (res.status) {
+          case 400:
+            errorMessage = data.message || "Raison d'annulation invalide";
+            break;
+          case 401:
+            errorMessage = "Session expirée. Veuillez vous reconnecter.";
+            setTimeout(() => router.push("/login"), 2000);
+            break;
+          case 404:
+            errorMessage = "Commande introuvable";
+            break;
+          case 409:
+            errorMessage =
+              data.code === "ORDER_ALREADY_CANCELLED"
+                ? "Cette commande est déjà annulée"
+                : "Cette commande ne peut plus être annulée";
+            break;
+          case 429:
+            errorMessage = "Trop de tentatives. Réessayez plus tard.";
+            break;
+          default:
+            errorMessage =
+              data.message || "Erreur lors de l'annulation de la commande";
+        }
+
+        const httpError = new Error(`HTTP ${res.status}: ${errorMessage}`);
+        const isCritical = [401, 500].includes(res.status);
+        captureClientError(
+          httpError,
+          "OrderContext",
+          "cancelOrder",
+          isCritical,
+        );
+
+        return { success: false, message: errorMessage };
+      }
+
+      // Rafraîchir les données des composants serveur (liste des commandes)
+      router.refresh();
+
+      return { success: true, order: data.data?.order };
+    } catch (error) {
+      if (error.name === "AbortError") {
+        captureClientError(error, "OrderContext", "cancelOrder", false);
+        return {
+          success: false,
+          message: "La requête a pris trop de temps. Veuillez réessayer.",
+        };
+      }
+
+      captureClientError(error, "OrderContext", "cancelOrder", true);
+      console.error("Order cancel error:", error.message);
+      return {
+        success: false,
+        message: "Problème de connexion. Vérifiez votre connexion.",
+      };
+    }
+  };
+
+  const requestReturn = async (orderNumber, returnData) => {
+    try {
+      if (!orderNumber || !returnData?.items?.length) {
+        const validationError = new Error("Demande de retour incomplète");
+        captureClientError(
+          validationError,
+          "OrderContext",
+          "requestReturn",
+          false,
+        );
+        return {
+          success: false,
+          message: "Sélectionnez au moins un article",
+        };
+      }
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/orders/me/${encodeURIComponent(orderNumber)}/returns`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Accept: "application/json",
+          },
+          body: JSON.stringify(returnData),
+          signal: controller.signal,
+          credentials: "include",
+        },
+      );
+
+      clearTimeout(timeoutId);
+      const data = await res.json();
+
+      if (!res.ok) {
+        let errorMessage = "";
+        switch (res.status) {
+          case 400:
+            errorMessage =
+              Object.values(data.errors || {})[0] ||
+              data.message ||
+              "Demande de retour invalide";
+            break;
+          case 401:
+            errorMessage = "Session expirée. Veuillez vous reconnecter.";
+            setTimeout(() => router.push("/login"), 2000);
+            break;
+          case 404:
+            errorMessage = "Commande introuvable";
+            break;
+          case 409:
+            errorMessage =
+              data.code === "QUANTITY_EXCEEDED"
+                ? "Ces quantités font déjà l'objet d'un retour"
+                : "Cette commande ne peut plus être retournée";
+            break;
+          case 429:
+            errorMessage = "Trop de tentatives. Réessayez plus tard.";
+            break;
+          default:
+            errorMessage =
+              data.message || "Erreur lors de la demande de retour";
+        }
+
+        const httpError = new Error(`HTTP ${res.status}: ${errorMessage}`);
+        const isCritical = [401, 500].includes(res.status);
+        captureClientError(
+          httpError,
+          "OrderContext",
+          "requestReturn",
+          isCritical,
+        );
+
+        return { success: false, message: errorMessage };
+      }
+
+      // Rafraîchir le détail de la commande (quantités retournables)
+      router.refresh();
+
+      return { success: true, returnRequest: data.data?.returnRequest };
+    } catch (error) {
+      if (error.name === "AbortError") {
+        captureClientError(error, "OrderContext", "requestReturn", false);
+        return {
+          success: false,
+          message: "La requête a pris trop de temps. Veuillez réessayer.",
+        };
+      }
+
+      captureClientError(error, "OrderContext", "requestReturn", true);
+      console.error("Return request error:", error.message);
+      return {
+        success: false,
+        message: "Problème de connexion. Vérifiez votre connexion.",
+      };
+    }
+  };
+
+  const submitPaymentProof = async (orderNumber, proof) => {
+    try {
+      if (!orderNumber || !proof?.reference || !proof?.receipt) {
+        const validationError = new Error("Preuve de paiement incomplète");
+        captureClientError(
+          validationError,
+          "OrderContext",
+          "submitPaymentProof",
+          false,
+        );
+        return {
+          success: false,
+          message: "Indiquez la référence et joignez le reçu",
+        };
+      }
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/orders/me/${encodeURIComponent(orderNumber)}/payment-proof`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Accept: "application/json",
+          },
+          body: JSON.stringify(proof),
+          signal: controller.signal,
+          credentials: "include",
+        },
+      );
+
+      clearTimeout(timeoutId);
+      const data = await res.json();
+
+      if (!res.ok) {
+        let errorMessage = "";
+        switch (res.status) {
+          case 400:
+            errorMessage =
+              Object.values(data.errors || {})[0] ||
+              (data.code === "INVALID_RECEIPT"
+                ? "Reçu invalide. Téléchargez-le à nouveau."
+                : data.message) ||
+              "Preuve de paiement invalide";
+            break;
+          case 401:
+            errorMessage = "Session expirée. Veuillez vous reconnecter.";
+            setTimeout(() => router.push("/login"), 2000);
+            break;
+          case 404:
+            errorMessage = "Commande introuvable";
+            break;
+          case 409:
+            if (data.code === "REFERENCE_ALREADY_USED") {
+              errorMessage =
+                "Cette référence de transaction a déjà été utilisée";
+            } else if (data.reason === "payment_expired") {
+              errorMessage =
+                "Le délai de paiement de cette commande est dépassé";
+            } else {
+              errorMessage =
+                "Cette commande n'attend plus de preuve de paiement";
+            }
+            break;
+          case 429:
+            errorMessage = "Trop de tentatives. Réessayez plus tard.";
+            break;
+          default:
+            errorMessage =
+              data.message || "Erreur lors de l'envoi de la preuve de paiement";
+        }
+
+        const httpError = new Error(`HTTP ${res.status}: ${errorMessage}`);
+        const isCritical = [401, 500].includes(res.status);
+        captureClientError(
+          httpError,
+          "OrderContext",
+          "submitPaymentProof",
+          isCritical,
+        );
+
+        return { success: false, message: errorMessage };
+      }
+
+      // Rafraîchir le détail de la commande (statut de paiement)
+      router.refresh();
+
+      return { success: true, paymentStatus: data.data?.paymentStatus };
+    } catch (error) {
+      if (error.name === "AbortError") {
+        captureClientError(error, "OrderContext", "submitPaymentProof", false);
+        return {
+          success: false,
+          message: "La requête a pris trop de temps. Veuillez réessayer.",
+        };
+      }
+
+      captureClientError(error, "OrderContext", "submitPaymentProof", true);
+      console.error("Payment proof error:", error.message);
+      return {
+        success: false,
+        message: "Problème de connexion. Vérifiez votre connexion.",
+      };
+    }
+  };
+
   const clearErrors = () => {
     setError(null);
   };
@@ -157,11 +527,18 @@ export const OrderProvider = ({ children }) => {
         updated,
         orderId,
         lowStockProducts,
+        priceChanges,
         paymentTypes,
         orderInfo,
+        shippingInfo,
+        orderSummary,
         setPaymentTypes,
         setOrderInfo,
+        setShippingInfo,
         addOrder,
+        cancelOrder,
+        requestReturn,
+        submitPaymentProof,
         setUpdated,
         clearErrors,
       }}
@@ -0,0 +1,282 @@
+"use client";
+
+import {
+  createContext,
+  useState,
+  useCallback,
+  useContext,
+  useMemo,
+  useEffect,
+} from "react";
+import { toast } from "react-toastify";
+import CartContext from "@/context/CartContext";
+import captureClientError from "@/monitoring/sentry";
+import { useSession } from "@/lib/auth-client";
+
+const WishlistContext = createContext();
+
+/**
+ * Liste de souhaits de l'utilisateur connecté et transferts avec le panier
+ * (doit être placé sous CartProvider)
+ */
+export const WishlistProvider = ({ children }) => {
+  const { data: session } = useSession();
+  const { setCartToState } = useContext(CartContext);
+  const [loading, setLoading] = useState(false);
+  const [items, setItems] = useState([]);
+  // Produit en cours d'ajout / retrait (désactive son bouton)
+  const [pendingProductId, setPendingProductId] = useState(null);
+
+  const userId = session?.user?.id;
+
+  // Requête commune aux appels /api/wishlist et /api/cart
+  const request = useCallback(async (path, options = {}) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+    try {
+      const res = await fetch(`${process.env.NEXT_PUBLIC_API_URL}${path}`, {
+        ...options,
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        signal: controller.signal,
+        credentials: "include",
+      });
+
+      const data = await res.json();
+      return { ok: res.ok, status: res.status, data };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }, []);
+
+  // Récupérer la liste
+  const loadWishlist = useCallback(async () => {
+    try {
+      setLoading(true);
+
+      const { ok, status, data } = await request("/api/wishlist");
+
+      if (!ok) {
+        const httpError = new Error(`HTTP ${status}: ${data.message}`);
+        captureClientError(
+          httpError,
+          "WishlistContext",
+          "loadWishlist",
+          status === 401,
+        );
+        return;
+      }
+
+      setItems(data.data.items || []);
+    } catch (error) {
+      captureClientError(error, "WishlistContext", "loadWishlist", false);
+      console.error("Wishlist retrieval error:", error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  // Charger la liste à la connexion, la vider à la déconnexion
+  useEffect(() => {
+    if (userId) {
+      loadWishlist();
+    } else {
+      setItems([]);
+    }
+  }, [userId, loadWishlist]);
+
+  const wishlistProductIds = useMemo(
+    () => new Set(items.map((item) => item.productId?.toString())),
+    [items],
+  );
+
+  const isInWishlist = useCallback(
+    (productId) => wishlistProductIds.has(productId?.toString()),
+    [wishlistProductIds],
+  );
+
+  // Ajouter ou retirer un produit (bouton cœur)
+  const toggleWishlist = useCallback(
+    async (productId) => {
+      if (!userId) {
+        toast.info("Connectez-vous pour enregistrer vos favoris");
+        return;
+      }
+
+      if (!productId || pendingProductId) return;
+
+      const isSaved = isInWishlist(productId);
+
+      try {
+        setPendingProductId(productId);
+
+        const { ok, status, data } = isSaved
+          ? await request(
+              `/api/wishlist?productId=${encodeURIComponent(productId)}`,
+              { method: "DELETE" },
+            )
+          : await request("/api/wishlist", {
+              method: "POST",
+              body: JSON.stringify({ productId }),
+            });
+
+        if (!ok) {
+          const httpError = new Error(`HTTP ${status}: ${data.message}`);
+          captureClientError(
+            httpError,
+            "WishlistContext",
+            "toggleWishlist",
+            status === 401,
+          );
+          toast.error(
+            data.code === "WISHLIST_FULL"
+              ? "Votre liste de souhaits est pleine"
+              : "Impossible de mettre à jour vos favoris",
+          );
+          return;
+        }
+
+        setItems(data.data.items || []);
+        toast.success(
+          isSaved ? "Retiré de vos favoris" : "Ajouté à vos favoris",
+        );
+      } catch (error) {
+        toast.error("Problème de connexion");
+        captureClientError(error, "WishlistContext", "toggleWishlist", false);
+        console.error("Wishlist toggle error:", error.message);
+      } finally {
+        setPendingProductId(null);
+      }
+    },
+    [userId, pendingProductId, isInWishlist, request],
+  );
+
+  // Déplacer un article du panier vers la liste
+  const saveForLater = useCallback(
+    async (cartItemId) => {
+      if (!userId || !cartItemId) return false;
+
+      try {
+        const { ok, status, data } = await request(
+          `/api/cart/${cartItemId}/save-for-later`,
+          { method: "POST" },
+        );
+
+        if (!ok) {
+          const httpError = new Error(`HTTP ${status}: ${data.message}`);
+          captureClientError(
+            httpError,
+            "WishlistContext",
+            "saveForLater",
+            status === 401,
+          );
+          toast.error(
+            data.code === "WISHLIST_FULL"
+              ? "Votre liste de souhaits est pleine"
+              : data.message || "Impossible d'enregistrer l'article",
+          );
+          return false;
+        }
+
+        setItems(data.data.wishlist?.items || []);
+        await setCartToState();
+        toast.success("Article enregistré pour plus tard");
+        return true;
+      } catch (error) {
+        toast.error("Problème de connexion");
+        captureClientError(error, "WishlistContext", "saveForLater", false);
+        console.error("Save for later error:", error.message);
+        return false;
+      }
+    },
+    [userId, request, setCartToState],
+  );
+
+  // Remettre un produit de la liste dans le panier
+  const moveToCart = useCallback(
+    async (productId) => {
+      if (!userId || !productId || pendingProductId) return false;
+
+      try {
+        setPendingProductId(productId);
+
+        const { ok, status, data } = await request(
+          "/api/wishlist/move-to-cart",
+          {
+            method: "POST",
+            body: JSON.stringify({ productId }),
+          },
+        );
+
+        if (!ok) {
+          const httpError = new Error(`HTTP ${status}: ${data.message}`);
+          captureClientError(
+            httpError,
+            "WishlistContext",
+            "moveToCart",
+            status === 401,
+          );
+          toast.error(
+            status === 409
+              ? "Ce produit n'est plus disponible"
+              : "Impossible d'ajouter le produit au panier",
+          );
+          return false;
+        }
+
+        setItems(data.data.wishlist?.items || []);
+        await setCartToState();
+
+        if (data.data.movedItem?.adjusted) {
+          toast.info("Produit ajouté au panier, quantité ajustée au stock");
+        } else {
+          toast.success("Produit ajouté au panier");
+        }
+        return true;
+      } catch (error) {
+        toast.error("Problème de connexion");
+        captureClientError(error, "WishlistContext", "moveToCart", false);
+        console.error("Move to cart error:", error.message);
+        return false;
+      } finally {
+        setPendingProductId(null);
+      }
+    },
+    [userId, pendingProductId, request, setCartToState],
+  );
+
+  const contextValue = useMemo(
+    () => ({
+      loading,
+      items,
+      wishlistCount: items.length,
+      pendingProductId,
+      loadWishlist,
+      isInWishlist,
+      toggleWishlist,
+      saveForLater,
+      moveToCart,
+    }),
+    [
+      loading,
+      items,
+      pendingProductId,
+      loadWishlist,
+      isInWishlist,
+      toggleWishlist,
+      saveForLater,
+      moveToCart,
+    ],
+  );
+
+  return (
+    <WishlistContext.Provider value={contextValue}>
+      {children}
+    </WishlistContext.Provider>
+  );
+};
+
+export default WishlistContext;
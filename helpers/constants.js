@@ -1,2 +1,3 @@
 export const INCREASE = "INCREASE";
 export const DECREASE = "DECREASE";
+export const SET_QUANTITY = "SET_QUANTITY";
@@ -21,6 +21,15 @@ export const truncateString = (str, length = 50) => {
   return str.length > length ? `${str.substring(0, length)}...` : str;
 };
 
+// Échappe une valeur insérée dans du HTML (factures, emails)
+export const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
 // Génère un ID unique
 export const generateUniqueId = () => {
   return `${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
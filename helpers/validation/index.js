@@ -58,15 +58,33 @@ export {
 // Export des schémas paiement
 export {
   SUPPORTED_PLATFORMS,
+  INVOICE_TAX_RATE,
   djiboutiPaymentSchema,
+  paymentProofSchema,
   simpleInvoiceSchema,
   getPlatformName,
   getPlatformOptions,
   formatDjiboutiPhone,
   validateDjiboutiPayment,
+  validatePaymentProof,
   validateSimpleInvoice,
 } from "./schemas/payment";
 
+// Export des schémas commande
+export {
+  ORDER_PAYMENT_STATUSES,
+  ORDER_PAYMENT_TYPES,
+  ORDER_SORT_OPTIONS,
+  ORDER_HISTORY_PARAMS,
+  DEFAULT_ORDERS_PER_PAGE,
+  MAX_ORDERS_PER_PAGE,
+  ORDER_EXPORT_FORMATS,
+  orderHistoryFiltersSchema,
+  orderExportFiltersSchema,
+  validateOrderHistoryFilters,
+  validateOrderExportFilters,
+} from "./schemas/order";
+
 // Export des schémas contact
 export {
   contactSchema,
@@ -75,3 +93,12 @@ export {
   isMessageUrgent,
   formatContactEmail,
 } from "./schemas/contact";
+
+// Export des schémas retour
+export {
+  RETURN_REASON_LABELS,
+  RETURN_REASON_CODES,
+  MAX_RETURN_PHOTOS,
+  returnRequestSchema,
+  validateReturnRequest,
+} from "./schemas/return";
@@ -0,0 +1,157 @@
+/**
+ * Schémas de validation pour l'historique des commandes
+ * Fichier: helpers/validation/schemas/order.js
+ */
+
+import * as yup from "yup";
+import { sanitizeString, validate, noNoSqlInjection } from "../core/utils";
+
+// Statuts de paiement filtrables (valeurs du modèle Order)
+export const ORDER_PAYMENT_STATUSES = [
+  "unpaid",
+  "processing",
+  "paid",
+  "refunded",
+  "failed",
+  "pending_cash",
+];
+
+// Moyens de paiement filtrables
+export const ORDER_PAYMENT_TYPES = [
+  "WAAFI",
+  "D-MONEY",
+  "CAC-PAY",
+  "BCI-PAY",
+  "CASH",
+];
+
+// Tris disponibles (le tri MongoDB correspondant est défini par la route)
+export const ORDER_SORT_OPTIONS = [
+  "newest",
+  "oldest",
+  "amount_desc",
+  "amount_asc",
+];
+
+export const DEFAULT_ORDERS_PER_PAGE = 10;
+export const MAX_ORDERS_PER_PAGE = 50;
+
+// Paramètres d'URL acceptés par GET /api/orders/me
+export const ORDER_HISTORY_PARAMS = [
+  "page",
+  "perPage",
+  "sort",
+  "q",
+  "paymentStatus",
+  "typePayment",
+  "dateFrom",
+  "dateTo",
+  "minAmount",
+  "maxAmount",
+];
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const dateField = (label) =>
+  yup
+    .string()
+    .nullable()
+    .matches(DATE_REGEX, `${label}: format AAAA-MM-JJ attendu`)
+    .test(
+      "valid-date",
+      `${label} invalide`,
+      (value) => !value || !isNaN(new Date(value).getTime()),
+    );
+
+const amountField = yup
+  .number()
+  .nullable()
+  .typeError("Montant invalide")
+  .min(0, "Montant doit être >= 0")
+  .max(99999999, "Montant trop élevé");
+
+// Schéma des filtres de l'historique des commandes
+export const orderHistoryFiltersSchema = yup.object().shape({
+  page: yup
+    .number()
+    .typeError("Page invalide")
+    .integer("Page doit être un entier")
+    .min(1, "Page minimum 1")
+    .max(1000, "Page maximum 1000")
+    .default(1),
+
+  perPage: yup
+    .number()
+    .typeError("Nombre par page invalide")
+    .integer("Nombre par page doit être un entier")
+    .min(1, "Minimum 1 commande par page")
+    .max(MAX_ORDERS_PER_PAGE, `Maximum ${MAX_ORDERS_PER_PAGE} par page`)
+    .default(DEFAULT_ORDERS_PER_PAGE),
+
+  sort: yup
+    .string()
+    .oneOf(ORDER_SORT_OPTIONS, "Tri non supporté")
+    .default("newest"),
+
+  // Numéro de commande ou nom de produit
+  q: yup
+    .string()
+    .nullable()
+    .transform(sanitizeString)
+    .min(2, "Minimum 2 caractères")
+    .max(100, "Maximum 100 caractères")
+    .test("no-nosql", "Format invalide", noNoSqlInjection),
+
+  paymentStatus: yup
+    .string()
+    .nullable()
+    .oneOf([...ORDER_PAYMENT_STATUSES, null], "Statut de paiement invalide"),
+
+  typePayment: yup
+    .string()
+    .nullable()
+    .transform((value) => (value ? value.toUpperCase() : value))
+    .oneOf([...ORDER_PAYMENT_TYPES, null], "Moyen de paiement invalide"),
+
+  dateFrom: dateField("Date de début"),
+
+  dateTo: dateField("Date de fin").test(
+    "after-date-from",
+    "La date de fin doit suivre la date de début",
+    function (value) {
+      const { dateFrom } = this.parent;
+      return !value || !dateFrom || value >= dateFrom;
+    },
+  ),
+
+  minAmount: amountField,
+
+  maxAmount: amountField.test(
+    "greater-than-min",
+    "Doit être >= montant minimum",
+    function (value) {
+      const { minAmount } = this.parent;
+      return value == null || minAmount == null || value >= minAmount;
+    },
+  ),
+});
+
+// Formats d'export de l'historique
+export const ORDER_EXPORT_FORMATS = ["csv", "json"];
+
+// Schéma des paramètres d'export (statut et période uniquement)
+export const orderExportFiltersSchema = orderHistoryFiltersSchema
+  .pick(["paymentStatus", "dateFrom", "dateTo"])
+  .shape({
+    format: yup
+      .string()
+      .lowercase()
+      .oneOf(ORDER_EXPORT_FORMATS, "Format d'export non supporté")
+      .default("csv"),
+  });
+
+// Fonctions de validation
+export const validateOrderHistoryFilters = (data) =>
+  validate(orderHistoryFiltersSchema, data);
+export const validateOrderExportFilters = (data) =>
+  validate(orderExportFiltersSchema, data);
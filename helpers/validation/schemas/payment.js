@@ -67,13 +67,46 @@ export const djiboutiPaymentSchema = yup.object().shape({
     }),
 });
 
+// Preuve de paiement mobile money: référence de transaction + capture du reçu
+export const paymentProofSchema = yup.object().shape({
+  reference: yup
+    .string()
+    .transform((value) => (value ? value.trim().toUpperCase() : value))
+    .required("Référence de transaction requise")
+    .min(4, "Minimum 4 caractères")
+    .max(50, "Maximum 50 caractères")
+    .matches(
+      /^[A-Z0-9._-]+$/,
+      "Lettres, chiffres, points et tirets uniquement",
+    ),
+
+  receipt: yup
+    .object()
+    .shape({
+      publicId: yup
+        .string()
+        .required("Identifiant du reçu obligatoire")
+        .max(200, "Identifiant du reçu trop long"),
+      url: yup
+        .string()
+        .required("URL du reçu obligatoire")
+        .url("URL du reçu invalide")
+        .max(500, "URL du reçu trop longue"),
+    })
+    .default(undefined)
+    .required("Capture du reçu requise"),
+});
+
+// Taux de taxe appliqué aux factures
+export const INVOICE_TAX_RATE = 0.07;
+
 // Schéma de facture simple
 export const simpleInvoiceSchema = yup.object().shape({
   amount: yup
     .number()
     .required("Montant requis")
     .positive("Montant doit être positif")
-    .max(999999, "Montant trop élevé"),
+    .max(99999999, "Montant trop élevé"),
 
   currency: yup
     .string()
@@ -116,15 +149,21 @@ export const validateDjiboutiPayment = async (data) => {
   return result;
 };
 
+export const validatePaymentProof = (data) =>
+  validate(paymentProofSchema, data);
+
+// Montant TTC (prix affichés au client et montant payé): la taxe est
+// extraite du montant, pas ajoutée par-dessus
 export const validateSimpleInvoice = async (data) => {
   const result = await validate(simpleInvoiceSchema, data);
 
   if (result.isValid) {
-    const tax = result.data.amount * 0.07;
+    const total = Math.round(result.data.amount * 100) / 100;
+    const subtotal = Math.round((total / (1 + INVOICE_TAX_RATE)) * 100) / 100;
     result.calculations = {
-      subtotal: result.data.amount,
-      tax: Math.round(tax * 100) / 100,
-      total: Math.round((result.data.amount + tax) * 100) / 100,
+      subtotal,
+      tax: Math.round((total - subtotal) * 100) / 100,
+      total,
     };
   }
 
@@ -0,0 +1,100 @@
+/**
+ * Schémas de validation des demandes de retour / remboursement
+ * Fichier: helpers/validation/schemas/return.js
+ */
+
+import * as yup from "yup";
+import {
+  REGEX,
+  sanitizeString,
+  validate,
+  noNoSqlInjection,
+} from "../core/utils";
+
+// Motifs de retour et libellés affichés au client
+export const RETURN_REASON_LABELS = {
+  damaged: "Article endommagé",
+  defective: "Article défectueux",
+  wrong_item: "Mauvais article reçu",
+  not_as_described: "Non conforme à la description",
+  changed_mind: "Je ne souhaite plus l'article",
+  other: "Autre motif",
+};
+
+export const RETURN_REASON_CODES = Object.keys(RETURN_REASON_LABELS);
+
+// Nombre maximum de photos jointes à une demande
+export const MAX_RETURN_PHOTOS = 5;
+
+const returnItemSchema = yup.object().shape({
+  orderItemId: yup
+    .string()
+    .required("Article obligatoire")
+    .matches(REGEX.MONGODB_OBJECTID, "Article invalide"),
+
+  quantity: yup
+    .number()
+    .typeError("Quantité invalide")
+    .required("Quantité obligatoire")
+    .integer("La quantité doit être un entier")
+    .min(1, "Quantité minimum 1")
+    .max(99, "Quantité maximum 99"),
+});
+
+const returnPhotoSchema = yup.object().shape({
+  publicId: yup
+    .string()
+    .required("Identifiant de photo obligatoire")
+    .max(200, "Identifiant de photo trop long"),
+
+  url: yup
+    .string()
+    .required("URL de photo obligatoire")
+    .url("URL de photo invalide")
+    .max(500, "URL de photo trop longue"),
+});
+
+// Schéma de création d'une demande de retour
+export const returnRequestSchema = yup.object().shape({
+  items: yup
+    .array()
+    .of(returnItemSchema)
+    .min(1, "Sélectionnez au moins un article")
+    .max(50, "Trop d'articles")
+    .test(
+      "unique-items",
+      "Un article ne peut apparaître qu'une fois",
+      (items) =>
+        !items ||
+        new Set(items.map((item) => item.orderItemId)).size === items.length,
+    ),
+
+  reasonCode: yup
+    .string()
+    .required("Motif de retour obligatoire")
+    .oneOf(RETURN_REASON_CODES, "Motif de retour invalide"),
+
+  comment: yup
+    .string()
+    .nullable()
+    .transform(sanitizeString)
+    .max(1000, "Maximum 1000 caractères")
+    .test("no-nosql", "Format invalide", noNoSqlInjection)
+    .when("reasonCode", {
+      is: "other",
+      then: (schema) =>
+        schema
+          .required("Précisez le motif du retour")
+          .min(10, "Minimum 10 caractères"),
+    }),
+
+  photos: yup
+    .array()
+    .of(returnPhotoSchema)
+    .max(MAX_RETURN_PHOTOS, `${MAX_RETURN_PHOTOS} photos maximum`)
+    .default([]),
+});
+
+// Fonctions de validation
+export const validateReturnRequest = (data) =>
+  validate(returnRequestSchema, data);
@@ -2,11 +2,20 @@
 import { useState, useContext } from 'react';
 import { captureException } from '@/monitoring/sentry';
 import CartContext from '@/context/CartContext';
+import WishlistContext from '@/context/WishlistContext';
 import { DECREASE, INCREASE } from '@/helpers/constants';
 
 const useCartOperations = () => {
-  const { updateCart, deleteItemFromCart, saveOnCheckout, cartTotal } =
-    useContext(CartContext);
+  const {
+    updateCart,
+    setItemQuantity,
+    updateCartItems,
+    deleteItemFromCart,
+    clearCart,
+    saveOnCheckout,
+    cartTotal,
+  } = useContext(CartContext);
+  const { saveForLater } = useContext(WishlistContext);
 
   const [deleteInProgress, setDeleteInProgress] = useState(false);
   const [itemBeingRemoved, setItemBeingRemoved] = useState(null);
@@ -37,6 +46,35 @@ const useCartOperations = () => {
     }
   };
 
+  // Quantité saisie directement (0 supprime l'article)
+  const setQty = async (cartItem, quantity) => {
+    try {
+      if (parseInt(quantity, 10) === cartItem.quantity) return true;
+      return await setItemQuantity(cartItem, quantity);
+    } catch (error) {
+      console.error('Erreur lors de la mise à jour de la quantité:', error);
+      captureException(error, {
+        tags: { component: 'Cart', action: 'setQty' },
+        extra: { cartItem, quantity },
+      });
+      return false;
+    }
+  };
+
+  // Plusieurs produits en une requête: [{ productId, quantity }]
+  const handleBatchUpdate = async (items, options) => {
+    try {
+      return await updateCartItems(items, options);
+    } catch (error) {
+      console.error('Erreur lors de la mise à jour groupée du panier:', error);
+      captureException(error, {
+        tags: { component: 'Cart', action: 'batchUpdate' },
+        extra: { items },
+      });
+      return { success: false };
+    }
+  };
+
   // Fonction optimisée pour supprimer un article
   const handleDeleteItem = async (itemId) => {
     try {
@@ -55,6 +93,37 @@ const useCartOperations = () => {
     }
   };
 
+  // Mettre un article de côté (liste de souhaits)
+  const handleSaveForLater = async (itemId) => {
+    try {
+      setItemBeingRemoved(itemId);
+      await saveForLater(itemId);
+    } catch (error) {
+      console.error("Erreur lors de la mise de côté d'un article:", error);
+      captureException(error, {
+        tags: { component: 'Cart', action: 'saveForLater' },
+        extra: { itemId },
+      });
+    } finally {
+      setItemBeingRemoved(null);
+    }
+  };
+
+  // Vider le panier
+  const handleClearCart = async () => {
+    try {
+      setDeleteInProgress(true);
+      await clearCart();
+    } catch (error) {
+      console.error('Erreur lors du vidage du panier:', error);
+      captureException(error, {
+        tags: { component: 'Cart', action: 'clearCart' },
+      });
+    } finally {
+      setDeleteInProgress(false);
+    }
+  };
+
   // Préparation au paiement
   const checkoutHandler = () => {
     const checkoutData = {
@@ -71,7 +140,11 @@ const useCartOperations = () => {
     itemBeingRemoved,
     increaseQty,
     decreaseQty,
+    setQty,
+    handleBatchUpdate,
     handleDeleteItem,
+    handleClearCart,
+    handleSaveForLater,
     checkoutHandler,
   };
 };
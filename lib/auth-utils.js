@@ -25,6 +25,16 @@ export async function getSessionFromRequest(req) {
   }
 }
 
+/**
+ * Utilisateur connecté de la requête, ou null pour un visiteur
+ * Contrairement à isAuthenticatedUser, ne lève pas d'erreur sans session
+ * (routes ouvertes aux visiteurs, ex: panier invité)
+ */
+export async function getOptionalUser(req) {
+  const session = await getSessionFromRequest(req);
+  return session?.user || null;
+}
+
 /**
  * Extraire les informations utilisateur pour le rate limiting
  */
@@ -146,3 +156,13 @@ export const incrementLoginAttempts = async (userId) => {
 export const isAccountLocked = (user) => {
   return !!(user.lockUntil && new Date(user.lockUntil) > new Date());
 };
+
+// Rôles autorisés sur les routes /api/staff
+export const STAFF_ROLES = ["staff", "admin"];
+
+/**
+ * Vérifier si l'utilisateur fait partie du personnel (staff ou admin)
+ */
+export const isStaffUser = (user) => {
+  return !!user && STAFF_ROLES.includes(user.role);
+};
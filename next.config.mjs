@@ -110,7 +110,7 @@ const nextConfig = {
   compress: true,
 
   // Configuration des packages externes
-  serverExternalPackages: ["mongoose"],
+  serverExternalPackages: ["mongoose", "pdfkit"],
 
   // Configuration des images Cloudinary
   images: {
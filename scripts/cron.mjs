@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Exécution locale des jobs planifiés (routes /api/cron/*)
+ * Appelle la route du job avec le secret partagé, comme le planificateur
+ *
+ * Prérequis: l'application doit être démarrée (npm run dev ou npm start) et
+ * joignable à --url, avec le même CRON_SECRET que ce script. Les jobs
+ * s'exécutent dans le serveur: ce script ne se connecte pas à la base.
+ *
+ * Usage:
+ *   CRON_SECRET=secret node scripts/cron.mjs payment-deadlines \
+ *     [--limit 50] [--url http://localhost:3000]
+ *
+ * Jobs disponibles:
+ *   payment-deadlines  annule les commandes non payées dans les délais
+ *                      et restitue leur stock
+ *   cart-cleanup       supprime les articles de panier expirés
+ *                      (--limit est ignoré)
+ */
+import { parseArgs } from "node:util";
+
+const JOBS = {
+  "payment-deadlines": "/api/cron/payment-deadlines",
+  "cart-cleanup": "/api/cron/cart-cleanup",
+};
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    limit: { type: "string" },
+    url: {
+      type: "string",
+      default: process.env.API_URL || "http://localhost:3000",
+    },
+  },
+});
+
+const [job] = positionals;
+
+if (!JOBS[job]) {
+  console.error(
+    `Job inconnu: ${job || "(aucun)"}. Jobs disponibles: ${Object.keys(JOBS).join(", ")}`,
+  );
+  process.exit(1);
+}
+
+const secret = process.env.CRON_SECRET;
+
+if (!secret) {
+  console.error("Variable d'environnement CRON_SECRET manquante");
+  process.exit(1);
+}
+
+const endpoint = new URL(JOBS[job], args.url);
+if (args.limit) endpoint.searchParams.set("limit", args.limit);
+
+let res;
+try {
+  res = await fetch(endpoint, {
+    headers: { Authorization: `Bearer ${secret}` },
+  });
+} catch (error) {
+  console.error(
+    `Serveur injoignable à ${args.url} (${error.cause?.code || error.message}). Démarrez l'application avant de lancer le job.`,
+  );
+  process.exit(1);
+}
+
+const data = await res.json().catch(() => ({}));
+
+console.log(`[${job}] HTTP ${res.status}`, data);
+
+if (!res.ok || !data.success) process.exitCode = 1;
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Migration des index de la collection carts (panier invité)
+ *
+ * Les bases créées avant le panier invité ont:
+ * - user_1_product_1: unique sur { user, product } pour tous les documents,
+ *   ce qui refuse un second article invité (user absent) pour un même produit
+ * - expiresAt_1: index simple, sans TTL
+ * Ces index sont supprimés puis remplacés par les index nommés du modèle
+ * (backend/models/cart.js). À exécuter avant le déploiement: en production
+ * autoIndex est désactivé (backend/config/dbConnect.js).
+ *
+ * Usage:
+ *   DB_URI=mongodb://... node scripts/migrate-cart-indexes.mjs [--dry-run]
+ */
+import { parseArgs } from "node:util";
+import mongoose from "mongoose";
+
+// Doit rester identique aux index déclarés dans backend/models/cart.js
+const LEGACY_INDEXES = ["user_1_product_1", "expiresAt_1"];
+
+const CART_INDEXES = [
+  {
+    key: { user: 1, product: 1 },
+    name: "user_product_unique",
+    unique: true,
+    partialFilterExpression: { user: { $exists: true } },
+  },
+  {
+    key: { guestId: 1, product: 1 },
+    name: "guest_product_unique",
+    unique: true,
+    partialFilterExpression: { guestId: { $exists: true } },
+  },
+  {
+    key: { expiresAt: 1 },
+    name: "guest_cart_ttl",
+    expireAfterSeconds: 0,
+    partialFilterExpression: { guestId: { $exists: true } },
+  },
+];
+
+const { values: args } = parseArgs({
+  options: {
+    "dry-run": { type: "boolean", default: false },
+  },
+});
+
+const uri = process.env.DB_URI;
+
+if (!uri) {
+  console.error("Variable d'environnement DB_URI manquante");
+  process.exit(1);
+}
+
+await mongoose.connect(uri);
+
+try {
+  const carts = mongoose.connection.db.collection("carts");
+  const existing = (await carts.indexes()).map((index) => index.name);
+
+  for (const name of LEGACY_INDEXES.filter((n) => existing.includes(n))) {
+    console.log(`${args["dry-run"] ? "[dry-run] " : ""}Suppression de ${name}`);
+    if (!args["dry-run"]) await carts.dropIndex(name);
+  }
+
+  const missing = CART_INDEXES.filter(
+    (index) => !existing.includes(index.name),
+  );
+
+  for (const index of missing) {
+    console.log(
+      `${args["dry-run"] ? "[dry-run] " : ""}Création de ${index.name}`,
+    );
+  }
+
+  if (!args["dry-run"] && missing.length > 0) {
+    await carts.createIndexes(missing);
+  }
+
+  console.log("Index de la collection carts à jour");
+} catch (error) {
+  console.error("Échec de la migration des index:", error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * Simulateur local des callbacks opérateurs (WAAFI, D-MONEY, CAC-PAY, BCI-PAY)
+ * Envoie des callbacks signés à POST /api/payments/callback/[platform]
+ *
+ * Usage:
+ *   PAYMENT_CALLBACK_SECRET_WAAFI=secret \
+ *   node scripts/simulate-payment-callback.mjs --order ORD-20250101-00001 \
+ *     [--platform waafi] [--status paid|processing|failed|flow] \
+ *     [--amount 1500] [--url http://localhost:3000] [--replay]
+ *
+ * --status flow  envoie "processing" puis "paid"
+ * --replay       renvoie le dernier callback à l'identique (doit être refusé)
+ *
+ * Le format de signature doit rester identique à backend/utils/paymentCallback.js:
+ *   HMAC-SHA256(secret, `${timestamp}.${nonce}.${rawBody}`)
+ */
+import crypto from "node:crypto";
+import { parseArgs } from "node:util";
+
+const { values: args } = parseArgs({
+  options: {
+    order: { type: "string" },
+    platform: { type: "string", default: "waafi" },
+    status: { type: "string", default: "paid" },
+    amount: { type: "string" },
+    url: {
+      type: "string",
+      default: process.env.API_URL || "http://localhost:3000",
+    },
+    replay: { type: "boolean", default: false },
+  },
+});
+
+if (!args.order) {
+  console.error("Option --order obligatoire (ex: --order ORD-20250101-00001)");
+  process.exit(1);
+}
+
+const secretName = `PAYMENT_CALLBACK_SECRET_${args.platform
+  .toUpperCase()
+  .replace(/-/g, "_")}`;
+const secret = process.env[secretName];
+
+if (!secret) {
+  console.error(`Variable d'environnement ${secretName} manquante`);
+  process.exit(1);
+}
+
+const endpoint = `${args.url}/api/payments/callback/${args.platform}`;
+
+/**
+ * Construit un callback signé prêt à être envoyé
+ */
+const buildSignedCallback = (status) => {
+  const body = JSON.stringify({
+    orderNumber: args.order,
+    status,
+    transactionId: `SIM-${Date.now().toString(36).toUpperCase()}`,
+    ...(args.amount && { amount: parseFloat(args.amount) }),
+    ...(status === "failed" && { reason: "Simulated failure" }),
+  });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const nonce = crypto.randomUUID();
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${nonce}.${body}`)
+    .digest("hex");
+
+  return {
+    body,
+    headers: {
+      "Content-Type": "application/json",
+      "X-Payment-Signature": signature,
+      "X-Payment-Timestamp": timestamp,
+      "X-Payment-Nonce": nonce,
+    },
+  };
+};
+
+const send = async (callback, label) => {
+  const res = await fetch(endpoint, {
+    method: "POST",
+    headers: callback.headers,
+    body: callback.body,
+  });
+  const data = await res.json().catch(() => ({}));
+  console.log(`[${label}] HTTP ${res.status}`, data);
+  return res.ok;
+};
+
+const statuses =
+  args.status === "flow" ? ["processing", "paid"] : [args.status];
+
+let lastCallback = null;
+for (const status of statuses) {
+  lastCallback = buildSignedCallback(status);
+  const ok = await send(lastCallback, status);
+  if (!ok) process.exitCode = 1;
+}
+
+if (args.replay && lastCallback) {
+  // Un rejeu doit être refusé (409 REPLAYED_CALLBACK)
+  const accepted = await send(lastCallback, "replay");
+  if (accepted) {
+    console.error("Le rejeu a été accepté: la protection anti-rejeu a échoué");
+    process.exitCode = 1;
+  }
+}
@@ -3,6 +3,8 @@
  * Adapté pour 500 visiteurs/jour
  */
 
+import { ORDER_HISTORY_PARAMS } from "@/helpers/validation/schemas/order";
+
 /**
  * Nettoie une chaîne basique (trim + espaces multiples)
  * PAS d'encodage HTML - React le fait automatiquement
@@ -86,6 +88,23 @@ export const parseProductSearchParams = (searchParams) => {
   return params;
 };
 
+/**
+ * Parse les paramètres de l'historique des commandes
+ * Ne conserve que les paramètres connus et non vides (validés ensuite par Yup)
+ */
+export const parseOrderHistoryParams = (searchParams) => {
+  const params = {};
+
+  ORDER_HISTORY_PARAMS.forEach((key) => {
+    const value = cleanString(searchParams.get(key));
+    if (value) {
+      params[key] = value;
+    }
+  });
+
+  return params;
+};
+
 /**
  * Construit des paramètres d'URL propres
  */
@@ -125,6 +144,7 @@ export default {
   parseBoolean,
   isValidObjectId,
   parseProductSearchParams,
+  parseOrderHistoryParams,
   buildQueryString,
   cleanFormData,
 };
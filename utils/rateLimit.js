@@ -139,6 +139,13 @@ const INTELLIGENT_LIMITS = {
       blockDuration: 60000,
       keyStrategy: "user",
     },
+    // Callbacks serveur-à-serveur des opérateurs (authentifiés par signature)
+    providerCallback: {
+      points: 120, // 120 callbacks
+      duration: 60000, // par minute
+      blockDuration: 300000, // blocage 5 min
+      keyStrategy: "ip",
+    },
   },
 
   // API - Stratégies par type
@@ -182,6 +189,28 @@ const INTELLIGENT_LIMITS = {
     },
   },
 
+  // EXPORT - Strict (requêtes coûteuses sur tout l'historique)
+  export: {
+    // Export de l'historique des commandes (CSV / JSON)
+    orders: {
+      points: 10, // 10 exports
+      duration: 3600000, // par heure
+      blockDuration: 900000, // blocage 15 min
+      keyStrategy: "user",
+      requireAuth: true,
+    },
+  },
+
+  // CRON - Jobs planifiés (authentifiés par CRON_SECRET)
+  cron: {
+    job: {
+      points: 10, // 10 exécutions
+      duration: 60000, // par minute
+      blockDuration: 300000, // blocage 5 min
+      keyStrategy: "ip",
+    },
+  },
+
   // CART - Très permissif (UX critique)
   cart: {
     // Ajout au panier - ultra permissif
@@ -752,6 +781,17 @@ export const withApiRateLimit = (handler, options = {}) => {
   });
 };
 
+/**
+ * Helper pour les exports de données utilisateur - STRICT
+ */
+export const withExportRateLimit = (handler, options = {}) => {
+  return withIntelligentRateLimit(handler, {
+    ...options,
+    category: "export",
+    action: options.action || "orders",
+  });
+};
+
 /**
  * Helper pour le panier - ULTRA PERMISSIF
  */
@@ -790,6 +830,7 @@ export default {
   withAuthRateLimit,
   withPaymentRateLimit,
   withApiRateLimit,
+  withExportRateLimit,
   withCartRateLimit,
   unblockIP,
   getRateLimitStats,